@@ -1,14 +1,34 @@
 const { Pool } = require('pg');
+const { phashBands, compareFingerprints } = require('./image-hash');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
   ssl: process.env.DATABASE_URL?.includes('localhost') ? false : { rejectUnauthorized: false }
 });
 
+/**
+ * withTransaction(work)
+ * - Runs work(client) inside BEGIN/COMMIT on a dedicated client, rolling back on error.
+ */
+async function withTransaction(work) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * initializeDatabase()
  * - Creates schema for users, referrals, tasks, submissions, completed tasks,
- *   bot settings, withdrawals and blacklist.
+ *   bot settings, withdrawals, blacklist and the balance ledger.
  * - Adds useful indexes and seeds default settings.
  */
 async function initializeDatabase() {
@@ -82,7 +102,7 @@ async function initializeDatabase() {
         reviewed_at BIGINT,
         reviewed_by BIGINT,
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE RESTRICT
       );
 
       CREATE TABLE IF NOT EXISTS completed_tasks (
@@ -92,9 +112,48 @@ async function initializeDatabase() {
         reward NUMERIC(20,2),
         PRIMARY KEY (user_id, task_id),
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE RESTRICT
       );
 
+      -- Proof requirements and limits declared per task (see tasks.js)
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS min_screenshots INTEGER NOT NULL DEFAULT 1;
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS proof_text_label TEXT;
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS proof_link_pattern TEXT;
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS max_per_user INTEGER NOT NULL DEFAULT 1;
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS total_slots INTEGER;
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS starts_at BIGINT;
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS ends_at BIGINT;
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS cooldown_ms BIGINT NOT NULL DEFAULT 0;
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS description_html BOOLEAN NOT NULL DEFAULT false;
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS banner_file_id TEXT;
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS updated_at BIGINT;
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS updated_by BIGINT;
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS verify_chat TEXT;
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS social_action TEXT;
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS social_target TEXT;
+      ALTER TABLE task_submissions ADD COLUMN IF NOT EXISTS proof_text TEXT;
+      -- Join tasks: the chat membership was verified in and the outcome of later re-checks
+      ALTER TABLE task_submissions ADD COLUMN IF NOT EXISTS verified_chat TEXT;
+      ALTER TABLE task_submissions ADD COLUMN IF NOT EXISTS membership_status TEXT;
+      ALTER TABLE task_submissions ADD COLUMN IF NOT EXISTS membership_checked_at BIGINT;
+      -- X tasks: outcome of the social verifier (passed / inconclusive) and its reason
+      ALTER TABLE task_submissions ADD COLUMN IF NOT EXISTS auto_check_status TEXT;
+      ALTER TABLE task_submissions ADD COLUMN IF NOT EXISTS auto_check_reason TEXT;
+      -- One fingerprint per entry of files (see image-hash.js)
+      ALTER TABLE task_submissions ADD COLUMN IF NOT EXISTS file_hashes JSONB DEFAULT '[]';
+      -- /review workspace: the reviewer holding a submission until claimed_until, reviewers who
+      -- skipped it, and the reason code and text sent to the user on rejection or info request
+      ALTER TABLE task_submissions ADD COLUMN IF NOT EXISTS claimed_by BIGINT;
+      ALTER TABLE task_submissions ADD COLUMN IF NOT EXISTS claimed_until BIGINT;
+      ALTER TABLE task_submissions ADD COLUMN IF NOT EXISTS skipped_by JSONB DEFAULT '[]';
+      ALTER TABLE task_submissions ADD COLUMN IF NOT EXISTS review_reason_code TEXT;
+      ALTER TABLE task_submissions ADD COLUMN IF NOT EXISTS review_note TEXT;
+      ALTER TABLE task_submissions ADD COLUMN IF NOT EXISTS follow_up_of INTEGER;
+      -- What an approval actually paid, and why a reviewer paid other than task_reward
+      ALTER TABLE task_submissions ADD COLUMN IF NOT EXISTS paid_reward NUMERIC(20,2);
+      ALTER TABLE task_submissions ADD COLUMN IF NOT EXISTS reward_reason TEXT;
+      ALTER TABLE completed_tasks ADD COLUMN IF NOT EXISTS times_completed INTEGER NOT NULL DEFAULT 1;
+
       CREATE TABLE IF NOT EXISTS bot_settings (
         key TEXT PRIMARY KEY,
         value TEXT NOT NULL,
@@ -113,6 +172,37 @@ async function initializeDatabase() {
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
       );
 
+      ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS paid_at BIGINT;
+      ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS paid_by BIGINT;
+      ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS status_note TEXT;
+
+      CREATE TABLE IF NOT EXISTS payout_batches (
+        id SERIAL PRIMARY KEY,
+        status TEXT NOT NULL DEFAULT 'open',
+        withdrawal_count INTEGER NOT NULL DEFAULT 0,
+        total_amount NUMERIC(20,2) NOT NULL DEFAULT 0,
+        created_by BIGINT,
+        created_at BIGINT NOT NULL,
+        paid_by BIGINT,
+        paid_at BIGINT
+      );
+
+      ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS batch_id INTEGER REFERENCES payout_batches(id);
+      ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS tx_signature TEXT;
+      ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS payout_key TEXT;
+      ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS payout_status TEXT;
+      ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS payout_executor TEXT;
+      ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS payout_attempts INTEGER DEFAULT 0;
+      ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS payout_next_attempt_at BIGINT;
+      ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS payout_submitted_at BIGINT;
+      ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS payout_fee NUMERIC(20,9);
+      ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS payout_error TEXT;
+      ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS risk_score INTEGER;
+      ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS risk_level TEXT;
+      ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS risk_reasons JSONB;
+      -- Status a withdrawal had before a blacklist froze it, restored by unblacklistUser
+      ALTER TABLE withdrawal_requests ADD COLUMN IF NOT EXISTS frozen_from TEXT;
+
       CREATE TABLE IF NOT EXISTS blacklist (
         user_id BIGINT PRIMARY KEY,
         reason TEXT,
@@ -121,6 +211,51 @@ async function initializeDatabase() {
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
+      CREATE TABLE IF NOT EXISTS admins (
+        user_id BIGINT PRIMARY KEY,
+        role TEXT NOT NULL,
+        added_by BIGINT,
+        added_at BIGINT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS admin_proposals (
+        id SERIAL PRIMARY KEY,
+        action TEXT NOT NULL,
+        target_user_id BIGINT,
+        amount NUMERIC NOT NULL,
+        reason TEXT,
+        reference_id TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        proposed_by BIGINT NOT NULL,
+        proposed_at BIGINT NOT NULL,
+        expires_at BIGINT NOT NULL,
+        approved_by BIGINT,
+        decided_by BIGINT,
+        decided_at BIGINT,
+        result_note TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS conversation_states (
+        user_id BIGINT NOT NULL,
+        flow TEXT NOT NULL,
+        data JSONB NOT NULL DEFAULT '{}',
+        updated_at BIGINT NOT NULL,
+        expires_at BIGINT NOT NULL,
+        PRIMARY KEY (user_id, flow)
+      );
+
+      CREATE TABLE IF NOT EXISTS wallet_history (
+        id SERIAL PRIMARY KEY,
+        user_id BIGINT NOT NULL,
+        old_wallet TEXT,
+        new_wallet TEXT NOT NULL,
+        changed_by BIGINT,
+        changed_at BIGINT NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+
       CREATE TABLE IF NOT EXISTS user_activity_log (
         id SERIAL PRIMARY KEY,
         user_id BIGINT NOT NULL,
@@ -133,8 +268,41 @@ async function initializeDatabase() {
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
       );
 
+      CREATE TABLE IF NOT EXISTS balance_ledger (
+        id SERIAL PRIMARY KEY,
+        user_id BIGINT NOT NULL,
+        amount NUMERIC(20,2) NOT NULL,
+        balance_after NUMERIC(20,2) NOT NULL,
+        source_type TEXT NOT NULL,
+        reference_id TEXT,
+        admin_id BIGINT,
+        reason TEXT,
+        created_at BIGINT NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+
+      -- Lookup table for duplicate screenshots: each phash is split into 4 bands so near
+      -- matches can be found through plain indexes
+      CREATE TABLE IF NOT EXISTS submission_images (
+        id SERIAL PRIMARY KEY,
+        submission_id INTEGER NOT NULL,
+        user_id BIGINT NOT NULL,
+        file_index INTEGER NOT NULL,
+        file_unique_id TEXT,
+        content_hash TEXT,
+        phash TEXT,
+        phash_band0 TEXT,
+        phash_band1 TEXT,
+        phash_band2 TEXT,
+        phash_band3 TEXT,
+        created_at BIGINT NOT NULL,
+        FOREIGN KEY (submission_id) REFERENCES task_submissions(id) ON DELETE CASCADE
+      );
+
       -- Create indexes (will skip if already exist)
       DO $$ 
+      DECLARE
+        fk RECORD;
       BEGIN
         IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_users_username') THEN
           CREATE INDEX idx_users_username ON users(username);
@@ -157,12 +325,61 @@ async function initializeDatabase() {
         IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_task_submissions_status') THEN
           CREATE INDEX idx_task_submissions_status ON task_submissions(status);
         END IF;
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_task_submissions_proof_text') THEN
+          CREATE INDEX idx_task_submissions_proof_text ON task_submissions(LOWER(proof_text)) WHERE proof_text IS NOT NULL;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_submission_images_unique_id') THEN
+          CREATE INDEX idx_submission_images_unique_id ON submission_images(file_unique_id);
+          CREATE INDEX idx_submission_images_content ON submission_images(content_hash);
+          CREATE INDEX idx_submission_images_band0 ON submission_images(phash_band0);
+          CREATE INDEX idx_submission_images_band1 ON submission_images(phash_band1);
+          CREATE INDEX idx_submission_images_band2 ON submission_images(phash_band2);
+          CREATE INDEX idx_submission_images_band3 ON submission_images(phash_band3);
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_task_submissions_membership') THEN
+          CREATE INDEX idx_task_submissions_membership ON task_submissions(membership_checked_at) WHERE membership_status = 'member';
+        END IF;
         IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_tasks_status') THEN
           CREATE INDEX idx_tasks_status ON tasks(status);
         END IF;
         IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_withdrawal_requests_status') THEN
           CREATE INDEX idx_withdrawal_requests_status ON withdrawal_requests(status);
         END IF;
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_withdrawal_requests_one_pending') THEN
+          -- Only one pending withdrawal per user; skipped (with a notice) if legacy data has duplicates
+          BEGIN
+            CREATE UNIQUE INDEX idx_withdrawal_requests_one_pending ON withdrawal_requests(user_id) WHERE status = 'pending';
+          EXCEPTION WHEN unique_violation THEN
+            RAISE NOTICE 'idx_withdrawal_requests_one_pending not created: users with several pending withdrawals exist';
+          END;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_withdrawal_requests_batch') THEN
+          CREATE INDEX idx_withdrawal_requests_batch ON withdrawal_requests(batch_id);
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_withdrawal_requests_payout_key') THEN
+          CREATE UNIQUE INDEX idx_withdrawal_requests_payout_key ON withdrawal_requests(payout_key) WHERE payout_key IS NOT NULL;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_withdrawal_requests_tx_signature') THEN
+          -- One withdrawal per on-chain transaction; skipped (with a notice) if legacy data reuses a signature
+          BEGIN
+            CREATE UNIQUE INDEX idx_withdrawal_requests_tx_signature ON withdrawal_requests(tx_signature) WHERE tx_signature IS NOT NULL;
+          EXCEPTION WHEN unique_violation THEN
+            RAISE NOTICE 'idx_withdrawal_requests_tx_signature not created: several withdrawals share a tx_signature';
+          END;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_admin_proposals_one_pending') THEN
+          CREATE UNIQUE INDEX idx_admin_proposals_one_pending ON admin_proposals(action, reference_id) WHERE status = 'pending';
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_conversation_states_expires') THEN
+          CREATE INDEX idx_conversation_states_expires ON conversation_states(expires_at);
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_users_wallet') THEN
+          -- Wallet-cluster lookups: every account bound to the same payout address
+          CREATE INDEX idx_users_wallet ON users(wallet) WHERE wallet IS NOT NULL AND wallet <> '';
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_wallet_history_user') THEN
+          CREATE INDEX idx_wallet_history_user ON wallet_history(user_id, changed_at);
+        END IF;
         IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_blacklist_user') THEN
           CREATE INDEX idx_blacklist_user ON blacklist(user_id);
         END IF;
@@ -175,9 +392,43 @@ async function initializeDatabase() {
         IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_activity_log_type') THEN
           CREATE INDEX idx_activity_log_type ON user_activity_log(activity_type);
         END IF;
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_balance_ledger_user') THEN
+          CREATE INDEX idx_balance_ledger_user ON balance_ledger(user_id, created_at);
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_balance_ledger_source') THEN
+          CREATE INDEX idx_balance_ledger_source ON balance_ledger(source_type, reference_id);
+        END IF;
+        -- Tasks are archived, never deleted: stop task deletes from wiping submissions and completions
+        FOR fk IN
+          SELECT conrelid::regclass::text AS table_name, conname
+          FROM pg_constraint
+          WHERE contype = 'f' AND confrelid = 'tasks'::regclass AND confdeltype = 'c'
+            AND conrelid IN ('task_submissions'::regclass, 'completed_tasks'::regclass)
+        LOOP
+          EXECUTE format('ALTER TABLE %I DROP CONSTRAINT %I', fk.table_name, fk.conname);
+          EXECUTE format('ALTER TABLE %I ADD CONSTRAINT %I FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE RESTRICT', fk.table_name, fk.conname);
+        END LOOP;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'tasks' AND column_name = 'completion_count') THEN
+          -- Slot limits count approved completions; backfill them once for existing tasks
+          ALTER TABLE tasks ADD COLUMN completion_count INTEGER NOT NULL DEFAULT 0;
+          UPDATE tasks t SET completion_count = c.total
+          FROM (SELECT task_id, SUM(times_completed) AS total FROM completed_tasks GROUP BY task_id) c
+          WHERE c.task_id = t.id;
+        END IF;
       END $$;
     `);
 
+    // Seed an opening entry for balances that predate the ledger so that
+    // SUM(balance_ledger.amount) always matches users.balance.
+    await client.query(
+      `INSERT INTO balance_ledger (user_id, amount, balance_after, source_type, reason, created_at)
+       SELECT u.id, u.balance, u.balance, $1, 'Balance carried over before ledger', $2
+       FROM users u
+       WHERE COALESCE(u.balance, 0) <> 0
+         AND NOT EXISTS (SELECT 1 FROM balance_ledger l WHERE l.user_id = u.id)`,
+      [LEDGER_SOURCES.OPENING_BALANCE, Date.now()]
+    );
+
     await client.query(`
       INSERT INTO bot_settings (key, value) VALUES
         ('referralReward', '20'),
@@ -187,7 +438,34 @@ async function initializeDatabase() {
         ('tasksApproved', '0'),
         ('tasksRejected', '0'),
         ('minWithdrawal', '50'),
-        ('maxWithdrawal', '10000')
+        ('maxWithdrawal', '10000'),
+        ('blacklistNotice', '🚫 Your account has been restricted. Contact support if you believe this is a mistake.'),
+        ('dualApprovalThreshold', '1000'),
+        ('proposalExpiryHours', '24'),
+        ('dualApprovalWindowHours', '24'),
+        ('walletChangeCooldownHours', '24'),
+        ('walletShareLimit', '1'),
+        ('autoPayoutEnabled', 'false'),
+        ('payoutMaxAttempts', '5'),
+        ('withdrawalCooldownHours', '0'),
+        ('userDailyWithdrawalCap', '0'),
+        ('userWeeklyWithdrawalCap', '0'),
+        ('userMonthlyWithdrawalCap', '0'),
+        ('globalDailyWithdrawalCap', '0'),
+        ('globalWeeklyWithdrawalCap', '0'),
+        ('globalMonthlyWithdrawalCap', '0'),
+        ('minAccountAgeDays', '0'),
+        ('minWithdrawalTier', ''),
+        ('minCompletedTasks', '0'),
+        ('riskHoldThreshold', '70'),
+        ('autoRejectFakeWithdrawals', 'true'),
+        ('joinRecheckWindowHours', '72'),
+        ('joinRecheckIntervalHours', '6'),
+        ('joinLeaveAction', 'clawback'),
+        ('reviewClaimMinutes', '10'),
+        ('reviewSlaHours', '24'),
+        ('rewardMinPercent', '10'),
+        ('rewardMaxPercent', '200')
       ON CONFLICT (key) DO NOTHING;
     `);
 
@@ -320,6 +598,171 @@ async function ensureUser(userId, username = null, updateActivity = false, activ
   return user;
 }
 
+/* ----------------------- Balance ledger ----------------------- */
+const LEDGER_SOURCES = {
+  OPENING_BALANCE: 'opening_balance',
+  BONUS: 'bonus',
+  TASK_REWARD: 'task_reward',
+  REFERRAL_REWARD: 'referral_reward',
+  ADMIN_CREDIT: 'admin_credit',
+  ADMIN_DEBIT: 'admin_debit',
+  WITHDRAWAL: 'withdrawal',
+  WITHDRAWAL_REFUND: 'withdrawal_refund',
+  TASK_CLAWBACK: 'task_clawback'
+};
+
+function insufficientBalanceError(balance) {
+  const err = new Error('Insufficient balance');
+  err.code = 'INSUFFICIENT_BALANCE';
+  err.balance = balance;
+  return err;
+}
+
+/**
+ * Apply a signed balance change and its ledger entry using an open transaction client.
+ * - Locks the user row (SELECT ... FOR UPDATE) so concurrent changes are serialised.
+ * - Debits are guarded so a balance can never go below zero (throws INSUFFICIENT_BALANCE).
+ * entry: { sourceType, referenceId, adminId, reason }
+ */
+async function applyBalanceChange(client, userId, amount, entry = {}) {
+  const lockRes = await client.query('SELECT balance FROM users WHERE id = $1 FOR UPDATE', [userId]);
+  if (!lockRes.rows[0]) throw new Error('User not found');
+
+  const userRes = await client.query(
+    `UPDATE users SET balance = balance + $1::numeric, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2 AND ($1::numeric >= 0 OR balance + $1::numeric >= 0)
+     RETURNING balance`,
+    [amount, userId]
+  );
+  if (!userRes.rows[0]) throw insufficientBalanceError(parseFloat(lockRes.rows[0].balance) || 0);
+  const newBalance = parseFloat(userRes.rows[0].balance) || 0;
+
+  const ledgerRes = await client.query(
+    `INSERT INTO balance_ledger (user_id, amount, balance_after, source_type, reference_id, admin_id, reason, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      userId,
+      amount,
+      newBalance,
+      entry.sourceType || 'unknown',
+      entry.referenceId != null ? String(entry.referenceId) : null,
+      entry.adminId || null,
+      entry.reason || null,
+      Date.now()
+    ]
+  );
+
+  return { newBalance, entry: ledgerRes.rows[0] };
+}
+
+/**
+ * Credit a user's balance and record the ledger entry in the same transaction.
+ * Pass `client` to join a transaction that is already open.
+ */
+async function creditUser(userId, amount, entry = {}, client = null) {
+  const value = parseFloat(amount);
+  if (!(value > 0)) throw new Error('Credit amount must be positive');
+  if (client) return applyBalanceChange(client, userId, value, entry);
+  return withTransaction((c) => applyBalanceChange(c, userId, value, entry));
+}
+
+/**
+ * Debit a user's balance and record the (negative) ledger entry in the same transaction.
+ * Pass `client` to join a transaction that is already open.
+ */
+async function debitUser(userId, amount, entry = {}, client = null) {
+  const value = parseFloat(amount);
+  if (!(value > 0)) throw new Error('Debit amount must be positive');
+  if (client) return applyBalanceChange(client, userId, -value, entry);
+  return withTransaction((c) => applyBalanceChange(c, userId, -value, entry));
+}
+
+/**
+ * Debit up to maxAmount, clamped to the locked balance (used by /removebalance).
+ * Returns { removed, oldBalance, newBalance }.
+ */
+async function debitUserUpToWithClient(client, userId, maxAmount, entry = {}) {
+  const lockRes = await client.query('SELECT balance FROM users WHERE id = $1 FOR UPDATE', [userId]);
+  if (!lockRes.rows[0]) throw new Error('User not found');
+
+  const oldBalance = parseFloat(lockRes.rows[0].balance) || 0;
+  const removed = Math.min(parseFloat(maxAmount) || 0, oldBalance);
+  if (removed <= 0) return { removed: 0, oldBalance, newBalance: oldBalance };
+
+  const { newBalance } = await applyBalanceChange(client, userId, -removed, entry);
+  return { removed, oldBalance, newBalance };
+}
+
+async function debitUserUpTo(userId, maxAmount, entry = {}) {
+  return withTransaction((client) => debitUserUpToWithClient(client, userId, maxAmount, entry));
+}
+
+/**
+ * Claim the daily bonus atomically: the cooldown check, last_bonus_claim update
+ * and credit happen under the same row lock, so double taps cannot double-pay.
+ * Returns { claimed: true, newBalance } or { claimed: false, nextClaimAt }.
+ */
+async function claimDailyBonus(userId, amount, cooldownMs = 24 * 60 * 60 * 1000) {
+  return withTransaction(async (client) => {
+    const userRes = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    const user = userRes.rows[0];
+    if (!user) throw new Error('User not found');
+
+    const now = Date.now();
+    const lastClaim = Number(user.last_bonus_claim) || 0;
+    if (now - lastClaim < cooldownMs) {
+      return { claimed: false, nextClaimAt: lastClaim + cooldownMs };
+    }
+
+    await client.query('UPDATE users SET last_bonus_claim = $1 WHERE id = $2', [now, userId]);
+    const { newBalance } = await applyBalanceChange(client, userId, amount, {
+      sourceType: LEDGER_SOURCES.BONUS,
+      reason: 'Daily bonus'
+    });
+    return { claimed: true, newBalance };
+  });
+}
+
+/**
+ * Get ledger entries for a user (newest first)
+ */
+async function getUserLedger(userId, limit = 20) {
+  const result = await pool.query(
+    `SELECT * FROM balance_ledger WHERE user_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2`,
+    [userId, limit]
+  );
+  return result.rows;
+}
+
+// Size of the user's ledger entries of one source since `since` (debits count as positive),
+// so admin adjustments split into small commands add up
+async function getRecentLedgerTotal(userId, sourceType, since) {
+  const result = await pool.query(
+    `SELECT COALESCE(SUM(ABS(amount)), 0) AS total FROM balance_ledger
+     WHERE user_id = $1::bigint AND source_type = $2::text AND created_at >= $3::bigint`,
+    [userId, sourceType, since]
+  );
+  return parseFloat(result.rows[0].total) || 0;
+}
+
+/**
+ * Get per-source totals for a user, used to explain where a balance came from
+ */
+async function getUserLedgerSummary(userId) {
+  const result = await pool.query(
+    `SELECT source_type,
+       COUNT(*) as count,
+       COALESCE(SUM(amount), 0) as total
+     FROM balance_ledger
+     WHERE user_id = $1
+     GROUP BY source_type
+     ORDER BY total DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
 /* ----------------------- Referral helpers ----------------------- */
 async function addReferral(referrerId, referredId) {
   try {
@@ -343,18 +786,94 @@ async function getReferralCount(userId) {
 }
 
 /* ----------------------- Task management ----------------------- */
-async function createTask(title, description, reward, createdBy = null) {
+/**
+ * Task lifecycle. Tasks are never deleted, so submissions and completions keep their history:
+ *   draft -> active (published) | archived
+ *   active <-> paused; active -> expired once ends_at passes
+ *   expired -> active after the end date is moved or cleared
+ *   any state but archived -> archived (final)
+ * Only active tasks are offered to users.
+ */
+const TASK_STATUS = {
+  DRAFT: 'draft',
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  EXPIRED: 'expired',
+  ARCHIVED: 'archived'
+};
+
+const TASK_TRANSITIONS = {
+  draft: ['active', 'archived'],
+  active: ['paused', 'expired', 'archived'],
+  paused: ['active', 'archived'],
+  expired: ['active', 'archived']
+};
+
+/**
+ * Create a task. options holds the proof requirements and limits parsed by
+ * parseTaskOptions (tasks.js, including verify_chat for join tasks and social_action/social_target
+ * for X tasks) plus description_html, banner_file_id and status
+ * (draft or active) from the task builder; anything left out keeps the column default.
+ */
+async function createTask(title, description, reward, createdBy = null, options = {}) {
   const result = await pool.query(
-    `INSERT INTO tasks (title, description, reward, created_at, created_by, status)
-     VALUES ($1, $2, $3, $4, $5, 'active')
+    `INSERT INTO tasks (title, description, reward, created_at, created_by, status,
+                        min_screenshots, proof_text_label, proof_link_pattern, max_per_user,
+                        total_slots, starts_at, ends_at, cooldown_ms, description_html, banner_file_id, verify_chat,
+                        social_action, social_target)
+     VALUES ($1, $2, $3, $4, $5, COALESCE($16, 'active'), COALESCE($6, 1), $7, $8, COALESCE($9, 1), $10, $11, $12, COALESCE($13, 0), COALESCE($14, false), $15, $17, $18, $19)
      RETURNING *`,
-    [title, description, reward, Date.now(), createdBy]
+    [
+      title, description, reward, Date.now(), createdBy,
+      options.min_screenshots ?? null,
+      options.proof_text_label ?? null,
+      options.proof_link_pattern ?? null,
+      options.max_per_user ?? null,
+      options.total_slots ?? null,
+      options.starts_at ?? null,
+      options.ends_at ?? null,
+      options.cooldown_ms ?? null,
+      options.description_html ?? null,
+      options.banner_file_id ?? null,
+      options.status ?? null,
+      options.verify_chat ?? null,
+      options.social_action ?? null,
+      options.social_target ?? null
+    ]
   );
   return result.rows[0];
 }
 
+// Columns the task builder may change on an existing task
+const EDITABLE_TASK_FIELDS = [
+  'title', 'description', 'description_html', 'reward', 'banner_file_id',
+  'min_screenshots', 'proof_text_label', 'proof_link_pattern', 'verify_chat',
+  'social_action', 'social_target', 'max_per_user', 'total_slots', 'starts_at', 'ends_at', 'cooldown_ms'
+];
+
+/**
+ * Update an existing task with the given fields (unknown keys are ignored).
+ * Submissions already made keep the title and reward they were submitted with.
+ * Returns the updated task, or null when it does not exist.
+ */
+async function updateTask(taskId, fields, updatedBy = null) {
+  const columns = EDITABLE_TASK_FIELDS.filter(column => fields[column] !== undefined);
+  const values = columns.map(column => fields[column]);
+  const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+  assignments.push(`updated_at = $${values.length + 1}`, `updated_by = $${values.length + 2}`);
+
+  const result = await pool.query(
+    `UPDATE tasks SET ${assignments.join(', ')} WHERE id = $${values.length + 3} RETURNING *`,
+    [...values, Date.now(), updatedBy, taskId]
+  );
+  return result.rows[0] || null;
+}
+
+// Tasks in one status, or every task that is not archived when status is null
 async function getTasks(status = 'active') {
-  const result = await pool.query('SELECT * FROM tasks WHERE status = $1 ORDER BY created_at DESC', [status]);
+  const result = status
+    ? await pool.query('SELECT * FROM tasks WHERE status = $1 ORDER BY created_at DESC', [status])
+    : await pool.query(`SELECT * FROM tasks WHERE status <> 'archived' ORDER BY created_at DESC`);
   return result.rows;
 }
 
@@ -363,8 +882,52 @@ async function getTaskById(taskId) {
   return result.rows[0] || null;
 }
 
-async function deleteTask(taskId) {
-  await pool.query('DELETE FROM tasks WHERE id = $1', [taskId]);
+/**
+ * Move a task to another lifecycle state (see TASK_TRANSITIONS).
+ * Reactivating an expired task requires its end date to be in the future or cleared.
+ * Returns { status: 'ok', task, previousStatus, pendingSubmissions } where pendingSubmissions
+ * lists the submissions still waiting for review when the task is archived, or
+ * { status: 'not_found' | 'invalid_transition' | 'ended', task? }.
+ */
+async function setTaskStatus(taskId, toStatus, actorId = null) {
+  return withTransaction(async (client) => {
+    const taskRes = await client.query('SELECT * FROM tasks WHERE id = $1 FOR UPDATE', [taskId]);
+    const task = taskRes.rows[0];
+    if (!task) return { status: 'not_found' };
+
+    const allowed = TASK_TRANSITIONS[task.status] || [];
+    if (!allowed.includes(toStatus)) return { status: 'invalid_transition', task };
+    if (toStatus === TASK_STATUS.ACTIVE && task.ends_at && Number(task.ends_at) <= Date.now()) {
+      return { status: 'ended', task };
+    }
+
+    const updatedRes = await client.query(
+      'UPDATE tasks SET status = $1, updated_at = $2, updated_by = $3 WHERE id = $4 RETURNING *',
+      [toStatus, Date.now(), actorId, taskId]
+    );
+
+    let pendingSubmissions = [];
+    if (toStatus === TASK_STATUS.ARCHIVED) {
+      const pendingRes = await client.query(
+        `SELECT * FROM task_submissions WHERE task_id = $1 AND status = 'pending' ORDER BY submitted_at`,
+        [taskId]
+      );
+      pendingSubmissions = pendingRes.rows;
+    }
+
+    return { status: 'ok', task: updatedRes.rows[0], previousStatus: task.status, pendingSubmissions };
+  });
+}
+
+// Mark active tasks whose end date has passed as expired; returns the expired tasks
+async function expireEndedTasks(now = Date.now()) {
+  const result = await pool.query(
+    `UPDATE tasks SET status = 'expired', updated_at = $1
+     WHERE status = 'active' AND ends_at IS NOT NULL AND ends_at <= $1
+     RETURNING *`,
+    [now]
+  );
+  return result.rows;
 }
 
 /* ----------------------- Completed tasks ----------------------- */
@@ -373,6 +936,35 @@ async function getUserCompletedTasks(userId) {
   return result.rows.map(row => row.task_id);
 }
 
+/**
+ * Per-task progress of one user, for checkTaskAvailability (tasks.js).
+ * Returns { [taskId]: { completions, lastCompletedAt, pending } } for every task the user
+ * has completed or has a pending submission for.
+ */
+async function getUserTaskProgress(userId) {
+  const result = await pool.query(
+    `SELECT task_id, SUM(completions)::int AS completions, MAX(last_completed_at) AS last_completed_at, SUM(pending)::int AS pending
+     FROM (
+       SELECT task_id, times_completed AS completions, completed_at AS last_completed_at, 0 AS pending
+       FROM completed_tasks WHERE user_id = $1
+       UNION ALL
+       SELECT task_id, 0, NULL, 1 FROM task_submissions WHERE user_id = $1 AND status = 'pending'
+     ) progress
+     GROUP BY task_id`,
+    [userId]
+  );
+
+  const progress = {};
+  result.rows.forEach(row => {
+    progress[row.task_id] = {
+      completions: row.completions,
+      lastCompletedAt: row.last_completed_at ? Number(row.last_completed_at) : null,
+      pending: row.pending
+    };
+  });
+  return progress;
+}
+
 async function markTaskCompleted(clientOrUserId, taskId, reward) {
   // Accept either client (transaction) or direct call
   if (typeof clientOrUserId === 'object' && clientOrUserId.query) {
@@ -396,16 +988,130 @@ async function markTaskCompleted(clientOrUserId, taskId, reward) {
 }
 
 /* ----------------------- Submissions & atomic approvals ----------------------- */
-async function createTaskSubmission(userId, taskId, taskTitle, taskReward, description, files) {
+// autoCheck is the social verifier outcome { status, reason } of an X task, if any;
+// followUpOf is the submission a reviewer sent back for more info, when this answers it. That
+// submission moves from 'needs_info' to 'resubmitted'; null is returned when it was answered already.
+async function createTaskSubmission(userId, taskId, taskTitle, taskReward, description, files, proofText = null, autoCheck = null, followUpOf = null) {
+  return withTransaction(async (client) => {
+    if (followUpOf) {
+      const originalRes = await client.query(
+        `UPDATE task_submissions SET status = 'resubmitted'
+         WHERE id = $1 AND user_id = $2 AND status = 'needs_info'
+         RETURNING id`,
+        [followUpOf, userId]
+      );
+      if (originalRes.rows.length === 0) return null;
+    }
+
+    const result = await client.query(
+      `INSERT INTO task_submissions (user_id, task_id, task_title, task_reward, description, files, status, submitted_at, proof_text,
+                                     auto_check_status, auto_check_reason, follow_up_of)
+       VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [
+        userId, taskId, taskTitle, taskReward, description, JSON.stringify(files), Date.now(), proofText,
+        autoCheck ? autoCheck.status : null,
+        autoCheck ? autoCheck.reason || null : null,
+        followUpOf
+      ]
+    );
+
+    await incrementSetting('tasksSubmitted', 1, client);
+    return result.rows[0];
+  });
+}
+
+/**
+ * Store the image fingerprints of a submission: in task_submissions.file_hashes (aligned with
+ * files) and in submission_images for duplicate lookups.
+ */
+async function saveSubmissionImages(submissionId, userId, fingerprints) {
+  if (!fingerprints || fingerprints.length === 0) return;
+  await withTransaction(async (client) => {
+    await client.query('UPDATE task_submissions SET file_hashes = $1 WHERE id = $2', [JSON.stringify(fingerprints), submissionId]);
+    const now = Date.now();
+    for (const [index, fingerprint] of fingerprints.entries()) {
+      if (!fingerprint) continue;
+      await client.query(
+        `INSERT INTO submission_images (submission_id, user_id, file_index, file_unique_id, content_hash, phash,
+                                        phash_band0, phash_band1, phash_band2, phash_band3, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [submissionId, userId, index, fingerprint.file_unique_id, fingerprint.content_hash, fingerprint.phash, ...phashBands(fingerprint.phash), now]
+      );
+    }
+  });
+}
+
+/**
+ * Earlier submissions with an image matching one of these fingerprints (any user).
+ * Returns one entry per matching submission, newest first:
+ * { submissionId, userId, taskId, taskTitle, status, submittedAt, kind, distance, images: [[ours, theirs], ...] }
+ * where kind is 'identical' or 'similar' (the closest match) and images pairs 0-based file indexes.
+ */
+async function findMatchingSubmissionImages(fingerprints, excludeSubmissionId = null, limit = 10) {
+  const usable = (fingerprints || []).filter(Boolean);
+  if (usable.length === 0) return [];
+
+  const bands = usable.map(fingerprint => phashBands(fingerprint.phash));
   const result = await pool.query(
-    `INSERT INTO task_submissions (user_id, task_id, task_title, task_reward, description, files, status, submitted_at)
-     VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7)
-     RETURNING *`,
-    [userId, taskId, taskTitle, taskReward, description, JSON.stringify(files), Date.now()]
+    `SELECT si.*, ts.task_id, ts.task_title, ts.status, ts.submitted_at
+     FROM submission_images si
+     JOIN task_submissions ts ON ts.id = si.submission_id
+     WHERE ($1::int IS NULL OR si.submission_id <> $1)
+       AND (si.file_unique_id = ANY($2) OR si.content_hash = ANY($3)
+            OR si.phash_band0 = ANY($4) OR si.phash_band1 = ANY($5) OR si.phash_band2 = ANY($6) OR si.phash_band3 = ANY($7))
+     ORDER BY si.submission_id DESC
+     LIMIT 500`,
+    [
+      excludeSubmissionId,
+      usable.map(f => f.file_unique_id).filter(Boolean),
+      usable.map(f => f.content_hash).filter(Boolean),
+      ...[0, 1, 2, 3].map(band => bands.map(b => b[band]).filter(Boolean))
+    ]
   );
 
-  await incrementSetting('tasksSubmitted');
-  return result.rows[0];
+  const matches = new Map();
+  result.rows.forEach(row => {
+    (fingerprints || []).forEach((fingerprint, index) => {
+      const match = compareFingerprints(fingerprint, row);
+      if (!match) return;
+      const entry = matches.get(row.submission_id) || {
+        submissionId: row.submission_id,
+        userId: row.user_id,
+        taskId: row.task_id,
+        taskTitle: row.task_title,
+        status: row.status,
+        submittedAt: Number(row.submitted_at),
+        kind: match.kind,
+        distance: match.distance,
+        images: []
+      };
+      if (match.distance < entry.distance) Object.assign(entry, { kind: match.kind, distance: match.distance });
+      entry.images.push([index, row.file_index]);
+      matches.set(row.submission_id, entry);
+    });
+  });
+
+  return [...matches.values()].sort((a, b) => b.submissionId - a.submissionId).slice(0, limit);
+}
+
+/**
+ * Earlier X task submissions by other users that gave the same handle (proof_text, compared
+ * case-insensitively), newest first: [{ submissionId, userId, status }].
+ */
+async function findOtherUsersOfSocialHandle(proofText, userId, limit = 5) {
+  const result = await pool.query(
+    `SELECT ts.id, ts.user_id, ts.status
+     FROM task_submissions ts
+     JOIN tasks t ON t.id = ts.task_id
+     WHERE LOWER(ts.proof_text) = LOWER($1::text)
+       AND ts.user_id <> $2::bigint
+       AND t.social_action IS NOT NULL
+     ORDER BY ts.id DESC
+     LIMIT $3::int`,
+    [proofText, userId, limit]
+  );
+  return result.rows.map(row => ({ submissionId: row.id, userId: row.user_id, status: row.status }));
 }
 
 async function getSubmissionById(submissionId) {
@@ -438,293 +1144,1768 @@ async function getAllPendingSubmissions() {
   return result.rows;
 }
 
-// Small helper to run transactional approval (updates submission, user balance, completed_tasks and counters)
-async function approveSubmissionAtomic(submissionId, reviewedBy) {
-  const client = await pool.connect();
-  try {
-    await client.query('BEGIN');
+/**
+ * Review outcomes returned by approveSubmissionAtomic / rejectSubmissionAtomic:
+ * - approved / rejected: this call made the decision
+ * - not_found: no such submission
+ * - already_reviewed: someone else decided first (submission carries reviewed_by / reviewed_at)
+ * - already_completed: user reached the task's per-user limit; submission is closed as 'duplicate'
+ * - slots_full: every slot of the task is taken; submission is closed as 'slots_full'
+ * - claimed: another reviewer holds the submission in /review (submission carries claimed_by)
+ */
+const REVIEW_RESULTS = {
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  NOT_FOUND: 'not_found',
+  ALREADY_REVIEWED: 'already_reviewed',
+  ALREADY_COMPLETED: 'already_completed',
+  SLOTS_FULL: 'slots_full',
+  CLAIMED: 'claimed'
+};
+
+// True while a reviewer other than reviewerId holds the submission's /review claim
+function isClaimedByOther(submission, reviewerId, now = Date.now()) {
+  return !!submission.claimed_by
+    && String(submission.claimed_by) !== String(reviewerId)
+    && Number(submission.claimed_until) >= now;
+}
+
+// Approve a submission whose row is already locked FOR UPDATE by `client`.
+// Locks the user and the task, enforces the per-user and slot limits, then updates status,
+// balance (via the ledger), completed_tasks and counters together.
+// adjustment { amount, reason } pays a reviewer-chosen amount instead of task_reward.
+async function approveLockedSubmission(client, submission, reviewedBy, ledgerNote = '', adjustment = null) {
+  const userRes = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [submission.user_id]);
+  const user = userRes.rows[0];
+  if (!user) throw new Error('User not found');
+
+  const taskRes = await client.query('SELECT * FROM tasks WHERE id = $1 FOR UPDATE', [submission.task_id]);
+  const task = taskRes.rows[0] || {};
+
+  const now = Date.now();
+  const closeAs = async (status, result) => {
+    const closedRes = await client.query(
+      `UPDATE task_submissions SET status = $1, reviewed_at = $2, reviewed_by = $3 WHERE id = $4 RETURNING *`,
+      [status, now, reviewedBy, submission.id]
+    );
+    return { success: false, status: result, submission: closedRes.rows[0] };
+  };
+
+  const completedRes = await client.query(
+    'SELECT times_completed FROM completed_tasks WHERE user_id = $1 AND task_id = $2',
+    [user.id, submission.task_id]
+  );
+  const completions = completedRes.rows.length > 0 ? completedRes.rows[0].times_completed : 0;
+  const maxPerUser = task.max_per_user === undefined ? 1 : task.max_per_user;
+  if (maxPerUser > 0 && completions >= maxPerUser) {
+    return closeAs('duplicate', REVIEW_RESULTS.ALREADY_COMPLETED);
+  }
+  if (task.total_slots && task.completion_count >= task.total_slots) {
+    return closeAs('slots_full', REVIEW_RESULTS.SLOTS_FULL);
+  }
+
+  const taskReward = parseFloat(submission.task_reward || 0);
+  const reward = adjustment ? adjustment.amount : taskReward;
+  const updatedRes = await client.query(
+    `UPDATE task_submissions SET status = 'approved', reviewed_at = $1, reviewed_by = $2, paid_reward = $3, reward_reason = $4
+     WHERE id = $5 RETURNING *`,
+    [now, reviewedBy, reward, adjustment ? adjustment.reason : null, submission.id]
+  );
+
+  const adjustmentNote = adjustment ? ` (${reward < taskReward ? 'partial credit' : 'bonus'}, task pays ${taskReward}: ${adjustment.reason})` : '';
+  let newBalance = parseFloat(user.balance) || 0;
+  if (reward > 0) {
+    ({ newBalance } = await applyBalanceChange(client, user.id, reward, {
+      sourceType: LEDGER_SOURCES.TASK_REWARD,
+      referenceId: submission.id,
+      adminId: reviewedBy,
+      reason: `Task: ${submission.task_title || submission.task_id}${ledgerNote}${adjustmentNote}`
+    }));
+  }
+
+  // Repeatable tasks keep one row per user and task, counting the completions
+  await client.query(
+    `INSERT INTO completed_tasks (user_id, task_id, completed_at, reward)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (user_id, task_id) DO UPDATE SET
+       completed_at = EXCLUDED.completed_at,
+       reward = COALESCE(completed_tasks.reward, 0) + EXCLUDED.reward,
+       times_completed = completed_tasks.times_completed + 1`,
+    [user.id, submission.task_id, now, reward]
+  );
+  await client.query('UPDATE tasks SET completion_count = completion_count + 1 WHERE id = $1', [submission.task_id]);
+
+  await incrementSetting('tasksApproved', 1, client);
+
+  return {
+    success: true,
+    status: REVIEW_RESULTS.APPROVED,
+    submission: updatedRes.rows[0],
+    userId: user.id,
+    reward,
+    newBalance
+  };
+}
+
+// reviewedBy is null for submissions approved automatically (ledgerNote says how);
+// adjustment { amount, reason } is a reviewer's partial credit or bonus, checked against its bounds by the caller
+async function approveSubmissionAtomic(submissionId, reviewedBy, ledgerNote = '', adjustment = null) {
+  return withTransaction(async (client) => {
+    const subRes = await client.query('SELECT * FROM task_submissions WHERE id = $1 FOR UPDATE', [submissionId]);
+    const submission = subRes.rows[0];
+    if (!submission) return { success: false, status: REVIEW_RESULTS.NOT_FOUND };
+    if (submission.status !== 'pending') {
+      return { success: false, status: REVIEW_RESULTS.ALREADY_REVIEWED, submission };
+    }
+    if (reviewedBy && isClaimedByOther(submission, reviewedBy)) {
+      return { success: false, status: REVIEW_RESULTS.CLAIMED, submission };
+    }
 
+    return approveLockedSubmission(client, submission, reviewedBy, ledgerNote, adjustment);
+  });
+}
+
+// reason is { code, text } as shown to the user, or null for a rejection without one
+async function rejectSubmissionAtomic(submissionId, reviewedBy, reason = null) {
+  return withTransaction(async (client) => {
+    const subRes = await client.query('SELECT * FROM task_submissions WHERE id = $1 FOR UPDATE', [submissionId]);
+    const submission = subRes.rows[0];
+    if (!submission) return { success: false, status: REVIEW_RESULTS.NOT_FOUND };
+    if (submission.status !== 'pending') {
+      return { success: false, status: REVIEW_RESULTS.ALREADY_REVIEWED, submission };
+    }
+    if (reviewedBy && isClaimedByOther(submission, reviewedBy)) {
+      return { success: false, status: REVIEW_RESULTS.CLAIMED, submission };
+    }
+
+    const updatedRes = await client.query(
+      `UPDATE task_submissions SET status = 'rejected', reviewed_at = $1, reviewed_by = $2, review_reason_code = $3, review_note = $4
+       WHERE id = $5 RETURNING *`,
+      [Date.now(), reviewedBy, reason ? reason.code : null, reason ? reason.text : null, submissionId]
+    );
+
+    await incrementSetting('tasksRejected', 1, client);
+
+    return { success: true, status: REVIEW_RESULTS.REJECTED, submission: updatedRes.rows[0], userId: submission.user_id };
+  });
+}
+
+/**
+ * Send a pending submission back to the user for more proof: it leaves the queue as
+ * 'needs_info' with the reviewer's question in review_note. The user's follow-up is a new
+ * submission, and this one then becomes 'resubmitted' (see createTaskSubmission). Returns the same shape as rejectSubmissionAtomic with status 'needs_info'.
+ */
+async function requestSubmissionInfo(submissionId, reviewedBy, note) {
+  return withTransaction(async (client) => {
     const subRes = await client.query('SELECT * FROM task_submissions WHERE id = $1 FOR UPDATE', [submissionId]);
     const submission = subRes.rows[0];
-    if (!submission) throw new Error('Submission not found');
-    if (submission.status !== 'pending') throw new Error('Submission not pending');
+    if (!submission) return { success: false, status: REVIEW_RESULTS.NOT_FOUND };
+    if (submission.status !== 'pending') {
+      return { success: false, status: REVIEW_RESULTS.ALREADY_REVIEWED, submission };
+    }
+    if (reviewedBy && isClaimedByOther(submission, reviewedBy)) {
+      return { success: false, status: REVIEW_RESULTS.CLAIMED, submission };
+    }
+
+    const updatedRes = await client.query(
+      `UPDATE task_submissions SET status = 'needs_info', reviewed_at = $1, reviewed_by = $2, review_reason_code = 'needs_info', review_note = $3
+       WHERE id = $4 RETURNING *`,
+      [Date.now(), reviewedBy, note, submissionId]
+    );
+
+    return { success: true, status: 'needs_info', submission: updatedRes.rows[0], userId: submission.user_id };
+  });
+}
+
+/* ----------------------- Reviewer claims ----------------------- */
+/**
+ * Claim the next submission for a reviewer until now + leaseMs. A claim the reviewer still
+ * holds is handed back first; otherwise the oldest pending submission that nobody holds and
+ * the reviewer has not skipped. SKIP LOCKED keeps two reviewers from claiming the same row.
+ * Returns the claimed submission, or null when the queue has nothing for this reviewer.
+ */
+async function claimNextSubmission(reviewerId, leaseMs, now = Date.now()) {
+  const result = await pool.query(
+    `UPDATE task_submissions SET claimed_by = $1, claimed_until = $2
+     WHERE id = (
+       SELECT id FROM task_submissions
+       WHERE status = 'pending'
+         AND (claimed_by = $1 OR claimed_until IS NULL OR claimed_until < $3)
+         AND NOT (COALESCE(skipped_by, '[]'::jsonb) @> to_jsonb($1::bigint))
+       ORDER BY (claimed_by = $1 AND claimed_until >= $3) DESC NULLS LAST, submitted_at ASC
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [reviewerId, now + leaseMs, now]
+  );
+  return result.rows[0] || null;
+}
+
+// Take or extend the claim on one submission; null when it is no longer pending or someone else holds it
+async function claimSubmission(submissionId, reviewerId, leaseMs, now = Date.now()) {
+  const result = await pool.query(
+    `UPDATE task_submissions SET claimed_by = $2, claimed_until = $3
+     WHERE id = $1 AND status = 'pending' AND (claimed_by = $2 OR claimed_until IS NULL OR claimed_until < $4)
+     RETURNING *`,
+    [submissionId, reviewerId, now + leaseMs, now]
+  );
+  return result.rows[0] || null;
+}
+
+// Release the reviewer's claim and keep the submission out of their queue
+async function skipSubmission(submissionId, reviewerId) {
+  const result = await pool.query(
+    `UPDATE task_submissions
+     SET claimed_by = NULL, claimed_until = NULL,
+         skipped_by = CASE WHEN COALESCE(skipped_by, '[]'::jsonb) @> to_jsonb($2::bigint) THEN skipped_by
+                           ELSE COALESCE(skipped_by, '[]'::jsonb) || to_jsonb($2::bigint) END
+     WHERE id = $1 AND status = 'pending' AND (claimed_by = $2 OR claimed_by IS NULL)
+     RETURNING *`,
+    [submissionId, reviewerId]
+  );
+  return result.rows[0] || null;
+}
+
+// Pending submissions the reviewer cannot claim right now: held by others, or skipped by them
+async function getReviewQueueCounts(reviewerId, now = Date.now()) {
+  const result = await pool.query(
+    `SELECT COUNT(*) FILTER (WHERE claimed_until >= $2 AND claimed_by <> $1) AS claimed,
+            COUNT(*) FILTER (WHERE COALESCE(skipped_by, '[]'::jsonb) @> to_jsonb($1::bigint)) AS skipped
+     FROM task_submissions WHERE status = 'pending'`,
+    [reviewerId, now]
+  );
+  return {
+    claimed: parseInt(result.rows[0].claimed) || 0,
+    skipped: parseInt(result.rows[0].skipped) || 0
+  };
+}
+
+/* ----------------------- Review statistics ----------------------- */
+/**
+ * Per-reviewer decisions made since `since`, busiest reviewer first:
+ * { reviewerId, approvals, rejections, infoRequests, closed, medianMs, overturned }
+ * closed counts approvals that were closed unpaid (duplicate / slots_full); medianMs is the
+ * median time from submission to decision. A rejection counts as overturned when the same
+ * user's proof for the same task (an identical image) was later approved by someone else.
+ * Automatic approvals (reviewed_by NULL) are not included.
+ */
+async function getReviewerStats(since = 0) {
+  const result = await pool.query(
+    `SELECT reviewed_by,
+       COUNT(*) FILTER (WHERE status = 'approved') AS approvals,
+       COUNT(*) FILTER (WHERE status = 'rejected') AS rejections,
+       COUNT(*) FILTER (WHERE review_reason_code = 'needs_info') AS info_requests,
+       COUNT(*) FILTER (WHERE status IN ('duplicate', 'slots_full')) AS closed,
+       percentile_cont(0.5) WITHIN GROUP (ORDER BY reviewed_at - submitted_at) AS median_ms
+     FROM task_submissions
+     WHERE reviewed_by IS NOT NULL AND reviewed_at >= $1::bigint
+     GROUP BY reviewed_by
+     ORDER BY COUNT(*) DESC`,
+    [since]
+  );
+
+  const overturnedRes = await pool.query(
+    `SELECT r.reviewed_by, COUNT(DISTINCT r.id) AS overturned
+     FROM task_submissions r
+     JOIN task_submissions a ON a.user_id = r.user_id AND a.task_id = r.task_id AND a.submitted_at > r.submitted_at
+       AND a.status = 'approved' AND a.reviewed_by IS NOT NULL AND a.reviewed_by <> r.reviewed_by
+     WHERE r.status = 'rejected' AND r.reviewed_by IS NOT NULL AND r.reviewed_at >= $1::bigint
+       AND EXISTS (
+         SELECT 1 FROM submission_images ri
+         JOIN submission_images ai ON ai.submission_id = a.id
+           AND (ai.content_hash = ri.content_hash OR ai.file_unique_id = ri.file_unique_id)
+         WHERE ri.submission_id = r.id
+       )
+     GROUP BY r.reviewed_by`,
+    [since]
+  );
+  const overturned = new Map(overturnedRes.rows.map(row => [String(row.reviewed_by), parseInt(row.overturned) || 0]));
+
+  return result.rows.map(row => ({
+    reviewerId: row.reviewed_by,
+    approvals: parseInt(row.approvals) || 0,
+    rejections: parseInt(row.rejections) || 0,
+    infoRequests: parseInt(row.info_requests) || 0,
+    closed: parseInt(row.closed) || 0,
+    medianMs: row.median_ms === null ? null : Number(row.median_ms),
+    overturned: overturned.get(String(row.reviewed_by)) || 0
+  }));
+}
+
+/**
+ * Age of the pending queue at `now`: { count, p50Ms, p90Ms, oldestMs, oldestId, overSla }
+ * where overSla counts submissions waiting longer than slaMs (0 = no SLA).
+ */
+async function getPendingQueueAges(slaMs = 0, now = Date.now()) {
+  const result = await pool.query(
+    `SELECT COUNT(*) AS count,
+       percentile_cont(0.5) WITHIN GROUP (ORDER BY $1::bigint - submitted_at) AS p50,
+       percentile_cont(0.9) WITHIN GROUP (ORDER BY $1::bigint - submitted_at) AS p90,
+       COUNT(*) FILTER (WHERE $2::bigint > 0 AND submitted_at < $1::bigint - $2::bigint) AS over_sla
+     FROM task_submissions WHERE status = 'pending'`,
+    [now, slaMs]
+  );
+  const oldestRes = await pool.query(
+    `SELECT id, submitted_at FROM task_submissions WHERE status = 'pending' ORDER BY submitted_at ASC, id ASC LIMIT 1`
+  );
+  const row = result.rows[0];
+  const oldest = oldestRes.rows[0];
+  return {
+    count: parseInt(row.count) || 0,
+    p50Ms: row.p50 === null ? null : Number(row.p50),
+    p90Ms: row.p90 === null ? null : Number(row.p90),
+    oldestMs: oldest ? now - Number(oldest.submitted_at) : null,
+    oldestId: oldest ? oldest.id : null,
+    overSla: parseInt(row.over_sla) || 0
+  };
+}
+
+/* ----------------------- Join tasks ----------------------- */
+/**
+ * Complete a join task whose chat membership the bot has just verified: the submission is
+ * created and approved in one transaction through the normal approval path, so per-user
+ * limits, slots, the ledger and counters behave exactly as for a reviewed submission.
+ * Returns the approveLockedSubmission result (approved, already_completed or slots_full).
+ */
+async function completeVerifiedJoinTask(userId, task) {
+  return withTransaction(async (client) => {
+    const now = Date.now();
+    const subRes = await client.query(
+      `INSERT INTO task_submissions (user_id, task_id, task_title, task_reward, description, files, status, submitted_at,
+                                     verified_chat, membership_status, membership_checked_at)
+       VALUES ($1, $2, $3, $4, 'Membership verified automatically', '[]', 'pending', $5, $6, 'member', $5)
+       RETURNING *`,
+      [userId, task.id, task.title, task.reward, now, task.verify_chat]
+    );
+    await incrementSetting('tasksSubmitted', 1, client);
+
+    return approveLockedSubmission(client, subRes.rows[0], null, ' (membership verified)');
+  });
+}
+
+/**
+ * Approved join-task submissions still inside the re-check window (approved within windowMs)
+ * whose membership was last checked at least intervalMs ago, oldest check first.
+ */
+async function getJoinSubmissionsToRecheck(windowMs, intervalMs, limit = 50, now = Date.now()) {
+  const result = await pool.query(
+    `SELECT * FROM task_submissions
+     WHERE status = 'approved' AND membership_status = 'member'
+       AND reviewed_at >= $1 AND COALESCE(membership_checked_at, 0) <= $2
+     ORDER BY membership_checked_at ASC NULLS FIRST
+     LIMIT $3`,
+    [now - windowMs, now - intervalMs, limit]
+  );
+  return result.rows;
+}
+
+async function recordMembershipCheck(submissionId) {
+  await pool.query('UPDATE task_submissions SET membership_checked_at = $1 WHERE id = $2', [Date.now(), submissionId]);
+}
+
+/**
+ * Handle a user who left the chat of a join task they were paid for.
+ * action 'clawback' debits the reward (clamped to the current balance, the rest is reported
+ * as shortfall) and marks the submission 'clawed_back'; action 'flag' only marks it 'left'
+ * for an admin to decide. The completion itself stands, so the task cannot be farmed by
+ * leaving and joining again.
+ * Returns { submission, action, removed, shortfall }, or null when it was already handled.
+ */
+async function revokeJoinTaskReward(submissionId, action = 'clawback') {
+  return withTransaction(async (client) => {
+    const subRes = await client.query('SELECT * FROM task_submissions WHERE id = $1 FOR UPDATE', [submissionId]);
+    const submission = subRes.rows[0];
+    if (!submission || submission.membership_status !== 'member') return null;
+
+    const reward = parseFloat(submission.paid_reward ?? submission.task_reward) || 0;
+    let removed = 0;
+    if (action === 'clawback' && reward > 0) {
+      ({ removed } = await debitUserUpToWithClient(client, submission.user_id, reward, {
+        sourceType: LEDGER_SOURCES.TASK_CLAWBACK,
+        referenceId: submission.id,
+        reason: `Left ${submission.verified_chat}: ${submission.task_title || submission.task_id}`
+      }));
+    }
+
+    const updatedRes = await client.query(
+      'UPDATE task_submissions SET membership_status = $1, membership_checked_at = $2 WHERE id = $3 RETURNING *',
+      [action === 'clawback' ? 'clawed_back' : 'left', Date.now(), submission.id]
+    );
+
+    return {
+      submission: updatedRes.rows[0],
+      action,
+      removed,
+      shortfall: action === 'clawback' ? Math.max(0, reward - removed) : 0
+    };
+  });
+}
+
+/* ----------------------- Bulk approve/reject helpers ----------------------- */
+/**
+ * Lock pending submissions (oldest first), optionally only those submitted up to `submittedBefore`.
+ * Returns { rows, claimedCount }: submissions another reviewer holds in /review are left out of
+ * rows and only counted.
+ */
+async function lockPendingSubmissions(client, reviewerId, submittedBefore = null) {
+  const result = await client.query(
+    `SELECT * FROM task_submissions
+     WHERE status = 'pending' AND ($1::bigint IS NULL OR submitted_at <= $1::bigint)
+     ORDER BY submitted_at ASC
+     FOR UPDATE`,
+    [submittedBefore]
+  );
+  const now = Date.now();
+  const rows = result.rows.filter(submission => !isClaimedByOther(submission, reviewerId, now));
+  return { rows, claimedCount: result.rows.length - rows.length };
+}
+
+/**
+ * Approve every pending submission in one transaction, except those another reviewer holds.
+ * Returns { approvedCount, approved, duplicateCount, duplicates, claimedCount } where
+ * approved/duplicates hold the per-submission results used to notify users; duplicates also
+ * covers submissions closed because the task ran out of slots.
+ */
+async function approveAllPendingSubmissions(reviewedBy, submittedBefore = null) {
+  return withTransaction(async (client) => {
+    const { rows, claimedCount } = await lockPendingSubmissions(client, reviewedBy, submittedBefore);
+    const approved = [];
+    const duplicates = [];
+
+    for (const submission of rows) {
+      const result = await approveLockedSubmission(client, submission, reviewedBy, ' (bulk approval)');
+      if (result.status === REVIEW_RESULTS.APPROVED) approved.push(result);
+      else duplicates.push(result);
+    }
+
+    return {
+      approvedCount: approved.length,
+      approved,
+      duplicateCount: duplicates.length,
+      duplicates,
+      claimedCount
+    };
+  });
+}
+
+/**
+ * Reject every pending submission in one transaction, except those another reviewer holds.
+ * Returns { rejectedCount, rejected, claimedCount } with the rejected submission rows.
+ */
+async function rejectAllPendingSubmissions(reviewedBy, submittedBefore = null) {
+  return withTransaction(async (client) => {
+    const { rows, claimedCount } = await lockPendingSubmissions(client, reviewedBy, submittedBefore);
+    const rejected = [];
+    const now = Date.now();
+
+    for (const submission of rows) {
+      const updatedRes = await client.query(
+        `UPDATE task_submissions SET status = 'rejected', reviewed_at = $1, reviewed_by = $2 WHERE id = $3 RETURNING *`,
+        [now, reviewedBy, submission.id]
+      );
+      rejected.push(updatedRes.rows[0]);
+    }
+
+    if (rejected.length > 0) {
+      await incrementSetting('tasksRejected', rejected.length, client);
+    }
+
+    return { rejectedCount: rejected.length, rejected, claimedCount };
+  });
+}
+
+/**
+ * Page through the pending queue (oldest first) with username and image count.
+ * Returns { rows, total }.
+ */
+async function getPendingSubmissionsPage(limit = 10, offset = 0) {
+  const result = await pool.query(
+    `SELECT s.id, s.user_id, s.task_id, s.task_title, s.task_reward, s.submitted_at,
+       u.username,
+       CASE WHEN jsonb_typeof(s.files) = 'array' THEN jsonb_array_length(s.files) ELSE 0 END as image_count
+     FROM task_submissions s
+     LEFT JOIN users u ON u.id = s.user_id
+     WHERE s.status = 'pending'
+     ORDER BY s.submitted_at ASC
+     LIMIT $1 OFFSET $2`,
+    [limit, offset]
+  );
+  const total = await getPendingSubmissionsCount();
+  return { rows: result.rows, total };
+}
+
+/**
+ * Summary of the pending queue used by bulk-action confirmations
+ */
+async function getPendingSubmissionsSummary(submittedBefore = null) {
+  const result = await pool.query(
+    `SELECT COUNT(*) as count,
+       COUNT(DISTINCT user_id) as users,
+       COALESCE(SUM(task_reward), 0) as total_reward,
+       MIN(submitted_at) as oldest
+     FROM task_submissions
+     WHERE status = 'pending' AND ($1::bigint IS NULL OR submitted_at <= $1::bigint)`,
+    [submittedBefore]
+  );
+  const row = result.rows[0];
+  return {
+    count: parseInt(row.count) || 0,
+    users: parseInt(row.users) || 0,
+    totalReward: parseFloat(row.total_reward) || 0,
+    oldest: row.oldest ? Number(row.oldest) : null
+  };
+}
+
+/* ----------------------- Settings ----------------------- */
+async function getSetting(key) {
+  const result = await pool.query('SELECT value FROM bot_settings WHERE key = $1', [key]);
+  return result.rows[0]?.value || null;
+}
+
+async function setSetting(key, value) {
+  await pool.query(
+    `INSERT INTO bot_settings (key, value, updated_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP)
+     ON CONFLICT (key) DO UPDATE SET value = $2, updated_at = CURRENT_TIMESTAMP`,
+    [key, String(value)]
+  );
+}
+
+// Atomic counter increment; pass `client` to run inside an open transaction
+async function incrementSetting(key, increment = 1, client = pool) {
+  const result = await client.query(
+    `INSERT INTO bot_settings (key, value, updated_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP)
+     ON CONFLICT (key) DO UPDATE SET
+       value = ((CASE WHEN bot_settings.value ~ '^-?[0-9]+$' THEN bot_settings.value::bigint ELSE 0 END) + $3)::text,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING value`,
+    [key, String(increment), increment]
+  );
+  return parseInt(result.rows[0].value);
+}
+
+/* ----------------------- Users list & analytics ----------------------- */
+async function getAllUsers() {
+  const result = await pool.query('SELECT * FROM users ORDER BY registered_at DESC');
+  return result.rows;
+}
+
+async function getVerifiedUsers() {
+  const result = await pool.query('SELECT * FROM users WHERE verified = TRUE');
+  return result.rows;
+}
+
+async function getTotalBalance() {
+  const result = await pool.query('SELECT SUM(balance) as total FROM users');
+  return parseFloat(result.rows[0].total) || 0;
+}
+
+/**
+ * Get country distribution statistics
+ */
+async function getCountryDistribution() {
+  const result = await pool.query(
+    `SELECT 
+      country_code,
+      COUNT(*) as count
+     FROM users
+     WHERE country_code IS NOT NULL
+     GROUP BY country_code
+     ORDER BY count DESC`
+  );
+  return result.rows;
+}
+
+/* ----------------------- Wallets ----------------------- */
+/**
+ * Set a user's payout wallet and record the change in wallet_history.
+ * A user's first wallet is always accepted; replacing an existing one is limited to
+ * once per cooldownMs, measured from the last recorded change.
+ * Returns { status: 'ok' | 'unchanged' | 'cooldown' | 'not_found', user?, previousWallet?, nextChangeAt? }.
+ */
+async function changeUserWallet(userId, newWallet, { cooldownMs = 0, changedBy = null } = {}) {
+  return withTransaction(async (client) => {
+    const userResult = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    const user = userResult.rows[0];
+    if (!user) return { status: 'not_found' };
+
+    const previousWallet = user.wallet || null;
+    if (previousWallet === newWallet) return { status: 'unchanged', user };
+
+    const now = Date.now();
+    if (previousWallet && cooldownMs > 0) {
+      const last = await client.query(
+        'SELECT changed_at FROM wallet_history WHERE user_id = $1 ORDER BY changed_at DESC LIMIT 1',
+        [userId]
+      );
+      const lastChangeAt = last.rows[0] ? Number(last.rows[0].changed_at) : 0;
+      if (lastChangeAt && now - lastChangeAt < cooldownMs) {
+        return { status: 'cooldown', user, nextChangeAt: lastChangeAt + cooldownMs };
+      }
+    }
+
+    const updated = await client.query(
+      'UPDATE users SET wallet = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      [newWallet, userId]
+    );
+    await client.query(
+      `INSERT INTO wallet_history (user_id, old_wallet, new_wallet, changed_by, changed_at)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [userId, previousWallet, newWallet, changedBy || userId, now]
+    );
+
+    return { status: 'ok', user: updated.rows[0], previousWallet };
+  });
+}
+
+// When the user may next replace their wallet, or null if they can change it now
+async function getNextWalletChangeAt(userId, cooldownMs) {
+  if (!(cooldownMs > 0)) return null;
+  const result = await pool.query(
+    'SELECT changed_at FROM wallet_history WHERE user_id = $1 ORDER BY changed_at DESC LIMIT 1',
+    [userId]
+  );
+  if (!result.rows[0]) return null;
+  const nextChangeAt = Number(result.rows[0].changed_at) + cooldownMs;
+  return nextChangeAt > Date.now() ? nextChangeAt : null;
+}
+
+async function getWalletHistory(userId, limit = 10) {
+  const result = await pool.query(
+    'SELECT * FROM wallet_history WHERE user_id = $1 ORDER BY changed_at DESC, id DESC LIMIT $2',
+    [userId, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Every account currently bound to a payout wallet, oldest first, with its blacklist state.
+ */
+async function getWalletCluster(wallet) {
+  if (!wallet) return [];
+  const result = await pool.query(
+    `SELECT u.id, u.username, u.balance, u.verified, u.registered_at, u.referred_by,
+            (b.user_id IS NOT NULL) AS blacklisted
+     FROM users u
+     LEFT JOIN blacklist b ON b.user_id = u.id
+     WHERE u.wallet = $1
+     ORDER BY u.registered_at ASC`,
+    [wallet]
+  );
+  return result.rows;
+}
+
+async function getWalletClusterSize(wallet, client = pool) {
+  if (!wallet) return 0;
+  const result = await client.query('SELECT COUNT(*) AS count FROM users WHERE wallet = $1', [wallet]);
+  return parseInt(result.rows[0].count, 10) || 0;
+}
+
+// Accounts that used the wallet in the past but are bound to a different one now
+async function getFormerWalletUsers(wallet) {
+  if (!wallet) return [];
+  const result = await pool.query(
+    `SELECT h.user_id, u.username, MAX(h.changed_at) AS last_changed_at
+     FROM wallet_history h
+     JOIN users u ON u.id = h.user_id
+     WHERE (h.old_wallet = $1 OR h.new_wallet = $1) AND u.wallet IS DISTINCT FROM $1
+     GROUP BY h.user_id, u.username
+     ORDER BY last_changed_at DESC`,
+    [wallet]
+  );
+  return result.rows;
+}
+
+/* ----------------------- Withdrawals ----------------------- */
+async function createWithdrawalRequest(userId, amount, wallet) {
+  const result = await pool.query(
+    `INSERT INTO withdrawal_requests (user_id, amount, wallet, status, requested_at)
+     VALUES ($1, $2, $3, 'pending', $4)
+     RETURNING *`,
+    [userId, amount, wallet, Date.now()]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Withdrawal lifecycle:
+ *   pending -> approved -> paid
+ *   pending -> rejected | cancelled (amount is refunded to the balance)
+ *   pending <-> frozen while the user is blacklisted (frozen can still be rejected)
+ *   on_hold -> pending | rejected when the payout wallet is shared by too many accounts
+ */
+const WITHDRAWAL_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  PAID: 'paid',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled',
+  FROZEN: 'frozen',
+  ON_HOLD: 'on_hold'
+};
+
+const WITHDRAWAL_TRANSITIONS = {
+  pending: ['approved', 'rejected', 'cancelled', 'frozen'],
+  approved: ['paid', 'frozen'],
+  frozen: ['pending', 'approved', 'on_hold', 'rejected'],
+  on_hold: ['pending', 'rejected', 'frozen']
+};
+
+const WITHDRAWAL_REFUND_STATUSES = ['rejected', 'cancelled'];
+
+/* ----------------------- Withdrawal rules ----------------------- */
+/**
+ * Per-user and global limits checked before a withdrawal request is created.
+ * Every limit is a setting; 0 (or an empty tier) switches that rule off. Caps use rolling
+ * windows and count every request that was not rejected or cancelled.
+ */
+const ENGAGEMENT_TIERS = ['Ghost', 'Dormant', 'Regular', 'Active', 'Elite'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WITHDRAWAL_CAP_WINDOWS = [
+  { name: 'daily', windowMs: DAY_MS, userSetting: 'userDailyWithdrawalCap', globalSetting: 'globalDailyWithdrawalCap' },
+  { name: 'weekly', windowMs: 7 * DAY_MS, userSetting: 'userWeeklyWithdrawalCap', globalSetting: 'globalWeeklyWithdrawalCap' },
+  { name: 'monthly', windowMs: 30 * DAY_MS, userSetting: 'userMonthlyWithdrawalCap', globalSetting: 'globalMonthlyWithdrawalCap' }
+];
+
+async function getWithdrawalRules() {
+  const number = async (key) => parseFloat(await getSetting(key)) || 0;
+  const rules = {
+    cooldownMs: (await number('withdrawalCooldownHours')) * 60 * 60 * 1000,
+    minAccountAgeMs: (await number('minAccountAgeDays')) * DAY_MS,
+    minTier: (await getSetting('minWithdrawalTier')) || '',
+    minCompletedTasks: await number('minCompletedTasks'),
+    caps: []
+  };
+  for (const window of WITHDRAWAL_CAP_WINDOWS) {
+    rules.caps.push({
+      name: window.name,
+      windowMs: window.windowMs,
+      user: await number(window.userSetting),
+      global: await number(window.globalSetting)
+    });
+  }
+  return rules;
+}
+
+// Earliest time the oldest requests in the window have aged out enough for `amount` to fit under `cap`
+function capRetryAt(requests, windowMs, cap, amount) {
+  let used = requests.reduce((sum, row) => sum + parseFloat(row.amount), 0);
+  for (const row of requests) {
+    if (used + amount <= cap) break;
+    used -= parseFloat(row.amount);
+    if (used + amount <= cap) return Number(row.requested_at) + windowMs;
+  }
+  return null;
+}
+
+/**
+ * Evaluate the withdrawal rules for a locked user row inside an open transaction.
+ * Returns null when the request is allowed, otherwise
+ * { rule, limit, retryAt? } where rule is one of
+ * account_age | min_tier | min_tasks | cooldown | user_cap | global_cap (caps also carry window, used).
+ */
+async function checkWithdrawalRulesWithClient(client, user, amount, rules) {
+  const now = Date.now();
+  const counted = `status NOT IN ('rejected', 'cancelled')`;
+
+  if (rules.minAccountAgeMs > 0) {
+    const registeredAt = Number(user.registered_at) || now;
+    if (now - registeredAt < rules.minAccountAgeMs) {
+      return { rule: 'account_age', limit: rules.minAccountAgeMs, retryAt: registeredAt + rules.minAccountAgeMs };
+    }
+  }
+
+  if (rules.minTier && ENGAGEMENT_TIERS.includes(rules.minTier)) {
+    const tierIndex = ENGAGEMENT_TIERS.indexOf(user.engagement_tier || 'Regular');
+    if (tierIndex < ENGAGEMENT_TIERS.indexOf(rules.minTier)) {
+      return { rule: 'min_tier', limit: rules.minTier, current: user.engagement_tier || 'Regular' };
+    }
+  }
+
+  if (rules.minCompletedTasks > 0) {
+    const tasks = await client.query('SELECT COUNT(*) AS count FROM completed_tasks WHERE user_id = $1', [user.id]);
+    const completed = parseInt(tasks.rows[0].count, 10) || 0;
+    if (completed < rules.minCompletedTasks) {
+      return { rule: 'min_tasks', limit: rules.minCompletedTasks, current: completed };
+    }
+  }
+
+  if (rules.cooldownMs > 0) {
+    const last = await client.query(
+      `SELECT requested_at FROM withdrawal_requests WHERE user_id = $1 AND ${counted} ORDER BY requested_at DESC LIMIT 1`,
+      [user.id]
+    );
+    const lastAt = last.rows[0] ? Number(last.rows[0].requested_at) : 0;
+    if (lastAt && now - lastAt < rules.cooldownMs) {
+      return { rule: 'cooldown', limit: rules.cooldownMs, retryAt: lastAt + rules.cooldownMs };
+    }
+  }
+
+  const activeCaps = rules.caps.filter(cap => cap.user > 0 || cap.global > 0);
+  if (activeCaps.some(cap => cap.global > 0)) {
+    // Serialise requests while global caps are on so concurrent users cannot overshoot them together
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', ['withdrawal_global_caps']);
+  }
+
+  for (const cap of activeCaps) {
+    const since = now - cap.windowMs;
+    for (const scope of ['user', 'global']) {
+      const limit = cap[scope];
+      if (!(limit > 0)) continue;
+
+      const requests = await client.query(
+        `SELECT amount, requested_at FROM withdrawal_requests
+         WHERE ${counted} AND requested_at > $1 ${scope === 'user' ? 'AND user_id = $2' : ''}
+         ORDER BY requested_at ASC`,
+        scope === 'user' ? [since, user.id] : [since]
+      );
+      const used = requests.rows.reduce((sum, row) => sum + parseFloat(row.amount), 0);
+      if (used + amount > limit) {
+        return {
+          rule: `${scope}_cap`,
+          window: cap.name,
+          limit,
+          used,
+          // Amounts above the cap itself can never fit, so there is no retry time
+          retryAt: amount <= limit ? capRetryAt(requests.rows, cap.windowMs, limit, amount) : null
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create a withdrawal request and debit the balance in a single transaction.
+ * The request is created on hold instead of pending when the payout wallet is bound to more
+ * than walletShareLimit accounts (0 disables the check) or when risk.level is 'high'.
+ * With risk.autoReject the request is recorded and immediately rejected, refunding the amount.
+ * rules (see getWithdrawalRules) are checked after the open-request check.
+ * Returns { status: 'created', withdrawal, newBalance, held, holdReasons, autoRejected, walletClusterSize } or
+ * { status: 'insufficient_balance' | 'no_wallet' | 'pending_exists', balance, withdrawal? } or
+ * { status: 'rule_blocked', balance, block } with the block from checkWithdrawalRulesWithClient.
+ */
+async function requestWithdrawal(userId, amount, { walletShareLimit = 0, rules = null, risk = null } = {}) {
+  return withTransaction(async (client) => {
+    const userRes = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    const user = userRes.rows[0];
+    if (!user) throw new Error('User not found');
+
+    const balance = parseFloat(user.balance) || 0;
+
+    // One open (pending or held) request per user (the user row lock serialises concurrent requests)
+    const pendingRes = await client.query(
+      `SELECT * FROM withdrawal_requests WHERE user_id = $1 AND status IN ('pending', 'on_hold') LIMIT 1`,
+      [userId]
+    );
+    if (pendingRes.rows[0]) return { status: 'pending_exists', balance, withdrawal: pendingRes.rows[0] };
+
+    if (rules) {
+      const block = await checkWithdrawalRulesWithClient(client, user, amount, rules);
+      if (block) return { status: 'rule_blocked', balance, block };
+    }
+
+    if (balance < amount) return { status: 'insufficient_balance', balance };
+    if (!user.wallet) return { status: 'no_wallet', balance };
+
+    const walletClusterSize = await getWalletClusterSize(user.wallet, client);
+    const holdReasons = [];
+    if (walletShareLimit > 0 && walletClusterSize > walletShareLimit) {
+      holdReasons.push(`wallet shared by ${walletClusterSize} accounts`);
+    }
+    if (risk && risk.level === 'high') {
+      holdReasons.push(`high risk score ${risk.score}`);
+    }
+    if (risk && risk.holdAsFake) {
+      holdReasons.push('classified Fake because of a shared wallet');
+    }
+    const held = holdReasons.length > 0;
+
+    const wRes = await client.query(
+      `INSERT INTO withdrawal_requests (user_id, amount, wallet, status, status_note, requested_at, risk_score, risk_level, risk_reasons)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        userId, amount, user.wallet,
+        held ? WITHDRAWAL_STATUS.ON_HOLD : WITHDRAWAL_STATUS.PENDING,
+        held ? `Held: ${holdReasons.join(', ')}` : null,
+        Date.now(),
+        risk ? risk.score : null,
+        risk ? risk.level : null,
+        risk ? JSON.stringify(risk.reasons) : null
+      ]
+    );
+    let withdrawal = wRes.rows[0];
+
+    let { newBalance } = await applyBalanceChange(client, userId, -amount, {
+      sourceType: LEDGER_SOURCES.WITHDRAWAL,
+      referenceId: withdrawal.id,
+      reason: 'Withdrawal request'
+    });
+
+    const autoRejected = !!(risk && risk.autoReject);
+    if (autoRejected) {
+      const rejected = await transitionWithdrawalWithClient(
+        client, withdrawal.id, WITHDRAWAL_STATUS.REJECTED, null, `Auto-rejected: account classified as ${risk.classification}`
+      );
+      withdrawal = rejected.withdrawal;
+      newBalance = rejected.newBalance;
+    }
+
+    return { status: 'created', withdrawal, newBalance, held: held && !autoRejected, holdReasons, autoRejected, walletClusterSize };
+  });
+}
+
+/**
+ * Move a withdrawal to a new status inside an open transaction, enforcing WITHDRAWAL_TRANSITIONS.
+ * Rejected/cancelled requests are refunded through the ledger.
+ * Returns { status: 'ok' | 'not_found' | 'invalid_transition', withdrawal, refunded, newBalance }.
+ */
+async function transitionWithdrawalWithClient(client, withdrawalId, toStatus, actorId = null, note = null) {
+  const wRes = await client.query('SELECT * FROM withdrawal_requests WHERE id = $1 FOR UPDATE', [withdrawalId]);
+  const withdrawal = wRes.rows[0];
+  if (!withdrawal) return { status: 'not_found' };
+
+  const allowed = WITHDRAWAL_TRANSITIONS[withdrawal.status] || [];
+  if (!allowed.includes(toStatus)) return { status: 'invalid_transition', withdrawal };
+
+  const now = Date.now();
+  const updatedRes = toStatus === WITHDRAWAL_STATUS.PAID
+    ? await client.query(
+        `UPDATE withdrawal_requests SET status = $1, paid_at = $2, paid_by = $3, status_note = COALESCE($4, status_note)
+         WHERE id = $5 RETURNING *`,
+        [toStatus, now, actorId, note, withdrawalId]
+      )
+    : await client.query(
+        `UPDATE withdrawal_requests SET status = $1, reviewed_at = $2, reviewed_by = $3, status_note = COALESCE($4, status_note)
+         WHERE id = $5 RETURNING *`,
+        [toStatus, now, actorId, note, withdrawalId]
+      );
+
+  let refunded = 0;
+  let newBalance = null;
+  if (WITHDRAWAL_REFUND_STATUSES.includes(toStatus)) {
+    refunded = parseFloat(withdrawal.amount) || 0;
+    ({ newBalance } = await applyBalanceChange(client, withdrawal.user_id, refunded, {
+      sourceType: LEDGER_SOURCES.WITHDRAWAL_REFUND,
+      referenceId: withdrawal.id,
+      adminId: toStatus === WITHDRAWAL_STATUS.CANCELLED ? null : actorId,
+      reason: `Withdrawal ${toStatus}${note ? ': ' + note : ''}`
+    }));
+  }
+
+  return { status: 'ok', withdrawal: updatedRes.rows[0], refunded, newBalance };
+}
+
+async function transitionWithdrawal(withdrawalId, toStatus, actorId = null, note = null) {
+  return withTransaction((client) => transitionWithdrawalWithClient(client, withdrawalId, toStatus, actorId, note));
+}
+
+/**
+ * Mark an approved withdrawal paid by hand. Refused with status 'payout_in_progress' while the
+ * automatic payout owns it (payout_status other than NULL or 'failed'), and with status
+ * 'unresolved_signature' while it still carries the signature of an automatic transfer that may
+ * have landed (until /retrypayout checks it), so it is never paid twice.
+ */
+async function markWithdrawalPaidManually(withdrawalId, actorId) {
+  return withTransaction(async (client) => {
+    const current = await client.query('SELECT * FROM withdrawal_requests WHERE id = $1 FOR UPDATE', [withdrawalId]);
+    const withdrawal = current.rows[0];
+    if (withdrawal && withdrawal.payout_status && withdrawal.payout_status !== PAYOUT_STATUS.FAILED) {
+      return { status: 'payout_in_progress', withdrawal };
+    }
+    if (withdrawal && withdrawal.status === WITHDRAWAL_STATUS.APPROVED && withdrawal.tx_signature) {
+      return { status: 'unresolved_signature', withdrawal };
+    }
+    return transitionWithdrawalWithClient(client, withdrawalId, WITHDRAWAL_STATUS.PAID, actorId);
+  });
+}
+
+/**
+ * Cancel the user's own pending withdrawal (refunds the amount).
+ */
+async function cancelPendingWithdrawal(userId) {
+  return withTransaction(async (client) => {
+    const pendingRes = await client.query(
+      `SELECT id FROM withdrawal_requests WHERE user_id = $1 AND status = 'pending' ORDER BY requested_at DESC LIMIT 1`,
+      [userId]
+    );
+    if (!pendingRes.rows[0]) return { status: 'not_found' };
+    return transitionWithdrawalWithClient(client, pendingRes.rows[0].id, WITHDRAWAL_STATUS.CANCELLED, userId, 'Cancelled by user');
+  });
+}
+
+async function getWithdrawalById(withdrawalId) {
+  const result = await pool.query('SELECT * FROM withdrawal_requests WHERE id = $1', [withdrawalId]);
+  return result.rows[0] || null;
+}
+
+// Total of the user's other withdrawals requested since `since` that are open or went out, so split requests add up
+async function getRecentWithdrawalTotal(userId, since, excludeId = null) {
+  const result = await pool.query(
+    `SELECT COALESCE(SUM(amount), 0) AS total FROM withdrawal_requests
+     WHERE user_id = $1 AND requested_at >= $2 AND id <> COALESCE($3::int, 0)
+       AND status IN ('pending', 'on_hold', 'approved', 'paid')`,
+    [userId, since, excludeId]
+  );
+  return parseFloat(result.rows[0].total) || 0;
+}
+
+async function getLatestPendingWithdrawal(userId) {
+  const result = await pool.query(
+    `SELECT * FROM withdrawal_requests 
+     WHERE user_id = $1 AND status = 'pending'
+     ORDER BY requested_at DESC
+     LIMIT 1`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Legacy direct status update; prefer transitionWithdrawal, which enforces the lifecycle and refunds
+async function updateWithdrawalStatus(withdrawalId, status, reviewedBy = null) {
+  const result = await pool.query(
+    `UPDATE withdrawal_requests 
+     SET status = $1, reviewed_at = $2, reviewed_by = $3
+     WHERE id = $4
+     RETURNING *`,
+    [status, Date.now(), reviewedBy, withdrawalId]
+  );
+  return result.rows[0];
+}
+
+/* ----------------------- Payout batches ----------------------- */
+/**
+ * Batches group approved-but-unpaid withdrawals for one payout run:
+ *   open -> partial (some requests paid) -> paid (every approved request paid)
+ */
+const PAYOUT_BATCH_STATUS = {
+  OPEN: 'open',
+  PARTIAL: 'partial',
+  PAID: 'paid'
+};
+
+/**
+ * Put every approved withdrawal that is not in a batch yet into a new batch.
+ * Returns { status: 'created', batch, withdrawals } or { status: 'empty' }.
+ */
+async function createPayoutBatch(createdBy) {
+  return withTransaction(async (client) => {
+    // Requests the automatic payout executor has started on stay out of manual batches, and so do
+    // failed ones whose last transfer was broadcast: it may have landed (see /retrypayout)
+    const approved = await client.query(
+      `SELECT * FROM withdrawal_requests
+       WHERE status = 'approved' AND batch_id IS NULL AND tx_signature IS NULL
+         AND (payout_status IS NULL OR payout_status = 'failed')
+         AND NOT EXISTS (SELECT 1 FROM blacklist b WHERE b.user_id = withdrawal_requests.user_id)
+       ORDER BY reviewed_at ASC, id ASC
+       FOR UPDATE`
+    );
+    if (approved.rows.length === 0) return { status: 'empty' };
+
+    const total = approved.rows.reduce((sum, row) => sum + (parseFloat(row.amount) || 0), 0);
+    const batchRes = await client.query(
+      `INSERT INTO payout_batches (status, withdrawal_count, total_amount, created_by, created_at)
+       VALUES ('open', $1, $2, $3, $4)
+       RETURNING *`,
+      [approved.rows.length, total, createdBy, Date.now()]
+    );
+    const batch = batchRes.rows[0];
+
+    const updated = await client.query(
+      `UPDATE withdrawal_requests SET batch_id = $1
+       WHERE id = ANY($2::int[])
+       RETURNING *`,
+      [batch.id, approved.rows.map(row => row.id)]
+    );
+
+    return { status: 'created', batch, withdrawals: updated.rows.sort((a, b) => a.id - b.id) };
+  });
+}
+
+async function getPayoutBatch(batchId) {
+  const result = await pool.query('SELECT * FROM payout_batches WHERE id = $1', [batchId]);
+  return result.rows[0] || null;
+}
+
+async function getBatchWithdrawals(batchId) {
+  const result = await pool.query(
+    'SELECT * FROM withdrawal_requests WHERE batch_id = $1 ORDER BY id ASC',
+    [batchId]
+  );
+  return result.rows;
+}
+
+/**
+ * Mark the approved withdrawals of a batch as paid, recording a transaction signature for each.
+ * signatures maps withdrawal id -> signature. When it is null every approved request in the batch
+ * is marked paid without a signature; otherwise requests without a signature are left approved.
+ * A signature already recorded for another withdrawal marks nothing paid: status 'signature_in_use'
+ * with conflicts [{ id, signature, usedBy }].
+ * Returns { status: 'ok' | 'not_found' | 'already_paid', batch, paid: [withdrawal], missing: [withdrawal], unknown: [id] }.
+ */
+async function markPayoutBatchPaid(batchId, paidBy, signatures = null) {
+  return withTransaction(async (client) => {
+    const batchRes = await client.query('SELECT * FROM payout_batches WHERE id = $1 FOR UPDATE', [batchId]);
+    const batch = batchRes.rows[0];
+    if (!batch) return { status: 'not_found' };
+    if (batch.status === PAYOUT_BATCH_STATUS.PAID) return { status: 'already_paid', batch };
+
+    if (signatures) {
+      const used = await client.query(
+        'SELECT id, tx_signature FROM withdrawal_requests WHERE tx_signature = ANY($1::text[])',
+        [Object.values(signatures)]
+      );
+      const conflicts = [];
+      for (const row of used.rows) {
+        Object.entries(signatures)
+          .filter(([id, signature]) => signature === row.tx_signature && String(id) !== String(row.id))
+          .forEach(([id, signature]) => conflicts.push({ id: Number(id), signature, usedBy: row.id }));
+      }
+      if (conflicts.length > 0) return { status: 'signature_in_use', batch, conflicts };
+    }
+
+    const rows = await client.query(
+      'SELECT id, status FROM withdrawal_requests WHERE batch_id = $1 ORDER BY id ASC',
+      [batchId]
+    );
+    const batchIds = new Set(rows.rows.map(row => String(row.id)));
+    const unknown = signatures ? Object.keys(signatures).filter(id => !batchIds.has(String(id))) : [];
+
+    const paid = [];
+    const missing = [];
+    for (const row of rows.rows) {
+      if (row.status !== WITHDRAWAL_STATUS.APPROVED) continue;
+
+      const signature = signatures ? signatures[row.id] || signatures[String(row.id)] : null;
+      if (signatures && !signature) {
+        missing.push(row);
+        continue;
+      }
+
+      const result = await transitionWithdrawalWithClient(client, row.id, WITHDRAWAL_STATUS.PAID, paidBy, `Paid in batch #${batchId}`);
+      if (result.status !== 'ok') continue;
+
+      if (signature) {
+        const updated = await client.query(
+          'UPDATE withdrawal_requests SET tx_signature = $1 WHERE id = $2 RETURNING *',
+          [signature, row.id]
+        );
+        paid.push(updated.rows[0]);
+      } else {
+        paid.push(result.withdrawal);
+      }
+    }
+
+    const remaining = await client.query(
+      `SELECT COUNT(*) AS count FROM withdrawal_requests WHERE batch_id = $1 AND status = 'approved'`,
+      [batchId]
+    );
+    const stillApproved = parseInt(remaining.rows[0].count, 10) || 0;
+    const newStatus = stillApproved === 0
+      ? PAYOUT_BATCH_STATUS.PAID
+      : (paid.length > 0 || batch.status === PAYOUT_BATCH_STATUS.PARTIAL ? PAYOUT_BATCH_STATUS.PARTIAL : batch.status);
+
+    const updatedBatch = await client.query(
+      `UPDATE payout_batches SET status = $1, paid_by = $2, paid_at = $3 WHERE id = $4 RETURNING *`,
+      [newStatus, paid.length > 0 ? paidBy : batch.paid_by, paid.length > 0 ? Date.now() : batch.paid_at, batchId]
+    );
+
+    return { status: 'ok', batch: updatedBatch.rows[0], paid, missing, unknown };
+  });
+}
+
+/* ----------------------- Automatic payouts ----------------------- */
+/**
+ * Approved withdrawals outside a manual batch are paid on-chain by the payout executor.
+ * payout_status: NULL (queued) -> sending -> submitted -> confirmed
+ *                                         \-> retry (after backoff) | failed (needs an admin)
+ * payout_next_attempt_at doubles as a lease so two workers never send the same request.
+ */
+const PAYOUT_STATUS = {
+  SENDING: 'sending',
+  SUBMITTED: 'submitted',
+  RETRY: 'retry',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed'
+};
+
+// Approved withdrawals the automatic payout should work on now; blacklisted users are skipped
+async function getDuePayouts(limit = 10) {
+  const result = await pool.query(
+    `SELECT * FROM withdrawal_requests
+     WHERE status = 'approved' AND batch_id IS NULL
+       AND (payout_status IS NULL OR payout_status IN ('sending', 'submitted', 'retry'))
+       AND COALESCE(payout_next_attempt_at, 0) <= $1
+       AND NOT EXISTS (SELECT 1 FROM blacklist b WHERE b.user_id = withdrawal_requests.user_id)
+     ORDER BY reviewed_at ASC, id ASC
+     LIMIT $2`,
+    [Date.now(), limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Take the lease on a due payout and assign its idempotency key (stable across retries).
+ * Returns the claimed row, or null when another worker holds it or it is no longer payable.
+ */
+async function claimPayout(withdrawalId, executorName, leaseMs) {
+  const now = Date.now();
+  const result = await pool.query(
+    `UPDATE withdrawal_requests
+     SET payout_status = CASE WHEN payout_status = 'submitted' THEN payout_status ELSE 'sending' END,
+         payout_key = COALESCE(payout_key, 'withdrawal-' || id),
+         payout_executor = $1,
+         payout_next_attempt_at = $2
+     WHERE id = $3 AND status = 'approved' AND batch_id IS NULL
+       AND (payout_status IS NULL OR payout_status IN ('sending', 'submitted', 'retry'))
+       AND COALESCE(payout_next_attempt_at, 0) <= $4
+       AND NOT EXISTS (SELECT 1 FROM blacklist b WHERE b.user_id = withdrawal_requests.user_id)
+     RETURNING *`,
+    [executorName, now + leaseMs, withdrawalId, now]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Persist the signature before broadcast so a crash or retry checks it instead of paying twice.
+ * leaseUntil is the payout_next_attempt_at claimPayout set; when it changed the lease ran out and
+ * another worker took the payout, so nothing is written and null is returned.
+ */
+async function recordPayoutSubmitted(withdrawalId, signature, leaseMs, leaseUntil) {
+  const now = Date.now();
+  const result = await pool.query(
+    `UPDATE withdrawal_requests
+     SET payout_status = 'submitted', tx_signature = $1, payout_submitted_at = $2, payout_next_attempt_at = $3
+     WHERE id = $4 AND status = 'approved' AND payout_status IN ('sending', 'submitted')
+       AND payout_next_attempt_at = $5
+     RETURNING *`,
+    [signature, now, now + leaseMs, withdrawalId, leaseUntil]
+  );
+  return result.rows[0] || null;
+}
+
+async function schedulePayoutCheck(withdrawalId, nextAttemptAt) {
+  await pool.query(
+    'UPDATE withdrawal_requests SET payout_next_attempt_at = $1 WHERE id = $2',
+    [nextAttemptAt, withdrawalId]
+  );
+}
+
+/**
+ * Count a failed attempt (never beyond maxAttempts when given). With nextAttemptAt the payout is
+ * retried then; without it the payout is marked failed and waits for an admin (/retrypayout or a manual batch).
+ */
+async function failPayoutAttempt(withdrawalId, error, nextAttemptAt = null, maxAttempts = null) {
+  const result = await pool.query(
+    `UPDATE withdrawal_requests
+     SET payout_status = $1, payout_error = $2, payout_next_attempt_at = $3,
+         payout_attempts = LEAST(COALESCE(payout_attempts, 0) + 1, COALESCE($5::int, 2147483647))
+     WHERE id = $4
+     RETURNING *`,
+    [nextAttemptAt ? PAYOUT_STATUS.RETRY : PAYOUT_STATUS.FAILED, String(error).slice(0, 500), nextAttemptAt, withdrawalId, maxAttempts]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Mark an on-chain payout confirmed: approved -> paid with its signature and fee.
+ * Returns the transitionWithdrawal result (status 'ok' | 'not_found' | 'invalid_transition').
+ */
+async function completePayout(withdrawalId, { signature, fee = null, executor = null }) {
+  return withTransaction(async (client) => {
+    const result = await transitionWithdrawalWithClient(
+      client, withdrawalId, WITHDRAWAL_STATUS.PAID, null, `Paid on-chain${executor ? ' via ' + executor : ''}`
+    );
+    if (result.status !== 'ok') return result;
+
+    const updated = await client.query(
+      `UPDATE withdrawal_requests
+       SET payout_status = 'confirmed', tx_signature = $1, payout_fee = $2, payout_error = NULL, payout_next_attempt_at = NULL
+       WHERE id = $3
+       RETURNING *`,
+      [signature, fee, withdrawalId]
+    );
+    return { ...result, withdrawal: updated.rows[0] };
+  });
+}
+
+// Put a failed payout back in the queue with a fresh attempt budget
+async function resetFailedPayout(withdrawalId) {
+  const result = await pool.query(
+    `UPDATE withdrawal_requests
+     SET payout_status = NULL, payout_attempts = 0, payout_error = NULL, payout_next_attempt_at = NULL
+     WHERE id = $1 AND status = 'approved' AND payout_status = 'failed'
+     RETURNING *`,
+    [withdrawalId]
+  );
+  return result.rows[0] || null;
+}
 
-    // Lock user row
-    const userRes = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [submission.user_id]);
-    const user = userRes.rows[0];
-    if (!user) throw new Error('User not found');
+/* ----------------------- Blacklist ----------------------- */
+/**
+ * Blacklist a user and freeze their open withdrawals (pending, on hold, or approved and not yet
+ * sent) and pending task submissions so nobody pays them out while the restriction is in place.
+ * Approved requests already in a payout batch or with a broadcast on-chain transfer stay approved:
+ * their money may be on the way, and the automatic payout skips blacklisted users.
+ * Returns the blacklist row plus frozenWithdrawals / frozenSubmissions counts.
+ */
+async function blacklistUser(userId, reason, blacklistedBy) {
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO blacklist (user_id, reason, blacklisted_by, blacklisted_at)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id) DO UPDATE SET 
+         reason = EXCLUDED.reason,
+         blacklisted_by = EXCLUDED.blacklisted_by,
+         blacklisted_at = EXCLUDED.blacklisted_at
+       RETURNING *`,
+      [userId, reason, blacklistedBy, Date.now()]
+    );
 
-    // Update submission status
-    await client.query(
-      `UPDATE task_submissions SET status = 'approved', reviewed_at = $1, reviewed_by = $2 WHERE id = $3`,
-      [Date.now(), reviewedBy, submissionId]
+    const withdrawals = await client.query(
+      `UPDATE withdrawal_requests SET frozen_from = status, status = 'frozen', status_note = 'Frozen: user blacklisted'
+       WHERE user_id = $1
+         AND (status IN ('pending', 'on_hold')
+              OR (status = 'approved' AND batch_id IS NULL AND tx_signature IS NULL))
+       RETURNING id`,
+      [userId]
+    );
+    const submissions = await client.query(
+      `UPDATE task_submissions SET status = 'frozen'
+       WHERE user_id = $1 AND status = 'pending'
+       RETURNING id`,
+      [userId]
     );
 
-    // Credit user balance
-    const newBalance = (parseFloat(user.balance) || 0) + parseFloat(submission.task_reward || 0);
-    await client.query('UPDATE users SET balance = $1 WHERE id = $2', [newBalance, user.id]);
+    return {
+      ...result.rows[0],
+      frozenWithdrawals: withdrawals.rows.length,
+      frozenSubmissions: submissions.rows.length
+    };
+  });
+}
 
-    // Insert into completed_tasks
-    await client.query(
-      `INSERT INTO completed_tasks (user_id, task_id, completed_at, reward)
-       VALUES ($1, $2, $3, $4) ON CONFLICT (user_id, task_id) DO NOTHING`,
-      [user.id, submission.task_id, Date.now(), submission.task_reward]
+/**
+ * Remove a user from the blacklist and put frozen withdrawals/submissions back where they were.
+ * Every frozen withdrawal is restored to the status it had (pending for rows frozen before that
+ * was recorded). A user may only have one pending request, so the newest one goes back to pending
+ * and any other goes on hold for a reviewer.
+ * Returns restoredWithdrawals / restoredSubmissions counts and heldWithdrawals (ids put on hold).
+ */
+async function unblacklistUser(userId) {
+  return withTransaction(async (client) => {
+    await client.query('DELETE FROM blacklist WHERE user_id = $1', [userId]);
+
+    const frozen = await client.query(
+      `SELECT id, COALESCE(frozen_from, 'pending') AS frozen_from FROM withdrawal_requests
+       WHERE user_id = $1 AND status = 'frozen'
+       ORDER BY requested_at DESC, id DESC
+       FOR UPDATE`,
+      [userId]
     );
-
-    // Increment counters
-    const tasksApproved = await getSetting('tasksApproved');
-    await client.query(
-      `INSERT INTO bot_settings (key, value, updated_at) VALUES ('tasksApproved', $1, CURRENT_TIMESTAMP)
-       ON CONFLICT (key) DO UPDATE SET value = $1, updated_at = CURRENT_TIMESTAMP`,
-      [String((parseInt(tasksApproved) || 0) + 1)]
+    const pendingRes = await client.query(
+      `SELECT 1 FROM withdrawal_requests WHERE user_id = $1 AND status = 'pending' LIMIT 1`,
+      [userId]
+    );
+    let pendingTaken = pendingRes.rows.length > 0;
+    const heldWithdrawals = [];
+    for (const row of frozen.rows) {
+      let status = row.frozen_from;
+      let note = status === WITHDRAWAL_STATUS.ON_HOLD ? 'Held: restored after blacklist' : null;
+      if (status === WITHDRAWAL_STATUS.PENDING) {
+        if (pendingTaken) {
+          status = WITHDRAWAL_STATUS.ON_HOLD;
+          note = 'Held: restored after blacklist while another request was pending';
+          heldWithdrawals.push(row.id);
+        }
+        pendingTaken = true;
+      }
+      await client.query(
+        `UPDATE withdrawal_requests SET status = $1, status_note = $2, frozen_from = NULL WHERE id = $3`,
+        [status, note, row.id]
+      );
+    }
+    const submissions = await client.query(
+      `UPDATE task_submissions SET status = 'pending'
+       WHERE user_id = $1 AND status = 'frozen'
+       RETURNING id`,
+      [userId]
     );
 
-    await client.query('COMMIT');
-
-    return { success: true, userId: user.id, newBalance };
-  } catch (err) {
-    await client.query('ROLLBACK');
-    throw err;
-  } finally {
-    client.release();
-  }
+    return {
+      restoredWithdrawals: frozen.rows.length,
+      restoredSubmissions: submissions.rows.length,
+      heldWithdrawals
+    };
+  });
 }
 
-async function rejectSubmissionAtomic(submissionId, reviewedBy) {
-  const client = await pool.connect();
-  try {
-    await client.query('BEGIN');
-
-    const subRes = await client.query('SELECT * FROM task_submissions WHERE id = $1 FOR UPDATE', [submissionId]);
-    const submission = subRes.rows[0];
-    if (!submission) throw new Error('Submission not found');
-    if (submission.status !== 'pending') throw new Error('Submission not pending');
+async function isUserBlacklisted(userId) {
+  const result = await pool.query('SELECT * FROM blacklist WHERE user_id = $1', [userId]);
+  return result.rows[0] || null;
+}
 
-    await client.query(
-      `UPDATE task_submissions SET status = 'rejected', reviewed_at = $1, reviewed_by = $2 WHERE id = $3`,
-      [Date.now(), reviewedBy, submissionId]
-    );
+async function getAllBlacklistedUsers() {
+  const result = await pool.query('SELECT * FROM blacklist ORDER BY blacklisted_at DESC');
+  return result.rows;
+}
 
-    // Increment tasksRejected
-    const tasksRejected = await getSetting('tasksRejected');
-    await client.query(
-      `INSERT INTO bot_settings (key, value, updated_at) VALUES ('tasksRejected', $1, CURRENT_TIMESTAMP)
-       ON CONFLICT (key) DO UPDATE SET value = $1, updated_at = CURRENT_TIMESTAMP`,
-      [String((parseInt(tasksRejected) || 0) + 1)]
-    );
+/* ----------------------- Admins & roles ----------------------- */
+const ADMIN_ROLES = ['owner', 'finance', 'reviewer', 'moderator', 'support'];
 
-    await client.query('COMMIT');
-    return { success: true };
-  } catch (err) {
-    await client.query('ROLLBACK');
-    throw err;
-  } finally {
-    client.release();
-  }
+async function getAdmins() {
+  const result = await pool.query(
+    `SELECT * FROM admins
+     ORDER BY array_position($1::text[], role), added_at ASC`,
+    [ADMIN_ROLES]
+  );
+  return result.rows;
 }
 
-/* ----------------------- Bulk approve/reject helpers ----------------------- */
-async function approveAllPendingSubmissions(reviewedBy) {
-  const client = await pool.connect();
-  try {
-    await client.query('BEGIN');
-
-    const pending = await client.query("SELECT * FROM task_submissions WHERE status = 'pending' FOR UPDATE");
-    const rows = pending.rows;
-    let approvedCount = 0;
+async function getAdmin(userId) {
+  const result = await pool.query('SELECT * FROM admins WHERE user_id = $1', [userId]);
+  return result.rows[0] || null;
+}
 
-    for (const submission of rows) {
-      // lock user
-      const userRes = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [submission.user_id]);
-      const user = userRes.rows[0];
-      if (!user) continue;
+/**
+ * Seed the given ids as owners, but only while the admins table is still empty,
+ * so owners removed later are not re-added on the next restart.
+ */
+async function seedOwners(userIds, addedBy = null) {
+  return withTransaction(async (client) => {
+    await client.query('LOCK TABLE admins IN EXCLUSIVE MODE');
+    const existing = await client.query('SELECT COUNT(*) AS count FROM admins');
+    if (parseInt(existing.rows[0].count) > 0) return 0;
 
-      // update submission
+    const now = Date.now();
+    for (const userId of userIds) {
       await client.query(
-        `UPDATE task_submissions SET status = 'approved', reviewed_at = $1, reviewed_by = $2 WHERE id = $3`,
-        [Date.now(), reviewedBy, submission.id]
+        `INSERT INTO admins (user_id, role, added_by, added_at)
+         VALUES ($1, 'owner', $2, $3)
+         ON CONFLICT (user_id) DO NOTHING`,
+        [userId, addedBy, now]
       );
+    }
+    return userIds.length;
+  });
+}
+
+// Owners are locked first so two concurrent demotions cannot remove the last owner
+async function lockOwners(client) {
+  const result = await client.query(`SELECT user_id FROM admins WHERE role = 'owner' FOR UPDATE`);
+  return result.rows.map(row => Number(row.user_id));
+}
 
-      // credit balance
-      const newBalance = (parseFloat(user.balance) || 0) + parseFloat(submission.task_reward || 0);
-      await client.query('UPDATE users SET balance = $1 WHERE id = $2', [newBalance, user.id]);
+/**
+ * Add an admin or change their role.
+ * Returns { status: 'ok' | 'invalid_role' | 'last_owner', admin, previousRole }.
+ */
+async function setAdminRole(userId, role, addedBy) {
+  if (!ADMIN_ROLES.includes(role)) return { status: 'invalid_role' };
 
-      // mark completed
-      await client.query(
-        `INSERT INTO completed_tasks (user_id, task_id, completed_at, reward)
-         VALUES ($1, $2, $3, $4) ON CONFLICT (user_id, task_id) DO NOTHING`,
-        [user.id, submission.task_id, Date.now(), submission.task_reward]
-      );
+  return withTransaction(async (client) => {
+    const owners = await lockOwners(client);
+    const current = await client.query('SELECT * FROM admins WHERE user_id = $1 FOR UPDATE', [userId]);
+    const previousRole = current.rows[0] ? current.rows[0].role : null;
 
-      approvedCount++;
+    if (previousRole === 'owner' && role !== 'owner' && owners.length <= 1) {
+      return { status: 'last_owner', previousRole };
     }
 
-    // increment tasksApproved by approvedCount
-    const tasksApproved = await getSetting('tasksApproved');
-    await client.query(
-      `INSERT INTO bot_settings (key, value, updated_at) VALUES ('tasksApproved', $1, CURRENT_TIMESTAMP)
-       ON CONFLICT (key) DO UPDATE SET value = $1, updated_at = CURRENT_TIMESTAMP`,
-      [String((parseInt(tasksApproved) || 0) + approvedCount)]
+    const result = await client.query(
+      `INSERT INTO admins (user_id, role, added_by, added_at)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id) DO UPDATE SET role = EXCLUDED.role, added_by = EXCLUDED.added_by, added_at = EXCLUDED.added_at
+       RETURNING *`,
+      [userId, role, addedBy, Date.now()]
     );
+    return { status: 'ok', admin: result.rows[0], previousRole };
+  });
+}
 
-    await client.query('COMMIT');
-    return { approvedCount };
-  } catch (err) {
-    await client.query('ROLLBACK');
-    throw err;
-  } finally {
-    client.release();
-  }
+/**
+ * Remove an admin. Returns { status: 'ok' | 'not_found' | 'last_owner', admin }.
+ */
+async function removeAdmin(userId) {
+  return withTransaction(async (client) => {
+    const owners = await lockOwners(client);
+    const current = await client.query('SELECT * FROM admins WHERE user_id = $1 FOR UPDATE', [userId]);
+    const admin = current.rows[0];
+
+    if (!admin) return { status: 'not_found' };
+    if (admin.role === 'owner' && owners.length <= 1) return { status: 'last_owner', admin };
+
+    await client.query('DELETE FROM admins WHERE user_id = $1', [userId]);
+    return { status: 'ok', admin };
+  });
 }
 
-async function rejectAllPendingSubmissions(reviewedBy) {
-  const client = await pool.connect();
-  try {
-    await client.query('BEGIN');
+/* ----------------------- Admin proposals (two-person approval) ----------------------- */
+/**
+ * Large balance adjustments and withdrawal approvals become proposals that a second,
+ * different admin must co-sign before they take effect.
+ *   pending -> executed | rejected | expired | failed
+ */
+const PROPOSAL_ACTIONS = {
+  ADD_BALANCE: 'add_balance',
+  REMOVE_BALANCE: 'remove_balance',
+  APPROVE_WITHDRAWAL: 'approve_withdrawal'
+};
 
-    const pending = await client.query("SELECT * FROM task_submissions WHERE status = 'pending' FOR UPDATE");
-    const rows = pending.rows;
-    let rejectedCount = 0;
+/**
+ * Create a pending proposal. Only one pending proposal may exist per action and reference.
+ * Returns { status: 'created' | 'exists', proposal }.
+ */
+async function createAdminProposal({ action, targetUserId, amount, reason = null, referenceId = null, proposedBy, ttlMs }) {
+  const now = Date.now();
+  // Balance proposals get a unique reference so they never collide with each other
+  const reference = referenceId !== null ? String(referenceId) : `${action}:${targetUserId}:${now}`;
 
-    for (const submission of rows) {
-      await client.query(
-        `UPDATE task_submissions SET status = 'rejected', reviewed_at = $1, reviewed_by = $2 WHERE id = $3`,
-        [Date.now(), reviewedBy, submission.id]
-      );
-      rejectedCount++;
+  return withTransaction(async (client) => {
+    const existing = await client.query(
+      `SELECT * FROM admin_proposals WHERE action = $1 AND reference_id = $2 AND status = 'pending' FOR UPDATE`,
+      [action, reference]
+    );
+    const current = existing.rows[0];
+    if (current && Number(current.expires_at) > now) {
+      return { status: 'exists', proposal: current };
+    }
+    if (current) {
+      await client.query(`UPDATE admin_proposals SET status = 'expired', decided_at = $1 WHERE id = $2`, [now, current.id]);
     }
 
-    const tasksRejected = await getSetting('tasksRejected');
-    await client.query(
-      `INSERT INTO bot_settings (key, value, updated_at) VALUES ('tasksRejected', $1, CURRENT_TIMESTAMP)
-       ON CONFLICT (key) DO UPDATE SET value = $1, updated_at = CURRENT_TIMESTAMP`,
-      [String((parseInt(tasksRejected) || 0) + rejectedCount)]
+    const result = await client.query(
+      `INSERT INTO admin_proposals (action, target_user_id, amount, reason, reference_id, proposed_by, proposed_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [action, targetUserId, amount, reason, reference, proposedBy, now, now + ttlMs]
     );
-
-    await client.query('COMMIT');
-    return { rejectedCount };
-  } catch (err) {
-    await client.query('ROLLBACK');
-    throw err;
-  } finally {
-    client.release();
-  }
+    return { status: 'created', proposal: result.rows[0] };
+  });
 }
 
-/* ----------------------- Settings ----------------------- */
-async function getSetting(key) {
-  const result = await pool.query('SELECT value FROM bot_settings WHERE key = $1', [key]);
-  return result.rows[0]?.value || null;
+async function getAdminProposal(proposalId) {
+  const result = await pool.query('SELECT * FROM admin_proposals WHERE id = $1', [proposalId]);
+  return result.rows[0] || null;
 }
 
-async function setSetting(key, value) {
-  await pool.query(
-    `INSERT INTO bot_settings (key, value, updated_at)
-     VALUES ($1, $2, CURRENT_TIMESTAMP)
-     ON CONFLICT (key) DO UPDATE SET value = $2, updated_at = CURRENT_TIMESTAMP`,
-    [key, String(value)]
+async function getPendingProposalFor(action, referenceId) {
+  const result = await pool.query(
+    `SELECT * FROM admin_proposals WHERE action = $1 AND reference_id = $2 AND status = 'pending'`,
+    [action, String(referenceId)]
   );
+  return result.rows[0] || null;
 }
 
-async function incrementSetting(key, increment = 1) {
-  const current = await getSetting(key);
-  const newValue = (parseInt(current) || 0) + increment;
-  await setSetting(key, newValue);
-  return newValue;
+// Lock a proposal and make sure it can still be decided; marks it expired when it ran out
+async function lockOpenProposal(client, proposalId) {
+  const result = await client.query('SELECT * FROM admin_proposals WHERE id = $1 FOR UPDATE', [proposalId]);
+  const proposal = result.rows[0];
+  if (!proposal) return { status: 'not_found' };
+  if (proposal.status !== 'pending') return { status: 'already_decided', proposal };
+
+  if (Number(proposal.expires_at) <= Date.now()) {
+    const expired = await client.query(
+      `UPDATE admin_proposals SET status = 'expired', decided_at = $1 WHERE id = $2 RETURNING *`,
+      [Date.now(), proposalId]
+    );
+    return { status: 'expired', proposal: expired.rows[0] };
+  }
+  return { status: 'open', proposal };
 }
 
-/* ----------------------- Users list & analytics ----------------------- */
-async function getAllUsers() {
-  const result = await pool.query('SELECT * FROM users ORDER BY registered_at DESC');
-  return result.rows;
-}
+/**
+ * Co-sign and execute a proposal in one transaction.
+ * Returns { status: 'executed' | 'failed' | 'not_found' | 'already_decided' | 'expired' | 'same_admin', proposal, outcome }.
+ * outcome is { newBalance, removed } for balance actions and the transitionWithdrawal result for withdrawals.
+ */
+async function approveAdminProposal(proposalId, approverId) {
+  return withTransaction(async (client) => {
+    const locked = await lockOpenProposal(client, proposalId);
+    if (locked.status !== 'open') return locked;
+
+    const proposal = locked.proposal;
+    if (Number(proposal.proposed_by) === Number(approverId)) {
+      return { status: 'same_admin', proposal };
+    }
 
-async function getVerifiedUsers() {
-  const result = await pool.query('SELECT * FROM users WHERE verified = TRUE');
-  return result.rows;
+    const amount = parseFloat(proposal.amount) || 0;
+    const reason = `${proposal.reason || 'No reason provided'} (proposal #${proposal.id}, proposed by ${proposal.proposed_by})`;
+    let outcome;
+    let failure = null;
+
+    if (proposal.action === PROPOSAL_ACTIONS.ADD_BALANCE) {
+      const change = await applyBalanceChange(client, proposal.target_user_id, amount, {
+        sourceType: LEDGER_SOURCES.ADMIN_CREDIT,
+        adminId: approverId,
+        referenceId: `proposal:${proposal.id}`,
+        reason
+      });
+      outcome = { newBalance: change.newBalance, removed: 0 };
+    } else if (proposal.action === PROPOSAL_ACTIONS.REMOVE_BALANCE) {
+      outcome = await debitUserUpToWithClient(client, proposal.target_user_id, amount, {
+        sourceType: LEDGER_SOURCES.ADMIN_DEBIT,
+        adminId: approverId,
+        referenceId: `proposal:${proposal.id}`,
+        reason
+      });
+      if (outcome.removed <= 0) failure = 'User has no balance to remove';
+    } else if (proposal.action === PROPOSAL_ACTIONS.APPROVE_WITHDRAWAL) {
+      outcome = await transitionWithdrawalWithClient(
+        client, proposal.reference_id, WITHDRAWAL_STATUS.APPROVED, approverId,
+        `Co-signed proposal #${proposal.id} (proposed by ${proposal.proposed_by})`
+      );
+      if (outcome.status !== 'ok') failure = `Withdrawal ${outcome.withdrawal ? 'is ' + outcome.withdrawal.status : 'not found'}`;
+    } else {
+      failure = `Unknown action ${proposal.action}`;
+    }
+
+    const updated = await client.query(
+      `UPDATE admin_proposals
+       SET status = $1, approved_by = $2, decided_by = $2, decided_at = $3, result_note = $4
+       WHERE id = $5 RETURNING *`,
+      [failure ? 'failed' : 'executed', approverId, Date.now(), failure, proposal.id]
+    );
+    return { status: failure ? 'failed' : 'executed', proposal: updated.rows[0], outcome, failure };
+  });
 }
 
-async function getTotalBalance() {
-  const result = await pool.query('SELECT SUM(balance) as total FROM users');
-  return parseFloat(result.rows[0].total) || 0;
+/**
+ * Reject (or, for the proposer, withdraw) a pending proposal.
+ * Returns { status: 'rejected' | 'not_found' | 'already_decided' | 'expired', proposal }.
+ */
+async function rejectAdminProposal(proposalId, adminId, note = null) {
+  return withTransaction(async (client) => {
+    const locked = await lockOpenProposal(client, proposalId);
+    if (locked.status !== 'open') return locked;
+
+    const updated = await client.query(
+      `UPDATE admin_proposals SET status = 'rejected', decided_by = $1, decided_at = $2, result_note = $3
+       WHERE id = $4 RETURNING *`,
+      [adminId, Date.now(), note, proposalId]
+    );
+    return { status: 'rejected', proposal: updated.rows[0] };
+  });
 }
 
 /**
- * Get country distribution statistics
+ * Mark every pending proposal past its expiry as expired. Returns the expired rows.
  */
-async function getCountryDistribution() {
+async function expireStaleProposals() {
   const result = await pool.query(
-    `SELECT 
-      country_code,
-      COUNT(*) as count
-     FROM users
-     WHERE country_code IS NOT NULL
-     GROUP BY country_code
-     ORDER BY count DESC`
+    `UPDATE admin_proposals SET status = 'expired', decided_at = $1
+     WHERE status = 'pending' AND expires_at <= $1
+     RETURNING *`,
+    [Date.now()]
   );
   return result.rows;
 }
 
-/* ----------------------- Withdrawals ----------------------- */
-async function createWithdrawalRequest(userId, amount, wallet) {
+/* ----------------------- Conversation state ----------------------- */
+/**
+ * In-flight multi-step flows (task submission, wallet entry, intro upload) survive restarts here.
+ * Each (user, flow) row holds a JSON payload and expires after its TTL.
+ */
+
+// Returns { [flow]: data } for every unexpired flow of the user
+async function getConversationStates(userId) {
   const result = await pool.query(
-    `INSERT INTO withdrawal_requests (user_id, amount, wallet, status, requested_at)
-     VALUES ($1, $2, $3, 'pending', $4)
-     RETURNING *`,
-    [userId, amount, wallet, Date.now()]
+    'SELECT flow, data FROM conversation_states WHERE user_id = $1 AND expires_at > $2',
+    [userId, Date.now()]
   );
-  return result.rows[0];
+  const states = {};
+  result.rows.forEach(row => { states[row.flow] = row.data; });
+  return states;
 }
 
-async function getLatestPendingWithdrawal(userId) {
+async function getConversationState(userId, flow) {
   const result = await pool.query(
-    `SELECT * FROM withdrawal_requests 
-     WHERE user_id = $1 AND status = 'pending'
-     ORDER BY requested_at DESC
-     LIMIT 1`,
-    [userId]
+    'SELECT data FROM conversation_states WHERE user_id = $1 AND flow = $2 AND expires_at > $3',
+    [userId, flow, Date.now()]
   );
-  return result.rows[0] || null;
+  return result.rows[0] ? result.rows[0].data : null;
 }
 
-async function updateWithdrawalStatus(withdrawalId, status, reviewedBy = null) {
+async function setConversationState(userId, flow, data, ttlMs) {
+  const now = Date.now();
   const result = await pool.query(
-    `UPDATE withdrawal_requests 
-     SET status = $1, reviewed_at = $2, reviewed_by = $3
-     WHERE id = $4
-     RETURNING *`,
-    [status, Date.now(), reviewedBy, withdrawalId]
+    `INSERT INTO conversation_states (user_id, flow, data, updated_at, expires_at)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (user_id, flow) DO UPDATE SET data = EXCLUDED.data, updated_at = EXCLUDED.updated_at, expires_at = EXCLUDED.expires_at
+     RETURNING data`,
+    [userId, flow, JSON.stringify(data || {}), now, now + ttlMs]
   );
-  return result.rows[0];
+  return result.rows[0].data;
 }
 
-/* ----------------------- Blacklist ----------------------- */
-async function blacklistUser(userId, reason, blacklistedBy) {
+/**
+ * Read-modify-write a flow under a row lock so concurrent updates (e.g. an album of
+ * screenshots arriving at once) are not lost. mutate(data) returns the new data.
+ * Returns the new data, or null when the flow does not exist or has expired.
+ */
+async function updateConversationState(userId, flow, mutate, ttlMs = null) {
+  return withTransaction(async (client) => {
+    const now = Date.now();
+    const current = await client.query(
+      'SELECT data FROM conversation_states WHERE user_id = $1 AND flow = $2 AND expires_at > $3 FOR UPDATE',
+      [userId, flow, now]
+    );
+    if (!current.rows[0]) return null;
+
+    const data = mutate(current.rows[0].data || {});
+    const result = await client.query(
+      `UPDATE conversation_states
+       SET data = $1, updated_at = $2, expires_at = CASE WHEN $3::bigint IS NULL THEN expires_at ELSE $3::bigint END
+       WHERE user_id = $4 AND flow = $5
+       RETURNING data`,
+      [JSON.stringify(data), now, ttlMs ? now + ttlMs : null, userId, flow]
+    );
+    return result.rows[0].data;
+  });
+}
+
+/**
+ * Mark a flow as being finished (data.claimedUntil) in one statement, so of two concurrent
+ * callers only one gets it. Returns the data, or null when the flow is gone or already claimed.
+ * releaseConversationState drops the mark again when finishing failed.
+ */
+async function claimConversationState(userId, flow, leaseMs) {
+  const now = Date.now();
   const result = await pool.query(
-    `INSERT INTO blacklist (user_id, reason, blacklisted_by, blacklisted_at)
-     VALUES ($1, $2, $3, $4)
-     ON CONFLICT (user_id) DO UPDATE SET 
-       reason = EXCLUDED.reason,
-       blacklisted_by = EXCLUDED.blacklisted_by,
-       blacklisted_at = EXCLUDED.blacklisted_at
-     RETURNING *`,
-    [userId, reason, blacklistedBy, Date.now()]
+    `UPDATE conversation_states
+     SET data = jsonb_set(data, '{claimedUntil}', to_jsonb($1::bigint)), updated_at = $2
+     WHERE user_id = $3 AND flow = $4 AND expires_at > $2
+       AND COALESCE((data->>'claimedUntil')::bigint, 0) <= $2
+     RETURNING data`,
+    [now + leaseMs, now, userId, flow]
   );
-  return result.rows[0];
+  return result.rows[0] ? result.rows[0].data : null;
 }
 
-async function unblacklistUser(userId) {
-  await pool.query('DELETE FROM blacklist WHERE user_id = $1', [userId]);
+async function releaseConversationState(userId, flow) {
+  await pool.query(
+    `UPDATE conversation_states SET data = data - 'claimedUntil' WHERE user_id = $1 AND flow = $2`,
+    [userId, flow]
+  );
 }
 
-async function isUserBlacklisted(userId) {
-  const result = await pool.query('SELECT * FROM blacklist WHERE user_id = $1', [userId]);
-  return result.rows[0] || null;
+// Clear one flow, or every flow when flow is null. Returns the cleared, unexpired { flow, data } rows.
+async function clearConversationState(userId, flow = null) {
+  const result = flow
+    ? await pool.query('DELETE FROM conversation_states WHERE user_id = $1 AND flow = $2 RETURNING flow, data, expires_at', [userId, flow])
+    : await pool.query('DELETE FROM conversation_states WHERE user_id = $1 RETURNING flow, data, expires_at', [userId]);
+  const now = Date.now();
+  return result.rows.filter(row => Number(row.expires_at) > now).map(row => ({ flow: row.flow, data: row.data }));
 }
 
-async function getAllBlacklistedUsers() {
-  const result = await pool.query('SELECT * FROM blacklist ORDER BY blacklisted_at DESC');
-  return result.rows;
+async function purgeExpiredConversationStates() {
+  const result = await pool.query('DELETE FROM conversation_states WHERE expires_at <= $1', [Date.now()]);
+  return result.rowCount;
 }
 
 /* ----------------------- Referral analysis (fraud detection) ----------------------- */
@@ -737,6 +2918,8 @@ async function analyzeReferralPattern(userId) {
 
   let realCount = 0;
   let suspiciousCount = 0;
+  const referrer = await getUser(userId);
+  const referrerWallet = referrer && referrer.wallet ? referrer.wallet : null;
 
   for (const refId of referrals) {
     const refUser = await getUser(refId);
@@ -745,6 +2928,12 @@ async function analyzeReferralPattern(userId) {
       continue;
     }
 
+    // A referral paid out to the referrer's own wallet is the same person
+    if (referrerWallet && refUser.wallet === referrerWallet) {
+      suspiciousCount++;
+      continue;
+    }
+
     const messageCount = refUser.message_count || 0;
     const activityScore = refUser.activity_score || 0;
     const hasWallet = refUser.wallet && refUser.wallet.length > 0;
@@ -976,10 +3165,13 @@ async function getDetailedReferralAnalysis(userId) {
 async function getUserWithdrawalStats(userId) {
   const result = await pool.query(
     `SELECT 
-      COALESCE(SUM(CASE WHEN status = 'approved' THEN amount ELSE 0 END), 0) as total_withdrawn,
+      COALESCE(SUM(CASE WHEN status IN ('approved', 'paid') THEN amount ELSE 0 END), 0) as total_withdrawn,
       COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_count,
+      COUNT(CASE WHEN status = 'on_hold' THEN 1 END) as on_hold_count,
       COUNT(CASE WHEN status = 'approved' THEN 1 END) as approved_count,
-      COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected_count
+      COUNT(CASE WHEN status = 'paid' THEN 1 END) as paid_count,
+      COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected_count,
+      COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as cancelled_count
      FROM withdrawal_requests 
      WHERE user_id = $1`,
     [userId]
@@ -988,8 +3180,11 @@ async function getUserWithdrawalStats(userId) {
   return {
     totalWithdrawn: parseFloat(result.rows[0].total_withdrawn) || 0,
     pendingCount: parseInt(result.rows[0].pending_count) || 0,
+    onHoldCount: parseInt(result.rows[0].on_hold_count) || 0,
     approvedCount: parseInt(result.rows[0].approved_count) || 0,
-    rejectedCount: parseInt(result.rows[0].rejected_count) || 0
+    paidCount: parseInt(result.rows[0].paid_count) || 0,
+    rejectedCount: parseInt(result.rows[0].rejected_count) || 0,
+    cancelledCount: parseInt(result.rows[0].cancelled_count) || 0
   };
 }
 
@@ -1446,6 +3641,14 @@ async function detectBotOrFakeUser(userId) {
     botScore += 15;
     reasons.push('Poor referral quality');
   }
+
+  // Check 11: Payout wallet shared with other accounts
+  const walletClusterSize = await getWalletClusterSize(user.wallet);
+  const walletScore = walletClusterSize > 1 ? Math.min(60, 25 * (walletClusterSize - 1)) : 0;
+  if (walletScore > 0) {
+    fakeScore += walletScore;
+    reasons.push(`Wallet shared with ${walletClusterSize - 1} other account(s)`);
+  }
   
   const totalScore = Math.max(botScore, fakeScore);
   const isBot = botScore > 50;
@@ -1457,12 +3660,74 @@ async function detectBotOrFakeUser(userId) {
     isFake,
     botScore,
     fakeScore,
+    walletScore,
     confidence,
     reasons,
     classification: isFake ? 'Fake' : isBot ? 'Bot' : confidence > 30 ? 'Suspicious' : 'Real'
   };
 }
 
+/* ----------------------- Withdrawal risk scoring ----------------------- */
+/**
+ * Combine the bot/fake detection, referral quality, withdrawal history and spam signals
+ * into a 0-100 risk score for a withdrawal request.
+ * Returns { score, level: 'low' | 'medium' | 'high', reasons (highest weight first),
+ *           classification, autoReject, holdAsFake }.
+ * Options: holdThreshold (score that counts as high risk), autoRejectFake.
+ * A shared wallet alone never auto-rejects: an account that is only Fake with the wallet-cluster
+ * points is flagged holdAsFake so a reviewer decides.
+ */
+async function assessWithdrawalRisk(userId, amount, { holdThreshold = 70, autoRejectFake = true } = {}) {
+  const user = await getUser(userId);
+  const signals = [];
+  const add = (points, reason) => { if (points > 0) signals.push({ points, reason }); };
+
+  const detection = await detectBotOrFakeUser(userId);
+  add(
+    Math.round(detection.fakeScore * 0.5 + detection.botScore * 0.4),
+    `${detection.classification} (fake ${detection.fakeScore}, bot ${detection.botScore})${detection.reasons.length ? ': ' + detection.reasons.slice(0, 2).join(', ') : ''}`
+  );
+
+  const referrals = await analyzeReferralPattern(userId);
+  const totalRefs = referrals.realRefs + referrals.suspiciousRefs;
+  if (totalRefs >= 3 && parseFloat(referrals.percentage) < 40) {
+    add(15, `Low-quality referrals (${referrals.percentage}% real of ${totalRefs})`);
+  }
+
+  const history = await getUserWithdrawalStats(userId);
+  add(Math.min(20, history.rejectedCount * 10), `${history.rejectedCount} rejected withdrawal(s) before`);
+  if (history.paidCount === 0 && history.approvedCount === 0) {
+    add(5, 'First withdrawal');
+  }
+  const balance = user ? parseFloat(user.balance) || 0 : 0;
+  if (balance > 0 && amount >= balance * 0.9) {
+    add(5, 'Withdrawing (almost) the whole balance');
+  }
+
+  const spam = await checkSpamBehavior(userId);
+  if (spam.isSpamming) add(15, 'Currently spamming');
+  else if ((user && user.spam_score || 0) > 20) add(10, `High spam score (${parseFloat(user.spam_score).toFixed(1)})`);
+
+  if (user) {
+    const accountAgeDays = (Date.now() - Number(user.registered_at)) / (24 * 60 * 60 * 1000);
+    if (accountAgeDays < 3) add(10, `Account is ${accountAgeDays < 1 ? 'less than a day' : Math.floor(accountAgeDays) + ' day(s)'} old`);
+  }
+
+  signals.sort((a, b) => b.points - a.points);
+  const score = Math.min(100, signals.reduce((sum, signal) => sum + signal.points, 0));
+  const level = score >= holdThreshold ? 'high' : score >= holdThreshold / 2 ? 'medium' : 'low';
+  const fakeWithoutWallet = detection.fakeScore - (detection.walletScore || 0) > 50;
+
+  return {
+    score,
+    level,
+    reasons: signals.map(signal => `${signal.reason} (+${signal.points})`),
+    classification: detection.classification,
+    autoReject: autoRejectFake && fakeWithoutWallet,
+    holdAsFake: detection.isFake && !fakeWithoutWallet
+  };
+}
+
 /* ----------------------- Verification advancement helper ----------------------- */
 async function verifyUserAndReward(refereeId) {
   const client = await pool.connect();
@@ -1483,25 +3748,43 @@ async function verifyUserAndReward(refereeId) {
     await client.query('UPDATE users SET verified = TRUE WHERE id = $1', [refereeId]);
 
     // If referred_by exists, reward the referrer
+    let rewardedReferrerId = null;
+    let referralReward = 0;
+    let referralWithheld = false;
     if (referee.referred_by) {
       const referrerId = referee.referred_by;
       const rRes = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [referrerId]);
       const referrer = rRes.rows[0];
 
-      if (referrer) {
-        const referralReward = parseFloat((await getSetting('referralReward')) || '0');
-        const newBalance = (parseFloat(referrer.balance) || 0) + referralReward;
-        await client.query('UPDATE users SET balance = $1 WHERE id = $2', [newBalance, referrerId]);
+      // Referral payouts are withheld when either side is blacklisted
+      const blacklistRes = await client.query(
+        'SELECT user_id FROM blacklist WHERE user_id = ANY($1::bigint[])',
+        [[referrerId, refereeId]]
+      );
+      referralWithheld = blacklistRes.rows.length > 0;
+
+      if (referrer && referralWithheld) {
+        await client.query('INSERT INTO referrals (referrer_id, referred_id) VALUES ($1, $2) ON CONFLICT DO NOTHING', [referrerId, refereeId]);
+      } else if (referrer) {
+        referralReward = parseFloat(await getSetting('referralReward')) || 20;
+        if (referralReward > 0) {
+          await applyBalanceChange(client, referrerId, referralReward, {
+            sourceType: LEDGER_SOURCES.REFERRAL_REWARD,
+            referenceId: refereeId,
+            reason: 'Referred user verified'
+          });
+        }
 
         // Add referral record (idempotent)
         await client.query('INSERT INTO referrals (referrer_id, referred_id) VALUES ($1, $2) ON CONFLICT DO NOTHING', [referrerId, refereeId]);
+        rewardedReferrerId = referrerId;
 
         // increment referralReward counter? (We keep counters separate)
       }
     }
 
     await client.query('COMMIT');
-    return { success: true };
+    return { success: true, referrerId: rewardedReferrerId, referralReward, referralWithheld };
   } catch (err) {
     await client.query('ROLLBACK');
     throw err;
@@ -1630,14 +3913,33 @@ module.exports = {
   createTask,
   getTasks,
   getTaskById,
-  deleteTask,
+  updateTask,
+  setTaskStatus,
+  expireEndedTasks,
+  TASK_STATUS,
   getUserCompletedTasks,
+  getUserTaskProgress,
   markTaskCompleted,
   createTaskSubmission,
   getSubmissionById,
   getLatestPendingSubmission,
+  REVIEW_RESULTS,
   approveSubmissionAtomic,
+  completeVerifiedJoinTask,
+  saveSubmissionImages,
+  findMatchingSubmissionImages,
+  findOtherUsersOfSocialHandle,
+  getJoinSubmissionsToRecheck,
+  recordMembershipCheck,
+  revokeJoinTaskReward,
   rejectSubmissionAtomic,
+  requestSubmissionInfo,
+  claimNextSubmission,
+  claimSubmission,
+  skipSubmission,
+  getReviewQueueCounts,
+  getReviewerStats,
+  getPendingQueueAges,
   updateSubmissionStatus,
   getPendingSubmissions: async () => {
     const r = await pool.query("SELECT * FROM task_submissions WHERE status = 'pending' ORDER BY submitted_at ASC");
@@ -1645,20 +3947,87 @@ module.exports = {
   },
   approveAllPendingSubmissions,
   rejectAllPendingSubmissions,
+  getPendingSubmissionsPage,
+  getPendingSubmissionsSummary,
   getSetting,
   setSetting,
   incrementSetting,
   getAllUsers,
   getVerifiedUsers,
   getTotalBalance,
+  // Balance ledger
+  LEDGER_SOURCES,
+  withTransaction,
+  creditUser,
+  debitUser,
+  debitUserUpTo,
+  claimDailyBonus,
+  getUserLedger,
+  getUserLedgerSummary,
+  // Wallets
+  changeUserWallet,
+  getNextWalletChangeAt,
+  getWalletHistory,
+  getWalletCluster,
+  getWalletClusterSize,
+  getFormerWalletUsers,
   createWithdrawalRequest,
+  ENGAGEMENT_TIERS,
+  getWithdrawalRules,
+  requestWithdrawal,
+  WITHDRAWAL_STATUS,
+  transitionWithdrawal,
+  cancelPendingWithdrawal,
+  markWithdrawalPaidManually,
+  getWithdrawalById,
+  getRecentWithdrawalTotal,
+  getRecentLedgerTotal,
   getLatestPendingWithdrawal,
   updateWithdrawalStatus,
   getUserWithdrawalStats,
+  // Payout batches
+  PAYOUT_BATCH_STATUS,
+  createPayoutBatch,
+  getPayoutBatch,
+  getBatchWithdrawals,
+  markPayoutBatchPaid,
+  // Automatic payouts
+  PAYOUT_STATUS,
+  getDuePayouts,
+  claimPayout,
+  recordPayoutSubmitted,
+  schedulePayoutCheck,
+  failPayoutAttempt,
+  completePayout,
+  resetFailedPayout,
   blacklistUser,
   unblacklistUser,
   isUserBlacklisted,
   getAllBlacklistedUsers,
+  // Admins & roles
+  ADMIN_ROLES,
+  getAdmins,
+  getAdmin,
+  seedOwners,
+  setAdminRole,
+  removeAdmin,
+  // Admin proposals
+  PROPOSAL_ACTIONS,
+  createAdminProposal,
+  getAdminProposal,
+  getPendingProposalFor,
+  approveAdminProposal,
+  rejectAdminProposal,
+  expireStaleProposals,
+  // Conversation state
+  getConversationStates,
+  getConversationState,
+  setConversationState,
+  updateConversationState,
+  claimConversationState,
+  releaseConversationState,
+  clearConversationState,
+  purgeExpiredConversationStates,
   analyzeReferralPattern,
   getDetailedReferralAnalysis,
   verifyUserAndReward,
@@ -1681,6 +4050,7 @@ module.exports = {
   runMaintenanceTasks,
   // Bot detection
   detectBotOrFakeUser,
+  assessWithdrawalRisk,
   // Country stats
   getCountryDistribution,
   // Pending submissions
@@ -0,0 +1,147 @@
+/**
+ * Fingerprints of submitted screenshots, used to spot one proof image reused across tasks
+ * or accounts.
+ *
+ * Every image gets { file_unique_id, content_hash, phash }:
+ *   file_unique_id  Telegram's id of the file, the same when a photo is forwarded or resent
+ *   content_hash    sha256 of the downloaded bytes
+ *   phash           64-bit difference hash (dHash) as 16 hex digits; recompression and resizing
+ *                   move it by a few bits at most, so near-identical screenshots still match
+ *
+ * JPEGs are decoded with the jpeg-js dependency, required on first use. If it is not installed
+ * phash is null and only exact copies are detected.
+ */
+
+const crypto = require('crypto');
+
+// Two hashes this close are the same picture. Matches are looked up by 4 bands of 16 bits,
+// and two hashes differing in at most 3 bits always share one band exactly.
+const PHASH_MATCH_DISTANCE = 3;
+const PHASH_BANDS = 4;
+
+let jpeg;
+let jpegMissing = false;
+
+function loadJpegDecoder() {
+  if (jpeg || jpegMissing) return jpeg || null;
+  try {
+    jpeg = require('jpeg-js');
+  } catch (e) {
+    jpegMissing = true;
+    console.warn('Perceptual image hashes need the jpeg-js package installed; only exact duplicate screenshots are detected.');
+  }
+  return jpeg || null;
+}
+
+/**
+ * dHash of decoded pixels: shrink to 9x8 grey cells and record for each cell whether it is
+ * brighter than its right neighbour (8 bits per row). channels is 4 for RGBA data, 3 for RGB.
+ */
+function differenceHash({ width, height, data }, channels = 4) {
+  const cols = 9;
+  const rows = 8;
+  const cells = new Array(cols * rows).fill(0);
+  const counts = new Array(cols * rows).fill(0);
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.min(rows - 1, Math.floor(y * rows / height));
+    for (let x = 0; x < width; x++) {
+      const col = Math.min(cols - 1, Math.floor(x * cols / width));
+      const i = (y * width + x) * channels;
+      cells[row * cols + col] += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      counts[row * cols + col]++;
+    }
+  }
+
+  let hex = '';
+  let nibble = 0;
+  let bits = 0;
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols - 1; col++) {
+      const left = cells[row * cols + col] / (counts[row * cols + col] || 1);
+      const right = cells[row * cols + col + 1] / (counts[row * cols + col + 1] || 1);
+      nibble = (nibble << 1) | (left > right ? 1 : 0);
+      if (++bits === 4) {
+        hex += nibble.toString(16);
+        nibble = 0;
+        bits = 0;
+      }
+    }
+  }
+  return hex;
+}
+
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 4) {
+    let diff = parseInt(a.slice(i, i + 4), 16) ^ parseInt(b.slice(i, i + 4), 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+// The 4 hex digits of each band, used as exact-match lookup keys
+function phashBands(phash) {
+  if (!phash) return new Array(PHASH_BANDS).fill(null);
+  return Array.from({ length: PHASH_BANDS }, (_, band) => phash.slice(band * 4, band * 4 + 4));
+}
+
+// Fingerprint of downloaded image bytes; phash is null when the image cannot be decoded
+function fingerprintImage(buffer, fileUniqueId = null) {
+  const fingerprint = {
+    file_unique_id: fileUniqueId,
+    content_hash: crypto.createHash('sha256').update(buffer).digest('hex'),
+    phash: null
+  };
+
+  const decoder = loadJpegDecoder();
+  if (decoder) {
+    try {
+      const image = decoder.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 256 });
+      fingerprint.phash = differenceHash(image, 4);
+    } catch (e) {
+      console.error('Could not decode image for hashing:', e.message);
+    }
+  }
+  return fingerprint;
+}
+
+/**
+ * Compare two fingerprints. Returns { kind: 'identical' } for the same file or bytes,
+ * { kind: 'similar', distance } for perceptual hashes within PHASH_MATCH_DISTANCE, else null.
+ */
+function compareFingerprints(a, b) {
+  if (!a || !b) return null;
+  if ((a.file_unique_id && a.file_unique_id === b.file_unique_id) || (a.content_hash && a.content_hash === b.content_hash)) {
+    return { kind: 'identical', distance: 0 };
+  }
+  if (a.phash && b.phash) {
+    const distance = hammingDistance(a.phash, b.phash);
+    if (distance <= PHASH_MATCH_DISTANCE) return { kind: distance === 0 ? 'identical' : 'similar', distance };
+  }
+  return null;
+}
+
+// Pairs [i, j] of images within one submission that are the same picture
+function findRepeatedImages(fingerprints) {
+  const pairs = [];
+  (fingerprints || []).forEach((a, i) => {
+    (fingerprints || []).slice(i + 1).forEach((b, offset) => {
+      if (compareFingerprints(a, b)) pairs.push([i, i + 1 + offset]);
+    });
+  });
+  return pairs;
+}
+
+module.exports = {
+  PHASH_MATCH_DISTANCE,
+  differenceHash,
+  hammingDistance,
+  phashBands,
+  fingerprintImage,
+  compareFingerprints,
+  findRepeatedImages
+};
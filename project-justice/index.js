@@ -7,6 +7,18 @@ const process = require("process");
 const fs = require('fs');
 const path = require('path');
 const db = require('./database');
+const { createRouter } = require('./middleware');
+const { validateSolanaAddress, shortenAddress } = require('./wallet');
+const { buildBatchCsv, buildBatchJson, parseSignatureFile } = require('./payouts');
+const { createSolanaRpcExecutor, createPayoutProcessor } = require('./payout-executor');
+const { fingerprintImage, findRepeatedImages } = require('./image-hash');
+const {
+  createHttpSocialVerifier, runSocialCheck, routeSocialCheck, describeSocialAction, SOCIAL_ROUTES
+} = require('./social-verifier');
+const {
+  parseTaskOptions, requiresProof, describeProofRequirements, validateTaskProof, checkTaskAvailability,
+  escapeHtml, renderTaskDescription, plainTaskDescription, parseChatReference, chatJoinUrl, isJoinTask, parseDurationMs
+} = require('./tasks');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -122,6 +134,9 @@ app.listen(PORT, async () => {
 async function initializeBotDatabase() {
   try {
     await db.initializeDatabase();
+    const seeded = await db.seedOwners(ADMIN_IDS);
+    if (seeded > 0) console.log(`👑 Seeded ${seeded} owner(s) into the admins table`);
+    await refreshAdminRoles();
     console.log('✅ Bot database initialized successfully');
     
     // Start automatic maintenance tasks every 6 hours
@@ -148,6 +163,55 @@ async function initializeBotDatabase() {
         console.error('❌ Tracking update error:', error);
       }
     }, 10 * 60 * 1000); // 10 minutes
+
+    // Expire two-person approval proposals nobody co-signed in time, drop stale conversation flows, expire ended tasks,
+    // re-check members who were paid for join tasks and watch the review SLA
+    setInterval(async () => {
+      try {
+        const expired = await db.expireStaleProposals();
+        for (const proposal of expired) {
+          await broadcastAdminAction(`⌛ Proposal #${proposal.id} (${proposal.action}, ${parseFloat(proposal.amount)} ${CURRENCY_SYMBOL}) expired without a second approval.`);
+        }
+      } catch (error) {
+        console.error('❌ Proposal expiry error:', error);
+      }
+
+      try {
+        await db.purgeExpiredConversationStates();
+      } catch (error) {
+        console.error('❌ Conversation state purge error:', error);
+      }
+
+      try {
+        const expiredTasks = await db.expireEndedTasks();
+        for (const task of expiredTasks) {
+          await logAdmin(`⌛ Task ${task.id} expired (end date passed): ${task.title}`);
+        }
+      } catch (error) {
+        console.error('❌ Task expiry error:', error);
+      }
+
+      try {
+        await recheckJoinTaskMembers();
+      } catch (error) {
+        console.error('❌ Join task re-check error:', error);
+      }
+
+      try {
+        await checkReviewSla();
+      } catch (error) {
+        console.error('❌ Review SLA check error:', error);
+      }
+    }, 10 * 60 * 1000); // 10 minutes
+
+    // Pay approved withdrawals on-chain when an executor is configured and autoPayoutEnabled is on
+    setInterval(async () => {
+      try {
+        await runPayoutQueue();
+      } catch (error) {
+        console.error('❌ Payout queue error:', error);
+      }
+    }, 60 * 1000); // 1 minute
     
   } catch (error) {
     console.error('❌ Bot database initialization failed:', error);
@@ -157,7 +221,8 @@ async function initializeBotDatabase() {
 initializeBotDatabase();
 
 /* ---------- Config constants ---------- */
-const ADMIN_IDS = [ 7561048693, 6450400107, 5470178483, 5713536787, 6221435595, -1003140359659];
+// Bootstrap owners: seeded into the admins table the first time it is empty. Manage admins with /addadmin.
+const ADMIN_IDS = [ 7561048693, 6450400107, 5470178483, 5713536787, 6221435595];
 const ADMIN_GROUP_ID = Number(process.env.ADMIN_GROUP_ID || -1003140359659);
 const BROADCAST_CHANNEL = process.env.BROADCAST_CHANNEL || "@livetransactiontrack";
 
@@ -185,14 +250,53 @@ const WITHDRAW_REVIEW_CHANNEL = process.env.WITHDRAW_REVIEW_CHANNEL || "@livetra
 const CURRENCY_SYMBOL = "⚖️";
 const BOT_NAME = "JUSTICE on Sol";
 
-let pendingTasks = {};
-let awaitingWallet = {};
-const awaitingIntroUpload = {}; // admin flow for /introvideo
+// Automatic payouts: PAYOUT_EXECUTOR=solana (needs the SOLANA_*/PAYOUT_* vars); unset disables them
+const PAYOUT_EXECUTOR = process.env.PAYOUT_EXECUTOR || '';
+const SOLANA_RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
+const PAYOUT_WALLET_SECRET_KEY = process.env.PAYOUT_WALLET_SECRET_KEY || ''; // JSON byte array
+const PAYOUT_TOKEN_MINT = process.env.PAYOUT_TOKEN_MINT || '';
+const PAYOUT_TOKEN_DECIMALS = Number(process.env.PAYOUT_TOKEN_DECIMALS || 9);
+
+// X task checks: SOCIAL_VERIFIER=http (needs SOCIAL_VERIFIER_URL); unset sends every X task submission to manual review
+const SOCIAL_VERIFIER = process.env.SOCIAL_VERIFIER || '';
+const SOCIAL_VERIFIER_URL = process.env.SOCIAL_VERIFIER_URL || '';
+const SOCIAL_VERIFIER_API_KEY = process.env.SOCIAL_VERIFIER_API_KEY || '';
+
 global.userLatestMessage = {}; // Track last message per user per chat
 
 /* ---------- Utility helpers (copied & merged from working code) ---------- */
+/* ---------- Admin roles & permissions ---------- */
+const ROLE_PERMISSIONS = {
+  owner: ['*'],
+  finance: ['balance.adjust', 'withdrawals.review', 'withdrawals.pay', 'withdrawals.config', 'users.view'],
+  reviewer: ['tasks.review', 'users.view'],
+  moderator: ['users.view', 'users.moderate', 'broadcast'],
+  support: ['users.view']
+};
+
+// user id -> role, loaded from the admins table; refreshed after every /addadmin and /removeadmin
+let adminRoles = new Map();
+
+async function refreshAdminRoles() {
+  const admins = await db.getAdmins();
+  adminRoles = new Map(admins.map(admin => [Number(admin.user_id), admin.role]));
+  return adminRoles;
+}
+
+function getAdminRole(id) {
+  return adminRoles.get(Number(id)) || null;
+}
+
+// Any admin role at all (exempts from the blacklist gate, shows error details)
 function isAdminId(id) {
-  return ADMIN_IDS.indexOf(Number(id)) !== -1;
+  return adminRoles.has(Number(id));
+}
+
+function hasPermission(id, permission) {
+  const role = getAdminRole(id);
+  if (!role) return false;
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
 }
 
 async function getUserIdentifier(userId) {
@@ -235,6 +339,116 @@ async function logAdmin(text) {
   }
 }
 
+/* ---------- Conversation state (persisted flows) ---------- */
+// Multi-step flows live in the conversation_states table so a restart does not lose them
+const FLOWS = {
+  TASK_SUBMISSION: 'task_submission',
+  SET_WALLET: 'set_wallet',
+  INTRO_UPLOAD: 'intro_upload',
+  TASK_BUILDER: 'task_builder',
+  REVIEW_NOTE: 'review_note'
+};
+
+const FLOW_TTLS = {
+  task_submission: 24 * 60 * 60 * 1000,
+  set_wallet: 30 * 60 * 1000,
+  intro_upload: 30 * 60 * 1000,
+  task_builder: 30 * 60 * 1000,
+  review_note: 15 * 60 * 1000
+};
+
+const FLOW_LABELS = {
+  task_submission: 'task submission',
+  set_wallet: 'wallet setup',
+  intro_upload: 'intro upload',
+  task_builder: 'task builder',
+  review_note: 'review note'
+};
+
+async function startFlow(userId, flow, data = {}) {
+  return db.setConversationState(userId, flow, data, FLOW_TTLS[flow]);
+}
+
+// Each update to a flow pushes its expiry back by the flow's TTL
+async function updateFlow(userId, flow, mutate) {
+  return db.updateConversationState(userId, flow, mutate, FLOW_TTLS[flow]);
+}
+
+async function endFlow(userId, flow = null) {
+  return db.clearConversationState(userId, flow);
+}
+
+function describeFlow(flow, data) {
+  if (flow === FLOWS.TASK_SUBMISSION && data && data.taskTitle) {
+    return `${FLOW_LABELS[flow]} for "${data.taskTitle}"`;
+  }
+  if (flow === FLOWS.TASK_BUILDER && data && data.draft && data.draft.title) {
+    return `${FLOW_LABELS[flow]} for "${data.draft.title}"`;
+  }
+  if (flow === FLOWS.REVIEW_NOTE && data && data.submissionId) {
+    return `${FLOW_LABELS[flow]} for submission #${data.submissionId}`;
+  }
+  return FLOW_LABELS[flow] || flow;
+}
+
+// Offer to continue or drop an unfinished task submission
+async function sendResumePrompt(chatId, pending) {
+  const images = pending.files ? pending.files.length : 0;
+  await bot.sendMessage(chatId, `📝 You have an unfinished submission for task "${pending.taskTitle}" (${images} image(s) so far).\n\nContinue or cancel?`, {
+    reply_markup: {
+      inline_keyboard: [[
+        { text: "▶️ Continue", callback_data: `flow_resume:${FLOWS.TASK_SUBMISSION}` },
+        { text: "✖️ Cancel", callback_data: `flow_cancel:${FLOWS.TASK_SUBMISSION}` }
+      ]]
+    }
+  });
+}
+
+/* ---------- Blacklist gate ---------- */
+const BLACKLIST_NOTICE_INTERVAL = 60 * 1000;
+const DEFAULT_BLACKLIST_NOTICE = "🚫 Your account has been restricted. Contact support if you believe this is a mistake.";
+const blacklistNoticeSentAt = {};
+
+/**
+ * Returns true when the user is blacklisted and the update must not be handled.
+ * Admins are never blocked. The notice is only sent in private chats and at most
+ * once per BLACKLIST_NOTICE_INTERVAL; callback queries are always answered.
+ */
+async function blockIfBlacklisted(userId, chatId, options = {}) {
+  if (isAdminId(userId)) return false;
+
+  let entry;
+  try {
+    entry = await db.isUserBlacklisted(userId);
+  } catch (error) {
+    console.error('Error checking blacklist:', error);
+    return false;
+  }
+  if (!entry) return false;
+
+  // Drop any in-progress flows so nothing is submitted after the restriction
+  await endFlow(userId);
+
+  const notice = (await db.getSetting('blacklistNotice')) || DEFAULT_BLACKLIST_NOTICE;
+
+  if (options.callbackQueryId) {
+    try {
+      await bot.answerCallbackQuery(options.callbackQueryId, { text: notice, show_alert: true });
+    } catch (e) {}
+    return true;
+  }
+
+  const isPrivate = !options.chatType || options.chatType === 'private';
+  const now = Date.now();
+  if (isPrivate && (!blacklistNoticeSentAt[userId] || now - blacklistNoticeSentAt[userId] >= BLACKLIST_NOTICE_INTERVAL)) {
+    blacklistNoticeSentAt[userId] = now;
+    try {
+      await bot.sendMessage(chatId, notice);
+    } catch (e) {}
+  }
+  return true;
+}
+
 async function sendEphemeralWarning(chatId, text, timeout = 2000) {
   try {
     const msg = await bot.sendMessage(chatId, text);
@@ -279,15 +493,244 @@ async function deleteMessageLater(chatId, message_id, timeout = 30000) {
   }, timeout);
 }
 
-// Broadcast helper (review/admin channel notification)
-async function broadcastAdminAction(msgText) {
+// Broadcast helper (review/admin channel notification); returns the sent message
+async function broadcastAdminAction(msgText, options = {}) {
   try {
-    await bot.sendMessage(TASK_REVIEW_CHANNEL, msgText);
+    return await bot.sendMessage(TASK_REVIEW_CHANNEL, msgText, options);
   } catch (e) {
     console.error('Error broadcasting admin action:', e && e.message);
+    return null;
   }
 }
 
+/* ---------- Update middleware ---------- */
+/*
+  Every command, callback and message goes through the router (see middleware.js).
+  Global chains:
+   - message:  reportErrors -> ignoreBots -> trackLatestMessage -> hydrateUser -> logUpdate -> spamGate -> blacklistGate
+   - command:  reportErrors -> ignoreBots
+   - callback: reportErrors -> hydrateUser -> logUpdate -> blacklistGate
+  Route chains add adminOnly / userGate / cleanupCommand / withArgs as needed. Commands do not
+  hydrate or log themselves because the same update also runs through the message chain.
+*/
+const router = createRouter(bot);
+
+function describeUpdate(ctx) {
+  if (ctx.kind === 'callback') return `callback ${ctx.data}`;
+  if (ctx.kind === 'command') return (ctx.text || '').split(/\s+/)[0];
+  return 'message';
+}
+
+// Report handler errors to the admin group and to the caller instead of leaving an unhandled rejection
+function reportErrors() {
+  return async (ctx, next) => {
+    try {
+      await next();
+    } catch (error) {
+      const label = describeUpdate(ctx);
+      const detail = error && (error.response?.body?.description || error.message || String(error));
+      console.error(`Error handling ${label}:`, error && (error.response?.body || error.message || error));
+
+      try {
+        if (ctx.kind === 'callback') {
+          await bot.answerCallbackQuery(ctx.query.id, { text: '❌ Something went wrong. Please try again.', show_alert: true });
+        } else if (ctx.kind === 'command') {
+          await bot.sendMessage(ctx.chatId, isAdminId(ctx.userId)
+            ? `❌ ${label} failed: ${detail}`
+            : '❌ Something went wrong. Please try again later.');
+        }
+      } catch (e) {}
+
+      try {
+        await bot.sendMessage(ADMIN_GROUP_ID, `⚠️ Handler error\n\nUpdate: ${label}\nUser: ${ctx.userId}\nChat: ${ctx.chatId}\nError: ${detail}`);
+      } catch (e) {}
+    }
+  };
+}
+
+function ignoreBots() {
+  return async (ctx, next) => {
+    if (!ctx.userId || ctx.isBot) return;
+    await next();
+  };
+}
+
+function trackLatestMessage() {
+  return async (ctx, next) => {
+    global.userLatestMessage[ctx.chatId] = global.userLatestMessage[ctx.chatId] || {};
+    global.userLatestMessage[ctx.chatId][ctx.userId] = ctx.msg.message_id;
+    await next();
+  };
+}
+
+// Make sure the user row exists before anything logs against it; ctx.user is the fresh row
+function hydrateUser({ trackActivity = false } = {}) {
+  return async (ctx, next) => {
+    try {
+      const countryCode = inferCountryFromLanguage(ctx.languageCode);
+      const activityContext = trackActivity ? { chatType: ctx.chatType, chatId: ctx.chatId } : {};
+      await db.ensureUser(ctx.userId, ctx.username, trackActivity, activityContext, countryCode, ctx.languageCode);
+      ctx.user = await db.getUser(ctx.userId);
+    } catch (error) {
+      console.error('Error ensuring user:', error);
+    }
+    await next();
+  };
+}
+
+function logUpdate() {
+  return async (ctx, next) => {
+    try {
+      if (ctx.kind === 'callback') {
+        await db.logActivity(ctx.userId, 'button_click', { data: ctx.data, chatId: ctx.chatId }, ctx.chatId, ctx.chatType);
+        if (ctx.user) {
+          await db.updateUser(ctx.userId, { button_click_count: (ctx.user.button_click_count || 0) + 1 });
+        }
+      } else {
+        const m = ctx.msg;
+        const text = ctx.text;
+        const activityType = text?.startsWith('/') ? 'command' :
+                            m.photo ? 'photo' :
+                            m.video ? 'video' :
+                            m.document ? 'document' : 'message';
+
+        await db.logActivity(ctx.userId, activityType, {
+          chatId: ctx.chatId,
+          chatType: ctx.chatType,
+          text: text?.substring(0, 100),
+          hasMedia: !!(m.photo || m.video || m.document)
+        }, ctx.chatId, ctx.chatType);
+
+        if (text?.startsWith('/') && ctx.user) {
+          await db.updateUser(ctx.userId, { command_count: (ctx.user.command_count || 0) + 1 });
+        }
+      }
+    } catch (error) {
+      console.error('Activity tracking error:', error);
+    }
+    await next();
+  };
+}
+
+// Warn users who flood the bot and silently drop throttled ones
+function spamGate() {
+  return async (ctx, next) => {
+    try {
+      const spamCheck = await db.checkSpamBehavior(ctx.userId);
+      if (spamCheck.isSpamming) {
+        await bot.sendMessage(ctx.chatId, '⚠️ Slow down! You are sending messages too quickly. Please wait a moment.');
+        return;
+      }
+      if (await db.isUserThrottled(ctx.userId)) return;
+    } catch (error) {
+      console.error('Spam check error:', error);
+    }
+    await next();
+  };
+}
+
+function blacklistGate() {
+  return async (ctx, next) => {
+    const options = ctx.kind === 'callback' ? { callbackQueryId: ctx.query.id } : { chatType: ctx.chatType };
+    if (await blockIfBlacklisted(ctx.userId, ctx.chatId, options)) return;
+    await next();
+  };
+}
+
+// Gate for user-facing commands: blacklisted or throttled users are stopped, admins pass
+function userGate() {
+  return async (ctx, next) => {
+    if (await blockIfBlacklisted(ctx.userId, ctx.chatId, { chatType: ctx.chatType })) return;
+    if (!isAdminId(ctx.userId) && await db.isUserThrottled(ctx.userId)) return;
+    await next();
+  };
+}
+
+// Admin routes: warn briefly in private chats, stay quiet in groups, alert on buttons
+function requirePermission(permission) {
+  return async (ctx, next) => {
+    if (hasPermission(ctx.userId, permission)) {
+      await next();
+      return;
+    }
+    const role = getAdminRole(ctx.userId);
+    const text = role ? `⛔ Your role (${role}) cannot do this.` : "⛔ Admin only!";
+    if (ctx.kind === 'callback') {
+      await bot.answerCallbackQuery(ctx.query.id, { text });
+    } else if (role || ctx.chatType === 'private') {
+      await sendEphemeralWarning(ctx.chatId, text);
+    }
+  };
+}
+
+// Delete the command message after the handler finishes, whichever way it returned
+function cleanupCommand(timeout = 30000) {
+  return async (ctx, next) => {
+    try {
+      await next();
+    } finally {
+      deleteMessageLater(ctx.chatId, ctx.msg.message_id, timeout);
+    }
+  };
+}
+
+/*
+  withArgs('target:user', 'amount:number', 'reason:text?') maps regex groups 1..n onto ctx.args.
+  Types: user (resolved via resolveUserInput; the raw text is kept as <name>Input), number, int, text.
+  A trailing ? makes the argument optional (null when missing). Bad input is answered and stops the chain.
+  An options object may follow the specs: onUserNotFound(ctx, input) runs after the "User not found" reply.
+*/
+function withArgs(...specs) {
+  const options = typeof specs[specs.length - 1] === 'object' ? specs.pop() : {};
+  const parsed = specs.map((spec) => {
+    const [name, rawType] = spec.split(':');
+    const optional = rawType.endsWith('?');
+    return { name, type: optional ? rawType.slice(0, -1) : rawType, optional };
+  });
+
+  return async (ctx, next) => {
+    const match = ctx.match || [];
+    for (let i = 0; i < parsed.length; i++) {
+      const { name, type, optional } = parsed[i];
+      const raw = match[i + 1] !== undefined ? String(match[i + 1]).trim() : '';
+
+      if (!raw) {
+        if (optional) {
+          ctx.args[name] = null;
+          continue;
+        }
+        await sendAndAutoDelete(ctx.chatId, `❌ Missing ${name}.`, 30000);
+        return;
+      }
+
+      if (type === 'user') {
+        const targetId = await resolveUserInput(raw);
+        if (!targetId) {
+          await sendAndAutoDelete(ctx.chatId, "❌ User not found.", 30000);
+          if (options.onUserNotFound) await options.onUserNotFound(ctx, raw);
+          return;
+        }
+        ctx.args[name] = targetId;
+        ctx.args[`${name}Input`] = raw;
+      } else if (type === 'number' || type === 'int') {
+        const value = type === 'int' ? parseInt(raw, 10) : parseFloat(raw);
+        if (!Number.isFinite(value)) {
+          await sendAndAutoDelete(ctx.chatId, `❌ Invalid ${name}: ${raw}`, 30000);
+          return;
+        }
+        ctx.args[name] = value;
+      } else {
+        ctx.args[name] = raw;
+      }
+    }
+    await next();
+  };
+}
+
+router.use('message', reportErrors(), ignoreBots(), trackLatestMessage(), hydrateUser({ trackActivity: true }), logUpdate(), spamGate(), blacklistGate());
+router.use('command', reportErrors(), ignoreBots());
+router.use('callback', reportErrors(), hydrateUser(), logUpdate(), blacklistGate());
+
 function isHttpUrl(str) {
   try {
     const url = new URL(str);
@@ -413,15 +856,10 @@ function patchSend(method) {
    - /introvideo <url-or-fileid> -> quick set (no upload mode)
    - /cancelintro               -> cancel interactive mode
 */
-bot.onText(/\/introvideo(?:\s+(.+))?/, async (msg, match) => {
+router.command(/\/introvideo(?:\s+(.+))?/, requirePermission('settings.manage'), async (msg, match) => {
   const userId = msg.from.id;
   const chatId = msg.chat.id;
 
-  if (!isAdminId(userId)) {
-    await sendEphemeralWarning(chatId, "⛔ Admin only!");
-    return;
-  }
-
   const param = match && match[1] ? match[1].trim() : null;
   if (param) {
     // Quick-set mode: admin provided a URL or file_id inline
@@ -447,89 +885,28 @@ bot.onText(/\/introvideo(?:\s+(.+))?/, async (msg, match) => {
   }
 
   // Interactive mode
-  awaitingIntroUpload[userId] = true;
+  await startFlow(userId, FLOWS.INTRO_UPLOAD);
   await bot.sendMessage(chatId, '📹 Please send the intro video, animation (GIF), document, file_id, or media/web URL. Send /cancelintro to abort.');
 });
 
-bot.onText(/\/cancelintro/, async (msg) => {
+router.command(/\/cancelintro/, requirePermission('settings.manage'), async (msg) => {
   const userId = msg.from.id;
   const chatId = msg.chat.id;
 
-  if (!isAdminId(userId)) {
-    await sendEphemeralWarning(chatId, "⛔ Admin only!");
-    return;
-  }
-
-  if (awaitingIntroUpload[userId]) {
-    delete awaitingIntroUpload[userId];
+  const cleared = await endFlow(userId, FLOWS.INTRO_UPLOAD);
+  if (cleared.length > 0) {
     await bot.sendMessage(chatId, '❌ Intro upload cancelled.');
   } else {
     await bot.sendMessage(chatId, 'No intro upload in progress.');
   }
 });
 
-/* ---------- Activity Tracking Middleware ---------- */
-bot.on('message', async (m) => {
-  if (!m.from || m.from.is_bot) return;
-  const uid = m.from.id;
-  const chatId = m.chat.id;
+/* ---------- Message handler (menu buttons, wallet and task flows) ---------- */
+router.message(async (m, match, ctx) => {
+  const uid = ctx.userId;
+  const chatId = ctx.chatId;
   const text = m.text;
-  const username = m.from.username || '';
-  const languageCode = m.from.language_code || null;
-  
-  // Track all activity in admin group and bot
   const isAdminGroup = chatId === ADMIN_GROUP_ID;
-  const chatType = m.chat.type || 'private';
-  
-  // IMPORTANT: Ensure user exists FIRST before logging activity
-  try {
-    // Infer country from language code
-    const countryCode = inferCountryFromLanguage(languageCode);
-    await db.ensureUser(uid, username, true, { chatType, chatId }, countryCode, languageCode);
-  } catch (error) {
-    console.error('Error ensuring user:', error);
-  }
-  
-  // Log activity AFTER user is created
-  try {
-    const activityType = text?.startsWith('/') ? 'command' : 
-                        m.photo ? 'photo' : 
-                        m.video ? 'video' : 
-                        m.document ? 'document' : 'message';
-    
-    await db.logActivity(uid, activityType, {
-      chatId,
-      chatType,
-      text: text?.substring(0, 100),
-      hasMedia: !!(m.photo || m.video || m.document)
-    }, chatId, chatType);
-    
-    // Update command count if it's a command
-    if (text?.startsWith('/')) {
-      const user = await db.getUser(uid);
-      if (user) {
-        await db.updateUser(uid, {
-          command_count: (user.command_count || 0) + 1
-        });
-      }
-    }
-    
-    // Check for spam
-    const spamCheck = await db.checkSpamBehavior(uid);
-    if (spamCheck.isSpamming) {
-      await bot.sendMessage(chatId, '⚠️ Slow down! You are sending messages too quickly. Please wait a moment.');
-      return;
-    }
-    
-    // Check if throttled
-    const isThrottled = await db.isUserThrottled(uid);
-    if (isThrottled) {
-      return; // Silently ignore throttled users
-    }
-    
-  } catch (error) {
-    console.error('Activity tracking error:', error);
-  }
 
   // Debug logging for incoming update
   console.log(`Incoming message from ${uid} in chat ${chatId} - text: ${text ? text.substring(0,80) : '<no text>'}`);
@@ -542,28 +919,32 @@ bot.on('message', async (m) => {
     if (m.photo) console.log('Received photo file_ids:', m.photo.map(p => p.file_id).join(','));
   } catch (e) {}
 
+  // Commands (/cancel, /cancelintro, ...) are handled by their own routes, never captured as flow input
+  const isCommand = !!text && text.startsWith('/');
+  const flows = isCommand ? {} : await db.getConversationStates(uid);
+
   // If admin is in intro upload flow, handle saving intro (higher priority)
-  if (awaitingIntroUpload[uid]) {
+  if (flows[FLOWS.INTRO_UPLOAD]) {
     try {
       if (m.video) {
         await db.setSetting('introVideo', m.video.file_id);
         await db.setSetting('introVideoType', 'video');
         await bot.sendMessage(chatId, '✅ Intro video saved (video.file_id).');
-        delete awaitingIntroUpload[uid];
+        await endFlow(uid, FLOWS.INTRO_UPLOAD);
         return;
       }
       if (m.animation) {
         await db.setSetting('introVideo', m.animation.file_id);
         await db.setSetting('introVideoType', 'animation');
         await bot.sendMessage(chatId, '✅ Intro animation saved (animation.file_id).');
-        delete awaitingIntroUpload[uid];
+        await endFlow(uid, FLOWS.INTRO_UPLOAD);
         return;
       }
       if (m.document) {
         await db.setSetting('introVideo', m.document.file_id);
         await db.setSetting('introVideoType', 'document');
         await bot.sendMessage(chatId, '✅ Intro saved as document (document.file_id).');
-        delete awaitingIntroUpload[uid];
+        await endFlow(uid, FLOWS.INTRO_UPLOAD);
         return;
       }
       if (m.photo) {
@@ -572,7 +953,7 @@ bot.on('message', async (m) => {
         await db.setSetting('introVideo', photo.file_id);
         await db.setSetting('introVideoType', 'photo');
         await bot.sendMessage(chatId, '✅ Intro saved as photo.');
-        delete awaitingIntroUpload[uid];
+        await endFlow(uid, FLOWS.INTRO_UPLOAD);
         return;
       }
       if (m.text && m.text.trim()) {
@@ -588,7 +969,7 @@ bot.on('message', async (m) => {
           await db.setSetting('introVideoType', 'file_id');
           await bot.sendMessage(chatId, '✅ Intro saved as file_id/text.');
         }
-        delete awaitingIntroUpload[uid];
+        await endFlow(uid, FLOWS.INTRO_UPLOAD);
         return;
       }
 
@@ -596,11 +977,17 @@ bot.on('message', async (m) => {
     } catch (err) {
       console.error('Error saving intro media:', err && (err.response?.body || err.message || err));
       await bot.sendMessage(chatId, '❌ Failed to save intro. Check server logs for details.');
-      delete awaitingIntroUpload[uid];
+      await endFlow(uid, FLOWS.INTRO_UPLOAD);
     }
     return; // important: if we were in intro flow, we handled the message
   }
 
+  // An admin building a task: the wizard takes their messages in the chat it was started in
+  if (flows[FLOWS.TASK_BUILDER] && flows[FLOWS.TASK_BUILDER].chatId === chatId) {
+    await handleTaskBuilderInput(m, uid, chatId, flows[FLOWS.TASK_BUILDER]);
+    return;
+  }
+
   // Disable menu buttons in admin group - only commands work
   if (isAdminGroup && text && !text.startsWith('/')) {
     // Check if it's a menu button
@@ -635,7 +1022,7 @@ bot.on('message', async (m) => {
   }
 
   if (text === "🎯 Task") {
-    await handleTask(chatId, uid);
+    await handleTask(chatId, uid, flows[FLOWS.TASK_SUBMISSION]);
     return;
   }
   if (text === "🎁 Bonus") {
@@ -684,20 +1071,45 @@ bot.on('message', async (m) => {
     return;
   }
 
-  if (awaitingWallet[uid]) {
-    const addr = text.trim();
-    await db.updateUser(uid, { wallet: addr });
-    delete awaitingWallet[uid];
-    await bot.sendMessage(chatId, `✅ Wallet saved: ${addr}`);
+  if (flows[FLOWS.REVIEW_NOTE] && text) {
+    await handleReviewNote(chatId, uid, text);
+    return;
+  }
+
+  if (flows[FLOWS.SET_WALLET] && text) {
+    const check = validateSolanaAddress(text);
+    if (!check.valid) {
+      await bot.sendMessage(chatId, `❌ ${check.reason}\n\nPlease send a valid Solana wallet address, or /cancel to stop.`);
+      return;
+    }
+
+    // Hold the address in the flow until the user confirms it
+    await updateFlow(uid, FLOWS.SET_WALLET, (data) => ({ ...data, address: check.address }));
+    await bot.sendMessage(chatId, `🔎 Please confirm your Solana wallet:\n\n<code>${check.address}</code>\n\nShort: <b>${shortenAddress(check.address)}</b>\n\nPayouts will be sent to this address.`, {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [[
+          { text: "✅ Confirm", callback_data: "wallet_confirm" },
+          { text: "✏️ Re-enter", callback_data: "wallet_retry" }
+        ]]
+      }
+    });
     return;
   }
 
-  if (pendingTasks[uid]) {
+  if (flows[FLOWS.TASK_SUBMISSION]) {
     if (m.photo) {
       const photo = m.photo[m.photo.length - 1];
-      pendingTasks[uid].files.push(photo.file_id);
-      const imageCount = pendingTasks[uid].files.length;
-      await bot.sendMessage(chatId, `✅ Image ${imageCount} received. Send more images or press Done when finished.`, {
+      // Row-locked append so images from an album arriving together are all kept
+      const pending = await updateFlow(uid, FLOWS.TASK_SUBMISSION, (data) => {
+        data.files = [...(data.files || []), photo.file_id];
+        data.fileUniqueIds = [...(data.fileUniqueIds || []), photo.file_unique_id];
+        return data;
+      });
+      if (!pending) return;
+      const imageCount = pending.files.length;
+      const progress = pending.minScreenshots > 1 ? ` (${Math.min(imageCount, pending.minScreenshots)}/${pending.minScreenshots} required)` : '';
+      await bot.sendMessage(chatId, `✅ Image ${imageCount} received${progress}. Send more images or press Done when finished.`, {
         reply_markup: {
           inline_keyboard: [[{ text: "Done", callback_data: "finish_task_submit" }]]
         }
@@ -705,30 +1117,31 @@ bot.on('message', async (m) => {
       return;
     }
     if (text && text !== "Done") {
-      pendingTasks[uid].text += "\n" + text;
-      await bot.sendMessage(chatId, "✅ Description saved. Send more or press Done.");
+      const pending = await updateFlow(uid, FLOWS.TASK_SUBMISSION, (data) => {
+        data.text = (data.text || "") + "\n" + text;
+        return data;
+      });
+      if (!pending) return;
+      await bot.sendMessage(chatId, pending.proofTextLabel
+        ? `✅ Saved. Make sure your ${pending.proofTextLabel} is included, then press Done.`
+        : "✅ Description saved. Send more or press Done.");
       return;
     }
   }
 });
 
 /* ---------- /start handler (only one) ---------- */
-bot.onText(/\/start(?:\s+(.+))?/, async (msg, match) => {
+router.command(/\/start(?:\s+(.+))?/, hydrateUser(), userGate(), async (msg, match, ctx) => {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
-  const username = msg.from.username || "";
-  const languageCode = msg.from.language_code || null;
   const startParam = match[1];
 
   console.log(`/start triggered by ${userId}. param: ${startParam || '<none>'}`);
 
   try {
-    const countryCode = inferCountryFromLanguage(languageCode);
-    await db.ensureUser(userId, username, false, {}, countryCode, languageCode);
-
     if (startParam && startParam !== String(userId)) {
-      const user = await db.getUser(userId);
-      if (!user.referred_by) {
+      const user = ctx.user;
+      if (user && !user.referred_by) {
         await db.updateUser(userId, { referred_by: startParam });
       }
     }
@@ -821,6 +1234,11 @@ Together we build a <b>fairer, safer Web3 🔐✨</b>
         console.error('Final fallback sendMessage failed:', err && (err.response?.body || err.message || err));
       }
     }
+
+    const pendingSubmission = await db.getConversationState(userId, FLOWS.TASK_SUBMISSION);
+    if (pendingSubmission) {
+      await sendResumePrompt(chatId, pendingSubmission);
+    }
   } catch (e) {
     console.error('Unhandled error in /start handler:', e && (e.response?.body || e.message || e));
     try {
@@ -830,154 +1248,337 @@ Together we build a <b>fairer, safer Web3 🔐✨</b>
 });
 
 /* ---------- callback_query handlers ---------- */
-bot.on('callback_query', async (query) => {
-  const chatId = query.message.chat.id;
-  const userId = query.from.id;
-  const data = query.data;
-  const username = query.from.username || '';
-  const languageCode = query.from.language_code || null;
-  
-  // Ensure user exists first
-  try {
-    const countryCode = inferCountryFromLanguage(languageCode);
-    await db.ensureUser(userId, username, false, {}, countryCode, languageCode);
-  } catch (error) {
-    console.error('Error ensuring user in callback:', error);
+router.callback("verify_now", async (query, match, ctx) => {
+  const chatId = ctx.chatId;
+  const userId = ctx.userId;
+  const missing = [];
+  for (const ch of CHANNELS_TO_VERIFY) {
+    if (!(await checkChatMembership(ch, userId))) missing.push(ch);
   }
-  
-  // Track button clicks
-  try {
-    await db.logActivity(userId, 'button_click', { data, chatId }, chatId, query.message.chat.type);
-    const user = await db.getUser(userId);
-    if (user) {
-      await db.updateUser(userId, {
-        button_click_count: (user.button_click_count || 0) + 1
-      });
-    }
-  } catch (error) {
-    console.error('Error tracking button click:', error);
+
+  if (missing.length > 0) {
+    await bot.answerCallbackQuery(query.id, {
+      text: "Please join all required Telegram channels and try again.",
+      show_alert: true
+    });
+    return;
   }
 
-  if (data === "verify_now") {
-    const missing = [];
-    for (const ch of CHANNELS_TO_VERIFY) {
-      try {
-        const member = await bot.getChatMember(ch, userId);
-        if (!['member', 'administrator', 'creator'].includes(member.status)) {
-          missing.push(ch);
-        }
-      } catch (e) {
-        missing.push(ch);
-      }
-    }
+  // Verification and referral payout run under a row lock, so a double tap pays once
+  const verification = await db.verifyUserAndReward(userId);
+  if (verification.referralWithheld) {
+    await db.logActivity(userId, 'referral_reward_withheld', { reason: 'blacklisted' }, chatId, ctx.chatType);
+  }
+  if (verification.referrerId) {
+    try {
+      await bot.sendMessage(verification.referrerId, `🎉 You earned ${verification.referralReward} ${CURRENCY_SYMBOL} for referring a verified user!`);
+    } catch (e) {}
+  }
 
-    if (missing.length > 0) {
-      await bot.answerCallbackQuery(query.id, {
-        text: "Please join all required Telegram channels and try again.",
-        show_alert: true
-      });
-      return;
-    }
+  await bot.answerCallbackQuery(query.id, { text: "Verification successful!" });
+  await showMenu(chatId);
+});
 
-    const user = await db.getUser(userId);
-    if (!user.verified) {
-      await db.updateUser(userId, { verified: true });
-      if (user.referred_by) {
-        const referralReward = parseFloat(await db.getSetting('referralReward')) || 20;
-        const referrer = await db.getUser(user.referred_by);
-        await db.updateUser(user.referred_by, { balance: parseFloat(referrer.balance) + referralReward });
-        await db.addReferral(user.referred_by, userId);
-        try {
-          await bot.sendMessage(user.referred_by, `🎉 You earned ${referralReward} ${CURRENCY_SYMBOL} for referring a verified user!`);
-        } catch (e) {}
-      }
-    }
+router.callback(/^select_task:(\d+)$/, async (query, match, ctx) => {
+  const chatId = ctx.chatId;
+  const userId = ctx.userId;
+  const taskId = Number(match[1]);
+  const task = await db.getTaskById(taskId);
 
-    await bot.answerCallbackQuery(query.id, { text: "Verification successful!" });
-    await showMenu(chatId);
+  if (!task) {
+    await bot.answerCallbackQuery(query.id, { text: "Task not found!" });
     return;
   }
 
-  if (data.startsWith("select_task:")) {
-    const taskId = Number(data.split(":")[1]);
-    const task = await db.getTaskById(taskId);
-
-    if (!task) {
-      await bot.answerCallbackQuery(query.id, { text: "Task not found!" });
-      return;
-    }
-
-    pendingTasks[userId] = {
-      files: [],
-      text: "",
-      userId: userId,
-      taskId: taskId,
-      taskTitle: task.title,
-      taskReward: parseFloat(task.reward)
-    };
+  const progress = await db.getUserTaskProgress(userId);
+  const block = checkTaskAvailability(task, progress[taskId]);
+  if (task.status !== 'active' || block) {
+    await bot.answerCallbackQuery(query.id, { text: describeTaskUnavailable(block), show_alert: true });
+    return;
+  }
 
-    await bot.sendMessage(chatId, `📤 Submitting proof for: ${task.title}\n\nReward: ${task.reward} ${CURRENCY_SYMBOL}\n\n📸 Please send at least one screenshot or image as proof.\n\nYou can also add a description. Press Done when finished.`, {
-      reply_markup: {
-        inline_keyboard: [[{ text: "Done", callback_data: "finish_task_submit" }]]
-      }
-    });
+  if (isJoinTask(task)) {
     await bot.answerCallbackQuery(query.id);
+    const outcome = await verifyJoinTask(chatId, userId, task);
+    if (outcome === 'not_member') await sendJoinTaskPrompt(chatId, task);
     return;
   }
 
-  if (data === "finish_task_submit") {
-    const pending = pendingTasks[userId];
-
-    if (!pending || !pending.files || pending.files.length === 0) {
-      await bot.answerCallbackQuery(query.id, {
-        text: "❌ Please send at least one image/screenshot before submitting!",
-        show_alert: true
-      });
-      return;
-    }
+  await startFlow(userId, FLOWS.TASK_SUBMISSION, {
+    files: [],
+    text: "",
+    userId: userId,
+    taskId: taskId,
+    taskTitle: task.title,
+    taskReward: parseFloat(task.reward),
+    minScreenshots: task.min_screenshots,
+    proofTextLabel: task.proof_text_label
+  });
 
+  if (!requiresProof(task)) {
     await finishTaskSubmit(userId, chatId);
-    await bot.answerCallbackQuery(query.id, { text: "Submission sent for review." });
+    await bot.answerCallbackQuery(query.id);
     return;
   }
 
-  if (data.startsWith("task_confirm:")) {
-    const parts = data.split(":");
-    const targetId = parts[1];
-    const submissionId = parts[2];
-    const messageType = query.message.photo ? 'photo' : 'text';
-    await handleAdminTaskConfirm(userId, targetId, submissionId, query.message.chat.id, query.message.message_id, messageType);
-    await bot.answerCallbackQuery(query.id, { text: "Task approved." });
-    return;
+  const requirements = describeProofRequirements(task).join('\n');
+  const prompt = `📤 Submitting proof for: ${task.title}\n\nReward: ${task.reward} ${CURRENCY_SYMBOL}\n\nThis task needs:\n${requirements}\n\nYou can also add a description. Press Done when finished.`;
+  const doneKeyboard = { inline_keyboard: [[{ text: "Done", callback_data: "finish_task_submit" }]] };
+  if (task.banner_file_id) {
+    try {
+      await bot.sendPhoto(chatId, task.banner_file_id, { caption: prompt, reply_markup: doneKeyboard });
+      await bot.answerCallbackQuery(query.id);
+      return;
+    } catch (e) {
+      console.error('Error sending task banner:', e.message);
+    }
   }
+  await bot.sendMessage(chatId, prompt, { reply_markup: doneKeyboard });
+  await bot.answerCallbackQuery(query.id);
+});
 
-  if (data.startsWith("task_reject:")) {
-    const parts = data.split(":");
-    const targetId = parts[1];
-    const submissionId = parts[2];
-    const messageType = query.message.photo ? 'photo' : 'text';
-    await handleAdminTaskReject(userId, targetId, submissionId, query.message.chat.id, query.message.message_id, messageType);
-    await bot.answerCallbackQuery(query.id, { text: "Task rejected." });
-    return;
-  }
+// Reopen the upload flow of a submission a reviewer sent back, with its earlier proof
+router.callback(/^resubmit:(\d+)$/, async (query, match, ctx) => {
+  const chatId = ctx.chatId;
+  const userId = ctx.userId;
+  const submission = await db.getSubmissionById(Number(match[1]));
 
-  if (data.startsWith("withdraw_confirm:")) {
-    const parts = data.split(":");
-    const targetId = parts[1];
-    const amount = Number(parts[2]);
-    await handleAdminWithdrawConfirm(userId, targetId, amount, query.message.chat.id);
-    await bot.answerCallbackQuery(query.id, { text: "Withdrawal approved." });
+  if (!submission || String(submission.user_id) !== String(userId) || submission.status !== 'needs_info') {
+    await bot.answerCallbackQuery(query.id, { text: "ℹ️ This request is no longer open.", show_alert: true });
     return;
   }
 
-  if (data.startsWith("withdraw_reject:")) {
-    const parts = data.split(":");
-    const targetId = parts[1];
-    await handleAdminWithdrawReject(userId, targetId, query.message.chat.id);
-    await bot.answerCallbackQuery(query.id, { text: "Withdrawal rejected." });
+  const task = await db.getTaskById(submission.task_id);
+  const progress = await db.getUserTaskProgress(userId);
+  const block = task ? checkTaskAvailability(task, progress[task.id]) : null;
+  if (!task || task.status !== 'active' || block) {
+    await bot.answerCallbackQuery(query.id, { text: describeTaskUnavailable(block), show_alert: true });
     return;
   }
-});
+
+  const files = submission.files || [];
+  await startFlow(userId, FLOWS.TASK_SUBMISSION, {
+    files,
+    fileUniqueIds: (submission.file_hashes || []).map(fingerprint => fingerprint && fingerprint.file_unique_id),
+    text: submission.description || "",
+    userId: userId,
+    taskId: task.id,
+    taskTitle: task.title,
+    taskReward: parseFloat(task.reward),
+    minScreenshots: task.min_screenshots,
+    proofTextLabel: task.proof_text_label,
+    resubmitOf: submission.id,
+    reviewNote: submission.review_note
+  });
+
+  const requirements = describeProofRequirements(task).join('\n');
+  await bot.sendMessage(chatId, `📤 Adding proof for: ${task.title}\n\nThe reviewer asked:\n${submission.review_note}\n\nThis task needs:\n${requirements}\n\nYour ${files.length} earlier image(s) and comment are kept. Send more, then press Done.`, {
+    reply_markup: { inline_keyboard: [[{ text: "Done", callback_data: "finish_task_submit" }]] }
+  });
+  await bot.answerCallbackQuery(query.id);
+});
+
+router.callback(/^join_check:(\d+)$/, async (query, match, ctx) => {
+  const task = await db.getTaskById(Number(match[1]));
+  const progress = await db.getUserTaskProgress(ctx.userId);
+  const block = task ? checkTaskAvailability(task, progress[task.id]) : null;
+  if (!task || task.status !== 'active' || !isJoinTask(task) || block) {
+    await bot.answerCallbackQuery(query.id, { text: describeTaskUnavailable(block), show_alert: true });
+    return;
+  }
+
+  const outcome = await verifyJoinTask(ctx.chatId, ctx.userId, task);
+  if (outcome === 'not_member') {
+    await bot.answerCallbackQuery(query.id, { text: `You are not in ${task.verify_chat} yet. Join it first, then press the button again.`, show_alert: true });
+    return;
+  }
+  await bot.answerCallbackQuery(query.id);
+});
+
+router.callback("finish_task_submit", async (query, match, ctx) => {
+  // Answer right away: checking the proof downloads every screenshot, which can outlast the callback
+  await bot.answerCallbackQuery(query.id, { text: "⏳ Checking your submission..." });
+  await finishTaskSubmit(ctx.userId, ctx.chatId);
+});
+
+router.callback(/^flow_resume:(\w+)$/, async (query, match, ctx) => {
+  const pending = await db.getConversationState(ctx.userId, match[1]);
+  if (!pending) {
+    await bot.answerCallbackQuery(query.id, { text: "ℹ️ That flow has expired or was already finished.", show_alert: true });
+    return;
+  }
+
+  const images = pending.files ? pending.files.length : 0;
+  await bot.sendMessage(ctx.chatId, `📤 Continuing your submission for: ${pending.taskTitle}\n\n📸 Images so far: ${images}\n\nSend more images or a description, then press Done.`, {
+    reply_markup: {
+      inline_keyboard: [[{ text: "Done", callback_data: "finish_task_submit" }]]
+    }
+  });
+  await bot.answerCallbackQuery(query.id);
+});
+
+router.callback(/^flow_cancel:(\w+)$/, async (query, match, ctx) => {
+  const cleared = await endFlow(ctx.userId, match[1]);
+  if (cleared.length === 0) {
+    await bot.answerCallbackQuery(query.id, { text: "ℹ️ Nothing to cancel." });
+    return;
+  }
+
+  try {
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: ctx.chatId, message_id: query.message.message_id });
+  } catch (e) {}
+  await bot.sendMessage(ctx.chatId, `✖️ Cancelled your ${describeFlow(cleared[0].flow, cleared[0].data)}. Use 🎯 Task to pick a task again.`);
+  await bot.answerCallbackQuery(query.id, { text: "Cancelled." });
+});
+
+router.callback("wallet_confirm", async (query, match, ctx) => {
+  const userId = ctx.userId;
+  const state = await db.getConversationState(userId, FLOWS.SET_WALLET);
+
+  if (!state || !state.address) {
+    await bot.answerCallbackQuery(query.id, { text: "ℹ️ This confirmation has expired. Use 💳 Set Wallet again.", show_alert: true });
+    return;
+  }
+
+  const result = await db.changeUserWallet(userId, state.address, { cooldownMs: await getWalletCooldownMs() });
+  await endFlow(userId, FLOWS.SET_WALLET);
+  try {
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: ctx.chatId, message_id: query.message.message_id });
+  } catch (e) {}
+
+  if (result.status === 'unchanged') {
+    await bot.sendMessage(ctx.chatId, `ℹ️ ${shortenAddress(state.address)} is already your wallet.`);
+  } else if (result.status === 'cooldown') {
+    await bot.sendMessage(ctx.chatId, `⏳ Your wallet was changed recently. You can change it again in ${formatDuration(result.nextChangeAt - Date.now())}.`);
+  } else if (result.status === 'ok') {
+    await db.logActivity(userId, 'wallet_changed', {
+      old_wallet: result.previousWallet,
+      new_wallet: state.address
+    }, ctx.chatId, ctx.chatType);
+    await bot.sendMessage(ctx.chatId, `✅ Wallet saved: ${shortenAddress(state.address)}`);
+  } else {
+    await bot.sendMessage(ctx.chatId, "❌ Could not save your wallet. Please /start the bot and try again.");
+  }
+  await bot.answerCallbackQuery(query.id);
+});
+
+router.callback("wallet_retry", async (query, match, ctx) => {
+  const state = await updateFlow(ctx.userId, FLOWS.SET_WALLET, (data) => ({ ...data, address: null }));
+  if (!state) {
+    await bot.answerCallbackQuery(query.id, { text: "ℹ️ This flow has expired. Use 💳 Set Wallet again.", show_alert: true });
+    return;
+  }
+
+  await bot.sendMessage(ctx.chatId, "🔐 Please send your Solana wallet address again. Send /cancel to stop.");
+  await bot.answerCallbackQuery(query.id);
+});
+
+router.callback(/^task_confirm:([^:]+):(\d+)$/, requirePermission('tasks.review'), async (query, match, ctx) => {
+  const [, targetId, submissionId] = match;
+  const messageType = query.message.photo ? 'photo' : 'text';
+  const outcome = await handleAdminTaskConfirm(ctx.userId, targetId, submissionId, ctx.chatId, query.message.message_id, messageType);
+  await bot.answerCallbackQuery(query.id, { text: outcome.text, show_alert: outcome.alert });
+});
+
+// Reject first asks for the reason the user will be given
+router.callback(/^task_reject:([^:]+):(\d+)$/, requirePermission('tasks.review'), async (query, match, ctx) => {
+  const [, targetId, submissionId] = match;
+  try {
+    await bot.editMessageReplyMarkup(rejectReasonKeyboard(`task_reason:${targetId}:${submissionId}`, `task_back:${targetId}:${submissionId}`), {
+      chat_id: ctx.chatId,
+      message_id: query.message.message_id
+    });
+  } catch (e) {}
+  await bot.answerCallbackQuery(query.id, { text: "Pick the reason for the user." });
+});
+
+router.callback(/^task_reason:([^:]+):(\d+):(\w+)$/, requirePermission('tasks.review'), async (query, match, ctx) => {
+  const [, targetId, submissionId, code] = match;
+  const reason = rejectReason(code);
+  if (!reason) {
+    await bot.answerCallbackQuery(query.id, { text: "❌ Unknown reason.", show_alert: true });
+    return;
+  }
+  const messageType = query.message.photo ? 'photo' : 'text';
+  const outcome = await handleAdminTaskReject(ctx.userId, targetId, submissionId, ctx.chatId, query.message.message_id, messageType, reason);
+  await bot.answerCallbackQuery(query.id, { text: outcome.text, show_alert: outcome.alert });
+});
+
+router.callback(/^task_back:([^:]+):(\d+)$/, requirePermission('tasks.review'), async (query, match, ctx) => {
+  const [, targetId, submissionId] = match;
+  try {
+    await bot.editMessageReplyMarkup(taskReviewKeyboard(targetId, submissionId), {
+      chat_id: ctx.chatId,
+      message_id: query.message.message_id
+    });
+  } catch (e) {}
+  await bot.answerCallbackQuery(query.id);
+});
+
+router.callback(/^pending_page:(\d+)$/, requirePermission('tasks.review'), async (query, match, ctx) => {
+  const page = Number(match[1]) || 0;
+  const view = await renderPendingSubmissionsPage(page);
+  try {
+    await bot.editMessageText(view.text, {
+      chat_id: ctx.chatId,
+      message_id: query.message.message_id,
+      reply_markup: view.reply_markup
+    });
+  } catch (e) {}
+  await bot.answerCallbackQuery(query.id);
+});
+
+router.callback(/^bulk_(approve|reject):(\d+)$/, requirePermission('tasks.review'), async (query, match, ctx) => {
+  const [, action, cutoff] = match;
+  const text = await handleBulkReview(ctx.userId, action, Number(cutoff), ctx.chatId, query.message.message_id);
+  await bot.answerCallbackQuery(query.id, { text });
+});
+
+router.callback("bulk_cancel", requirePermission('tasks.review'), async (query, match, ctx) => {
+  try {
+    await bot.editMessageText("✖️ Bulk action cancelled.", { chat_id: ctx.chatId, message_id: query.message.message_id });
+  } catch (e) {}
+  await bot.answerCallbackQuery(query.id);
+});
+
+router.callback(/^wd_(approve|reject):(\d+)$/, requirePermission('withdrawals.review'), async (query, match, ctx) => {
+  const [, action, withdrawalId] = match;
+  const handler = action === "approve" ? handleAdminWithdrawConfirm : handleAdminWithdrawReject;
+  const text = await handler(ctx.userId, Number(withdrawalId), ctx.chatId, query.message);
+  await bot.answerCallbackQuery(query.id, { text, show_alert: text.startsWith("ℹ️") || text.startsWith("❌") });
+});
+
+router.callback(/^wd_release:(\d+)$/, requirePermission('withdrawals.review'), async (query, match, ctx) => {
+  const text = await handleAdminWithdrawRelease(ctx.userId, Number(match[1]), ctx.chatId, query.message);
+  await bot.answerCallbackQuery(query.id, { text, show_alert: text.startsWith("ℹ️") || text.startsWith("❌") });
+});
+
+router.callback(/^wd_paid:(\d+)$/, requirePermission('withdrawals.pay'), async (query, match, ctx) => {
+  const withdrawalId = match[1];
+  const text = await handleAdminWithdrawPaid(ctx.userId, Number(withdrawalId), ctx.chatId, query.message);
+  await bot.answerCallbackQuery(query.id, { text, show_alert: text.startsWith("ℹ️") || text.startsWith("❌") });
+});
+
+// Each proposal action checks its own permission (balance.adjust or withdrawals.review)
+router.callback(/^proposal_(approve|reject):(\d+)$/, async (query, match, ctx) => {
+  const [, action, proposalId] = match;
+  const handler = action === "approve" ? handleProposalApprove : handleProposalReject;
+  const text = await handler(ctx.userId, Number(proposalId), ctx.chatId, query.message);
+  await bot.answerCallbackQuery(query.id, { text, show_alert: !text.startsWith("Proposal") });
+});
+
+// Review messages posted before withdrawals were keyed by id carry the user id instead
+router.callback(/^withdraw_(confirm|reject):(\d+)$/, requirePermission('withdrawals.review'), async (query, match, ctx) => {
+  const [, action, targetId] = match;
+  const withdrawal = await db.getLatestPendingWithdrawal(targetId);
+  if (!withdrawal) {
+    await bot.answerCallbackQuery(query.id, { text: "❌ No pending withdrawal found.", show_alert: true });
+    return;
+  }
+  const handler = action === "confirm" ? handleAdminWithdrawConfirm : handleAdminWithdrawReject;
+  const text = await handler(ctx.userId, withdrawal.id, ctx.chatId, query.message);
+  await bot.answerCallbackQuery(query.id, { text });
+});
 
 /* ---------- Remaining command handlers (admin & user commands) ----------
    These functions are the same as your working implementations and are included verbatim.
@@ -986,10 +1587,10 @@ bot.on('callback_query', async (query) => {
 
 /* showMenu, handleTask, handleBonus, handleSetWallet, handleReferral, handleBalance,
    handleWithdrawalMenu, handleStats, finishTaskSubmit, handleAdminTaskConfirm,
-   handleAdminTaskReject, handleAdminWithdrawConfirm, handleAdminWithdrawReject,
-   /requestwithdraw, /addtask, /deletetask, /listtasks, /setconfig, /getconfig,
+   handleAdminTaskReject, handleAdminTaskInfoRequest, handleAdminWithdrawConfirm, handleAdminWithdrawReject,
+   /requestwithdraw, /addtask, /newtask, /edittask, /pausetask, /resumetask, /archivetask, /deletetask, /listtasks, /setconfig, /getconfig,
    /broadcast, /userinfo, /addbalance, /removebalance, /approveall, /rejectall,
-   /pendingsubmissions, /openwithdrawal, /closewithdrawal, /stats, /referral,
+   /pendingsubmissions, /review, /reviewstats, /approveamount, /openwithdrawal, /closewithdrawal, /stats, /referral,
    /leaderboard, /aboutus, /support, /bonus, /referralreward
 */
 
@@ -1015,21 +1616,42 @@ async function showMenu(chatId) {
   await bot.sendMessage(chatId, "🏠 Main Menu — Choose an option:", { reply_markup: keyboard });
 }
 
-async function handleTask(chatId, userId) {
-  const completedTaskIds = await db.getUserCompletedTasks(userId);
+async function handleTask(chatId, userId, pendingSubmission = null) {
+  if (pendingSubmission) {
+    await sendResumePrompt(chatId, pendingSubmission);
+    return;
+  }
+
+  const progress = await db.getUserTaskProgress(userId);
   const allTasks = await db.getTasks('active');
-  
-  const availableTasks = allTasks.filter(task => !completedTaskIds.includes(task.id));
-  
+
+  const availableTasks = [];
+  const upcomingTasks = [];
+  allTasks.forEach(task => {
+    const block = checkTaskAvailability(task, progress[task.id]);
+    if (!block) availableTasks.push(task);
+    else if (block.retryAt) upcomingTasks.push({ task, block });
+  });
+
+  const now = Date.now();
+  let upcomingText = '';
+  if (upcomingTasks.length > 0) {
+    upcomingText = "⏳ Available later:\n";
+    upcomingTasks.forEach(({ task, block }) => {
+      upcomingText += `• ${escapeHtml(task.title)} — in ${formatDuration(block.retryAt - now)}\n`;
+    });
+  }
+
   if (availableTasks.length === 0) {
-    await bot.sendMessage(chatId, "🎯 No tasks available at the moment. You've completed all tasks or check back later!");
+    await bot.sendMessage(chatId, `🎯 No tasks available at the moment. You've completed all tasks or check back later!${upcomingText ? `\n\n${upcomingText}` : ''}`, { parse_mode: 'HTML' });
     return;
   }
   
   let text = "🎯 Available Tasks:\n\n";
   availableTasks.forEach((task, index) => {
-    text += `${index + 1}. ${task.title}\n   ${task.description}\n   Reward: ${task.reward} ${CURRENCY_SYMBOL}\n\n`;
+    text += `${formatTaskListEntry(task, index, now)}\n`;
   });
+  if (upcomingText) text += `${upcomingText}\n`;
   text += "Select a task to complete:";
   
   const inlineButtons = availableTasks.map(task => ([{
@@ -1038,38 +1660,55 @@ async function handleTask(chatId, userId) {
   }]));
   
   const inlineKeyboard = { inline_keyboard: inlineButtons };
-  await bot.sendMessage(chatId, text, { reply_markup: inlineKeyboard });
+  await bot.sendMessage(chatId, text, { parse_mode: 'HTML', reply_markup: inlineKeyboard });
+}
+
+// One task as listed in 🎯 Task (HTML); also used by the task builder preview
+function formatTaskListEntry(task, index, now = Date.now()) {
+  let text = `${index + 1}. <b>${escapeHtml(task.title)}</b>\n   ${renderTaskDescription(task)}\n   Reward: ${task.reward} ${CURRENCY_SYMBOL}\n`;
+  text += `   Proof: ${escapeHtml(describeProofRequirements(task).join(', '))}\n`;
+  if (task.total_slots) text += `   Slots left: ${Math.max(0, task.total_slots - (task.completion_count || 0))}/${task.total_slots}\n`;
+  if (task.ends_at) text += `   Ends in: ${formatDuration(Number(task.ends_at) - now)}\n`;
+  return text;
 }
 
 async function handleBonus(chatId, userId) {
-  const user = await db.getUser(userId);
-  const now = Date.now();
-  const lastClaim = user.last_bonus_claim || 0;
-  const timeSinceLastClaim = now - lastClaim;
   const twentyFourHours = 24 * 60 * 60 * 1000;
+  const bonus = parseFloat(await db.getSetting('bonusAmount')) || 3;
+  const claim = await db.claimDailyBonus(userId, bonus, twentyFourHours);
   
-  if (timeSinceLastClaim < twentyFourHours) {
-    const timeLeft = twentyFourHours - timeSinceLastClaim;
+  if (!claim.claimed) {
+    const timeLeft = Math.max(0, claim.nextClaimAt - Date.now());
     const hoursLeft = Math.floor(timeLeft / (60 * 60 * 1000));
     const minutesLeft = Math.floor((timeLeft % (60 * 60 * 1000)) / (60 * 1000));
     await bot.sendMessage(chatId, `⏰ Bonus available in ${hoursLeft}h ${minutesLeft}m`);
     return;
   }
   
-  const bonus = parseFloat(await db.getSetting('bonusAmount')) || 3;
-  const newBalance = parseFloat(user.balance) + bonus;
-  
-  await db.updateUser(userId, { 
-    balance: newBalance,
-    last_bonus_claim: now
-  });
-  
+  const newBalance = claim.newBalance;
   await bot.sendMessage(chatId, `🎁 Bonus added: ${bonus} ${CURRENCY_SYMBOL}\nCurrent balance: ${newBalance} ${CURRENCY_SYMBOL}\n\nNext bonus in 24 hours!`);
 }
 
+async function getWalletCooldownMs() {
+  const hours = parseFloat(await db.getSetting('walletChangeCooldownHours'));
+  return hours > 0 ? hours * 60 * 60 * 1000 : 0;
+}
+
 async function handleSetWallet(chatId, userId) {
-  await bot.sendMessage(chatId, "🔐 Please send your wallet address now.");
-  awaitingWallet[userId] = true;
+  const user = await db.getUser(userId);
+  const currentWallet = user && user.wallet ? user.wallet : null;
+
+  if (currentWallet) {
+    const nextChangeAt = await db.getNextWalletChangeAt(userId, await getWalletCooldownMs());
+    if (nextChangeAt) {
+      await bot.sendMessage(chatId, `⏳ Your wallet (${shortenAddress(currentWallet)}) was changed recently.\nYou can change it again in ${formatDuration(nextChangeAt - Date.now())}.`);
+      return;
+    }
+  }
+
+  await startFlow(userId, FLOWS.SET_WALLET);
+  const currentLine = currentWallet ? `Current wallet: ${shortenAddress(currentWallet)}\n\n` : '';
+  await bot.sendMessage(chatId, `${currentLine}🔐 Please send your Solana wallet address now. Send /cancel to stop.`);
 }
 
 async function handleReferral(chatId, userId) {
@@ -1097,6 +1736,12 @@ async function handleWithdrawalMenu(chatId, userId) {
   const minWithdrawal = parseFloat(await db.getSetting('minWithdrawal')) || 50;
   const maxWithdrawal = parseFloat(await db.getSetting('maxWithdrawal')) || 10000;
   
+  const pending = await db.getLatestPendingWithdrawal(userId);
+  if (pending) {
+    await bot.sendMessage(chatId, `⏳ Your withdrawal #${pending.id} of ${parseFloat(pending.amount)} ${CURRENCY_SYMBOL} is pending review.\n\nSend /cancelwithdraw to cancel it and get the amount back.`);
+    return;
+  }
+  
   await bot.sendMessage(chatId, `💸 To request withdrawal send:\n/requestwithdraw <amount>\n\nMin: ${minWithdrawal} ${CURRENCY_SYMBOL}\nMax: ${maxWithdrawal} ${CURRENCY_SYMBOL}`);
 }
 
@@ -1220,61 +1865,140 @@ function inferCountryFromLanguage(languageCode) {
   return languageToCountry[languageCode.toLowerCase()] || null;
 }
 
+// How long a pressed Done holds the submission flow while it is fingerprinted and stored
+const SUBMIT_CLAIM_MS = 2 * 60 * 1000;
+
+/**
+ * Validate the pending submission against the task's proof requirements and send it for review.
+ * Returns { submitted, autoApproved } so callers can answer the Done button accordingly.
+ */
 async function finishTaskSubmit(userId, chatId) {
-  const pending = pendingTasks[userId];
+  let pending = await db.getConversationState(userId, FLOWS.TASK_SUBMISSION);
   if (!pending) {
     await bot.sendMessage(chatId, "No pending submission. Use 🎯 Task to start.");
-    return;
+    return { submitted: false };
   }
 
-  if (!pending.files || pending.files.length === 0) {
-    await bot.sendMessage(chatId, "❌ Error: At least one image/screenshot is required. Please upload an image before submitting.");
-    return;
+  // Get full task details from DB so we can check its requirements and include its description
+  const task = await db.getTaskById(pending.taskId);
+  if (!task || task.status !== 'active') {
+    await endFlow(userId, FLOWS.TASK_SUBMISSION);
+    await bot.sendMessage(chatId, "❌ This task is no longer available. Use 🎯 Task to pick another one.");
+    return { submitted: false };
+  }
+
+  const progress = await db.getUserTaskProgress(userId);
+  const block = checkTaskAvailability(task, progress[task.id]);
+  if (block) {
+    await endFlow(userId, FLOWS.TASK_SUBMISSION);
+    await bot.sendMessage(chatId, describeTaskUnavailable(block));
+    return { submitted: false };
+  }
+
+  const proof = validateTaskProof(task, { files: pending.files, text: pending.text });
+  if (!proof.valid) {
+    await bot.sendMessage(chatId, `❌ Your submission is not complete yet:\n\n${proof.problems.map(problem => `• ${problem}`).join('\n')}\n\nPress Done when finished.`, {
+      reply_markup: {
+        inline_keyboard: [[{ text: "Done", callback_data: "finish_task_submit" }]]
+      }
+    });
+    return { submitted: false };
+  }
+
+  // X tasks: a failed check lets the user fix it; an inconclusive one, or a handle other users
+  // already submitted, goes to manual review
+  const autoCheck = task.social_action ? await checkSocialTask(task, proof.proofText) : null;
+  const handleUsers = task.social_action ? await db.findOtherUsersOfSocialHandle(proof.proofText, userId) : [];
+  const socialRoute = task.social_action ? routeSocialCheck(autoCheck, { handleUsedByOthers: handleUsers.length > 0 }) : null;
+  if (socialRoute === SOCIAL_ROUTES.RETRY) {
+    await bot.sendMessage(chatId, `❌ ${describeSocialAction(task.social_action, task.social_target)} is not done yet for ${proof.proofText}${autoCheck.reason ? ` (${autoCheck.reason})` : ''}.\n\nComplete it, or send the right ${task.proof_text_label}, then press Done again.`, {
+      reply_markup: {
+        inline_keyboard: [[{ text: "Done", callback_data: "finish_task_submit" }]]
+      }
+    });
+    return { submitted: false };
+  }
+
+  // Claim the flow before submitting so a double-tapped Done cannot submit twice; the flow itself
+  // is only ended once the submission is stored, so a failure leaves it for another try
+  const claimed = await db.claimConversationState(userId, FLOWS.TASK_SUBMISSION, SUBMIT_CLAIM_MS);
+  if (!claimed) return { submitted: false };
+  pending = claimed;
+  const files = pending.files || [];
+
+  let fingerprints, imageMatches, repeatedImages, submission;
+  try {
+    // Screenshots seen before (in any submission, or twice in this one) always go to a reviewer
+    fingerprints = await fingerprintSubmissionImages(files, pending.fileUniqueIds);
+    // A follow-up after a reviewer asked for more info re-uses the images of the submission it follows
+    imageMatches = await db.findMatchingSubmissionImages(fingerprints, pending.resubmitOf || null);
+    repeatedImages = findRepeatedImages(fingerprints);
+
+    submission = await db.createTaskSubmission(
+      userId,
+      pending.taskId,
+      pending.taskTitle,
+      pending.taskReward,
+      pending.text,
+      files,
+      proof.proofText,
+      autoCheck,
+      pending.resubmitOf || null
+    );
+    if (submission) await db.saveSubmissionImages(submission.id, userId, fingerprints);
+  } catch (error) {
+    // Release the claim so Done can be pressed again, unless the submission was already stored
+    if (submission) await endFlow(userId, FLOWS.TASK_SUBMISSION);
+    else await db.releaseConversationState(userId, FLOWS.TASK_SUBMISSION);
+    throw error;
+  }
+  await endFlow(userId, FLOWS.TASK_SUBMISSION);
+
+  // The reviewer's question was already answered by another follow-up
+  if (!submission) {
+    await bot.sendMessage(chatId, `ℹ️ You already sent more proof for submission #${pending.resubmitOf}. It is waiting for review.`);
+    return { submitted: false };
+  }
+
+  if (socialRoute === SOCIAL_ROUTES.AUTO_APPROVE && imageMatches.length === 0 && repeatedImages.length === 0) {
+    return completeVerifiedSocialTask(chatId, task, submission);
   }
+
   const userIdentifier = await getUserIdentifier(userId);
 
-// Get full task details from DB so we can include its original description
-const task = await db.getTaskById(pending.taskId);
-const taskDescription = task?.description || "(no task description)";
+const taskDescription = plainTaskDescription(task) || "(no task description)";
 const userDescription = pending.text && pending.text.trim() ? pending.text.trim() : "(no user comment)";
+const proofLine = task.proof_text_label ? `\n${task.proof_text_label}: ${proof.proofText}\n` : '';
+const autoCheckLine = autoCheck ? `🤖 Auto-check: ${autoCheck.status}${autoCheck.reason ? ` (${autoCheck.reason})` : ''}\n` : '';
+const followUpLine = pending.resubmitOf ? `🔁 Follow-up to #${pending.resubmitOf}, reviewer asked: ${pending.reviewNote}\n` : '';
+const duplicateLines = await describeDuplicateImages(userId, imageMatches, repeatedImages);
+const handleUsersLine = await describeSocialHandleUsers(proof.proofText, handleUsers);
 
-const caption = `📝 New Task Submission
+const caption = `${duplicateLines ? `${duplicateLines}\n\n` : ''}📝 New Task Submission
 
 User: ${userIdentifier}
 Task: ${pending.taskTitle || 'Unknown'}
 Reward: ${pending.taskReward || 0} ${CURRENCY_SYMBOL}
-
+${proofLine}${autoCheckLine}${handleUsersLine}${followUpLine}
 Task Description:
 ${taskDescription}
 
 User Comment:
 ${userDescription}
 
-Images: ${pending.files.length}`;
-
-  const submission = await db.createTaskSubmission(
-    userId,
-    pending.taskId,
-    pending.taskTitle,
-    pending.taskReward,
-    pending.text,
-    pending.files
-  );
+Images: ${files.length}`;
 
-  const inlineKeyboard = {
-    inline_keyboard: [[
-      { text: "✅ Confirm", callback_data: `task_confirm:${userId}:${submission.id}` },
-      { text: "❌ Reject", callback_data: `task_reject:${userId}:${submission.id}` }
-    ]]
-  };
+  const inlineKeyboard = taskReviewKeyboard(userId, submission.id);
 
-  if (pending.files.length === 1) {
-    await bot.sendPhoto(TASK_REVIEW_CHANNEL, pending.files[0], { 
+  if (files.length === 0) {
+    await bot.sendMessage(TASK_REVIEW_CHANNEL, caption, { reply_markup: inlineKeyboard });
+  } else if (files.length === 1) {
+    await bot.sendPhoto(TASK_REVIEW_CHANNEL, files[0], { 
       caption: caption,
       reply_markup: inlineKeyboard 
     });
   } else {
-    const mediaGroup = pending.files.map((fileId, index) => ({
+    const mediaGroup = files.map((fileId, index) => ({
       type: 'photo',
       media: fileId,
       caption: index === 0 ? caption : undefined
@@ -1284,111 +2008,294 @@ Images: ${pending.files.length}`;
       await bot.sendMediaGroup(TASK_REVIEW_CHANNEL, mediaGroup);
       await bot.sendMessage(TASK_REVIEW_CHANNEL, "👆 Review the submission above:", { reply_markup: inlineKeyboard });
     } catch (e) {
-      await bot.sendPhoto(TASK_REVIEW_CHANNEL, pending.files[0], { 
+      await bot.sendPhoto(TASK_REVIEW_CHANNEL, files[0], { 
         caption: caption,
         reply_markup: inlineKeyboard 
       });
-      for (let i = 1; i < pending.files.length; i++) {
+      for (let i = 1; i < files.length; i++) {
         try {
-          await bot.sendPhoto(TASK_REVIEW_CHANNEL, pending.files[i]);
+          await bot.sendPhoto(TASK_REVIEW_CHANNEL, files[i]);
         } catch (err) {}
       }
     }
   }
 
-  await bot.sendMessage(chatId, `✅ Your submission has been sent for review.\n\n📸 Images submitted: ${pending.files.length}`);
-  delete pendingTasks[userId];
+  await bot.sendMessage(chatId, `✅ Your submission has been sent for review.\n\n📸 Images submitted: ${files.length}`);
+  return { submitted: true };
 }
 
-async function handleAdminTaskConfirm(adminId, targetId, submissionId, chatId, messageId, messageType) {
-  if (!isAdminId(adminId)) {
-    await sendEphemeralWarning(chatId, "⛔ You are not authorized!");
-    return;
+/* ---------- Join tasks ---------- */
+// Tasks whose proof is membership of a chat: checked with getChatMember, paid at once, re-checked for a while
+
+// true / false, or null when the bot cannot check (not in the chat, no admin rights, network error)
+async function checkChatMembership(chat, userId) {
+  try {
+    const member = await bot.getChatMember(chat, userId);
+    if (member.status === 'restricted') return !!member.is_member;
+    return ['member', 'administrator', 'creator'].includes(member.status);
+  } catch (e) {
+    const description = e.response?.body?.description || e.message || '';
+    // Telegram answers "user not found" for users who never were in the chat
+    if (/user not found|PARTICIPANT_ID_INVALID/i.test(description)) return false;
+    console.error(`Membership check failed for ${chat}:`, description);
+    return null;
+  }
+}
+
+async function getJoinLeavePolicy() {
+  const windowHours = parseFloat(await db.getSetting('joinRecheckWindowHours'));
+  return {
+    windowMs: windowHours > 0 ? windowHours * 60 * 60 * 1000 : 0,
+    intervalMs: (parseFloat(await db.getSetting('joinRecheckIntervalHours')) || 6) * 60 * 60 * 1000,
+    action: (await db.getSetting('joinLeaveAction')) === 'flag' ? 'flag' : 'clawback'
+  };
+}
+
+async function sendJoinTaskPrompt(chatId, task) {
+  const policy = await getJoinLeavePolicy();
+  let text = `👥 ${task.title}\n\n${plainTaskDescription(task)}\n\nJoin ${task.verify_chat} and press "✅ I've joined". Your reward of ${task.reward} ${CURRENCY_SYMBOL} is credited as soon as your membership is confirmed.`;
+  if (policy.windowMs > 0) {
+    text += `\n\n⚠️ Stay in the chat: leaving within ${formatDuration(policy.windowMs)} ${policy.action === 'clawback' ? 'takes the reward back' : 'may cost you the reward'}.`;
   }
 
-  const submission = await db.getSubmissionById(submissionId);
-  
-  if (!submission) {
-    await sendAutoDeleteMessage(chatId, "❌ Submission not found.");
-    return;
+  const url = chatJoinUrl(task.verify_chat);
+  const rows = [];
+  if (url) rows.push([{ text: `➡️ Join ${task.verify_chat}`, url }]);
+  rows.push([{ text: "✅ I've joined", callback_data: `join_check:${task.id}` }]);
+  await bot.sendMessage(chatId, text, { reply_markup: { inline_keyboard: rows } });
+}
+
+/**
+ * Check the user's membership of a join task's chat and complete the task when it is confirmed.
+ * Returns 'completed', 'closed' (a limit was reached meanwhile), 'not_member' or 'unknown'.
+ */
+async function verifyJoinTask(chatId, userId, task) {
+  const membership = await checkChatMembership(task.verify_chat, userId);
+  if (membership === null) {
+    await bot.sendMessage(chatId, `⚠️ I could not check your membership of ${task.verify_chat} right now. Please try again in a few minutes.`);
+    return 'unknown';
   }
-  
-  if (submission.status !== 'pending') {
-    await sendAutoDeleteMessage(chatId, `ℹ️ This submission was already ${submission.status}.`);
-    return;
+  if (!membership) return 'not_member';
+
+  const result = await db.completeVerifiedJoinTask(userId, task);
+  if (result.status !== db.REVIEW_RESULTS.APPROVED) {
+    await bot.sendMessage(chatId, closedSubmissionNotice(result));
+    return 'closed';
   }
 
-  const actualUserId = submission.user_id;
-  const reward = parseFloat(submission.task_reward) || 0;
-  const user = await db.getUser(actualUserId);
-  const newBalance = parseFloat(user.balance) + reward;
-  
-  await db.updateUser(actualUserId, { balance: newBalance });
-  await db.updateSubmissionStatus(submission.id, 'approved', adminId);
-  await db.markTaskCompleted(actualUserId, submission.task_id, reward);
+  await bot.sendMessage(chatId, `✅ Membership of ${task.verify_chat} confirmed!\nReward: ${result.reward} ${CURRENCY_SYMBOL}\nNew balance: ${result.newBalance} ${CURRENCY_SYMBOL}`);
+  await logAdmin(`Join task ${task.id} verified automatically for ${await getUserIdentifier(userId)}: ${task.title} - Reward: ${result.reward}`);
+  return 'completed';
+}
 
+async function notifyJoinTaskLeft(result) {
+  const { submission, action, removed, shortfall } = result;
+  const userIdentifier = await getUserIdentifier(submission.user_id);
+  const reward = parseFloat(submission.paid_reward ?? submission.task_reward) || 0;
+
+  const userText = action === 'clawback'
+    ? `⚠️ You left ${submission.verified_chat}, so ${removed} ${CURRENCY_SYMBOL} of the reward for "${submission.task_title}" was taken back.`
+    : `⚠️ You left ${submission.verified_chat}. Your reward for "${submission.task_title}" is now under review.`;
   try {
-    await bot.sendMessage(actualUserId, `✅ Your task has been approved!\nReward: ${reward} ${CURRENCY_SYMBOL}\nNew balance: ${newBalance} ${CURRENCY_SYMBOL}`);
-  } catch (e) {
-    console.error('Error notifying user:', e.message);
+    await bot.sendMessage(submission.user_id, userText);
+  } catch (e) {}
+
+  if (action === 'clawback' && shortfall === 0) {
+    await logAdmin(`Join task reward clawed back: ${userIdentifier} left ${submission.verified_chat} (submission #${submission.id}, ${removed} ${CURRENCY_SYMBOL})`);
+    return;
   }
 
-  const userIdentifier = await getUserIdentifier(actualUserId);
-  const approvalText = `✅ Task approved for ${userIdentifier}. Reward: ${reward} ${CURRENCY_SYMBOL}`;
-  
-  try {
-    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
-      chat_id: chatId,
-      message_id: messageId
-    });
-    
-    if (messageType === 'photo') {
-      await bot.editMessageCaption(approvalText, {
-        chat_id: chatId,
-        message_id: messageId
-      });
-    } else {
-      await bot.editMessageText(approvalText, {
-        chat_id: chatId,
-        message_id: messageId
-      });
+  // Flags and clawbacks the balance could not cover need a human
+  const detail = action === 'clawback'
+    ? `Clawed back ${removed} of ${reward} ${CURRENCY_SYMBOL}; ${shortfall} ${CURRENCY_SYMBOL} could not be recovered from the balance.`
+    : `Reward of ${reward} ${CURRENCY_SYMBOL} kept. Use /removebalance if it should be taken back.`;
+  await broadcastAdminAction(`🚩 ${userIdentifier} left ${submission.verified_chat} after being paid for "${submission.task_title}" (submission #${submission.id}).\n${detail}`);
+}
+
+// Re-check members paid for a join task within the configured window; returns the revocations made
+async function recheckJoinTaskMembers() {
+  const policy = await getJoinLeavePolicy();
+  if (policy.windowMs === 0) return [];
+
+  const due = await db.getJoinSubmissionsToRecheck(policy.windowMs, policy.intervalMs);
+  const revoked = [];
+  for (const submission of due) {
+    const membership = await checkChatMembership(submission.verified_chat, submission.user_id);
+    if (membership !== false) {
+      // Still a member, or the check failed: look again after the next interval
+      await db.recordMembershipCheck(submission.id);
+      continue;
+    }
+
+    const result = await db.revokeJoinTaskReward(submission.id, policy.action);
+    if (result) {
+      revoked.push(result);
+      await notifyJoinTaskLeft(result);
     }
-  } catch (e) {
-    console.error('Error editing message:', e.message);
   }
+  return revoked;
 }
 
-async function handleAdminTaskReject(adminId, targetId, submissionId, chatId, messageId, messageType) {
-  if (!isAdminId(adminId)) {
-    await sendEphemeralWarning(chatId, "⛔ You are not authorized!");
-    return;
+/* ---------- X engagement tasks ---------- */
+function createSocialVerifierFromEnv() {
+  if (!SOCIAL_VERIFIER) return null;
+  if (SOCIAL_VERIFIER !== 'http') {
+    console.warn(`Unknown SOCIAL_VERIFIER "${SOCIAL_VERIFIER}". X tasks go to manual review.`);
+    return null;
   }
 
-  const submission = await db.getSubmissionById(submissionId);
-  
-  if (!submission) {
-    await sendAutoDeleteMessage(chatId, "❌ Submission not found.");
+  if (!SOCIAL_VERIFIER_URL) {
+    console.warn('SOCIAL_VERIFIER=http needs SOCIAL_VERIFIER_URL. X tasks go to manual review.');
+    return null;
+  }
+  return createHttpSocialVerifier({ baseUrl: SOCIAL_VERIFIER_URL, apiKey: SOCIAL_VERIFIER_API_KEY });
+}
+
+const socialVerifier = createSocialVerifierFromEnv();
+
+// handle is the validated proof text (@name)
+async function checkSocialTask(task, handle) {
+  return runSocialCheck(socialVerifier, {
+    action: task.social_action,
+    target: task.social_target,
+    handle: String(handle || '').replace(/^@/, '')
+  });
+}
+
+// Reviewer note listing the other users who submitted the same X handle, or ''
+async function describeSocialHandleUsers(handle, users) {
+  if (users.length === 0) return '';
+  const owners = [];
+  for (const user of users) owners.push(`${await getUserIdentifier(user.userId)} (#${user.submissionId}, ${user.status})`);
+  return `⚠️ ${handle} was also submitted by: ${owners.join(', ')}\n`;
+}
+
+// Approve an X task submission whose check passed and tell the user; returns the finishTaskSubmit outcome
+async function completeVerifiedSocialTask(chatId, task, submission) {
+  const result = await db.approveSubmissionAtomic(submission.id, null, ` (verified by ${socialVerifier.name} check)`);
+  if (result.status !== db.REVIEW_RESULTS.APPROVED) {
+    await bot.sendMessage(chatId, closedSubmissionNotice(result));
+    return { submitted: false };
+  }
+
+  await bot.sendMessage(chatId, `✅ Verified automatically: ${describeSocialAction(task.social_action, task.social_target)} (${submission.proof_text}).\nReward: ${result.reward} ${CURRENCY_SYMBOL}\nNew balance: ${result.newBalance} ${CURRENCY_SYMBOL}`);
+  await logAdmin(`X task ${task.id} verified automatically for ${await getUserIdentifier(submission.user_id)} (${submission.proof_text}): ${task.title} - Reward: ${result.reward}`);
+  return { submitted: true, autoApproved: true };
+}
+
+/* ---------- Duplicate screenshots ---------- */
+const MAX_PROOF_IMAGE_BYTES = 10 * 1024 * 1024;
+const IMAGE_DOWNLOAD_TIMEOUT_MS = 15000;
+const IMAGE_DOWNLOAD_CONCURRENCY = 4;
+const MAX_LISTED_IMAGE_MATCHES = 5;
+
+// One fingerprint per file (see image-hash.js); a file that cannot be downloaded keeps only its file_unique_id
+async function fingerprintSubmissionImages(files, fileUniqueIds = []) {
+  const fingerprintFile = async (fileId, index) => {
+    const fileUniqueId = fileUniqueIds[index] || null;
+    try {
+      const buffer = await downloadFileBuffer(fileId, MAX_PROOF_IMAGE_BYTES, IMAGE_DOWNLOAD_TIMEOUT_MS);
+      return fingerprintImage(buffer, fileUniqueId);
+    } catch (e) {
+      console.error(`Could not fingerprint submission image ${fileId}:`, e.message);
+      return { file_unique_id: fileUniqueId, content_hash: null, phash: null };
+    }
+  };
+
+  // A few downloads at a time, so a long submission is not fetched one screenshot after another
+  const fingerprints = [];
+  for (let start = 0; start < files.length; start += IMAGE_DOWNLOAD_CONCURRENCY) {
+    const chunk = files.slice(start, start + IMAGE_DOWNLOAD_CONCURRENCY);
+    fingerprints.push(...await Promise.all(chunk.map((fileId, offset) => fingerprintFile(fileId, start + offset))));
+  }
+  return fingerprints;
+}
+
+function formatImageNumbers(indexes) {
+  const numbers = [...new Set(indexes)].sort((a, b) => a - b).map(index => index + 1);
+  return `${numbers.length === 1 ? 'Image' : 'Images'} ${numbers.join(', ')}`;
+}
+
+// Warning block for the review message, or '' when no image was seen before
+async function describeDuplicateImages(userId, matches, repeated = []) {
+  if (matches.length === 0 && repeated.length === 0) return '';
+
+  const lines = ['⚠️ Duplicate images:'];
+  for (const match of matches.slice(0, MAX_LISTED_IMAGE_MATCHES)) {
+    const owner = String(match.userId) === String(userId) ? 'same user' : await getUserIdentifier(match.userId);
+    const sign = match.kind === 'identical' ? '=' : '≈';
+    lines.push(`• ${formatImageNumbers(match.images.map(([ours]) => ours))} ${sign} #${match.submissionId} (${owner}, ${match.taskTitle || `task ${match.taskId}`}, ${match.status}) /submission_${match.submissionId}`);
+  }
+  if (matches.length > MAX_LISTED_IMAGE_MATCHES) lines.push(`• …and ${matches.length - MAX_LISTED_IMAGE_MATCHES} more`);
+  repeated.forEach(([a, b]) => lines.push(`• Images ${a + 1} and ${b + 1} of this submission are the same picture`));
+  return lines.join('\n');
+}
+
+router.command(/\/submission(?:[\s_]+(\d+))?/, requirePermission('tasks.review'), async (msg, match) => {
+  const chatId = msg.chat.id;
+  if (!match[1]) {
+    await bot.sendMessage(chatId, "❌ Usage: /submission <submission id>");
     return;
   }
-  
-  if (submission.status !== 'pending') {
-    await sendAutoDeleteMessage(chatId, `ℹ️ This submission was already ${submission.status}.`);
+
+  const submission = await db.getSubmissionById(Number(match[1]));
+  if (!submission) {
+    await bot.sendMessage(chatId, "❌ Submission not found.");
     return;
   }
 
-  const actualUserId = submission.user_id;
-  
-  await db.updateSubmissionStatus(submission.id, 'rejected', adminId);
+  const files = submission.files || [];
+  const matches = await db.findMatchingSubmissionImages(submission.file_hashes || [], submission.id);
+  const duplicateLines = await describeDuplicateImages(submission.user_id, matches, findRepeatedImages(submission.file_hashes || []));
+  const reviewer = submission.reviewed_by ? await getUserIdentifier(submission.reviewed_by) : null;
+
+  let text = `📄 Submission #${submission.id}\n\nUser: ${await getUserIdentifier(submission.user_id)}\nTask: ${submission.task_title || submission.task_id} (#${submission.task_id})\nReward: ${submission.task_reward} ${CURRENCY_SYMBOL}\nStatus: ${submission.status}`;
+  if (submission.reviewed_at) text += ` by ${reviewer || 'automatic check'} (${new Date(Number(submission.reviewed_at)).toISOString().slice(0, 16).replace('T', ' ')} UTC)`;
+  text += `\nSubmitted: ${new Date(Number(submission.submitted_at)).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+  if (submission.proof_text) text += `\nProof: ${submission.proof_text}`;
+  if (submission.description && submission.description.trim()) text += `\nComment: ${submission.description.trim()}`;
+  if (submission.review_note) text += `\nReviewer note: ${submission.review_note}`;
+  if (submission.reward_reason) text += `\nPaid: ${parseFloat(submission.paid_reward)} ${CURRENCY_SYMBOL} — ${describeRewardAdjustment(submission)}`;
+  if (submission.follow_up_of) text += `\nFollow-up to: /submission_${submission.follow_up_of}`;
+  text += `\nImages: ${files.length}`;
+  if (duplicateLines) text += `\n\n${duplicateLines}`;
+  await bot.sendMessage(chatId, text);
 
-  try {
-    await bot.sendMessage(actualUserId, `❌ Your task submission was rejected. Please try again with better proof.`);
-  } catch (e) {
-    console.error('Error notifying user:', e.message);
+  if (files.length === 1) {
+    await bot.sendPhoto(chatId, files[0]);
+  } else if (files.length > 1) {
+    await bot.sendMediaGroup(chatId, files.slice(0, 10).map(fileId => ({ type: 'photo', media: fileId })));
   }
+});
 
-  const userIdentifier = await getUserIdentifier(actualUserId);
-  const rejectionText = `❌ Task rejected for ${userIdentifier}.`;
-  
+// Tell the user why a task cannot be started or submitted right now
+function describeTaskUnavailable(block) {
+  if (!block) return "❌ This task is no longer available.";
+  const wait = block.retryAt ? ` Try again in ${formatDuration(block.retryAt - Date.now())}.` : '';
+
+  switch (block.reason) {
+    case 'not_started':
+      return `⏳ This task has not started yet.${wait}`;
+    case 'ended':
+      return "⌛ This task has ended.";
+    case 'slots_full':
+      return "🚫 All slots for this task are taken.";
+    case 'limit_reached':
+      return block.limit === 1
+        ? "✅ You have already completed this task."
+        : `✅ You have completed this task the maximum ${block.limit} times.`;
+    case 'pending_review':
+      return "⏳ Your previous submission for this task is still being reviewed.";
+    case 'cooldown':
+      return `⏳ You can repeat this task once every ${formatDuration(block.limit)}.${wait}`;
+    default:
+      return "❌ This task is no longer available.";
+  }
+}
+
+// Remove review buttons and replace the review message text/caption with the outcome
+async function finalizeReviewMessage(chatId, messageId, messageType, text) {
+  if (!messageId) return;
   try {
     await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
       chat_id: chatId,
@@ -1396,12 +2303,12 @@ async function handleAdminTaskReject(adminId, targetId, submissionId, chatId, me
     });
     
     if (messageType === 'photo') {
-      await bot.editMessageCaption(rejectionText, {
+      await bot.editMessageCaption(text, {
         chat_id: chatId,
         message_id: messageId
       });
     } else {
-      await bot.editMessageText(rejectionText, {
+      await bot.editMessageText(text, {
         chat_id: chatId,
         message_id: messageId
       });
@@ -1411,238 +2318,2013 @@ async function handleAdminTaskReject(adminId, targetId, submissionId, chatId, me
   }
 }
 
-async function handleAdminWithdrawConfirm(adminId, targetId, amount, chatId) {
-  if (!isAdminId(adminId)) {
+// User notice for a submission closed without payment because a task limit was reached
+function closedSubmissionNotice(result) {
+  if (result.status === db.REVIEW_RESULTS.SLOTS_FULL) {
+    return `ℹ️ All slots for "${result.submission.task_title}" were taken before your submission was reviewed, so it was closed.`;
+  }
+  return `ℹ️ You have already been rewarded for "${result.submission.task_title}", so this submission was closed.`;
+}
+
+// Describe a submission someone else already decided, for the reviewing admin
+async function describeReviewedSubmission(submission) {
+  const reviewer = submission.reviewed_by ? await getUserIdentifier(submission.reviewed_by) : 'unknown';
+  const when = submission.reviewed_at ? new Date(Number(submission.reviewed_at)).toLocaleString() : 'unknown time';
+  const status = ['needs_info', 'resubmitted'].includes(submission.status) ? 'sent back for more info' : submission.status;
+  return `Submission #${submission.id} was already ${status} by ${reviewer} (${when}).`;
+}
+
+// Amounts a reviewer may pay instead of a task's reward: rewardMinPercent..rewardMaxPercent of it
+async function getRewardBounds(taskReward) {
+  const reward = parseFloat(taskReward) || 0;
+  const minPercent = parseFloat(await db.getSetting('rewardMinPercent'));
+  const maxPercent = parseFloat(await db.getSetting('rewardMaxPercent'));
+  return {
+    min: Math.round(reward * (minPercent >= 0 ? minPercent : 10)) / 100,
+    max: Math.round(reward * (maxPercent > 0 ? maxPercent : 200)) / 100
+  };
+}
+
+/**
+ * Parse "<amount> <reason>" for approving a submission with partial credit or a bonus.
+ * Returns { adjustment: { amount, reason } } or { problem } when it is malformed or out of bounds.
+ */
+async function parseRewardAdjustment(submission, input) {
+  const match = String(input || '').trim().match(/^(\d+(?:\.\d{1,2})?)\s+([\s\S]+)$/);
+  if (!match) return { problem: "Send the amount followed by the reason, e.g. 3 only two of the three screenshots." };
+
+  const amount = parseFloat(match[1]);
+  const reason = match[2].trim();
+  const bounds = await getRewardBounds(submission.task_reward);
+  if (amount <= 0 || amount < bounds.min || amount > bounds.max) {
+    return { problem: `The amount must be between ${bounds.min} and ${bounds.max} ${CURRENCY_SYMBOL} (task reward ${parseFloat(submission.task_reward)} ${CURRENCY_SYMBOL}).` };
+  }
+  if (reason.length > REVIEW_NOTE_MAX_LENGTH) {
+    return { problem: `Please keep the reason under ${REVIEW_NOTE_MAX_LENGTH} characters.` };
+  }
+  return { adjustment: { amount, reason } };
+}
+
+// "partial credit" / "bonus" line of an adjusted approval, or '' for the plain task reward
+function describeRewardAdjustment(submission) {
+  if (!submission || !submission.reward_reason) return '';
+  const paid = parseFloat(submission.paid_reward);
+  const taskReward = parseFloat(submission.task_reward);
+  if (paid === taskReward) return `Note: ${submission.reward_reason}`;
+  return `${paid < taskReward ? 'Partial credit' : '🌟 Bonus'} (task reward ${taskReward} ${CURRENCY_SYMBOL}): ${submission.reward_reason}`;
+}
+
+/**
+ * Approve a task submission from the review channel or the /review workspace.
+ * adjustment { amount, reason } from parseRewardAdjustment pays that amount instead of the task reward.
+ * Returns { text, alert } for answering the callback query.
+ */
+async function handleAdminTaskConfirm(adminId, targetId, submissionId, chatId, messageId, messageType, adjustment = null) {
+  if (!hasPermission(adminId, 'tasks.review')) {
+    await sendEphemeralWarning(chatId, "⛔ You are not authorized!");
+    return { text: "⛔ You are not authorized!", alert: true };
+  }
+
+  // Status check, credit and completion all happen in one locked transaction
+  const result = await db.approveSubmissionAtomic(submissionId, adminId, '', adjustment);
+
+  if (result.status === db.REVIEW_RESULTS.NOT_FOUND) {
+    await sendAutoDeleteMessage(chatId, "❌ Submission not found.");
+    return { text: "❌ Submission not found.", alert: true };
+  }
+
+  if (result.status === db.REVIEW_RESULTS.ALREADY_REVIEWED) {
+    const description = await describeReviewedSubmission(result.submission);
+    await finalizeReviewMessage(chatId, messageId, messageType, `ℹ️ ${description}`);
+    return { text: `ℹ️ ${description}`, alert: true };
+  }
+
+  // Another reviewer holds it in /review; the card stays as it is for them
+  if (result.status === db.REVIEW_RESULTS.CLAIMED) {
+    return { text: await describeReviewClaim(result.submission), alert: true };
+  }
+
+  const actualUserId = result.submission.user_id;
+  const userIdentifier = await getUserIdentifier(actualUserId);
+
+  if (result.status === db.REVIEW_RESULTS.ALREADY_COMPLETED || result.status === db.REVIEW_RESULTS.SLOTS_FULL) {
+    const closedText = result.status === db.REVIEW_RESULTS.SLOTS_FULL
+      ? `⚠️ Not paid: all slots of "${result.submission.task_title}" are taken. Submission #${result.submission.id} closed.`
+      : `⚠️ Not paid: ${userIdentifier} already completed "${result.submission.task_title}". Submission #${result.submission.id} closed as duplicate.`;
+    try {
+      await bot.sendMessage(actualUserId, closedSubmissionNotice(result));
+    } catch (e) {
+      console.error('Error notifying user:', e.message);
+    }
+    // The title can push the text past Telegram's 200-character callback answer limit, so the full text goes in a message
+    await finalizeReviewMessage(chatId, messageId, messageType, closedText);
+    await sendAutoDeleteMessage(chatId, closedText);
+    return {
+      text: result.status === db.REVIEW_RESULTS.SLOTS_FULL ? "⚠️ Not paid: all slots are taken." : "⚠️ Not paid: the user already completed this task.",
+      alert: true
+    };
+  }
+
+  const reward = result.reward;
+  const newBalance = result.newBalance;
+  const adjustmentLine = describeRewardAdjustment(result.submission);
+
+  try {
+    await bot.sendMessage(actualUserId, `✅ Your task has been approved!\nReward: ${reward} ${CURRENCY_SYMBOL}${adjustmentLine ? `\n${adjustmentLine}` : ''}\nNew balance: ${newBalance} ${CURRENCY_SYMBOL}`);
+  } catch (e) {
+    console.error('Error notifying user:', e.message);
+  }
+
+  const approvalText = `✅ Task approved for ${userIdentifier}. Reward: ${reward} ${CURRENCY_SYMBOL}${adjustmentLine ? `\n${adjustmentLine}` : ''}`;
+  await finalizeReviewMessage(chatId, messageId, messageType, approvalText);
+  return { text: "Task approved.", alert: false };
+}
+
+// Preset rejection reasons; the text is what the user is told
+const REJECT_REASONS = {
+  unreadable: { label: '🔍 Unreadable', text: 'The screenshot is blurry, cropped or too small to check.' },
+  incomplete: { label: '🧩 Incomplete', text: 'Some of the required proof is missing.' },
+  wrong_task: { label: '🔀 Wrong task', text: 'The proof belongs to a different task.' },
+  not_done: { label: '🚫 Not done', text: 'The task was not completed as described.' },
+  reused: { label: '♻️ Reused proof', text: 'This proof was already used in another submission.' }
+};
+
+// { code, label, text } for a preset code, or for a reviewer's own wording (code 'other')
+function rejectReason(code, text = null) {
+  if (code === 'other') return { code, label: '✍️ Other', text };
+  const preset = REJECT_REASONS[code];
+  return preset ? { code, label: preset.label, text: preset.text } : null;
+}
+
+function taskReviewKeyboard(userId, submissionId) {
+  return {
+    inline_keyboard: [[
+      { text: "✅ Confirm", callback_data: `task_confirm:${userId}:${submissionId}` },
+      { text: "❌ Reject", callback_data: `task_reject:${userId}:${submissionId}` }
+    ]]
+  };
+}
+
+// Reason buttons send `${prefix}:<code>`; "Other" asks the reviewer to type the reason
+function rejectReasonKeyboard(prefix, backData, allowOther = false) {
+  const buttons = Object.entries(REJECT_REASONS).map(([code, reason]) => ({ text: reason.label, callback_data: `${prefix}:${code}` }));
+  if (allowOther) buttons.push({ text: "✍️ Other reason", callback_data: `${prefix}:other` });
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+  rows.push([{ text: "↩️ Back", callback_data: backData }]);
+  return { inline_keyboard: rows };
+}
+
+/**
+ * Reject a task submission from the review channel or the /review workspace.
+ * reason is a rejectReason() and is sent to the user; without one they get a generic notice.
+ * Returns { text, alert } for answering the callback query.
+ */
+async function handleAdminTaskReject(adminId, targetId, submissionId, chatId, messageId, messageType, reason = null) {
+  if (!hasPermission(adminId, 'tasks.review')) {
+    await sendEphemeralWarning(chatId, "⛔ You are not authorized!");
+    return { text: "⛔ You are not authorized!", alert: true };
+  }
+
+  const result = await db.rejectSubmissionAtomic(submissionId, adminId, reason);
+
+  if (result.status === db.REVIEW_RESULTS.NOT_FOUND) {
+    await sendAutoDeleteMessage(chatId, "❌ Submission not found.");
+    return { text: "❌ Submission not found.", alert: true };
+  }
+
+  if (result.status === db.REVIEW_RESULTS.ALREADY_REVIEWED) {
+    const description = await describeReviewedSubmission(result.submission);
+    await finalizeReviewMessage(chatId, messageId, messageType, `ℹ️ ${description}`);
+    return { text: `ℹ️ ${description}`, alert: true };
+  }
+
+  // Another reviewer holds it in /review; the card stays as it is for them
+  if (result.status === db.REVIEW_RESULTS.CLAIMED) {
+    return { text: await describeReviewClaim(result.submission), alert: true };
+  }
+
+  const actualUserId = result.userId;
+  const notice = reason
+    ? `❌ Your submission for "${result.submission.task_title}" was rejected.\n\nReason: ${reason.text}\n\nYou can try again from 🎯 Task.`
+    : `❌ Your task submission was rejected. Please try again with better proof.`;
+
+  try {
+    await bot.sendMessage(actualUserId, notice);
+  } catch (e) {
+    console.error('Error notifying user:', e.message);
+  }
+
+  const userIdentifier = await getUserIdentifier(actualUserId);
+  const reasonText = reason ? ` Reason: ${reason.code === 'other' ? reason.text : reason.label}` : '';
+  await finalizeReviewMessage(chatId, messageId, messageType, `❌ Task rejected for ${userIdentifier}.${reasonText}`);
+  return { text: "Task rejected.", alert: false };
+}
+
+/**
+ * Send a submission back to its user with the reviewer's question; the user gets a button
+ * that reopens the upload flow with their earlier proof.
+ * Returns { text, alert } for answering the callback query.
+ */
+async function handleAdminTaskInfoRequest(adminId, submissionId, chatId, messageId, messageType, note) {
+  if (!hasPermission(adminId, 'tasks.review')) {
     await sendEphemeralWarning(chatId, "⛔ You are not authorized!");
+    return { text: "⛔ You are not authorized!", alert: true };
+  }
+
+  const result = await db.requestSubmissionInfo(submissionId, adminId, note);
+
+  if (result.status === db.REVIEW_RESULTS.NOT_FOUND) {
+    await sendAutoDeleteMessage(chatId, "❌ Submission not found.");
+    return { text: "❌ Submission not found.", alert: true };
+  }
+
+  if (result.status === db.REVIEW_RESULTS.ALREADY_REVIEWED) {
+    const description = await describeReviewedSubmission(result.submission);
+    await finalizeReviewMessage(chatId, messageId, messageType, `ℹ️ ${description}`);
+    return { text: `ℹ️ ${description}`, alert: true };
+  }
+
+  // Another reviewer holds it in /review; the card stays as it is for them
+  if (result.status === db.REVIEW_RESULTS.CLAIMED) {
+    return { text: await describeReviewClaim(result.submission), alert: true };
+  }
+
+  try {
+    await bot.sendMessage(result.userId, `❓ A reviewer needs more information about your submission for "${result.submission.task_title}":\n\n${note}\n\nTap below to add to your proof. Your earlier images and comment are kept.`, {
+      reply_markup: {
+        inline_keyboard: [[{ text: "📤 Add more proof", callback_data: `resubmit:${result.submission.id}` }]]
+      }
+    });
+  } catch (e) {
+    console.error('Error notifying user:', e.message);
+  }
+
+  const userIdentifier = await getUserIdentifier(result.userId);
+  await finalizeReviewMessage(chatId, messageId, messageType, `❓ More information requested from ${userIdentifier}: ${note}`);
+  return { text: "Information requested.", alert: false };
+}
+
+const WITHDRAWAL_STATUS_LABELS = {
+  pending: '⏳ Pending',
+  approved: '✅ Approved (awaiting payout)',
+  paid: '💸 Paid',
+  rejected: '❌ Rejected (refunded)',
+  cancelled: '↩️ Cancelled by user (refunded)',
+  frozen: '🧊 Frozen (user blacklisted)',
+  on_hold: '🔒 On hold'
+};
+
+// Approve/Reject for a reviewable request, Release/Reject while it is held
+function withdrawalReviewKeyboard(withdrawal) {
+  if (withdrawal.status === db.WITHDRAWAL_STATUS.ON_HOLD) {
+    return [[
+      { text: "🔓 Release to review", callback_data: `wd_release:${withdrawal.id}` },
+      { text: "❌ Reject", callback_data: `wd_reject:${withdrawal.id}` }
+    ]];
+  }
+  return [[
+    { text: "✅ Approve", callback_data: `wd_approve:${withdrawal.id}` },
+    { text: "❌ Reject", callback_data: `wd_reject:${withdrawal.id}` }
+  ]];
+}
+
+// Append the new status to the review message and swap its buttons for the next step
+async function updateWithdrawalReviewMessage(chatId, message, withdrawal, actorIdentifier) {
+  if (!message) return;
+  const baseText = (message.text || '').split('\n\nStatus:')[0];
+  const label = WITHDRAWAL_STATUS_LABELS[withdrawal.status] || withdrawal.status;
+  const text = `${baseText}\n\nStatus: ${label}${actorIdentifier ? ` by ${actorIdentifier}` : ''}`;
+  let inline_keyboard = [];
+  if (withdrawal.status === db.WITHDRAWAL_STATUS.APPROVED) {
+    inline_keyboard = [[{ text: "💸 Mark Paid", callback_data: `wd_paid:${withdrawal.id}` }]];
+  } else if (withdrawal.status === db.WITHDRAWAL_STATUS.PENDING || withdrawal.status === db.WITHDRAWAL_STATUS.ON_HOLD) {
+    inline_keyboard = withdrawalReviewKeyboard(withdrawal);
+  }
+
+  try {
+    await bot.editMessageText(text, {
+      chat_id: chatId,
+      message_id: message.message_id,
+      reply_markup: { inline_keyboard }
+    });
+  } catch (e) {
+    console.error('Error editing withdrawal message:', e.message);
+  }
+}
+
+// Explain to the admin why a withdrawal could not move to the requested status
+function describeWithdrawalTransitionFailure(result) {
+  if (result.status === 'not_found') return "❌ Withdrawal request not found.";
+  const label = WITHDRAWAL_STATUS_LABELS[result.withdrawal.status] || result.withdrawal.status;
+  return `ℹ️ Withdrawal #${result.withdrawal.id} is already ${label}.`;
+}
+
+/**
+ * Approve a specific withdrawal request (pending -> approved).
+ * Returns the text used to answer the callback query.
+ */
+async function handleAdminWithdrawConfirm(adminId, withdrawalId, chatId, message) {
+  if (!hasPermission(adminId, 'withdrawals.review')) {
+    await sendEphemeralWarning(chatId, "⛔ You are not authorized!");
+    return "⛔ You are not authorized!";
+  }
+
+  // Large withdrawals need a second admin: the first tap only proposes the approval
+  const current = await db.getWithdrawalById(withdrawalId);
+  if (current && current.status === db.WITHDRAWAL_STATUS.PENDING && await withdrawalRequiresCoSign(current)) {
+    return proposeWithdrawalApproval(adminId, current, chatId, message);
+  }
+
+  const result = await db.transitionWithdrawal(withdrawalId, db.WITHDRAWAL_STATUS.APPROVED, adminId);
+  return finishWithdrawalApproval(result, adminId, chatId, message);
+}
+
+// Notify the user and update the review message once a withdrawal is approved (directly or by co-sign)
+async function finishWithdrawalApproval(result, adminId, chatId, message, proposal = null) {
+  if (result.status !== 'ok') {
+    const failure = describeWithdrawalTransitionFailure(result);
+    if (result.withdrawal) await updateWithdrawalReviewMessage(chatId, message, result.withdrawal);
+    return failure;
+  }
+
+  const withdrawal = result.withdrawal;
+  const amount = parseFloat(withdrawal.amount);
+
+  try {
+    await bot.sendMessage(withdrawal.user_id, `✅ Your withdrawal request has been approved!\nAmount: ${amount} ${CURRENCY_SYMBOL}\n\nYou will be notified once it is paid.`);
+  } catch (e) {}
+
+  const adminIdentifier = await getUserIdentifier(adminId);
+  const userIdentifier = await getUserIdentifier(withdrawal.user_id);
+  const approvers = proposal
+    ? `${await getUserIdentifier(proposal.proposed_by)} + ${adminIdentifier}`
+    : adminIdentifier;
+  
+  await updateWithdrawalReviewMessage(chatId, message, withdrawal, approvers);
+  await logAdmin(`Withdrawal #${withdrawal.id} approved by ${approvers} for ${userIdentifier} - Amount: ${amount}`);
+  return proposal ? `Proposal #${proposal.id} co-signed. Withdrawal approved.` : "Withdrawal approved.";
+}
+
+/**
+ * Reject a specific withdrawal request (pending -> rejected) and refund the amount.
+ * Returns the text used to answer the callback query.
+ */
+async function handleAdminWithdrawReject(adminId, withdrawalId, chatId, message) {
+  if (!hasPermission(adminId, 'withdrawals.review')) {
+    await sendEphemeralWarning(chatId, "⛔ You are not authorized!");
+    return "⛔ You are not authorized!";
+  }
+
+  const result = await db.transitionWithdrawal(withdrawalId, db.WITHDRAWAL_STATUS.REJECTED, adminId);
+  if (result.status !== 'ok') {
+    const failure = describeWithdrawalTransitionFailure(result);
+    if (result.withdrawal) await updateWithdrawalReviewMessage(chatId, message, result.withdrawal);
+    return failure;
+  }
+
+  const withdrawal = result.withdrawal;
+
+  const proposal = await db.getPendingProposalFor(db.PROPOSAL_ACTIONS.APPROVE_WITHDRAWAL, withdrawal.id);
+  if (proposal) {
+    await db.rejectAdminProposal(proposal.id, adminId, 'Withdrawal rejected');
+  }
+
+  try {
+    await bot.sendMessage(withdrawal.user_id, `❌ Your withdrawal request was rejected.\n${result.refunded} ${CURRENCY_SYMBOL} has been returned to your balance.\nNew balance: ${result.newBalance} ${CURRENCY_SYMBOL}`);
+  } catch (e) {}
+
+  const adminIdentifier = await getUserIdentifier(adminId);
+  const userIdentifier = await getUserIdentifier(withdrawal.user_id);
+  
+  await updateWithdrawalReviewMessage(chatId, message, withdrawal, adminIdentifier);
+  await logAdmin(`Withdrawal #${withdrawal.id} rejected by ${adminIdentifier} for ${userIdentifier} - Refunded: ${result.refunded}`);
+  return "Withdrawal rejected and refunded.";
+}
+
+/**
+ * Release a held withdrawal back into the normal review queue (on_hold -> pending).
+ * Returns the text used to answer the callback query.
+ */
+async function handleAdminWithdrawRelease(adminId, withdrawalId, chatId, message) {
+  const result = await db.transitionWithdrawal(withdrawalId, db.WITHDRAWAL_STATUS.PENDING, adminId, 'Released from hold');
+  if (result.status !== 'ok') {
+    const failure = describeWithdrawalTransitionFailure(result);
+    if (result.withdrawal) await updateWithdrawalReviewMessage(chatId, message, result.withdrawal);
+    return failure;
+  }
+
+  const adminIdentifier = await getUserIdentifier(adminId);
+  const userIdentifier = await getUserIdentifier(result.withdrawal.user_id);
+  await updateWithdrawalReviewMessage(chatId, message, result.withdrawal, adminIdentifier);
+  await logAdmin(`Withdrawal #${result.withdrawal.id} of ${userIdentifier} released from hold by ${adminIdentifier}`);
+  return "Withdrawal released for review.";
+}
+
+/**
+ * Mark an approved withdrawal as paid (approved -> paid).
+ * Returns the text used to answer the callback query.
+ */
+async function handleAdminWithdrawPaid(adminId, withdrawalId, chatId, message) {
+  if (!hasPermission(adminId, 'withdrawals.pay')) {
+    await sendEphemeralWarning(chatId, "⛔ You are not authorized!");
+    return "⛔ You are not authorized!";
+  }
+
+  const result = await db.markWithdrawalPaidManually(withdrawalId, adminId);
+  if (result.status === 'payout_in_progress') {
+    return `⏳ Withdrawal #${result.withdrawal.id} is being paid on-chain (${result.withdrawal.payout_status}). Wait until it confirms or fails.`;
+  }
+  if (result.status === 'unresolved_signature') {
+    return `⚠️ The last automatic transfer of withdrawal #${result.withdrawal.id} may have landed. Use /retrypayout ${result.withdrawal.id}, which checks it before sending again.`;
+  }
+  if (result.status !== 'ok') {
+    const failure = describeWithdrawalTransitionFailure(result);
+    if (result.withdrawal) await updateWithdrawalReviewMessage(chatId, message, result.withdrawal);
+    return failure;
+  }
+
+  const withdrawal = result.withdrawal;
+  const amount = parseFloat(withdrawal.amount);
+
+  try {
+    await bot.sendMessage(withdrawal.user_id, `💸 Your withdrawal has been paid!\nAmount: ${amount} ${CURRENCY_SYMBOL}\nWallet: ${withdrawal.wallet}`);
+  } catch (e) {}
+
+  const adminIdentifier = await getUserIdentifier(adminId);
+  const userIdentifier = await getUserIdentifier(withdrawal.user_id);
+
+  await updateWithdrawalReviewMessage(chatId, message, withdrawal, adminIdentifier);
+  await logAdmin(`Withdrawal #${withdrawal.id} marked paid by ${adminIdentifier} for ${userIdentifier} - Amount: ${amount}`);
+  return "Withdrawal marked as paid.";
+}
+
+/* ---------- Two-person approval (proposals) ---------- */
+/*
+  Balance adjustments and withdrawal approvals at or above the `dualApprovalThreshold` setting
+  become proposals. A second admin with the same permission co-signs from the review channel;
+  proposals expire after `proposalExpiryHours`. Withdrawals count together with the user's other
+  withdrawals of the last `dualApprovalWindowHours`, and balance adjustments with the admin credits
+  (or debits) the user got in that window, so splitting a large amount does not avoid it.
+*/
+const PROPOSAL_PERMISSIONS = {
+  add_balance: 'balance.adjust',
+  remove_balance: 'balance.adjust',
+  approve_withdrawal: 'withdrawals.review'
+};
+
+const PROPOSAL_LABELS = {
+  add_balance: '💰 Add Balance',
+  remove_balance: '💸 Remove Balance',
+  approve_withdrawal: '✅ Approve Withdrawal'
+};
+
+async function requiresCoSign(amount) {
+  const threshold = parseFloat(await db.getSetting('dualApprovalThreshold'));
+  return threshold > 0 && parseFloat(amount) >= threshold;
+}
+
+async function getDualApprovalWindowMs() {
+  const hours = parseFloat(await db.getSetting('dualApprovalWindowHours'));
+  return (Number.isFinite(hours) ? hours : 24) * 60 * 60 * 1000;
+}
+
+async function withdrawalRequiresCoSign(withdrawal) {
+  const windowMs = await getDualApprovalWindowMs();
+  const recent = windowMs > 0 ? await db.getRecentWithdrawalTotal(withdrawal.user_id, Date.now() - windowMs, withdrawal.id) : 0;
+  return requiresCoSign(parseFloat(withdrawal.amount) + recent);
+}
+
+// Admin adjustments of the same direction made within the window count towards the threshold
+async function balanceChangeRequiresCoSign(action, userId, amount) {
+  const windowMs = await getDualApprovalWindowMs();
+  const sourceType = action === db.PROPOSAL_ACTIONS.ADD_BALANCE ? db.LEDGER_SOURCES.ADMIN_CREDIT : db.LEDGER_SOURCES.ADMIN_DEBIT;
+  const recent = windowMs > 0 ? await db.getRecentLedgerTotal(userId, sourceType, Date.now() - windowMs) : 0;
+  return requiresCoSign(parseFloat(amount) + recent);
+}
+
+async function getProposalTtlMs() {
+  const hours = parseFloat(await db.getSetting('proposalExpiryHours'));
+  return (hours > 0 ? hours : 24) * 60 * 60 * 1000;
+}
+
+function proposalKeyboard(proposal) {
+  return [[
+    { text: "✍️ Co-sign", callback_data: `proposal_approve:${proposal.id}` },
+    { text: "✖️ Reject", callback_data: `proposal_reject:${proposal.id}` }
+  ]];
+}
+
+// Replace the status line of a review message (same layout as withdrawal review messages)
+async function setReviewMessageStatus(chatId, message, statusText, inline_keyboard = []) {
+  if (!message) return;
+  const baseText = (message.text || '').split('\n\nStatus:')[0];
+  try {
+    await bot.editMessageText(`${baseText}\n\nStatus: ${statusText}`, {
+      chat_id: chatId,
+      message_id: message.message_id,
+      reply_markup: { inline_keyboard }
+    });
+  } catch (e) {
+    console.error('Error editing proposal message:', e.message);
+  }
+}
+
+async function describeProposal(proposal) {
+  const userIdentifier = await getUserIdentifier(proposal.target_user_id);
+  const proposerIdentifier = await getUserIdentifier(proposal.proposed_by);
+  const amount = parseFloat(proposal.amount);
+  const sign = proposal.action === 'remove_balance' ? '-' : proposal.action === 'add_balance' ? '+' : '';
+
+  let text = `🗳️ Proposal #${proposal.id} — ${PROPOSAL_LABELS[proposal.action] || proposal.action}\n\n`;
+  text += `User: ${userIdentifier} (${proposal.target_user_id})\n`;
+  text += `Amount: ${sign}${amount} ${CURRENCY_SYMBOL}\n`;
+  if (proposal.action === 'approve_withdrawal') text += `Withdrawal: #${proposal.reference_id}\n`;
+  if (proposal.reason) text += `Reason: ${proposal.reason}\n`;
+  text += `Proposed by: ${proposerIdentifier}\n`;
+  text += `Expires: ${new Date(Number(proposal.expires_at)).toLocaleString()}`;
+  return text;
+}
+
+// /addbalance and /removebalance above the threshold: post a proposal instead of changing the balance
+async function proposeBalanceChange(action, adminId, targetId, amount, reason, chatId) {
+  const ttlMs = await getProposalTtlMs();
+  const { proposal } = await db.createAdminProposal({
+    action,
+    targetUserId: targetId,
+    amount,
+    reason,
+    proposedBy: adminId,
+    ttlMs
+  });
+
+  const text = await describeProposal(proposal);
+  await broadcastAdminAction(`${text}\n\nStatus: ⏳ Waiting for a second admin`, {
+    reply_markup: { inline_keyboard: proposalKeyboard(proposal) }
+  });
+  await sendAndAutoDelete(chatId, `🗳️ ${amount} ${CURRENCY_SYMBOL}, together with this user's recent adjustments, reaches the co-sign threshold.\nProposal #${proposal.id} was posted for a second admin to co-sign.`, 30000);
+  return proposal;
+}
+
+async function proposeWithdrawalApproval(adminId, withdrawal, chatId, message) {
+  const existing = await db.getPendingProposalFor(db.PROPOSAL_ACTIONS.APPROVE_WITHDRAWAL, withdrawal.id);
+  if (existing && Number(existing.expires_at) > Date.now()) {
+    if (Number(existing.proposed_by) === Number(adminId)) {
+      return "ℹ️ Waiting for a different admin to co-sign.";
+    }
+    // A second admin tapping Approve on the same request counts as the co-sign
+    return handleProposalApprove(adminId, existing.id, chatId, message);
+  }
+
+  const ttlMs = await getProposalTtlMs();
+  const { proposal } = await db.createAdminProposal({
+    action: db.PROPOSAL_ACTIONS.APPROVE_WITHDRAWAL,
+    targetUserId: withdrawal.user_id,
+    amount: withdrawal.amount,
+    referenceId: withdrawal.id,
+    proposedBy: adminId,
+    ttlMs
+  });
+
+  const adminIdentifier = await getUserIdentifier(adminId);
+  // The co-sign button is the Approve button itself: once the proposal expires it proposes the approval again
+  await setReviewMessageStatus(chatId, message, `🗳️ Approval proposed by ${adminIdentifier} — needs a second admin (proposal #${proposal.id})`, [[
+    { text: "✍️ Co-sign approval", callback_data: `wd_approve:${withdrawal.id}` },
+    { text: "❌ Reject", callback_data: `wd_reject:${withdrawal.id}` }
+  ]]);
+  await broadcastAdminAction(`${await describeProposal(proposal)}\n\nCo-sign it on the withdrawal review message.`);
+  return `🗳️ Proposal #${proposal.id} created. A second admin must co-sign.`;
+}
+
+// An expired withdrawal proposal gives the review message its Approve/Reject buttons back
+async function markProposalExpired(proposal, chatId, message) {
+  if (proposal.action !== db.PROPOSAL_ACTIONS.APPROVE_WITHDRAWAL) {
+    await setReviewMessageStatus(chatId, message, "⌛ Expired");
+    return;
+  }
+  const withdrawal = await db.getWithdrawalById(proposal.reference_id);
+  if (withdrawal) await updateWithdrawalReviewMessage(chatId, message, withdrawal);
+}
+
+/**
+ * Co-sign a proposal. Returns the text used to answer the callback query.
+ */
+async function handleProposalApprove(adminId, proposalId, chatId, message) {
+  const proposal = await db.getAdminProposal(proposalId);
+  if (!proposal) return "❌ Proposal not found.";
+  if (!hasPermission(adminId, PROPOSAL_PERMISSIONS[proposal.action])) {
+    return "⛔ You are not authorized!";
+  }
+
+  const result = await db.approveAdminProposal(proposalId, adminId);
+  const adminIdentifier = await getUserIdentifier(adminId);
+
+  if (result.status === 'same_admin') return "ℹ️ A different admin must co-sign this proposal.";
+  if (result.status === 'already_decided') return `ℹ️ Proposal #${proposalId} is already ${result.proposal.status}.`;
+  if (result.status === 'expired') {
+    await markProposalExpired(proposal, chatId, message);
+    return `⌛ Proposal #${proposalId} has expired.`;
+  }
+
+  const proposerIdentifier = await getUserIdentifier(result.proposal.proposed_by);
+  const label = PROPOSAL_LABELS[result.proposal.action] || result.proposal.action;
+
+  if (result.status === 'failed') {
+    if (proposal.action === 'approve_withdrawal') {
+      await finishWithdrawalApproval(result.outcome, adminId, chatId, message);
+    } else {
+      await setReviewMessageStatus(chatId, message, `❌ Failed: ${result.failure}`);
+    }
+    await broadcastAdminAction(`❌ Proposal #${proposalId} failed\n\nAction: ${label}\nProposed by: ${proposerIdentifier}\nCo-signed by: ${adminIdentifier}\nReason: ${result.failure}`);
+    return `❌ Proposal #${proposalId} failed: ${result.failure}`;
+  }
+
+  await broadcastAdminAction(`✅ Proposal #${proposalId} executed\n\nAction: ${label}\nUser: ${await getUserIdentifier(result.proposal.target_user_id)}\nAmount: ${parseFloat(result.proposal.amount)} ${CURRENCY_SYMBOL}\nProposed by: ${proposerIdentifier}\nCo-signed by: ${adminIdentifier}`);
+
+  if (proposal.action === 'approve_withdrawal') {
+    return finishWithdrawalApproval(result.outcome, adminId, chatId, message, result.proposal);
+  }
+
+  const changed = proposal.action === 'remove_balance' ? `-${result.outcome.removed}` : `+${parseFloat(result.proposal.amount)}`;
+  await setReviewMessageStatus(chatId, message, `✅ Executed (${changed} ${CURRENCY_SYMBOL}, new balance ${result.outcome.newBalance} ${CURRENCY_SYMBOL}) — ${proposerIdentifier} + ${adminIdentifier}`);
+  return `Proposal #${proposalId} co-signed and executed.`;
+}
+
+/**
+ * Reject a proposal (the proposer may withdraw their own). Returns the callback answer text.
+ */
+async function handleProposalReject(adminId, proposalId, chatId, message) {
+  const proposal = await db.getAdminProposal(proposalId);
+  if (!proposal) return "❌ Proposal not found.";
+  if (!hasPermission(adminId, PROPOSAL_PERMISSIONS[proposal.action])) {
+    return "⛔ You are not authorized!";
+  }
+
+  const result = await db.rejectAdminProposal(proposalId, adminId);
+  if (result.status === 'already_decided') return `ℹ️ Proposal #${proposalId} is already ${result.proposal.status}.`;
+  if (result.status === 'expired') {
+    await markProposalExpired(proposal, chatId, message);
+    return `⌛ Proposal #${proposalId} has expired.`;
+  }
+
+  const adminIdentifier = await getUserIdentifier(adminId);
+  await setReviewMessageStatus(chatId, message, `✖️ Rejected by ${adminIdentifier}`);
+  await broadcastAdminAction(`✖️ Proposal #${proposalId} rejected\n\nAction: ${PROPOSAL_LABELS[proposal.action] || proposal.action}\nRejected by: ${adminIdentifier}`);
+  return `Proposal #${proposalId} rejected.`;
+}
+
+/* ---------- requestwithdraw and admin commands ---------- */
+router.command(/\/requestwithdraw\s+(.+)/, userGate(), async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+
+  const amountStr = match[1];
+  const amount = parseFloat(amountStr);
+
+  if (isNaN(amount) || amount <= 0) {
+    await bot.sendMessage(chatId, "❌ Invalid amount.");
+    return;
+  }
+
+  const withdrawalOpen = (await db.getSetting('withdrawalOpen')) === 'true';
+  
+  if (!withdrawalOpen) {
+    await bot.sendMessage(chatId, "❌ Withdrawals are currently closed.");
+    return;
+  }
+
+  const minWithdrawal = parseFloat(await db.getSetting('minWithdrawal')) || 50;
+  const maxWithdrawal = parseFloat(await db.getSetting('maxWithdrawal')) || 10000;
+
+  if (amount < minWithdrawal || amount > maxWithdrawal) {
+    await bot.sendMessage(chatId, `❌ Amount must be between ${minWithdrawal} and ${maxWithdrawal} ${CURRENCY_SYMBOL}`);
+    return;
+  }
+
+  // Wallets saved before address validation existed may not be valid Solana addresses
+  const user = await db.getUser(userId);
+  if (user && user.wallet && !validateSolanaAddress(user.wallet).valid) {
+    await bot.sendMessage(chatId, "❌ Your saved wallet is not a valid Solana address. Please set it again using 💳 Set Wallet");
+    return;
+  }
+
+  // Balance check, request creation and debit happen in one locked transaction
+  const walletShareLimit = parseInt(await db.getSetting('walletShareLimit'), 10) || 0;
+  const rules = await db.getWithdrawalRules();
+  const risk = await db.assessWithdrawalRisk(userId, amount, {
+    holdThreshold: parseInt(await db.getSetting('riskHoldThreshold'), 10) || 70,
+    autoRejectFake: (await db.getSetting('autoRejectFakeWithdrawals')) === 'true'
+  });
+  const result = await db.requestWithdrawal(userId, amount, { walletShareLimit, rules, risk });
+
+  if (result.status === 'rule_blocked') {
+    await bot.sendMessage(chatId, describeWithdrawalBlock(result.block));
+    return;
+  }
+  
+  if (result.status === 'pending_exists') {
+    const existing = result.withdrawal;
+    const hint = existing.status === db.WITHDRAWAL_STATUS.ON_HOLD
+      ? "It is on hold for additional review."
+      : "Wait for it to be reviewed or send /cancelwithdraw to cancel it.";
+    await bot.sendMessage(chatId, `⏳ You already have an open withdrawal (#${existing.id}) of ${parseFloat(existing.amount)} ${CURRENCY_SYMBOL}.\n${hint}`);
+    return;
+  }
+
+  if (result.status === 'insufficient_balance') {
+    await bot.sendMessage(chatId, `❌ Insufficient balance. Your balance: ${result.balance} ${CURRENCY_SYMBOL}`);
+    return;
+  }
+
+  if (result.status === 'no_wallet') {
+    await bot.sendMessage(chatId, "❌ Please set your wallet address first using 💳 Set Wallet");
+    return;
+  }
+
+  const withdrawal = result.withdrawal;
+  const userIdentifier = await getUserIdentifier(userId);
+  let msg_text = `💸 New Withdrawal Request #${withdrawal.id}\nUser: ${userIdentifier}\nAmount: ${amount} ${CURRENCY_SYMBOL}\nWallet: ${withdrawal.wallet}`;
+  msg_text += `\n\n${formatRiskSummary(risk)}`;
+
+  if (result.autoRejected) {
+    msg_text += `\n\n🚫 AUTO-REJECTED: account classified as ${risk.classification}. ${amount} ${CURRENCY_SYMBOL} refunded.`;
+    await bot.sendMessage(WITHDRAW_REVIEW_CHANNEL, msg_text);
+    await bot.sendMessage(chatId, `❌ Withdrawal request #${withdrawal.id} was declined by our automated checks.\nAmount refunded: ${amount} ${CURRENCY_SYMBOL}\n\nIf you believe this is a mistake, please contact support.`);
+    return;
+  }
+
+  if (result.held) {
+    msg_text += `\n\n🔒 ON HOLD: ${result.holdReasons.join(', ')}.`;
+    if (result.walletClusterSize > 1) {
+      msg_text += ` Check /walletcluster ${userId} before releasing.`;
+    }
+  }
+
+  await bot.sendMessage(WITHDRAW_REVIEW_CHANNEL, msg_text, { reply_markup: { inline_keyboard: withdrawalReviewKeyboard(withdrawal) } });
+
+  if (result.held) {
+    await bot.sendMessage(chatId, `🔒 Withdrawal request #${withdrawal.id} received and placed on hold for additional review.\nAmount: ${amount} ${CURRENCY_SYMBOL}\n\nYou will be notified once it has been reviewed.`);
+    return;
+  }
+  await bot.sendMessage(chatId, `✅ Withdrawal request #${withdrawal.id} submitted for review.\nAmount: ${amount} ${CURRENCY_SYMBOL}\n\nChanged your mind? Send /cancelwithdraw before it is reviewed.`);
+});
+
+const RISK_LEVEL_ICONS = { low: '🟢', medium: '🟡', high: '🔴' };
+
+// "🛡️ Risk: 42/100 🟡 medium" followed by the strongest reasons
+function formatRiskSummary(risk, topReasons = 3) {
+  let text = `🛡️ Risk: ${risk.score}/100 ${RISK_LEVEL_ICONS[risk.level] || ''} ${risk.level}`;
+  risk.reasons.slice(0, topReasons).forEach(reason => {
+    text += `\n• ${reason}`;
+  });
+  return text;
+}
+
+const CAP_WINDOW_LABELS = { daily: '24 hours', weekly: '7 days', monthly: '30 days' };
+
+// Tell the user which withdrawal rule stopped the request and when they may try again
+function describeWithdrawalBlock(block) {
+  const retry = block.retryAt ? `\n\n⏰ Try again in ${formatDuration(block.retryAt - Date.now())}.` : '';
+
+  switch (block.rule) {
+    case 'account_age':
+      return `⏳ Your account must be at least ${formatDuration(block.limit)} old to withdraw.${retry}`;
+    case 'min_tier':
+      return `📈 Withdrawals require the ${block.limit} engagement tier or higher. Your tier: ${block.current}.\n\nStay active, complete tasks and keep your streak going to level up.`;
+    case 'min_tasks':
+      return `🎯 Complete at least ${block.limit} task(s) before withdrawing. Completed so far: ${block.current}.`;
+    case 'cooldown':
+      return `⏳ You can request one withdrawal every ${formatDuration(block.limit)}.${retry}`;
+    case 'user_cap':
+      return block.retryAt
+        ? `📊 Your ${block.window} withdrawal limit is ${block.limit} ${CURRENCY_SYMBOL} per ${CAP_WINDOW_LABELS[block.window]}. You have used ${block.used} ${CURRENCY_SYMBOL}.${retry}`
+        : `📊 This amount is above the ${block.window} withdrawal limit of ${block.limit} ${CURRENCY_SYMBOL} per ${CAP_WINDOW_LABELS[block.window]}.`;
+    case 'global_cap':
+      return block.retryAt
+        ? `🌐 The ${block.window} withdrawal limit for all users has been reached.${retry}`
+        : `🌐 This amount is above the ${block.window} withdrawal limit for all users (${block.limit} ${CURRENCY_SYMBOL}).`;
+    default:
+      return "❌ Your withdrawal request is not allowed right now.";
+  }
+}
+
+router.command(/\/cancel\b/, userGate(), async (msg) => {
+  const chatId = msg.chat.id;
+  const cleared = await endFlow(msg.from.id);
+
+  if (cleared.length === 0) {
+    await bot.sendMessage(chatId, "ℹ️ Nothing to cancel.");
+    return;
+  }
+
+  const lines = cleared.map(state => `• ${describeFlow(state.flow, state.data)}`).join("\n");
+  await bot.sendMessage(chatId, `✖️ Cancelled:\n${lines}`);
+});
+
+router.command(/\/cancelwithdraw/, userGate(), async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+
+  const result = await db.cancelPendingWithdrawal(userId);
+
+  if (result.status === 'not_found') {
+    await bot.sendMessage(chatId, "ℹ️ You have no pending withdrawal to cancel.");
+    return;
+  }
+
+  if (result.status !== 'ok') {
+    await bot.sendMessage(chatId, "ℹ️ This withdrawal has already been reviewed and can no longer be cancelled.");
+    return;
+  }
+
+  const withdrawal = result.withdrawal;
+  await bot.sendMessage(chatId, `↩️ Withdrawal #${withdrawal.id} cancelled.\n${result.refunded} ${CURRENCY_SYMBOL} has been returned to your balance.\nNew balance: ${result.newBalance} ${CURRENCY_SYMBOL}`);
+
+  const userIdentifier = await getUserIdentifier(userId);
+  try {
+    await bot.sendMessage(WITHDRAW_REVIEW_CHANNEL, `↩️ Withdrawal #${withdrawal.id} cancelled by ${userIdentifier} (${result.refunded} ${CURRENCY_SYMBOL} refunded).`);
+  } catch (e) {
+    console.error('Error posting withdrawal cancellation:', e.message);
+  }
+});
+
+// ✅ Global system health function
+async function analyzeSystemHealth() {
+  try {
+    const cpuLoad = await si.currentLoad();
+    const mem = await si.mem();
+    const netStats = await si.networkStats();
+
+    const cpu = cpuLoad.currentLoad.toFixed(1);
+    const ramUsed = (mem.active / 1024 / 1024 / 1024).toFixed(2);
+    const ramTotal = (mem.total / 1024 / 1024 / 1024).toFixed(2);
+    const netIn = (netStats[0].rx_sec / 1024).toFixed(1);
+    const netOut = (netStats[0].tx_sec / 1024).toFixed(1);
+    const uptime = (process.uptime() / 60).toFixed(1);
+
+    const heart = cpu < 50 ? "💚" : cpu < 80 ? "💛" : "❤️‍🔥";
+
+    return `
+⚙️ *System Health Report* ${heart}
+
+🧠 *CPU Load:* ${cpu}%
+💾 *Memory:* ${ramUsed}GB / ${ramTotal}GB
+🌐 *Network:* ${netIn}KB/s ⬇️ | ${netOut}KB/s ⬆️
+⏱️ *Uptime:* ${uptime} minutes
+🚦 *Status:* ${heart} ${cpu < 80 ? "Stable" : "High Load"}
+    `;
+  } catch (err) {
+    console.error("System health check failed:", err);
+    return "❌ Failed to analyze system health.";
+  }
+}
+
+
+router.command(/\/health/, requirePermission('system'), async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id; // ✅ This is your actual Telegram ID
+
+  try {
+    const healthReport = await analyzeSystemHealth();
+    await bot.sendMessage(chatId, healthReport, { parse_mode: "Markdown" });
+  } catch (err) {
+    console.error("Health command error:", err);
+    await bot.sendMessage(chatId, "❌ Failed to fetch system health.");
+  }
+});
+
+
+const ADD_TASK_USAGE = `❌ Usage: /addtask Title | Description | Reward [| options]
+
+Options (separated by ;):
+screenshots=N — screenshots required (0 for none, default 1)
+text=Label — required text answer, e.g. text=X handle
+link=Pattern — the answer must contain a link matching this pattern
+join=@channel — join task: membership is checked automatically and paid at once, once per user, no other proof
+x=follow:@handle, x=like:<post URL> or x=repost:<post URL> — X task: users send their X handle and it is checked automatically
+per_user=N — completions per user (0 = unlimited, default 1)
+slots=N — total completions across all users
+start=YYYY-MM-DD / end=YYYY-MM-DD[THH:MM] — availability window (UTC)
+cooldown=24h — wait between completions of a repeatable task
+
+Example: /addtask Retweet | Retweet our pinned post | 5 | screenshots=0; text=tweet URL; link=https://(x|twitter)\\.com/\\S+; slots=500
+
+Tip: /newtask builds a task step by step, with HTML formatting and a banner image.`;
+
+// Limits and schedule of a task in one short line each, for admin listings
+function describeTaskLimits(task) {
+  const lines = [];
+  const perUser = task.max_per_user === 0 ? 'unlimited' : task.max_per_user;
+  lines.push(`Per user: ${perUser}${task.cooldown_ms > 0 ? `, every ${formatDuration(Number(task.cooldown_ms))}` : ''}`);
+  lines.push(`Completions: ${task.completion_count}${task.total_slots ? `/${task.total_slots} slots` : ''}`);
+  if (task.starts_at) lines.push(`Starts: ${new Date(Number(task.starts_at)).toISOString().slice(0, 16).replace('T', ' ')} UTC`);
+  if (task.ends_at) lines.push(`Ends: ${new Date(Number(task.ends_at)).toISOString().slice(0, 16).replace('T', ' ')} UTC`);
+  return lines;
+}
+
+router.command(/\/addtask(?:\s+([\s\S]+))?/, requirePermission('tasks.manage'), async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+
+  const parts = (match[1] || '').split(' | ');
+  const title = (parts[0] || '').trim();
+  const description = (parts[1] || '').trim();
+  const reward = parseFloat(parts[2]);
+
+  if (!title || !description || isNaN(reward)) {
+    await bot.sendMessage(chatId, ADD_TASK_USAGE);
+    return;
+  }
+
+  const { options, errors } = parseTaskOptions(parts.slice(3).join(' | '));
+  if (errors.length > 0) {
+    await bot.sendMessage(chatId, `❌ Invalid task options:\n${errors.map(error => `• ${error}`).join('\n')}`);
+    return;
+  }
+
+  const task = await db.createTask(title, description, reward, userId, options);
+  await bot.sendMessage(chatId, `✅ Task created (ID ${task.id}):\n${title}\nReward: ${reward} ${CURRENCY_SYMBOL}\nProof: ${describeProofRequirements(task).join(', ')}\n${describeTaskLimits(task).join('\n')}`);
+  await logAdmin(`New task created: ${title} - Reward: ${reward}`);
+});
+
+const TASK_STATUS_LABELS = {
+  draft: '📝 Draft',
+  active: '🟢 Active',
+  paused: '⏸ Paused',
+  expired: '⌛ Expired',
+  archived: '🗄 Archived'
+};
+
+const TASK_STATUS_ACTIONS = {
+  paused: { verb: 'paused', icon: '⏸' },
+  active: { verb: 'resumed', icon: '▶️' },
+  archived: { verb: 'archived', icon: '🗄' }
+};
+
+// Tell users with a submission still under review that its task was archived
+async function notifyArchivedTaskSubmissions(task, submissions) {
+  for (const submission of submissions) {
+    try {
+      await bot.sendMessage(submission.user_id, `🗄 The task "${submission.task_title || task.title}" has been archived and is no longer available.\n\nYour submission #${submission.id} is kept and will still be reviewed.`);
+    } catch (e) {}
+  }
+}
+
+// Shared body of /pausetask, /resumetask, /archivetask (and /deletetask, which archives)
+async function changeTaskStatus(msg, taskId, toStatus) {
+  const chatId = msg.chat.id;
+  const result = await db.setTaskStatus(taskId, toStatus, msg.from.id);
+
+  if (result.status === 'not_found') {
+    await bot.sendMessage(chatId, "❌ Task not found.");
+    return;
+  }
+  if (result.status === 'invalid_transition') {
+    await bot.sendMessage(chatId, `ℹ️ Task #${taskId} is ${TASK_STATUS_LABELS[result.task.status] || result.task.status} and cannot be ${TASK_STATUS_ACTIONS[toStatus].verb}.`);
+    return;
+  }
+  if (result.status === 'ended') {
+    await bot.sendMessage(chatId, `⌛ Task #${taskId} ended on ${new Date(Number(result.task.ends_at)).toISOString().slice(0, 16).replace('T', ' ')} UTC. Move or clear the end date with /edittask ${taskId} first.`);
+    return;
+  }
+
+  const { task, pendingSubmissions } = result;
+  const action = TASK_STATUS_ACTIONS[toStatus];
+  let text = `${action.icon} Task #${task.id} "${task.title}" ${action.verb}.`;
+  if (toStatus === db.TASK_STATUS.ARCHIVED) {
+    text += `\nHistory is kept. Pending submissions still to review: ${pendingSubmissions.length}.`;
+    await notifyArchivedTaskSubmissions(task, pendingSubmissions);
+  }
+  await bot.sendMessage(chatId, text);
+  await logAdmin(`Task ${task.id} ${action.verb} (${result.previousStatus} -> ${task.status}): ${task.title}`);
+}
+
+router.command(/\/pausetask(?:\s+(\d+))?/, requirePermission('tasks.manage'), async (msg, match) => {
+  if (!match[1]) {
+    await bot.sendMessage(msg.chat.id, "❌ Usage: /pausetask <task id>");
+    return;
+  }
+  await changeTaskStatus(msg, Number(match[1]), db.TASK_STATUS.PAUSED);
+});
+
+// Resumes a paused task, publishes a draft or reopens an expired task whose end date was moved
+router.command(/\/resumetask(?:\s+(\d+))?/, requirePermission('tasks.manage'), async (msg, match) => {
+  if (!match[1]) {
+    await bot.sendMessage(msg.chat.id, "❌ Usage: /resumetask <task id>");
+    return;
+  }
+  await changeTaskStatus(msg, Number(match[1]), db.TASK_STATUS.ACTIVE);
+});
+
+router.command(/\/archivetask(?:\s+(\d+))?/, requirePermission('tasks.manage'), async (msg, match) => {
+  if (!match[1]) {
+    await bot.sendMessage(msg.chat.id, "❌ Usage: /archivetask <task id>");
+    return;
+  }
+  await changeTaskStatus(msg, Number(match[1]), db.TASK_STATUS.ARCHIVED);
+});
+
+// Kept for muscle memory: tasks are archived rather than deleted so their history survives
+router.command(/\/deletetask\s+(\d+)/, requirePermission('tasks.manage'), async (msg, match) => {
+  await changeTaskStatus(msg, Number(match[1]), db.TASK_STATUS.ARCHIVED);
+});
+
+router.command(/\/listtasks(?:\s+(\w+))?/, requirePermission('tasks.manage'), async (msg, match) => {
+  const chatId = msg.chat.id;
+  const filter = (match[1] || 'active').toLowerCase();
+
+  if (filter !== 'all' && !TASK_STATUS_LABELS[filter]) {
+    await bot.sendMessage(chatId, `❌ Usage: /listtasks [${Object.keys(TASK_STATUS_LABELS).join('|')}|all]`);
+    return;
+  }
+
+  const tasks = await db.getTasks(filter === 'all' ? null : filter);
+  
+  if (tasks.length === 0) {
+    await bot.sendMessage(chatId, filter === 'all' ? "No tasks." : `No ${filter} tasks.`);
+    return;
+  }
+
+  let text = filter === 'all' ? "📋 Tasks (not archived):\n\n" : `📋 ${TASK_STATUS_LABELS[filter]} Tasks:\n\n`;
+  tasks.forEach(task => {
+    text += `ID: ${task.id}\nTitle: ${task.title}\nStatus: ${TASK_STATUS_LABELS[task.status] || task.status}\nDescription: ${plainTaskDescription(task)}\nReward: ${task.reward} ${CURRENCY_SYMBOL}\n`;
+    text += `Proof: ${describeProofRequirements(task).join(', ')}${task.proof_link_pattern ? ` (pattern: ${task.proof_link_pattern})` : ''}\n`;
+    text += `${describeTaskLimits(task).join('\n')}\n\n`;
+  });
+  
+  await bot.sendMessage(chatId, text);
+});
+
+/* ---------- Task builder (/newtask, /edittask) ---------- */
+// Guided task creation and editing; progress lives in the task_builder flow until Save
+const MAX_TASK_TITLE_LENGTH = 100;
+const MAX_PROOF_LABEL_LENGTH = 50;
+const ANY_LINK_PATTERN = 'https?://\\S+';
+
+// Step that follows each answer; proof sub-steps depend on the chosen proof type
+const TASK_BUILDER_NEXT = {
+  title: 'description',
+  description: 'reward',
+  reward: 'proof',
+  proof: 'limits',
+  proof_screenshots: 'limits',
+  proof_label: 'limits',
+  proof_pattern: 'limits',
+  proof_chat: 'limits',
+  proof_social: 'limits',
+  limits: 'schedule',
+  schedule: 'banner',
+  banner: 'preview'
+};
+
+const TASK_BUILDER_STEP_NUMBERS = {
+  title: 1, description: 2, reward: 3, proof: 4, proof_screenshots: 4, proof_label: 4, proof_pattern: 4, proof_chat: 4, proof_social: 4,
+  limits: 5, schedule: 6, banner: 7
+};
+
+// Fields each options step may set
+const TASK_BUILDER_OPTION_FIELDS = {
+  limits: ['max_per_user', 'total_slots', 'cooldown_ms'],
+  schedule: ['starts_at', 'ends_at']
+};
+
+function emptyTaskDraft() {
+  return {
+    title: '',
+    description: '',
+    description_html: true,
+    reward: null,
+    min_screenshots: 1,
+    proof_text_label: null,
+    proof_link_pattern: null,
+    verify_chat: null,
+    social_action: null,
+    social_target: null,
+    max_per_user: 1,
+    total_slots: null,
+    starts_at: null,
+    ends_at: null,
+    cooldown_ms: 0,
+    banner_file_id: null,
+    completion_count: 0
+  };
+}
+
+function taskToDraft(task) {
+  return {
+    title: task.title,
+    description: task.description,
+    description_html: !!task.description_html,
+    reward: parseFloat(task.reward),
+    min_screenshots: task.min_screenshots,
+    proof_text_label: task.proof_text_label,
+    proof_link_pattern: task.proof_link_pattern,
+    verify_chat: task.verify_chat,
+    social_action: task.social_action,
+    social_target: task.social_target,
+    max_per_user: task.max_per_user,
+    total_slots: task.total_slots,
+    starts_at: task.starts_at ? Number(task.starts_at) : null,
+    ends_at: task.ends_at ? Number(task.ends_at) : null,
+    cooldown_ms: Number(task.cooldown_ms) || 0,
+    banner_file_id: task.banner_file_id,
+    completion_count: task.completion_count
+  };
+}
+
+function describeTaskSchedule(draft) {
+  const lines = describeTaskLimits(draft).filter(line => line.startsWith('Starts') || line.startsWith('Ends'));
+  return lines.length > 0 ? lines.join(', ') : 'always available';
+}
+
+async function sendTaskBuilderStep(chatId, state) {
+  const { step, draft } = state;
+  const keep = (hasValue) => ({ text: hasValue ? "⏭ Keep current" : "⏭ Skip", callback_data: "tb_skip" });
+  const current = (value) => `\n\nCurrent: ${value}`;
+  const header = `${state.taskId ? `✏️ Editing task #${state.taskId}` : '🆕 New task'} — step ${TASK_BUILDER_STEP_NUMBERS[step]}/7`;
+  const rows = [];
+  let text;
+
+  switch (step) {
+    case 'title':
+      text = `${header}: Title\n\nSend the task title (up to ${MAX_TASK_TITLE_LENGTH} characters).`;
+      if (draft.title) {
+        text += current(draft.title);
+        rows.push([keep(true)]);
+      }
+      break;
+    case 'description':
+      text = `${header}: Description\n\nSend the description users will see. HTML formatting is supported: <b>bold</b>, <i>italic</i>, <u>underline</u>, <code>code</code> and <a href="https://example.com">links</a>. Line breaks are kept.`;
+      if (draft.description) {
+        text += current(plainTaskDescription(draft));
+        rows.push([keep(true)]);
+      }
+      break;
+    case 'reward':
+      text = `${header}: Reward\n\nSend the reward in ${CURRENCY_SYMBOL} (a positive number).`;
+      if (draft.reward) {
+        text += current(`${draft.reward} ${CURRENCY_SYMBOL}`);
+        rows.push([keep(true)]);
+      }
+      break;
+    case 'proof':
+      text = `${header}: Proof\n\nWhat must users send as proof?` + (state.taskId ? current(describeProofRequirements(draft).join(', ')) : '');
+      rows.push(
+        [{ text: "📸 Screenshots", callback_data: "tb_proof:screenshots" }, { text: "✍️ Text answer", callback_data: "tb_proof:text" }],
+        [{ text: "🔗 Link", callback_data: "tb_proof:link" }, { text: "👥 Join a chat", callback_data: "tb_proof:join" }],
+        [{ text: "🤖 X follow/like/repost", callback_data: "tb_proof:x" }, { text: "✨ No proof", callback_data: "tb_proof:none" }]
+      );
+      if (state.taskId) rows.push([keep(true)]);
+      break;
+    case 'proof_screenshots':
+      text = `${header}: Proof\n\nHow many screenshots are required? (1-10)`;
+      break;
+    case 'proof_label':
+      text = `${header}: Proof\n\nWhat should users send? Give it a short name, e.g. "X handle" or "tweet URL".`;
+      break;
+    case 'proof_pattern':
+      text = `${header}: Proof\n\nSend the pattern the link must match, e.g. https://(x|twitter)\\.com/\\S+\n\nSkip to accept any http(s) link.`;
+      rows.push([keep(false)]);
+      break;
+    case 'proof_chat':
+      text = `${header}: Proof\n\nWhich chat must users join? Send @username, a t.me link or the numeric chat id.\n\nThe bot must be a member of the chat (an admin in channels) to check who joined.`;
+      break;
+    case 'proof_social':
+      text = `${header}: Proof\n\nWhat must users do on X? Send one of:\nfollow @handle\nlike <post URL>\nrepost <post URL>\n\nUsers send their X handle and it is checked automatically; anything the check cannot decide goes to manual review.`;
+      break;
+    case 'limits':
+      text = (draft.verify_chat
+        ? `${header}: Limits\n\nJoin tasks are paid once per user. Send slots=N to cap the total, or slots=none to remove the cap.`
+        : `${header}: Limits\n\nSend any of: per_user=N (0 = unlimited); slots=N; cooldown=24h\nSeparate options with ; and use none to clear one, e.g. "per_user=0; cooldown=24h; slots=none".`) +
+        current(describeTaskLimits(draft).filter(line => !line.startsWith('Starts') && !line.startsWith('Ends')).join(', '));
+      rows.push([keep(true)]);
+      break;
+    case 'schedule':
+      text = `${header}: Schedule\n\nSend start=YYYY-MM-DD[THH:MM] and/or end=YYYY-MM-DD[THH:MM] (UTC), e.g. "start=2026-11-01; end=2026-11-30T18:00". Use none to clear one.` +
+        current(describeTaskSchedule(draft));
+      rows.push([keep(true)]);
+      break;
+    case 'banner':
+      text = `${header}: Banner\n\nSend an image to show when users open the task, or skip.` + (draft.banner_file_id ? current('banner set') : '');
+      rows.push(draft.banner_file_id
+        ? [keep(true), { text: "🗑 Remove banner", callback_data: "tb_banner_remove" }]
+        : [keep(false)]);
+      break;
+    default:
+      return sendTaskBuilderPreview(chatId, state);
+  }
+
+  rows.push([{ text: "✖️ Cancel", callback_data: "tb_cancel" }]);
+  await bot.sendMessage(chatId, text, { reply_markup: { inline_keyboard: rows } });
+}
+
+// Show the task as it will appear in 🎯 Task, then ask to save
+async function sendTaskBuilderPreview(chatId, state) {
+  const { draft } = state;
+  const entry = `👀 Preview — this is how the task will look in 🎯 Task:\n\n${formatTaskListEntry(draft, 0)}`;
+
+  try {
+    if (draft.banner_file_id) {
+      await bot.sendPhoto(chatId, draft.banner_file_id, { caption: entry, parse_mode: 'HTML' });
+    } else {
+      await bot.sendMessage(chatId, entry, { parse_mode: 'HTML' });
+    }
+  } catch (e) {
+    // Captions are limited to 1024 characters: fall back to the banner followed by the text
+    if (draft.banner_file_id) {
+      try { await bot.sendPhoto(chatId, draft.banner_file_id); } catch (err) {}
+    }
+    await bot.sendMessage(chatId, entry, { parse_mode: 'HTML' });
+  }
+
+  const summary = [
+    state.taskId ? `✏️ Task #${state.taskId} after your changes:` : '🆕 New task:',
+    `Proof: ${describeProofRequirements(draft).join(', ')}${draft.proof_link_pattern ? ` (pattern: ${draft.proof_link_pattern})` : ''}`,
+    ...describeTaskLimits(draft),
+    `Banner: ${draft.banner_file_id ? 'yes' : 'none'}`,
+    '',
+    state.taskId ? 'Save these changes?' : 'Create this task?'
+  ];
+  await bot.sendMessage(chatId, summary.join('\n'), {
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: "💾 Save", callback_data: "tb_save" }, { text: "✏️ Start over", callback_data: "tb_restart" }],
+        state.taskId
+          ? [{ text: "✖️ Cancel", callback_data: "tb_cancel" }]
+          : [{ text: "📝 Save as draft", callback_data: "tb_save:draft" }, { text: "✖️ Cancel", callback_data: "tb_cancel" }]
+      ]
+    }
+  });
+}
+
+async function advanceTaskBuilder(userId, chatId, changes) {
+  const state = await updateFlow(userId, FLOWS.TASK_BUILDER, (data) => ({
+    ...data,
+    ...changes,
+    draft: { ...data.draft, ...(changes.draft || {}) }
+  }));
+  if (state) await sendTaskBuilderStep(chatId, state);
+  return state;
+}
+
+// Validate one typed answer; returns { draft, step } for the next step or { error }
+async function readTaskBuilderAnswer(m, chatId, state) {
+  const text = m.text ? m.text.trim() : '';
+  const draft = {};
+
+  switch (state.step) {
+    case 'title':
+      if (!text) return { error: "Please send the title as text." };
+      if (text.length > MAX_TASK_TITLE_LENGTH) return { error: `The title is ${text.length} characters; the limit is ${MAX_TASK_TITLE_LENGTH}.` };
+      return { draft: { title: text }, step: TASK_BUILDER_NEXT.title };
+
+    case 'description':
+      if (!text) return { error: "Please send the description as text." };
+      // Echoing it with parse_mode HTML both previews it and proves Telegram accepts the markup
+      try {
+        await bot.sendMessage(chatId, `📝 Description:\n\n${text}`, { parse_mode: 'HTML' });
+      } catch (e) {
+        const reason = e.response?.body?.description || e.message;
+        return { error: `Telegram could not read that HTML (${reason}). Please fix it and send it again.` };
+      }
+      return { draft: { description: text, description_html: true }, step: TASK_BUILDER_NEXT.description };
+
+    case 'reward': {
+      const reward = parseFloat(text);
+      if (!/^\d+(\.\d+)?$/.test(text) || !(reward > 0)) return { error: "The reward must be a positive number, e.g. 5 or 2.5." };
+      return { draft: { reward }, step: TASK_BUILDER_NEXT.reward };
+    }
+
+    case 'proof':
+      return { error: "Please choose the proof type with the buttons above." };
+
+    case 'proof_screenshots': {
+      const count = parseInt(text, 10);
+      if (!/^\d+$/.test(text) || count < 1 || count > 10) return { error: "Send a number from 1 to 10." };
+      Object.assign(draft, { min_screenshots: count, proof_text_label: null, proof_link_pattern: null, verify_chat: null, social_action: null, social_target: null });
+      return { draft, step: TASK_BUILDER_NEXT.proof_screenshots };
+    }
+
+    case 'proof_label':
+      if (!text || text.length > MAX_PROOF_LABEL_LENGTH) return { error: `Send a short name (up to ${MAX_PROOF_LABEL_LENGTH} characters).` };
+      return { draft: { proof_text_label: text }, step: state.proofType === 'link' ? 'proof_pattern' : TASK_BUILDER_NEXT.proof_label };
+
+    case 'proof_pattern': {
+      const { options, errors } = parseTaskOptions(`link=${text}`);
+      if (!text || errors.length > 0) return { error: "That is not a valid pattern. Send another one or press Skip." };
+      return { draft: { proof_link_pattern: options.proof_link_pattern }, step: TASK_BUILDER_NEXT.proof_pattern };
+    }
+
+    case 'proof_chat': {
+      const chat = parseChatReference(text);
+      if (!chat) return { error: "Send the chat as @username, a t.me link or a numeric id like -1001234567890." };
+      try {
+        await bot.getChat(chat);
+      } catch (e) {
+        return { error: `I cannot see ${chat}. Add the bot to it (as an admin for channels) and send it again.` };
+      }
+      return { draft: { verify_chat: chat, max_per_user: 1 }, step: TASK_BUILDER_NEXT.proof_chat };
+    }
+
+    case 'proof_social': {
+      const [action, ...target] = text.split(/\s+/);
+      const { options, errors } = parseTaskOptions(`x=${action}:${target.join(' ')}`);
+      if (!action || errors.length > 0) return { error: "Send it as follow @handle, like <post URL> or repost <post URL>." };
+      return { draft: options, step: TASK_BUILDER_NEXT.proof_social };
+    }
+
+    case 'limits':
+    case 'schedule': {
+      const { options, errors } = parseTaskOptions(text);
+      const stray = Object.keys(options).filter(field => !TASK_BUILDER_OPTION_FIELDS[state.step].includes(field));
+      if (!text || errors.length > 0 || stray.length > 0) {
+        return { error: `${errors.length > 0 ? errors.join('\n') : 'Only the options listed above can be set in this step.'}\n\nPlease try again or press Keep current.` };
+      }
+      const merged = { ...state.draft, ...options };
+      if (merged.starts_at && merged.ends_at && merged.ends_at <= merged.starts_at) {
+        return { error: "The end must be after the start." };
+      }
+      if (merged.verify_chat && options.max_per_user !== undefined && options.max_per_user !== 1) {
+        return { error: "Join tasks are paid once per user, so per_user must be 1." };
+      }
+      return { draft: options, step: TASK_BUILDER_NEXT[state.step] };
+    }
+
+    case 'banner':
+      if (!m.photo) return { error: "Please send an image, or press Skip." };
+      return { draft: { banner_file_id: m.photo[m.photo.length - 1].file_id }, step: TASK_BUILDER_NEXT.banner };
+
+    default:
+      return { error: "Press Save to store the task, or Cancel." };
+  }
+}
+
+async function handleTaskBuilderInput(m, userId, chatId, state) {
+  const answer = await readTaskBuilderAnswer(m, chatId, state);
+  if (answer.error) {
+    await bot.sendMessage(chatId, `❌ ${answer.error}`);
     return;
   }
+  await advanceTaskBuilder(userId, chatId, { step: answer.step, draft: answer.draft });
+}
 
-  const withdrawal = await db.getLatestPendingWithdrawal(targetId);
-  
-  if (!withdrawal) {
-    await sendAutoDeleteMessage(chatId, "❌ No pending withdrawal found.");
+async function startTaskBuilder(userId, chatId, task = null) {
+  const state = {
+    chatId,
+    taskId: task ? task.id : null,
+    step: 'title',
+    draft: task ? taskToDraft(task) : emptyTaskDraft()
+  };
+  await startFlow(userId, FLOWS.TASK_BUILDER, state);
+  await bot.sendMessage(chatId, `${task ? `✏️ Editing task #${task.id}` : '🆕 Let\'s build a new task'}. Answer each step; nothing is saved until you press Save. Send /cancel to stop.`);
+  await sendTaskBuilderStep(chatId, state);
+}
+
+router.command(/\/newtask\b/, requirePermission('tasks.manage'), async (msg) => {
+  await startTaskBuilder(msg.from.id, msg.chat.id);
+});
+
+router.command(/\/edittask(?:\s+(\d+))?/, requirePermission('tasks.manage'), async (msg, match) => {
+  const chatId = msg.chat.id;
+  if (!match[1]) {
+    await bot.sendMessage(chatId, "❌ Usage: /edittask <task id> (see /listtasks)");
+    return;
+  }
+
+  const task = await db.getTaskById(Number(match[1]));
+  if (!task) {
+    await bot.sendMessage(chatId, "❌ Task not found.");
+    return;
+  }
+  await startTaskBuilder(msg.from.id, chatId, task);
+});
+
+// Load the caller's builder state for a tb_* button, answering the query when there is none
+async function getTaskBuilderState(query, ctx) {
+  const state = await db.getConversationState(ctx.userId, FLOWS.TASK_BUILDER);
+  if (!state) {
+    await bot.answerCallbackQuery(query.id, { text: "ℹ️ This task builder has expired. Start again with /newtask.", show_alert: true });
+  }
+  return state;
+}
+
+router.callback(/^tb_proof:(screenshots|text|link|join|x|none)$/, requirePermission('tasks.manage'), async (query, match, ctx) => {
+  const state = await getTaskBuilderState(query, ctx);
+  if (!state) return;
+  if (state.step !== 'proof') {
+    await bot.answerCallbackQuery(query.id);
+    return;
+  }
+
+  const proofType = match[1];
+  const changes = { proofType };
+  if (proofType === 'screenshots') {
+    changes.step = 'proof_screenshots';
+  } else if (proofType === 'none') {
+    changes.step = TASK_BUILDER_NEXT.proof;
+    changes.draft = { min_screenshots: 0, proof_text_label: null, proof_link_pattern: null, verify_chat: null, social_action: null, social_target: null };
+  } else if (proofType === 'join') {
+    changes.step = 'proof_chat';
+    changes.draft = { min_screenshots: 0, proof_text_label: null, proof_link_pattern: null, social_action: null, social_target: null };
+  } else if (proofType === 'x') {
+    changes.step = 'proof_social';
+    changes.draft = { min_screenshots: 0, proof_link_pattern: null, verify_chat: null };
+  } else {
+    changes.step = 'proof_label';
+    changes.draft = { min_screenshots: 0, proof_link_pattern: null, verify_chat: null, social_action: null, social_target: null };
+  }
+
+  await advanceTaskBuilder(ctx.userId, ctx.chatId, changes);
+  await bot.answerCallbackQuery(query.id);
+});
+
+router.callback("tb_skip", requirePermission('tasks.manage'), async (query, match, ctx) => {
+  const state = await getTaskBuilderState(query, ctx);
+  if (!state) return;
+
+  const changes = { step: TASK_BUILDER_NEXT[state.step] };
+  if (state.step === 'proof_pattern') changes.draft = { proof_link_pattern: ANY_LINK_PATTERN };
+  if (!changes.step || ['proof_screenshots', 'proof_label', 'proof_chat', 'proof_social'].includes(state.step)) {
+    await bot.answerCallbackQuery(query.id, { text: "This step cannot be skipped." });
+    return;
+  }
+
+  await advanceTaskBuilder(ctx.userId, ctx.chatId, changes);
+  await bot.answerCallbackQuery(query.id);
+});
+
+router.callback("tb_banner_remove", requirePermission('tasks.manage'), async (query, match, ctx) => {
+  const state = await getTaskBuilderState(query, ctx);
+  if (!state) return;
+  if (state.step !== 'banner') {
+    await bot.answerCallbackQuery(query.id);
+    return;
+  }
+  await advanceTaskBuilder(ctx.userId, ctx.chatId, { step: TASK_BUILDER_NEXT.banner, draft: { banner_file_id: null } });
+  await bot.answerCallbackQuery(query.id, { text: "Banner removed." });
+});
+
+router.callback("tb_restart", requirePermission('tasks.manage'), async (query, match, ctx) => {
+  const state = await getTaskBuilderState(query, ctx);
+  if (!state) return;
+  await advanceTaskBuilder(ctx.userId, ctx.chatId, { step: 'title' });
+  await bot.answerCallbackQuery(query.id);
+});
+
+router.callback("tb_cancel", requirePermission('tasks.manage'), async (query, match, ctx) => {
+  const cleared = await endFlow(ctx.userId, FLOWS.TASK_BUILDER);
+  try {
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: ctx.chatId, message_id: query.message.message_id });
+  } catch (e) {}
+  if (cleared.length > 0) await bot.sendMessage(ctx.chatId, "✖️ Task builder cancelled. Nothing was saved.");
+  await bot.answerCallbackQuery(query.id, { text: cleared.length > 0 ? "Cancelled." : "Nothing to cancel." });
+});
+
+router.callback(/^tb_save(?::(draft))?$/, requirePermission('tasks.manage'), async (query, match, ctx) => {
+  const state = await getTaskBuilderState(query, ctx);
+  if (!state) return;
+  if (state.step !== 'preview') {
+    await bot.answerCallbackQuery(query.id, { text: "Finish the remaining steps first.", show_alert: true });
     return;
   }
 
-  await db.updateWithdrawalStatus(withdrawal.id, 'approved', adminId);
+  // Claim the flow first so a double-tapped Save stores the task once
+  const [claimed] = await endFlow(ctx.userId, FLOWS.TASK_BUILDER);
+  if (!claimed) {
+    await bot.answerCallbackQuery(query.id);
+    return;
+  }
+  const { draft, taskId } = claimed.data;
+  const fields = { ...draft };
+  delete fields.completion_count;
+  // Join tasks edited before they were limited to one completion per user
+  if (fields.verify_chat) fields.max_per_user = 1;
 
   try {
-    await bot.sendMessage(targetId, `✅ Your withdrawal request has been approved!\nAmount: ${amount} ${CURRENCY_SYMBOL}`);
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: ctx.chatId, message_id: query.message.message_id });
   } catch (e) {}
 
-  const adminIdentifier = await getUserIdentifier(adminId);
-  const userIdentifier = await getUserIdentifier(targetId);
-  
-  await sendAutoDeleteMessage(chatId, `✅ Withdrawal approved for ${userIdentifier}. Amount: ${amount} ${CURRENCY_SYMBOL}`);
-  await logAdmin(`Withdrawal approved by ${adminIdentifier} for ${userIdentifier} - Amount: ${amount}`);
+  if (taskId) {
+    const task = await db.updateTask(taskId, fields, ctx.userId);
+    if (!task) {
+      await bot.sendMessage(ctx.chatId, `❌ Task #${taskId} no longer exists.`);
+      await bot.answerCallbackQuery(query.id);
+      return;
+    }
+    await bot.sendMessage(ctx.chatId, `✅ Task #${task.id} updated: ${task.title}`);
+    await logAdmin(`Task ${task.id} edited: ${task.title} - Reward: ${task.reward}`);
+  } else {
+    const { title, description, reward, ...options } = fields;
+    if (match[1] === 'draft') options.status = db.TASK_STATUS.DRAFT;
+    const task = await db.createTask(title, description, reward, ctx.userId, options);
+    if (task.status === db.TASK_STATUS.DRAFT) {
+      await bot.sendMessage(ctx.chatId, `📝 Draft saved (ID ${task.id}): ${task.title}\nPublish it with /resumetask ${task.id}.`);
+    } else {
+      await bot.sendMessage(ctx.chatId, `✅ Task created (ID ${task.id}): ${task.title}\nReward: ${task.reward} ${CURRENCY_SYMBOL}`);
+    }
+    await logAdmin(`New task created${task.status === db.TASK_STATUS.DRAFT ? ' as draft' : ''}: ${task.title} - Reward: ${task.reward}`);
+  }
+  await bot.answerCallbackQuery(query.id, { text: "Saved." });
+});
+
+/* ---------- Reviewer workspace (/review) ---------- */
+// Each reviewer works on one claimed submission at a time; a claim lapses after reviewClaimMinutes
+const REVIEW_NOTE_MAX_LENGTH = 500;
+const NEXT_REVIEW_KEYBOARD = { inline_keyboard: [[{ text: "▶️ Next submission", callback_data: "rv_next" }]] };
+
+async function getReviewClaimMs() {
+  return (parseFloat(await db.getSetting('reviewClaimMinutes')) || 10) * 60 * 1000;
 }
 
-async function handleAdminWithdrawReject(adminId, targetId, chatId) {
-  if (!isAdminId(adminId)) {
-    await sendEphemeralWarning(chatId, "⛔ You are not authorized!");
+function reviewCardKeyboard(submissionId) {
+  return {
+    inline_keyboard: [
+      [
+        { text: "✅ Approve", callback_data: `rv_approve:${submissionId}` },
+        { text: "❌ Reject", callback_data: `rv_reject:${submissionId}` }
+      ],
+      [
+        { text: "💰 Adjust reward", callback_data: `rv_amount:${submissionId}` }
+      ],
+      [
+        { text: "❓ Ask for info", callback_data: `rv_info:${submissionId}` },
+        { text: "⏭️ Skip", callback_data: `rv_skip:${submissionId}` }
+      ]
+    ]
+  };
+}
+
+async function describeSubmissionForReview(submission) {
+  const files = submission.files || [];
+  const hashes = submission.file_hashes || [];
+  const matches = (await db.findMatchingSubmissionImages(hashes, submission.id)).filter(match => match.submissionId !== submission.follow_up_of);
+  const duplicateLines = await describeDuplicateImages(submission.user_id, matches, findRepeatedImages(hashes));
+  const task = await db.getTaskById(submission.task_id);
+  const previous = submission.follow_up_of ? await db.getSubmissionById(submission.follow_up_of) : null;
+  const comment = submission.description && submission.description.trim() ? submission.description.trim() : "(no user comment)";
+
+  let text = duplicateLines ? `${duplicateLines}\n\n` : '';
+  text += `📝 Submission #${submission.id}\n\nUser: ${await getUserIdentifier(submission.user_id)}\nTask: ${submission.task_title || submission.task_id}\nReward: ${submission.task_reward} ${CURRENCY_SYMBOL}\nWaiting: ${formatDuration(Date.now() - Number(submission.submitted_at))}`;
+  if (submission.proof_text) text += `\n${(task && task.proof_text_label) || 'Proof'}: ${submission.proof_text}`;
+  if (submission.auto_check_status) text += `\n🤖 Auto-check: ${submission.auto_check_status}${submission.auto_check_reason ? ` (${submission.auto_check_reason})` : ''}`;
+  if (previous) text += `\n🔁 Follow-up to #${previous.id}, reviewer asked: ${previous.review_note}`;
+  text += `\n\nTask Description:\n${(task && plainTaskDescription(task)) || "(no task description)"}`;
+  text += `\n\nUser Comment:\n${comment}\n\nImages: ${files.length}`;
+  text += `\n\n🔒 Claimed by you until ${new Date(Number(submission.claimed_until)).toISOString().slice(11, 16)} UTC`;
+  return text;
+}
+
+// Claim the reviewer's next submission and show its images and review card
+async function sendNextReview(chatId, reviewerId) {
+  const submission = await db.claimNextSubmission(reviewerId, await getReviewClaimMs());
+  if (!submission) {
+    const counts = await db.getReviewQueueCounts(reviewerId);
+    let text = "🎉 Nothing to review right now.";
+    if (counts.claimed > 0) text += `\n🔒 ${counts.claimed} submission(s) are being reviewed by others.`;
+    if (counts.skipped > 0) text += `\n⏭️ ${counts.skipped} submission(s) you skipped are still pending.`;
+    await bot.sendMessage(chatId, text);
+    return null;
+  }
+
+  const files = submission.files || [];
+  try {
+    if (files.length === 1) {
+      await bot.sendPhoto(chatId, files[0]);
+    } else if (files.length > 1) {
+      await bot.sendMediaGroup(chatId, files.slice(0, 10).map(fileId => ({ type: 'photo', media: fileId })));
+    }
+  } catch (e) {
+    console.error('Error sending submission images:', e.message);
+  }
+
+  await bot.sendMessage(chatId, await describeSubmissionForReview(submission), { reply_markup: reviewCardKeyboard(submission.id) });
+  return submission;
+}
+
+/**
+ * Take or extend the reviewer's claim before acting on a submission.
+ * Returns { submission }, or { problem, closed } when it was decided meanwhile (closed)
+ * or another reviewer holds it.
+ */
+async function holdReviewClaim(reviewerId, submissionId) {
+  const submission = await db.claimSubmission(submissionId, reviewerId, await getReviewClaimMs());
+  if (submission) return { submission };
+
+  const current = await db.getSubmissionById(submissionId);
+  if (!current) return { problem: "❌ Submission not found.", closed: true };
+  if (current.status !== 'pending') return { problem: `ℹ️ ${await describeReviewedSubmission(current)}`, closed: true };
+  return { problem: await describeReviewClaim(current), closed: false };
+}
+
+async function describeReviewClaim(submission) {
+  return `🔒 ${await getUserIdentifier(submission.claimed_by)} is reviewing this submission now.`;
+}
+
+async function addNextReviewButton(chatId, messageId) {
+  try {
+    await bot.editMessageReplyMarkup(NEXT_REVIEW_KEYBOARD, { chat_id: chatId, message_id: messageId });
+  } catch (e) {}
+}
+
+// The typed reason, question or adjusted amount of the rv_reason:other, rv_info and rv_amount buttons
+async function handleReviewNote(chatId, reviewerId, text) {
+  const note = text.trim();
+  if (note.length > REVIEW_NOTE_MAX_LENGTH) {
+    await bot.sendMessage(chatId, `❌ Please keep it under ${REVIEW_NOTE_MAX_LENGTH} characters, or send /cancel to stop.`);
     return;
   }
 
-  const withdrawal = await db.getLatestPendingWithdrawal(targetId);
-  
-  if (!withdrawal) {
-    await sendAutoDeleteMessage(chatId, "❌ No pending withdrawal found.");
+  // An amount that does not parse or is out of bounds keeps the flow open for another try
+  const pending = await db.getConversationState(reviewerId, FLOWS.REVIEW_NOTE);
+  if (!pending) return;
+  let adjustment = null;
+  if (pending.action === 'amount') {
+    const submission = await db.getSubmissionById(pending.submissionId);
+    const parsed = submission ? await parseRewardAdjustment(submission, note) : {};
+    if (parsed.problem) {
+      await bot.sendMessage(chatId, `❌ ${parsed.problem}\n\nTry again, or send /cancel to stop.`);
+      return;
+    }
+    adjustment = parsed.adjustment;
+  }
+
+  const [claimed] = await endFlow(reviewerId, FLOWS.REVIEW_NOTE);
+  if (!claimed) return;
+  const { submissionId, action, chatId: cardChatId, messageId } = claimed.data;
+
+  const claim = await holdReviewClaim(reviewerId, submissionId);
+  if (!claim.submission) {
+    if (claim.closed) await finalizeReviewMessage(cardChatId, messageId, 'text', claim.problem);
+    await bot.sendMessage(chatId, claim.problem, { reply_markup: NEXT_REVIEW_KEYBOARD });
     return;
   }
 
-  await db.updateWithdrawalStatus(withdrawal.id, 'rejected', adminId);
+  let outcome;
+  if (action === 'info') {
+    outcome = await handleAdminTaskInfoRequest(reviewerId, submissionId, cardChatId, messageId, 'text', note);
+  } else if (action === 'amount') {
+    outcome = await handleAdminTaskConfirm(reviewerId, claim.submission.user_id, submissionId, cardChatId, messageId, 'text', adjustment);
+  } else {
+    outcome = await handleAdminTaskReject(reviewerId, claim.submission.user_id, submissionId, cardChatId, messageId, 'text', rejectReason('other', note));
+  }
+  await bot.sendMessage(chatId, outcome.text, { reply_markup: NEXT_REVIEW_KEYBOARD });
+}
+
+router.command(/\/review\b/, requirePermission('tasks.review'), async (msg) => {
+  await sendNextReview(msg.chat.id, msg.from.id);
+});
 
+router.callback("rv_next", requirePermission('tasks.review'), async (query, match, ctx) => {
   try {
-    await bot.sendMessage(targetId, `❌ Your withdrawal request was rejected.`);
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: ctx.chatId, message_id: query.message.message_id });
   } catch (e) {}
+  await bot.answerCallbackQuery(query.id);
+  await sendNextReview(ctx.chatId, ctx.userId);
+});
 
-  const adminIdentifier = await getUserIdentifier(adminId);
-  const userIdentifier = await getUserIdentifier(targetId);
-  
-  await sendAutoDeleteMessage(chatId, `❌ Withdrawal rejected for ${userIdentifier}.`);
-  await logAdmin(`Withdrawal rejected by ${adminIdentifier} for ${userIdentifier}`);
-}
+router.callback(/^rv_(approve|reject|info|amount|back|reason):(\d+)(?::(\w+))?$/, requirePermission('tasks.review'), async (query, match, ctx) => {
+  const [, action, id, code] = match;
+  const submissionId = Number(id);
+  const messageId = query.message.message_id;
 
-/* ---------- requestwithdraw and admin commands ---------- */
-bot.onText(/\/requestwithdraw\s+(.+)/, async (msg, match) => {
-  const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  const amountStr = match[1];
-  const amount = parseFloat(amountStr);
+  const claim = await holdReviewClaim(ctx.userId, submissionId);
+  if (!claim.submission) {
+    if (claim.closed) {
+      await finalizeReviewMessage(ctx.chatId, messageId, 'text', claim.problem);
+      await addNextReviewButton(ctx.chatId, messageId);
+    }
+    await bot.answerCallbackQuery(query.id, { text: claim.problem, show_alert: true });
+    return;
+  }
 
-  if (isNaN(amount) || amount <= 0) {
-    await bot.sendMessage(chatId, "❌ Invalid amount.");
+  if (action === 'approve' || (action === 'reason' && code !== 'other')) {
+    const reason = action === 'reason' ? rejectReason(code) : null;
+    if (action === 'reason' && !reason) {
+      await bot.answerCallbackQuery(query.id, { text: "❌ Unknown reason.", show_alert: true });
+      return;
+    }
+    const outcome = reason
+      ? await handleAdminTaskReject(ctx.userId, claim.submission.user_id, submissionId, ctx.chatId, messageId, 'text', reason)
+      : await handleAdminTaskConfirm(ctx.userId, claim.submission.user_id, submissionId, ctx.chatId, messageId, 'text');
+    await addNextReviewButton(ctx.chatId, messageId);
+    await bot.answerCallbackQuery(query.id, { text: outcome.text, show_alert: outcome.alert });
     return;
   }
 
-  const withdrawalOpen = (await db.getSetting('withdrawalOpen')) === 'true';
-  
-  if (!withdrawalOpen) {
-    await bot.sendMessage(chatId, "❌ Withdrawals are currently closed.");
+  if (action === 'info' || action === 'amount' || action === 'reason') {
+    await startFlow(ctx.userId, FLOWS.REVIEW_NOTE, { submissionId, action: action === 'reason' ? 'reject' : action, chatId: ctx.chatId, messageId });
+    let prompt = `✍️ Send the reason for rejecting submission #${submissionId} as one message. The user receives it as written.`;
+    if (action === 'info') {
+      prompt = `❓ What should the user add to submission #${submissionId}? Send it as one message; they get it with a button to add more proof.`;
+    } else if (action === 'amount') {
+      const bounds = await getRewardBounds(claim.submission.task_reward);
+      prompt = `💰 Send the amount to pay for submission #${submissionId} and the reason, e.g. "3 only two of the three screenshots". The user sees both.\n\nTask reward: ${parseFloat(claim.submission.task_reward)} ${CURRENCY_SYMBOL}, allowed: ${bounds.min}–${bounds.max} ${CURRENCY_SYMBOL}.`;
+    }
+    await bot.sendMessage(ctx.chatId, `${prompt}\n\nSend /cancel to stop.`);
+    await bot.answerCallbackQuery(query.id);
     return;
   }
 
-  const minWithdrawal = parseFloat(await db.getSetting('minWithdrawal')) || 50;
-  const maxWithdrawal = parseFloat(await db.getSetting('maxWithdrawal')) || 10000;
+  const keyboard = action === 'reject'
+    ? rejectReasonKeyboard(`rv_reason:${submissionId}`, `rv_back:${submissionId}`, true)
+    : reviewCardKeyboard(submissionId);
+  try {
+    await bot.editMessageReplyMarkup(keyboard, { chat_id: ctx.chatId, message_id: messageId });
+  } catch (e) {}
+  await bot.answerCallbackQuery(query.id, action === 'reject' ? { text: "Pick the reason for the user." } : {});
+});
 
-  if (amount < minWithdrawal || amount > maxWithdrawal) {
-    await bot.sendMessage(chatId, `❌ Amount must be between ${minWithdrawal} and ${maxWithdrawal} ${CURRENCY_SYMBOL}`);
+// Approve with partial credit or a bonus from anywhere, e.g. next to the review channel
+router.command(/\/approveamount(?:\s+(\d+))?(?:\s+([\s\S]+))?/, requirePermission('tasks.review'), async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  if (!match[1] || !match[2]) {
+    await bot.sendMessage(chatId, "❌ Usage: /approveamount <submission id> <amount> <reason>\nExample: /approveamount 42 3 only two of the three screenshots");
     return;
   }
 
-  const user = await db.getUser(userId);
-  
-  if (parseFloat(user.balance) < amount) {
-    await bot.sendMessage(chatId, `❌ Insufficient balance. Your balance: ${user.balance} ${CURRENCY_SYMBOL}`);
+  const submission = await db.getSubmissionById(Number(match[1]));
+  if (!submission) {
+    await bot.sendMessage(chatId, "❌ Submission not found.");
     return;
   }
 
-  if (!user.wallet) {
-    await bot.sendMessage(chatId, "❌ Please set your wallet address first using 💳 Set Wallet");
+  const parsed = await parseRewardAdjustment(submission, match[2]);
+  if (parsed.problem) {
+    await bot.sendMessage(chatId, `❌ ${parsed.problem}`);
     return;
   }
 
-  await db.createWithdrawalRequest(userId, amount, user.wallet);
-
-  const userIdentifier = await getUserIdentifier(userId);
-  const msg_text = `💸 New Withdrawal Request\nUser: ${userIdentifier}\nAmount: ${amount} ${CURRENCY_SYMBOL}\nWallet: ${user.wallet}`;
-  
-  const inlineKeyboard = {
-    inline_keyboard: [[
-      { text: "✅ Approve", callback_data: `withdraw_confirm:${userId}:${amount}` },
-      { text: "❌ Reject", callback_data: `withdraw_reject:${userId}` }
-    ]]
-  };
+  // Another reviewer's /review claim still applies
+  const claim = await holdReviewClaim(userId, submission.id);
+  if (!claim.submission) {
+    await bot.sendMessage(chatId, claim.problem);
+    return;
+  }
 
-  await bot.sendMessage(WITHDRAW_REVIEW_CHANNEL, msg_text, { reply_markup: inlineKeyboard });
-  await bot.sendMessage(chatId, `✅ Withdrawal request submitted for review.\nAmount: ${amount} ${CURRENCY_SYMBOL}`);
+  const outcome = await handleAdminTaskConfirm(userId, claim.submission.user_id, claim.submission.id, chatId, null, 'text', parsed.adjustment);
+  await bot.sendMessage(chatId, outcome.alert
+    ? outcome.text
+    : `✅ Submission #${claim.submission.id} approved for ${await getUserIdentifier(claim.submission.user_id)}. Paid ${parsed.adjustment.amount} ${CURRENCY_SYMBOL} (task reward ${parseFloat(claim.submission.task_reward)} ${CURRENCY_SYMBOL}).`);
+});
 
-  const newBalance = parseFloat(user.balance) - amount;
-  await db.updateUser(userId, { balance: newBalance });
+// Skipping releases the claim, keeps the submission out of this reviewer's queue and moves on
+router.callback(/^rv_skip:(\d+)$/, requirePermission('tasks.review'), async (query, match, ctx) => {
+  const submissionId = Number(match[1]);
+  const skipped = await db.skipSubmission(submissionId, ctx.userId);
+  await finalizeReviewMessage(ctx.chatId, query.message.message_id, 'text', skipped
+    ? `⏭️ Skipped submission #${submissionId}.`
+    : `ℹ️ Submission #${submissionId} is no longer waiting for you.`);
+  await bot.answerCallbackQuery(query.id);
+  await sendNextReview(ctx.chatId, ctx.userId);
 });
 
-// ✅ Global system health function
-async function analyzeSystemHealth() {
-  try {
-    const cpuLoad = await si.currentLoad();
-    const mem = await si.mem();
-    const netStats = await si.networkStats();
+/* ---------- Review statistics & SLA ---------- */
+const DEFAULT_REVIEW_STATS_PERIOD = '7d';
+const REVIEW_SLA_REMINDER_MS = 6 * 60 * 60 * 1000;
+let reviewSlaAlertedAt = 0; // last breach alert; 0 while the queue is within the SLA
 
-    const cpu = cpuLoad.currentLoad.toFixed(1);
-    const ramUsed = (mem.active / 1024 / 1024 / 1024).toFixed(2);
-    const ramTotal = (mem.total / 1024 / 1024 / 1024).toFixed(2);
-    const netIn = (netStats[0].rx_sec / 1024).toFixed(1);
-    const netOut = (netStats[0].tx_sec / 1024).toFixed(1);
-    const uptime = (process.uptime() / 60).toFixed(1);
+async function getReviewSlaMs() {
+  const hours = parseFloat(await db.getSetting('reviewSlaHours'));
+  // Whole milliseconds: the SLA is compared with bigint timestamps in SQL
+  return hours > 0 ? Math.round(hours * 60 * 60 * 1000) : 0;
+}
 
-    const heart = cpu < 50 ? "💚" : cpu < 80 ? "💛" : "❤️‍🔥";
+function formatMaybeDuration(ms) {
+  return ms === null ? '—' : formatDuration(ms);
+}
 
-    return `
-⚙️ *System Health Report* ${heart}
+// periodMs 0 covers all time; label is how the period was asked for ("7d", "all")
+async function renderReviewStats(periodMs, label) {
+  const now = Date.now();
+  const stats = await db.getReviewerStats(periodMs ? now - periodMs : 0);
+  const slaMs = await getReviewSlaMs();
+  const queue = await db.getPendingQueueAges(slaMs, now);
 
-🧠 *CPU Load:* ${cpu}%
-💾 *Memory:* ${ramUsed}GB / ${ramTotal}GB
-🌐 *Network:* ${netIn}KB/s ⬇️ | ${netOut}KB/s ⬆️
-⏱️ *Uptime:* ${uptime} minutes
-🚦 *Status:* ${heart} ${cpu < 80 ? "Stable" : "High Load"}
-    `;
-  } catch (err) {
-    console.error("System health check failed:", err);
-    return "❌ Failed to analyze system health.";
+  let text = `📊 Review stats — ${periodMs ? `last ${label}` : 'all time'}\n\n`;
+  if (stats.length === 0) {
+    text += "No reviews in this period.\n";
+  }
+  for (const row of stats) {
+    text += `👤 ${await getUserIdentifier(row.reviewerId)}\n`;
+    text += `   ✅ ${row.approvals} approved · ❌ ${row.rejections} rejected`;
+    if (row.infoRequests > 0) text += ` · ❓ ${row.infoRequests} sent back`;
+    if (row.closed > 0) text += ` · 🚫 ${row.closed} closed unpaid`;
+    text += `\n   ⏱️ Median time to review: ${formatMaybeDuration(row.medianMs)}`;
+    text += `\n   🔄 Overturned: ${row.overturned}\n`;
   }
-}
 
+  text += `\n📥 Queue: ${queue.count} pending`;
+  if (queue.count > 0) {
+    text += `\n   Age p50: ${formatMaybeDuration(queue.p50Ms)} · p90: ${formatMaybeDuration(queue.p90Ms)} · oldest: ${formatMaybeDuration(queue.oldestMs)} (/submission_${queue.oldestId})`;
+  }
+  text += slaMs > 0
+    ? `\n   ⏰ SLA ${formatDuration(slaMs)}: ${queue.overSla > 0 ? `${queue.overSla} over` : 'all within'}`
+    : `\n   ⏰ No SLA set (reviewSlaHours)`;
+  text += `\n\n🔄 Overturned = rejected proof later approved by another reviewer.`;
+  return text;
+}
 
-bot.onText(/\/health/, async (msg) => {
+// Periods: 24h, 7d, 30d... or "all"
+router.command(/\/reviewstats(?:\s+(\S+))?/, requirePermission('tasks.review'), async (msg, match) => {
   const chatId = msg.chat.id;
-  const userId = msg.from.id; // ✅ This is your actual Telegram ID
+  const period = (match[1] || DEFAULT_REVIEW_STATS_PERIOD).toLowerCase();
+  const periodMs = period === 'all' ? 0 : parseDurationMs(period);
+  if (periodMs === null || (period !== 'all' && periodMs <= 0)) {
+    await bot.sendMessage(chatId, "❌ Usage: /reviewstats [period], e.g. /reviewstats 24h, /reviewstats 30d or /reviewstats all");
+    return;
+  }
+
+  await bot.sendMessage(chatId, await renderReviewStats(periodMs, period));
+});
+
+/**
+ * Alert the admin group when the oldest pending submission has waited longer than
+ * reviewSlaHours, remind every REVIEW_SLA_REMINDER_MS while that lasts, and report once
+ * when the queue is back within the SLA.
+ */
+async function checkReviewSla(now = Date.now()) {
+  const slaMs = await getReviewSlaMs();
+  const queue = slaMs > 0 ? await db.getPendingQueueAges(slaMs, now) : null;
 
-  // ✅ Proper admin check using your ADMIN_IDS array
-  if (!isAdminId(userId)) {
-    return bot.sendMessage(chatId, "🚫 Access denied. Admins only.");
+  if (!queue || queue.overSla === 0) {
+    if (reviewSlaAlertedAt) {
+      reviewSlaAlertedAt = 0;
+      try {
+        await bot.sendMessage(ADMIN_GROUP_ID, "✅ Review queue is back within the SLA.");
+      } catch (e) {
+        console.error('Error sending review SLA notice:', e.message);
+      }
+    }
+    return;
   }
+  if (reviewSlaAlertedAt && now - reviewSlaAlertedAt < REVIEW_SLA_REMINDER_MS) return;
 
+  reviewSlaAlertedAt = now;
   try {
-    const healthReport = await analyzeSystemHealth();
-    await bot.sendMessage(chatId, healthReport, { parse_mode: "Markdown" });
-  } catch (err) {
-    console.error("Health command error:", err);
-    await bot.sendMessage(chatId, "❌ Failed to fetch system health.");
+    await bot.sendMessage(ADMIN_GROUP_ID, `⏰ Review SLA breached: the oldest pending submission (/submission_${queue.oldestId}) has waited ${formatDuration(queue.oldestMs)}, the SLA is ${formatDuration(slaMs)}.\n\nPending: ${queue.count} (${queue.overSla} over the SLA)\n\nUse /review to work through the queue.`);
+  } catch (e) {
+    console.error('Error sending review SLA alert:', e.message);
   }
-});
+}
+
+/* ---------- Pending submission queue & bulk review ---------- */
+const PENDING_PAGE_SIZE = 10;
+
+function formatDuration(ms) {
+  const minutes = Math.max(0, Math.floor(ms / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  const days = Math.floor(hours / 24);
+  return `${days}d ${hours % 24}h`;
+}
 
+async function renderPendingSubmissionsPage(page) {
+  const first = await db.getPendingSubmissionsPage(PENDING_PAGE_SIZE, page * PENDING_PAGE_SIZE);
+  const totalPages = Math.max(1, Math.ceil(first.total / PENDING_PAGE_SIZE));
+  const currentPage = Math.min(Math.max(0, page), totalPages - 1);
+  const { rows, total } = currentPage === page
+    ? first
+    : await db.getPendingSubmissionsPage(PENDING_PAGE_SIZE, currentPage * PENDING_PAGE_SIZE);
+
+  if (total === 0) {
+    return { text: "📋 No pending submissions.", reply_markup: { inline_keyboard: [] } };
+  }
+
+  const now = Date.now();
+  let text = `📋 Pending Submissions: ${total} (page ${currentPage + 1}/${totalPages})\n\n`;
+  rows.forEach((row, index) => {
+    const user = row.username ? `@${row.username}` : row.user_id;
+    text += `${currentPage * PENDING_PAGE_SIZE + index + 1}. #${row.id} — ${user}\n`;
+    text += `   Task: ${row.task_title || row.task_id} (${row.task_reward} ${CURRENCY_SYMBOL})\n`;
+    text += `   Age: ${formatDuration(now - Number(row.submitted_at))} | Images: ${row.image_count}\n`;
+  });
+
+  const nav = [];
+  if (currentPage > 0) nav.push({ text: "⬅️ Prev", callback_data: `pending_page:${currentPage - 1}` });
+  nav.push({ text: "🔄 Refresh", callback_data: `pending_page:${currentPage}` });
+  if (currentPage < totalPages - 1) nav.push({ text: "Next ➡️", callback_data: `pending_page:${currentPage + 1}` });
+
+  return { text, reply_markup: { inline_keyboard: [nav] } };
+}
 
-bot.onText(/\/addtask (.+) \| (.+) \| (.+)/, async (msg, match) => {
+router.command(/\/pendingsubmissions(?:\s+(\d+))?/, requirePermission('tasks.review'), async (msg, match) => {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
 
-  if (!isAdminId(userId)) {
-    await sendEphemeralWarning(chatId, "⛔ Admin only!");
-    return;
-  }
+  const page = match[1] ? Math.max(0, parseInt(match[1]) - 1) : 0;
+  const view = await renderPendingSubmissionsPage(page);
+  await bot.sendMessage(chatId, view.text, { reply_markup: view.reply_markup });
+});
 
-  const title = match[1].trim();
-  const description = match[2].trim();
-  const reward = parseFloat(match[3]);
+// /approveall and /rejectall only act on submissions that existed when the command was sent
+async function sendBulkReviewConfirmation(chatId, action) {
+  const cutoff = Date.now();
+  const summary = await db.getPendingSubmissionsSummary(cutoff);
 
-  if (!title || !description || isNaN(reward)) {
-    await bot.sendMessage(chatId, "❌ Usage: /addtask Title | Description | Reward");
+  if (summary.count === 0) {
+    await bot.sendMessage(chatId, "📋 No pending submissions.");
     return;
   }
 
-  const task = await db.createTask(title, description, reward, userId);
-  await bot.sendMessage(chatId, `✅ Task created:\n${title}\nReward: ${reward} ${CURRENCY_SYMBOL}`);
-  await logAdmin(`New task created: ${title} - Reward: ${reward}`);
+  const verb = action === 'approve' ? 'APPROVE' : 'REJECT';
+  let text = `⚠️ Confirm bulk action: ${verb} all pending submissions\n\n`;
+  text += `Submissions: ${summary.count}\n`;
+  text += `Users: ${summary.users}\n`;
+  if (action === 'approve') {
+    text += `Total reward: up to ${summary.totalReward} ${CURRENCY_SYMBOL}\n`;
+  }
+  if (summary.oldest) {
+    text += `Oldest: ${formatDuration(Date.now() - summary.oldest)} ago\n`;
+  }
+  text += `\nSubmissions received after this message are not affected.`;
+
+  await bot.sendMessage(chatId, text, {
+    reply_markup: {
+      inline_keyboard: [[
+        { text: action === 'approve' ? "✅ Approve all" : "❌ Reject all", callback_data: `bulk_${action}:${cutoff}` },
+        { text: "✖️ Cancel", callback_data: "bulk_cancel" }
+      ]]
+    }
+  });
+}
+
+router.command(/\/approveall/, requirePermission('tasks.review'), async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+
+  await sendBulkReviewConfirmation(chatId, 'approve');
 });
 
-bot.onText(/\/deletetask\s+(\d+)/, async (msg, match) => {
+router.command(/\/rejectall/, requirePermission('tasks.review'), async (msg) => {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
 
-  if (!isAdminId(userId)) {
-    await sendEphemeralWarning(chatId, "⛔ Admin only!");
-    return;
+  await sendBulkReviewConfirmation(chatId, 'reject');
+});
+
+// Summary line for submissions a bulk action skipped because a reviewer holds them in /review
+function describeClaimedLeftPending(count) {
+  return count > 0 ? `\n🔒 Left pending (being reviewed): ${count}` : '';
+}
+
+/**
+ * Execute a confirmed bulk approve/reject, notify every affected user and log a summary.
+ * Returns the text used to answer the callback query.
+ */
+async function handleBulkReview(adminId, action, cutoff, chatId, messageId) {
+  if (!hasPermission(adminId, 'tasks.review')) {
+    return "⛔ You are not authorized!";
   }
 
-  const taskId = Number(match[1]);
-  await db.deleteTask(taskId);
-  await bot.sendMessage(chatId, `✅ Task ${taskId} deleted.`);
-  await logAdmin(`Task ${taskId} deleted`);
-});
+  try {
+    await bot.editMessageText(`⏳ Bulk ${action} in progress...`, { chat_id: chatId, message_id: messageId });
+  } catch (e) {}
+
+  const adminIdentifier = await getUserIdentifier(adminId);
+  let summaryText;
+
+  if (action === 'approve') {
+    const result = await db.approveAllPendingSubmissions(adminId, cutoff);
+    let totalPaid = 0;
+
+    for (const item of result.approved) {
+      totalPaid += item.reward;
+      try {
+        await bot.sendMessage(item.userId, `✅ Your task has been approved!\nTask: ${item.submission.task_title}\nReward: ${item.reward} ${CURRENCY_SYMBOL}\nNew balance: ${item.newBalance} ${CURRENCY_SYMBOL}`);
+      } catch (e) {}
+    }
+    for (const item of result.duplicates) {
+      try {
+        await bot.sendMessage(item.submission.user_id, closedSubmissionNotice(item));
+      } catch (e) {}
+    }
 
-bot.onText(/\/listtasks/, async (msg) => {
-  const chatId = msg.chat.id;
-  const userId = msg.from.id;
+    summaryText = `✅ Bulk approval by ${adminIdentifier}\nApproved: ${result.approvedCount}\nPaid: ${totalPaid} ${CURRENCY_SYMBOL}\nDuplicates closed: ${result.duplicateCount}${describeClaimedLeftPending(result.claimedCount)}`;
+  } else {
+    const result = await db.rejectAllPendingSubmissions(adminId, cutoff);
 
-  if (!isAdminId(userId)) {
-    await sendEphemeralWarning(chatId, "⛔ Admin only!");
-    return;
-  }
+    for (const submission of result.rejected) {
+      try {
+        await bot.sendMessage(submission.user_id, `❌ Your task submission for "${submission.task_title}" was rejected. Please try again with better proof.`);
+      } catch (e) {}
+    }
 
-  const tasks = await db.getTasks('active');
-  
-  if (tasks.length === 0) {
-    await bot.sendMessage(chatId, "No active tasks.");
-    return;
+    summaryText = `❌ Bulk rejection by ${adminIdentifier}\nRejected: ${result.rejectedCount}${describeClaimedLeftPending(result.claimedCount)}`;
   }
 
-  let text = "📋 Active Tasks:\n\n";
-  tasks.forEach(task => {
-    text += `ID: ${task.id}\nTitle: ${task.title}\nDescription: ${task.description}\nReward: ${task.reward} ${CURRENCY_SYMBOL}\n\n`;
-  });
-  
-  await bot.sendMessage(chatId, text);
-});
+  try {
+    await bot.editMessageText(summaryText, { chat_id: chatId, message_id: messageId });
+  } catch (e) {}
+  await logAdmin(summaryText);
+  return `Bulk ${action} complete.`;
+}
 
-bot.onText(/\/setconfig\s+(\w+)\s+(.+)/, async (msg, match) => {
+router.command(/\/setconfig\s+(\w+)\s+(.+)/, requirePermission('settings.manage'), async (msg, match) => {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
 
-  if (!isAdminId(userId)) {
-    await sendEphemeralWarning(chatId, "⛔ Admin only!");
-    return;
-  }
-
   const key = match[1];
   const value = match[2];
 
@@ -1651,30 +4333,20 @@ bot.onText(/\/setconfig\s+(\w+)\s+(.+)/, async (msg, match) => {
   await logAdmin(`Config updated: ${key} = ${value}`);
 });
 
-bot.onText(/\/getconfig\s+(\w+)/, async (msg, match) => {
+router.command(/\/getconfig\s+(\w+)/, requirePermission('settings.manage'), async (msg, match) => {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
 
-  if (!isAdminId(userId)) {
-    await sendEphemeralWarning(chatId, "⛔ Admin only!");
-    return;
-  }
-
   const key = match[1];
   const value = await db.getSetting(key);
   
   await bot.sendMessage(chatId, `⚙️ ${key} = ${value || '(not set)'}`);
 });
 
-bot.onText(/\/broadcast (.+)/, async (msg, match) => {
+router.command(/\/broadcast (.+)/, requirePermission('broadcast'), async (msg, match) => {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
 
-  if (!isAdminId(userId)) {
-    await sendEphemeralWarning(chatId, "⛔ Admin only!");
-    return;
-  }
-
   const message = match[1];
   const users = await db.getAllUsers();
   
@@ -1694,22 +4366,10 @@ bot.onText(/\/broadcast (.+)/, async (msg, match) => {
   await logAdmin(`Broadcast sent to ${successCount} users`);
 });
 
-bot.onText(/\/userinfo\s+(.+)/, async (msg, match) => {
+router.command(/\/userinfo\s+(.+)/, requirePermission('users.view'), withArgs('target:user'), async (msg, match, ctx) => {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
-
-  if (!isAdminId(userId)) {
-    await sendEphemeralWarning(chatId, "⛔ Admin only!");
-    return;
-  }
-
-  const input = match[1].trim();
-  const targetId = await resolveUserInput(input);
-
-  if (!targetId) {
-    await bot.sendMessage(chatId, "❌ User not found.");
-    return;
-  }
+  const { target: targetId } = ctx.args;
 
   const user = await db.getUser(targetId);
   if (!user) {
@@ -1748,6 +4408,10 @@ bot.onText(/\/userinfo\s+(.+)/, async (msg, match) => {
   const balance = parseFloat(user.balance) || 0;
   info += `├ Balance: <b>${balance.toFixed(2)} ${CURRENCY_SYMBOL}</b>\n`;
   info += `├ Wallet: <code>${user.wallet || '(not set)'}</code>\n`;
+  const [lastWalletChange] = await db.getWalletHistory(targetId, 1);
+  if (lastWalletChange && lastWalletChange.old_wallet) {
+    info += `├ Wallet Changed: ${new Date(Number(lastWalletChange.changed_at)).toLocaleString()} (from ${shortenAddress(lastWalletChange.old_wallet)}, see /wallethistory)\n`;
+  }
   info += `├ Verified: ${user.verified ? '✅ Yes' : '❌ No'}\n`;
   info += `└ Registered: ${
     user.registered_at ? new Date(user.registered_at).toLocaleString() : 'N/A'
@@ -1800,8 +4464,11 @@ bot.onText(/\/userinfo\s+(.+)/, async (msg, match) => {
   info += `<b>━━━━━ Withdrawal Stats ━━━━━</b>\n`;
   const totalWithdrawn = parseFloat(withdrawalStats.totalWithdrawn) || 0;
   info += `├ Total Withdrawn: <b>${totalWithdrawn.toFixed(2)} ${CURRENCY_SYMBOL}</b>\n`;
-  info += `├ Approved: ${withdrawalStats.approvedCount || 0}\n`;
+  info += `├ Paid: ${withdrawalStats.paidCount || 0}\n`;
+  info += `├ Approved (unpaid): ${withdrawalStats.approvedCount || 0}\n`;
   info += `├ Pending: ${withdrawalStats.pendingCount || 0}\n`;
+  if (withdrawalStats.onHoldCount) info += `├ On Hold: ${withdrawalStats.onHoldCount}\n`;
+  info += `├ Cancelled: ${withdrawalStats.cancelledCount || 0}\n`;
   info += `└ Rejected: ${withdrawalStats.rejectedCount || 0}\n\n`;
 
   // ━━━━━ REFERRAL ANALYSIS ━━━━━
@@ -1855,215 +4522,642 @@ bot.onText(/\/userinfo\s+(.+)/, async (msg, match) => {
   if (starRating <= 2) ratingLabel = '🔴 Low';
   else if (starRating === 3) ratingLabel = '🟡 Average';
 
-  info += `<b>━━━━━ ⭐ Overall Rating ━━━━━</b>\n`;
-  info += `User Score: <b>${totalScore.toFixed(1)}/${maxScore}</b>\n`;
-  info += `Rating: ${starIcons} ${ratingLabel}\n`;
+  info += `<b>━━━━━ ⭐ Overall Rating ━━━━━</b>\n`;
+  info += `User Score: <b>${totalScore.toFixed(1)}/${maxScore}</b>\n`;
+  info += `Rating: ${starIcons} ${ratingLabel}\n`;
+
+  await bot.sendMessage(chatId, info, { parse_mode: 'HTML' });
+});
+
+// =============== Admin Command Wrappers with Auto-Delete ===============
+
+// Blacklist with reason
+router.command(/\/blacklist\s+(@?\w+|\d+)(?:\s+(.+))?/, requirePermission('users.moderate'), cleanupCommand(), withArgs('target:user', 'reason:text?', {
+  onUserNotFound: (ctx, input) => broadcastAdminAction(`⛔️ /blacklist by admin: ${ctx.userId} on user ${input} (null)\nResult: User not found.`)
+}), async (msg, match, ctx) => {
+  const chatId = msg.chat.id;
+  const adminId = msg.from.id;
+  const { target: targetId, targetInput: input } = ctx.args;
+  const reason = ctx.args.reason || "No reason provided";
+  
+  let actionMsg = `⛔️ /blacklist by admin: ${adminId} on user ${input} (${targetId})`;
+  
+  if (isAdminId(targetId)) {
+    await sendAndAutoDelete(chatId, "❌ You cannot blacklist another admin.", 30000);
+    await broadcastAdminAction(actionMsg + "\nResult: Cannot blacklist admin.");
+    return;
+  }
+  
+  const entry = await db.blacklistUser(targetId, reason, adminId);
+  const frozenSummary = `Frozen: ${entry.frozenWithdrawals} withdrawal(s), ${entry.frozenSubmissions} submission(s)`;
+  await sendAndAutoDelete(chatId, `🚫 User ${input} (${targetId}) has been blacklisted.\nReason: ${reason}\n🧊 ${frozenSummary}`, 30000);
+  await broadcastAdminAction(actionMsg + `\nReason: ${reason}\n${frozenSummary}\nResult: User blacklisted.`);
+  
+  // Delete the blacklisted user's most recent message in this chat
+  try {
+    if (global.userLatestMessage && global.userLatestMessage[chatId] && global.userLatestMessage[chatId][targetId]) {
+      const userMsgId = global.userLatestMessage[chatId][targetId];
+      deleteMessageLater(chatId, userMsgId, 30000);
+    }
+  } catch (e) {}
+});
+
+// Unblacklist
+router.command(/\/unblacklist\s+(@?\w+|\d+)/, requirePermission('users.moderate'), cleanupCommand(), withArgs('target:user'), async (msg, match, ctx) => {
+  const chatId = msg.chat.id;
+  const adminId = msg.from.id;
+  const { target: targetId, targetInput: input } = ctx.args;
+
+  const restored = await db.unblacklistUser(targetId);
+  delete blacklistNoticeSentAt[targetId];
+  const heldNote = restored.heldWithdrawals.length > 0
+    ? `\nOn hold (another request was pending): ${restored.heldWithdrawals.map(id => `#${id}`).join(', ')}`
+    : '';
+  const restoredSummary = `Restored: ${restored.restoredWithdrawals} withdrawal(s), ${restored.restoredSubmissions} submission(s)${heldNote}`;
+  await sendAndAutoDelete(chatId, `✅ User ${input} (${targetId}) has been removed from blacklist.\n♻️ ${restoredSummary}`, 30000);
+  await broadcastAdminAction(`✅ /unblacklist by admin ${adminId}: User ${input} (${targetId}) removed from blacklist.\n${restoredSummary}`);
+});
+
+// List blacklisted users
+router.command(/\/listblacklist/, requirePermission('users.moderate'), cleanupCommand(), async (msg) => {
+  const chatId = msg.chat.id;
+  const adminId = msg.from.id;
+
+  const blacklisted = await db.getAllBlacklistedUsers();
+  
+  if (blacklisted.length === 0) {
+    await sendAndAutoDelete(chatId, "📋 No blacklisted users.", 30000);
+    return;
+  }
+  
+  let text = "📋 Blacklisted Users:\n\n";
+  for (const entry of blacklisted) {
+    const userIdentifier = await getUserIdentifier(entry.user_id);
+    text += `User: ${userIdentifier}\nReason: ${entry.reason}\nBlacklisted at: ${new Date(entry.blacklisted_at).toLocaleString()}\n\n`;
+  }
+  
+  await sendAndAutoDelete(chatId, text, 60000);
+});
+
+/* ---------- Admin management (owners only) ---------- */
+const ADMIN_ROLE_LABELS = {
+  owner: '👑 Owner',
+  finance: '💰 Finance',
+  reviewer: '📝 Reviewer',
+  moderator: '🛡️ Moderator',
+  support: '💬 Support'
+};
+
+// /addadmin <user> <role> - add an admin or change their role
+router.command(/\/addadmin\s+(@?\w+|\d+)\s+(\w+)/, requirePermission('admins.manage'), cleanupCommand(), withArgs('target:user', 'role:text'), async (msg, match, ctx) => {
+  const chatId = msg.chat.id;
+  const adminId = msg.from.id;
+  const { target: targetId, targetInput: input } = ctx.args;
+  const role = ctx.args.role.toLowerCase();
+
+  if (!db.ADMIN_ROLES.includes(role)) {
+    await sendAndAutoDelete(chatId, `❌ Unknown role: ${role}\nRoles: ${db.ADMIN_ROLES.join(', ')}`, 30000);
+    return;
+  }
+
+  if (!(await db.getUser(targetId))) {
+    await sendAndAutoDelete(chatId, "❌ User not found. They must /start the bot first.", 30000);
+    return;
+  }
+
+  const result = await db.setAdminRole(targetId, role, adminId);
+  if (result.status === 'last_owner') {
+    await sendAndAutoDelete(chatId, "❌ This is the last owner. Add another owner before changing this role.", 30000);
+    return;
+  }
+
+  await refreshAdminRoles();
+  const userIdentifier = await getUserIdentifier(targetId);
+  const change = result.previousRole ? `${result.previousRole} → ${role}` : role;
+  await sendAndAutoDelete(chatId, `✅ ${userIdentifier} is now ${ADMIN_ROLE_LABELS[role]}.`, 30000);
+  await broadcastAdminAction(`👥 Admin Role Updated\n\nOwner: ${adminId}\nUser: ${input} (${targetId})\nRole: ${change}`);
+});
+
+// /removeadmin <user>
+router.command(/\/removeadmin\s+(@?\w+|\d+)/, requirePermission('admins.manage'), cleanupCommand(), withArgs('target:user'), async (msg, match, ctx) => {
+  const chatId = msg.chat.id;
+  const adminId = msg.from.id;
+  const { target: targetId, targetInput: input } = ctx.args;
+
+  const result = await db.removeAdmin(targetId);
+  if (result.status === 'not_found') {
+    await sendAndAutoDelete(chatId, `❌ ${input} is not an admin.`, 30000);
+    return;
+  }
+  if (result.status === 'last_owner') {
+    await sendAndAutoDelete(chatId, "❌ You cannot remove the last owner.", 30000);
+    return;
+  }
+
+  await refreshAdminRoles();
+  await sendAndAutoDelete(chatId, `✅ ${input} (${targetId}) is no longer an admin (was ${result.admin.role}).`, 30000);
+  await broadcastAdminAction(`👥 Admin Removed\n\nOwner: ${adminId}\nUser: ${input} (${targetId})\nPrevious role: ${result.admin.role}`);
+});
+
+// /admins - list admins and what each role may do
+router.command(/\/admins\b/, requirePermission('admins.manage'), cleanupCommand(), async (msg) => {
+  const chatId = msg.chat.id;
+
+  const admins = await db.getAdmins();
+  let text = `👥 <b>Admins (${admins.length})</b>\n\n`;
+  for (const admin of admins) {
+    const userIdentifier = await getUserIdentifier(admin.user_id);
+    text += `${ADMIN_ROLE_LABELS[admin.role] || admin.role}: ${userIdentifier}\n`;
+  }
+
+  text += `\n<b>━━━━━ Permissions ━━━━━</b>\n`;
+  for (const role of db.ADMIN_ROLES) {
+    const permissions = ROLE_PERMISSIONS[role] || [];
+    text += `${ADMIN_ROLE_LABELS[role]}: ${permissions.includes('*') ? 'everything' : permissions.join(', ')}\n`;
+  }
+
+  await sendAndAutoDelete(chatId, text, 60000, { parse_mode: 'HTML' });
+});
+
+// Addbalance
+router.command(/\/addbalance\s+(@?\w+|\d+)\s+(\d+)(?:\s+(.+))?/, requirePermission('balance.adjust'), cleanupCommand(), withArgs('target:user', 'amount:number', 'reason:text?', {
+  onUserNotFound: (ctx, input) => broadcastAdminAction(`❌ /addbalance failed by admin ${ctx.userId}\nTarget: ${input}\nReason: User not found`)
+}), async (msg, match, ctx) => {
+  const chatId = msg.chat.id;
+  const adminId = msg.from.id;
+  const { target: targetId, amount } = ctx.args;
+  const reason = ctx.args.reason || "No reason provided";
+  
+  if (!(amount > 0)) {
+    await sendAndAutoDelete(chatId, "❌ Amount must be greater than 0.", 30000);
+    return;
+  }
+  
+  const user = await db.getUser(targetId);
+  if (!user) {
+    await sendAndAutoDelete(chatId, "❌ User not found.", 30000);
+    await broadcastAdminAction(`❌ /addbalance failed by admin ${adminId}\nTarget: ${ctx.args.targetInput}\nReason: User not found`);
+    return;
+  }
+  if (await balanceChangeRequiresCoSign(db.PROPOSAL_ACTIONS.ADD_BALANCE, targetId, amount)) {
+    await proposeBalanceChange(db.PROPOSAL_ACTIONS.ADD_BALANCE, adminId, targetId, amount, reason, chatId);
+    return;
+  }
+
+  const userIdentifier = await getUserIdentifier(targetId);
+  const { newBalance } = await db.creditUser(targetId, amount, {
+    sourceType: db.LEDGER_SOURCES.ADMIN_CREDIT,
+    adminId,
+    reason
+  });
+  const oldBalance = newBalance - amount;
+  
+  await sendAndAutoDelete(chatId, `✅ Added ${amount} ${CURRENCY_SYMBOL} to ${userIdentifier}\nOld balance: ${oldBalance} ${CURRENCY_SYMBOL}\nNew balance: ${newBalance} ${CURRENCY_SYMBOL}\nReason: ${reason}`, 30000);
+  await broadcastAdminAction(`💰 Balance Added\n\nAdmin: ${adminId}\nUser: ${userIdentifier}\nAmount: +${amount} ${CURRENCY_SYMBOL}\nOld Balance: ${oldBalance} ${CURRENCY_SYMBOL}\nNew Balance: ${newBalance} ${CURRENCY_SYMBOL}\nReason: ${reason}`);
+  
+  // Delete user's last message if exists
+  try {
+    if (global.userLatestMessage && global.userLatestMessage[chatId] && global.userLatestMessage[chatId][targetId]) {
+      const userMsgId = global.userLatestMessage[chatId][targetId];
+      deleteMessageLater(chatId, userMsgId, 30000);
+    }
+  } catch (e) {}
+});
+
+// Removebalance
+router.command(/\/removebalance\s+(@?\w+|\d+)\s+(\d+)(?:\s+(.+))?/, requirePermission('balance.adjust'), cleanupCommand(), withArgs('target:user', 'amount:number', 'reason:text?', {
+  onUserNotFound: (ctx, input) => broadcastAdminAction(`❌ /removebalance failed by admin ${ctx.userId}\nTarget: ${input}\nReason: User not found`)
+}), async (msg, match, ctx) => {
+  const chatId = msg.chat.id;
+  const adminId = msg.from.id;
+  const { target: targetId, amount } = ctx.args;
+  const reason = ctx.args.reason || "No reason provided";
+  
+  const user = await db.getUser(targetId);
+  if (!user) {
+    await sendAndAutoDelete(chatId, "❌ User not found.", 30000);
+    await broadcastAdminAction(`❌ /removebalance failed by admin ${adminId}\nTarget: ${ctx.args.targetInput}\nReason: User not found`);
+    return;
+  }
+  if (await balanceChangeRequiresCoSign(db.PROPOSAL_ACTIONS.REMOVE_BALANCE, targetId, amount)) {
+    await proposeBalanceChange(db.PROPOSAL_ACTIONS.REMOVE_BALANCE, adminId, targetId, amount, reason, chatId);
+    return;
+  }
+
+  const userIdentifier = await getUserIdentifier(targetId);
+  const { removed: removeAmt, oldBalance, newBalance } = await db.debitUserUpTo(targetId, amount, {
+    sourceType: db.LEDGER_SOURCES.ADMIN_DEBIT,
+    adminId,
+    reason
+  });
+  if (removeAmt <= 0) {
+    await sendAndAutoDelete(chatId, `❌ ${userIdentifier} has no balance to remove.`, 30000);
+    return;
+  }
+  
+  await sendAndAutoDelete(chatId, `✅ Removed ${removeAmt} ${CURRENCY_SYMBOL} from ${userIdentifier}\nOld balance: ${oldBalance} ${CURRENCY_SYMBOL}\nNew balance: ${newBalance} ${CURRENCY_SYMBOL}\nReason: ${reason}`, 30000);
+  await broadcastAdminAction(`💸 Balance Deducted\n\nAdmin: ${adminId}\nUser: ${userIdentifier}\nAmount: -${removeAmt} ${CURRENCY_SYMBOL}\nOld Balance: ${oldBalance} ${CURRENCY_SYMBOL}\nNew Balance: ${newBalance} ${CURRENCY_SYMBOL}\nReason: ${reason}`);
+  
+  // Delete user's last message if exists
+  try {
+    if (global.userLatestMessage && global.userLatestMessage[chatId] && global.userLatestMessage[chatId][targetId]) {
+      const userMsgId = global.userLatestMessage[chatId][targetId];
+      deleteMessageLater(chatId, userMsgId, 30000);
+    }
+  } catch (e) {}
+});
+
+// Ledger - explain where a user's balance came from
+router.command(/\/ledger\s+(@?\w+|\d+)(?:\s+(\d+))?/, requirePermission('users.view'), cleanupCommand(), withArgs('target:user', 'limit:int?'), async (msg, match, ctx) => {
+  const chatId = msg.chat.id;
+  const adminId = msg.from.id;
+  const { target: targetId } = ctx.args;
+  const limit = ctx.args.limit ? Math.min(ctx.args.limit, 50) : 15;
+  const user = await db.getUser(targetId);
+  
+  if (!user) {
+    await sendAndAutoDelete(chatId, "❌ User not found.", 30000);
+    return;
+  }
+  
+  const summary = await db.getUserLedgerSummary(targetId);
+  const entries = await db.getUserLedger(targetId, limit);
+  const userIdentifier = await getUserIdentifier(targetId);
+  
+  let text = `📒 <b>Balance Ledger for ${userIdentifier}</b>\n\n`;
+  text += `Current Balance: <b>${parseFloat(user.balance) || 0} ${CURRENCY_SYMBOL}</b>\n\n`;
+  
+  if (summary.length === 0) {
+    text += `<i>No ledger entries yet.</i>\n`;
+  } else {
+    text += `<b>━━━━━ By Source ━━━━━</b>\n`;
+    summary.forEach(row => {
+      const total = parseFloat(row.total) || 0;
+      text += `├ ${row.source_type}: ${total > 0 ? '+' : ''}${total} ${CURRENCY_SYMBOL} (${row.count})\n`;
+    });
+    text += `\n<b>━━━━━ Last ${entries.length} Entries ━━━━━</b>\n`;
+    entries.forEach(entry => {
+      const amount = parseFloat(entry.amount) || 0;
+      const date = new Date(Number(entry.created_at)).toLocaleString();
+      text += `${amount > 0 ? '➕' : '➖'} ${amount > 0 ? '+' : ''}${amount} → ${parseFloat(entry.balance_after)} | ${entry.source_type}`;
+      if (entry.reference_id) text += ` #${entry.reference_id}`;
+      if (entry.admin_id) text += ` | admin ${entry.admin_id}`;
+      text += `\n   ${date}${entry.reason ? ' — ' + escapeHtml(entry.reason) : ''}\n`;
+    });
+  }
+  
+  await sendAndAutoDelete(chatId, text, 120000, { parse_mode: 'HTML' });
+});
+
+router.command(/\/wallethistory\s+(@?\w+|\d+)/, requirePermission('users.view'), cleanupCommand(), withArgs('target:user'), async (msg, match, ctx) => {
+  const chatId = msg.chat.id;
+  const { target: targetId } = ctx.args;
+  const user = await db.getUser(targetId);
+
+  if (!user) {
+    await sendAndAutoDelete(chatId, "❌ User not found.", 30000);
+    return;
+  }
+
+  const history = await db.getWalletHistory(targetId, 20);
+  const userIdentifier = await getUserIdentifier(targetId);
+
+  let text = `💳 <b>Wallet History for ${userIdentifier}</b>\n\n`;
+  text += `Current: <code>${user.wallet || '(not set)'}</code>\n\n`;
+
+  if (history.length === 0) {
+    text += `<i>No wallet changes recorded.</i>\n`;
+  } else {
+    history.forEach(entry => {
+      const date = new Date(Number(entry.changed_at)).toLocaleString();
+      text += `🔁 ${shortenAddress(entry.old_wallet)} → <code>${entry.new_wallet}</code>\n   ${date}`;
+      if (entry.changed_by && String(entry.changed_by) !== String(entry.user_id)) text += ` | by ${entry.changed_by}`;
+      text += `\n`;
+    });
+  }
+
+  await sendAndAutoDelete(chatId, text, 120000, { parse_mode: 'HTML' });
+});
+
+router.command(/\/walletcluster\s+(\S+)/, requirePermission('users.view'), cleanupCommand(), async (msg, match) => {
+  const chatId = msg.chat.id;
+  const input = match[1].trim();
+
+  // Accept either a wallet address or a user (id / @username)
+  let wallet = validateSolanaAddress(input).valid ? input : null;
+  if (!wallet) {
+    const targetId = await resolveUserInput(input);
+    const user = targetId ? await db.getUser(targetId) : null;
+    if (!user) {
+      await sendAndAutoDelete(chatId, "❌ Not a Solana wallet or a known user.", 30000);
+      return;
+    }
+    if (!user.wallet) {
+      await sendAndAutoDelete(chatId, `ℹ️ ${await getUserIdentifier(targetId)} has no wallet set.`, 30000);
+      return;
+    }
+    wallet = user.wallet;
+  }
+
+  const cluster = await db.getWalletCluster(wallet);
+  const former = await db.getFormerWalletUsers(wallet);
+  const walletShareLimit = parseInt(await db.getSetting('walletShareLimit'), 10) || 0;
+
+  let text = `🔗 <b>Wallet Cluster</b>\n<code>${wallet}</code>\n\n`;
+  text += `Bound accounts: <b>${cluster.length}</b>`;
+  if (walletShareLimit > 0 && cluster.length > walletShareLimit) text += ` ⚠️ (limit ${walletShareLimit}, withdrawals are held)`;
+  text += `\n\n`;
+
+  cluster.forEach(row => {
+    const registered = row.registered_at ? new Date(Number(row.registered_at)).toLocaleDateString() : 'N/A';
+    text += `${row.blacklisted ? '🚫' : row.verified ? '✅' : '❔'} ${row.username ? '@' + row.username : '(no username)'} <code>${row.id}</code>\n`;
+    text += `   Balance: ${parseFloat(row.balance) || 0} ${CURRENCY_SYMBOL} | Joined: ${registered}`;
+    if (row.referred_by) text += ` | Ref by: ${row.referred_by}`;
+    text += `\n`;
+  });
+
+  if (former.length > 0) {
+    text += `\n<b>Previously used by:</b>\n`;
+    former.forEach(row => {
+      text += `↪️ ${row.username ? '@' + row.username : '(no username)'} <code>${row.user_id}</code> (${new Date(Number(row.last_changed_at)).toLocaleDateString()})\n`;
+    });
+  }
+
+  await sendAndAutoDelete(chatId, text, 120000, { parse_mode: 'HTML' });
+});
+
+/* ---------- Payout batches ---------- */
+/*
+  /payoutbatch [batchId] [csv|json] -> batch every approved, unbatched withdrawal (or re-export a batch)
+  /markpaid <batchId> [id=signature ...] -> mark the batch paid; reply to the filled-in export file
+                                             to record one transaction signature per withdrawal
+*/
+const MAX_SIGNATURE_FILE_BYTES = 1024 * 1024;
+
+async function notifyWithdrawalPaid(withdrawal) {
+  const amount = parseFloat(withdrawal.amount);
+  let text = `💸 Your withdrawal #${withdrawal.id} has been paid!\nAmount: ${amount} ${CURRENCY_SYMBOL}\nWallet: ${withdrawal.wallet}`;
+  if (withdrawal.tx_signature) {
+    text += `\n\nTransaction: ${withdrawal.tx_signature}\n🔎 https://solscan.io/tx/${withdrawal.tx_signature}`;
+  }
+  try {
+    await bot.sendMessage(withdrawal.user_id, text);
+  } catch (e) {}
+}
+
+// Download a Telegram file into memory, refusing files larger than maxBytes and, when timeoutMs
+// is set, giving up (and closing the stream) after that long
+function downloadFileBuffer(fileId, maxBytes, timeoutMs = 0) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let timer = null;
+    const stream = bot.getFileStream(fileId);
+    const fail = (error) => {
+      clearTimeout(timer);
+      stream.destroy();
+      reject(error);
+    };
+
+    if (timeoutMs > 0) timer = setTimeout(() => fail(new Error('Download timed out')), timeoutMs);
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        fail(new Error('File is too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => {
+      clearTimeout(timer);
+      resolve(Buffer.concat(chunks));
+    });
+    stream.on('error', fail);
+  });
+}
+
+async function downloadTextFile(fileId) {
+  return (await downloadFileBuffer(fileId, MAX_SIGNATURE_FILE_BYTES)).toString('utf8');
+}
 
-  await bot.sendMessage(chatId, info, { parse_mode: 'HTML' });
-});
+// Batch files contain wallets, so they go to the admin privately when possible
+async function sendBatchDocument(adminId, chatId, batch, withdrawals, format) {
+  const content = format === 'json' ? buildBatchJson(batch, withdrawals) : buildBatchCsv(withdrawals);
+  const filename = `payout-batch-${batch.id}.${format}`;
+  const caption = `📦 Payout batch #${batch.id}\n${withdrawals.length} withdrawal(s), total ${parseFloat(batch.total_amount)} ${CURRENCY_SYMBOL}\n\nAfter paying, fill in tx_signature and reply to the file with /markpaid ${batch.id}`;
+  const fileOptions = { filename, contentType: format === 'json' ? 'application/json' : 'text/csv' };
 
-// =============== Admin Command Wrappers with Auto-Delete ===============
+  try {
+    await bot.sendDocument(adminId, Buffer.from(content, 'utf8'), { caption }, fileOptions);
+    return adminId === chatId ? null : adminId;
+  } catch (e) {
+    console.warn('Could not DM payout batch, sending in chat:', e.message);
+    await bot.sendDocument(chatId, Buffer.from(content, 'utf8'), { caption }, fileOptions);
+    return null;
+  }
+}
 
-// Blacklist with reason
-bot.onText(/\/blacklist\s+(@?\w+|\d+)(?:\s+(.+))?/, async (msg, match) => {
+router.command(/\/payoutbatch(?:\s+(\d+))?(?:\s+(csv|json))?/i, requirePermission('withdrawals.pay'), cleanupCommand(), async (msg, match) => {
   const chatId = msg.chat.id;
   const adminId = msg.from.id;
-  
-  if (!isAdminId(adminId)) return;
-  
-  const input = match[1].trim();
-  const reason = match[2] ? match[2].trim() : "No reason provided";
-  const targetId = await resolveUserInput(input);
-  
-  let actionMsg = `⛔️ /blacklist by admin: ${adminId} on user ${input} (${targetId})`;
-  
-  if (!targetId) {
-    await sendAndAutoDelete(chatId, "❌ User not found.", 30000);
-    await broadcastAdminAction(actionMsg + "\nResult: User not found.");
-    deleteMessageLater(chatId, msg.message_id, 30000);
-    return;
+  const format = (match[2] || 'csv').toLowerCase();
+
+  let batch;
+  let withdrawals;
+  if (match[1]) {
+    batch = await db.getPayoutBatch(Number(match[1]));
+    if (!batch) {
+      await sendAndAutoDelete(chatId, `❌ Payout batch #${match[1]} not found.`, 30000);
+      return;
+    }
+    withdrawals = await db.getBatchWithdrawals(batch.id);
+  } else {
+    const result = await db.createPayoutBatch(adminId);
+    if (result.status === 'empty') {
+      await sendAndAutoDelete(chatId, "ℹ️ No approved withdrawals are waiting for payout.", 30000);
+      return;
+    }
+    ({ batch, withdrawals } = result);
+    const adminIdentifier = await getUserIdentifier(adminId);
+    await logAdmin(`Payout batch #${batch.id} created by ${adminIdentifier}: ${withdrawals.length} withdrawal(s), ${parseFloat(batch.total_amount)} ${CURRENCY_SYMBOL}`);
   }
-  
-  if (isAdminId(targetId)) {
-    await sendAndAutoDelete(chatId, "❌ You cannot blacklist another admin.", 30000);
-    await broadcastAdminAction(actionMsg + "\nResult: Cannot blacklist admin.");
-    deleteMessageLater(chatId, msg.message_id, 30000);
-    return;
+
+  const sentPrivately = await sendBatchDocument(adminId, chatId, batch, withdrawals, format);
+  if (sentPrivately) {
+    await sendAndAutoDelete(chatId, `📤 Payout batch #${batch.id} sent to you privately.`, 30000);
   }
-  
-  await db.blacklistUser(targetId, reason, adminId);
-  await sendAndAutoDelete(chatId, `🚫 User ${input} (${targetId}) has been blacklisted.\nReason: ${reason}`, 30000);
-  await broadcastAdminAction(actionMsg + `\nReason: ${reason}\nResult: User blacklisted.`);
-  
-  // Delete admin command after 30 sec
-  deleteMessageLater(chatId, msg.message_id, 30000);
-  
-  // Delete the blacklisted user's most recent message in this chat
-  try {
-    if (global.userLatestMessage && global.userLatestMessage[chatId] && global.userLatestMessage[chatId][targetId]) {
-      const userMsgId = global.userLatestMessage[chatId][targetId];
-      deleteMessageLater(chatId, userMsgId, 30000);
-    }
-  } catch (e) {}
 });
 
-// Unblacklist
-bot.onText(/\/unblacklist\s+(@?\w+|\d+)/, async (msg, match) => {
+router.command(/\/markpaid\s+(\d+)(?:\s+([\s\S]+))?/, requirePermission('withdrawals.pay'), async (msg, match) => {
   const chatId = msg.chat.id;
   const adminId = msg.from.id;
-  
-  if (!isAdminId(adminId)) return;
-  
-  const input = match[1].trim();
-  const targetId = await resolveUserInput(input);
-  
-  if (!targetId) {
-    await sendAndAutoDelete(chatId, "❌ User not found.", 30000);
-    deleteMessageLater(chatId, msg.message_id, 30000);
+  const batchId = Number(match[1]);
+
+  // Signatures come from a replied-to file, inline "id=signature" pairs, or not at all
+  let parsed = null;
+  const document = msg.reply_to_message && msg.reply_to_message.document;
+  try {
+    if (document) {
+      if (document.file_size && document.file_size > MAX_SIGNATURE_FILE_BYTES) {
+        await bot.sendMessage(chatId, "❌ Signatures file is too large.");
+        return;
+      }
+      parsed = parseSignatureFile(await downloadTextFile(document.file_id));
+    } else if (match[2]) {
+      const lines = match[2].trim().split(/\s+/).map(pair => pair.replace('=', ','));
+      parsed = parseSignatureFile(lines.join('\n'));
+    }
+  } catch (e) {
+    await bot.sendMessage(chatId, `❌ Could not read signatures: ${e.message}`);
     return;
   }
-  
-  await db.unblacklistUser(targetId);
-  await sendAndAutoDelete(chatId, `✅ User ${input} (${targetId}) has been removed from blacklist.`, 30000);
-  await broadcastAdminAction(`✅ /unblacklist by admin ${adminId}: User ${input} (${targetId}) removed from blacklist.`);
-  deleteMessageLater(chatId, msg.message_id, 30000);
-});
 
-// List blacklisted users
-bot.onText(/\/listblacklist/, async (msg) => {
-  const chatId = msg.chat.id;
-  const adminId = msg.from.id;
-  
-  if (!isAdminId(adminId)) return;
-  
-  const blacklisted = await db.getAllBlacklistedUsers();
-  
-  if (blacklisted.length === 0) {
-    await sendAndAutoDelete(chatId, "📋 No blacklisted users.", 30000);
-    deleteMessageLater(chatId, msg.message_id, 30000);
+  if (parsed && parsed.invalid.length > 0) {
+    const list = parsed.invalid.slice(0, 10).map(item => `• #${item.id}: ${item.signature.slice(0, 20)}…`).join('\n');
+    await bot.sendMessage(chatId, `❌ ${parsed.invalid.length} signature(s) are not valid Solana transaction signatures. Nothing was marked paid.\n\n${list}`);
     return;
   }
-  
-  let text = "📋 Blacklisted Users:\n\n";
-  for (const entry of blacklisted) {
-    const userIdentifier = await getUserIdentifier(entry.user_id);
-    text += `User: ${userIdentifier}\nReason: ${entry.reason}\nBlacklisted at: ${new Date(entry.blacklisted_at).toLocaleString()}\n\n`;
+  if (parsed && parsed.duplicates.length > 0) {
+    const list = parsed.duplicates.slice(0, 10).map(item => `• #${item.id}: ${item.signature.slice(0, 20)}…`).join('\n');
+    await bot.sendMessage(chatId, `❌ The same signature is given for more than one withdrawal. Nothing was marked paid.\n\n${list}`);
+    return;
+  }
+  if (parsed && Object.keys(parsed.signatures).length === 0) {
+    await bot.sendMessage(chatId, "❌ No signatures found. Fill in the tx_signature column of the batch export, or send /markpaid <batch> without a file to mark it paid without signatures.");
+    return;
   }
-  
-  await sendAndAutoDelete(chatId, text, 60000);
-  deleteMessageLater(chatId, msg.message_id, 30000);
-});
 
-// Addbalance
-bot.onText(/\/addbalance\s+(@?\w+|\d+)\s+(\d+)(?:\s+(.+))?/, async (msg, match) => {
-  const chatId = msg.chat.id;
-  const adminId = msg.from.id;
-  
-  if (!isAdminId(adminId)) return;
-  
-  const input = match[1].trim();
-  const amount = parseFloat(match[2]);
-  const reason = match[3] ? match[3].trim() : "No reason provided";
-  const targetId = await resolveUserInput(input);
-  
-  if (!targetId) {
-    await sendAndAutoDelete(chatId, "❌ User not found.", 30000);
-    await broadcastAdminAction(`❌ /addbalance failed by admin ${adminId}\nTarget: ${input}\nReason: User not found`);
-    deleteMessageLater(chatId, msg.message_id, 30000);
+  const result = await db.markPayoutBatchPaid(batchId, adminId, parsed ? parsed.signatures : null);
+  if (result.status === 'not_found') {
+    await bot.sendMessage(chatId, `❌ Payout batch #${batchId} not found.`);
     return;
   }
-  
-  const user = await db.getUser(targetId);
-  const userIdentifier = await getUserIdentifier(targetId);
-  const oldBalance = parseFloat(user.balance) || 0;
-  const newBalance = oldBalance + amount;
-  await db.updateUser(targetId, { balance: newBalance });
-  
-  await sendAndAutoDelete(chatId, `✅ Added ${amount} ${CURRENCY_SYMBOL} to ${userIdentifier}\nOld balance: ${oldBalance} ${CURRENCY_SYMBOL}\nNew balance: ${newBalance} ${CURRENCY_SYMBOL}\nReason: ${reason}`, 30000);
-  await broadcastAdminAction(`💰 Balance Added\n\nAdmin: ${adminId}\nUser: ${userIdentifier}\nAmount: +${amount} ${CURRENCY_SYMBOL}\nOld Balance: ${oldBalance} ${CURRENCY_SYMBOL}\nNew Balance: ${newBalance} ${CURRENCY_SYMBOL}\nReason: ${reason}`);
-  deleteMessageLater(chatId, msg.message_id, 30000);
-  
-  // Delete user's last message if exists
-  try {
-    if (global.userLatestMessage && global.userLatestMessage[chatId] && global.userLatestMessage[chatId][targetId]) {
-      const userMsgId = global.userLatestMessage[chatId][targetId];
-      deleteMessageLater(chatId, userMsgId, 30000);
-    }
-  } catch (e) {}
+  if (result.status === 'already_paid') {
+    await bot.sendMessage(chatId, `ℹ️ Payout batch #${batchId} is already fully paid.`);
+    return;
+  }
+  if (result.status === 'signature_in_use') {
+    const list = result.conflicts.slice(0, 10).map(item => `• #${item.id}: ${item.signature.slice(0, 20)}… already recorded for #${item.usedBy}`).join('\n');
+    await bot.sendMessage(chatId, `❌ ${result.conflicts.length} signature(s) already belong to another withdrawal. Nothing was marked paid.\n\n${list}`);
+    return;
+  }
+
+  for (const withdrawal of result.paid) {
+    await notifyWithdrawalPaid(withdrawal);
+  }
+
+  const adminIdentifier = await getUserIdentifier(adminId);
+  let summary = `✅ Payout batch #${batchId}: ${result.paid.length} withdrawal(s) marked paid.`;
+  if (result.missing.length > 0) {
+    summary += `\n⚠️ No signature for: ${result.missing.map(w => '#' + w.id).join(', ')} (still approved).`;
+  }
+  if (result.unknown.length > 0) {
+    summary += `\n⚠️ Not in this batch, ignored: ${result.unknown.map(id => '#' + id).join(', ')}.`;
+  }
+  summary += `\nBatch status: ${result.batch.status}`;
+
+  await bot.sendMessage(chatId, summary);
+  if (result.paid.length > 0) {
+    const total = result.paid.reduce((sum, w) => sum + (parseFloat(w.amount) || 0), 0);
+    await logAdmin(`Payout batch #${batchId}: ${result.paid.length} withdrawal(s) (${total} ${CURRENCY_SYMBOL}) marked paid by ${adminIdentifier}`);
+  }
 });
 
-// Removebalance
-bot.onText(/\/removebalance\s+(@?\w+|\d+)\s+(\d+)(?:\s+(.+))?/, async (msg, match) => {
+/* ---------- Automatic on-chain payouts ---------- */
+function createPayoutExecutorFromEnv() {
+  if (PAYOUT_EXECUTOR !== 'solana') return null;
+
+  if (!PAYOUT_WALLET_SECRET_KEY || !PAYOUT_TOKEN_MINT) {
+    console.warn('PAYOUT_EXECUTOR=solana needs PAYOUT_WALLET_SECRET_KEY and PAYOUT_TOKEN_MINT. Automatic payouts are disabled.');
+    return null;
+  }
+  try {
+    return createSolanaRpcExecutor({
+      rpcUrl: SOLANA_RPC_URL,
+      secretKey: JSON.parse(PAYOUT_WALLET_SECRET_KEY),
+      mint: PAYOUT_TOKEN_MINT,
+      decimals: PAYOUT_TOKEN_DECIMALS
+    });
+  } catch (e) {
+    console.warn('Invalid PAYOUT_WALLET_SECRET_KEY. Automatic payouts are disabled.');
+    return null;
+  }
+}
+
+const payoutExecutor = createPayoutExecutorFromEnv();
+let payoutRunInProgress = false;
+
+async function runPayoutQueue() {
+  if (!payoutExecutor || payoutRunInProgress) return [];
+  if ((await db.getSetting('autoPayoutEnabled')) !== 'true') return [];
+
+  payoutRunInProgress = true;
+  try {
+    const processor = createPayoutProcessor({
+      db,
+      executor: payoutExecutor,
+      maxAttempts: parseInt(await db.getSetting('payoutMaxAttempts'), 10) || 5,
+      onPaid: async (withdrawal) => {
+        await notifyWithdrawalPaid(withdrawal);
+        const userIdentifier = await getUserIdentifier(withdrawal.user_id);
+        const fee = withdrawal.payout_fee !== null ? ` (fee ${parseFloat(withdrawal.payout_fee)} SOL)` : '';
+        await logAdmin(`Withdrawal #${withdrawal.id} of ${userIdentifier} paid on-chain - Amount: ${parseFloat(withdrawal.amount)}${fee} - Tx: ${withdrawal.tx_signature}`);
+      },
+      onRetry: async (withdrawal, error, nextAttemptAt) => {
+        console.warn(`Payout of withdrawal #${withdrawal.id} failed (attempt ${withdrawal.payout_attempts}), retrying in ${formatDuration(nextAttemptAt - Date.now())}: ${error}`);
+      },
+      onFailed: async (withdrawal, error) => {
+        await broadcastAdminAction(`⚠️ Automatic payout of withdrawal #${withdrawal.id} (${parseFloat(withdrawal.amount)} ${CURRENCY_SYMBOL}) failed after ${withdrawal.payout_attempts} attempt(s): ${error}\n\n${withdrawal.tx_signature
+          ? `Its last transaction ${withdrawal.tx_signature} may still have landed, so it cannot be paid by hand. Retry with /retrypayout ${withdrawal.id}, which checks it first.`
+          : `Retry with /retrypayout ${withdrawal.id} or pay it in a /payoutbatch.`}`);
+      }
+    });
+    return await processor.processDue();
+  } finally {
+    payoutRunInProgress = false;
+  }
+}
+
+router.command(/\/retrypayout\s+(\d+)/, requirePermission('withdrawals.pay'), cleanupCommand(), async (msg, match) => {
   const chatId = msg.chat.id;
-  const adminId = msg.from.id;
-  
-  if (!isAdminId(adminId)) return;
-  
-  const input = match[1].trim();
-  const amount = parseFloat(match[2]);
-  const reason = match[3] ? match[3].trim() : "No reason provided";
-  const targetId = await resolveUserInput(input);
-  
-  if (!targetId) {
-    await sendAndAutoDelete(chatId, "❌ User not found.", 30000);
-    await broadcastAdminAction(`❌ /removebalance failed by admin ${adminId}\nTarget: ${input}\nReason: User not found`);
-    deleteMessageLater(chatId, msg.message_id, 30000);
+  const withdrawalId = Number(match[1]);
+
+  const withdrawal = await db.resetFailedPayout(withdrawalId);
+  if (!withdrawal) {
+    await sendAndAutoDelete(chatId, `ℹ️ Withdrawal #${withdrawalId} has no failed automatic payout to retry.`, 30000);
     return;
   }
-  
-  const user = await db.getUser(targetId);
-  const userIdentifier = await getUserIdentifier(targetId);
-  const oldBalance = parseFloat(user.balance) || 0;
-  const removeAmt = Math.min(amount, oldBalance);
-  const newBalance = oldBalance - removeAmt;
-  await db.updateUser(targetId, { balance: newBalance });
-  
-  await sendAndAutoDelete(chatId, `✅ Removed ${removeAmt} ${CURRENCY_SYMBOL} from ${userIdentifier}\nOld balance: ${oldBalance} ${CURRENCY_SYMBOL}\nNew balance: ${newBalance} ${CURRENCY_SYMBOL}\nReason: ${reason}`, 30000);
-  await broadcastAdminAction(`💸 Balance Deducted\n\nAdmin: ${adminId}\nUser: ${userIdentifier}\nAmount: -${removeAmt} ${CURRENCY_SYMBOL}\nOld Balance: ${oldBalance} ${CURRENCY_SYMBOL}\nNew Balance: ${newBalance} ${CURRENCY_SYMBOL}\nReason: ${reason}`);
-  deleteMessageLater(chatId, msg.message_id, 30000);
-  
-  // Delete user's last message if exists
-  try {
-    if (global.userLatestMessage && global.userLatestMessage[chatId] && global.userLatestMessage[chatId][targetId]) {
-      const userMsgId = global.userLatestMessage[chatId][targetId];
-      deleteMessageLater(chatId, userMsgId, 30000);
-    }
-  } catch (e) {}
+
+  const adminIdentifier = await getUserIdentifier(msg.from.id);
+  await logAdmin(`Automatic payout of withdrawal #${withdrawalId} re-queued by ${adminIdentifier}`);
+  await sendAndAutoDelete(chatId, `🔁 Withdrawal #${withdrawalId} is queued for automatic payout again.`, 30000);
 });
 
 // Open withdrawal
-bot.onText(/\/openwithdrawal/, async (msg) => {
+router.command(/\/openwithdrawal/, requirePermission('withdrawals.config'), cleanupCommand(), async (msg) => {
   const chatId = msg.chat.id;
   const adminId = msg.from.id;
-  
-  if (!isAdminId(adminId)) return;
-  
+
   await db.setSetting('withdrawalOpen', 'true');
   await sendAndAutoDelete(chatId, '✅ Withdrawals are now OPEN.', 30000);
   await broadcastAdminAction(`🔓 Withdrawals Opened\n\nAdmin: ${adminId}\nStatus: OPEN`);
-  deleteMessageLater(chatId, msg.message_id, 30000);
 });
 
 // Close withdrawal
-bot.onText(/\/closewithdrawal/, async (msg) => {
+router.command(/\/closewithdrawal/, requirePermission('withdrawals.config'), cleanupCommand(), async (msg) => {
   const chatId = msg.chat.id;
   const adminId = msg.from.id;
-  
-  if (!isAdminId(adminId)) return;
-  
+
   await db.setSetting('withdrawalOpen', 'false');
   await sendAndAutoDelete(chatId, '✅ Withdrawals are now CLOSED.', 30000);
   await broadcastAdminAction(`🔒 Withdrawals Closed\n\nAdmin: ${adminId}\nStatus: CLOSED`);
-  deleteMessageLater(chatId, msg.message_id, 30000);
 });
 
 // Set min and max withdrawal
-bot.onText(/\/setminandmaxwithdrawal\s+(\d+)\s+(\d+)/, async (msg, match) => {
+router.command(/\/setminandmaxwithdrawal\s+(\d+)\s+(\d+)/, requirePermission('withdrawals.config'), cleanupCommand(), async (msg, match) => {
   const chatId = msg.chat.id;
   const adminId = msg.from.id;
-  
-  if (!isAdminId(adminId)) return;
-  
+
   const minW = parseFloat(match[1]);
   const maxW = parseFloat(match[2]);
   
@@ -2072,76 +5166,72 @@ bot.onText(/\/setminandmaxwithdrawal\s+(\d+)\s+(\d+)/, async (msg, match) => {
   
   await sendAndAutoDelete(chatId, `✅ Withdrawal limits updated\nMin: ${minW} ${CURRENCY_SYMBOL}\nMax: ${maxW} ${CURRENCY_SYMBOL}`, 30000);
   await broadcastAdminAction(`⚙️ Withdrawal Limits Updated\n\nAdmin: ${adminId}\nMin Withdrawal: ${minW} ${CURRENCY_SYMBOL}\nMax Withdrawal: ${maxW} ${CURRENCY_SYMBOL}`);
-  deleteMessageLater(chatId, msg.message_id, 30000);
+});
+
+router.command(/\/withdrawalrules/, requirePermission('withdrawals.config'), cleanupCommand(), async (msg) => {
+  const chatId = msg.chat.id;
+  const rules = await db.getWithdrawalRules();
+  const minWithdrawal = parseFloat(await db.getSetting('minWithdrawal')) || 50;
+  const maxWithdrawal = parseFloat(await db.getSetting('maxWithdrawal')) || 10000;
+  const off = 'off';
+
+  let text = `📏 <b>Withdrawal Rules</b>\n\n`;
+  text += `├ Amount: ${minWithdrawal} - ${maxWithdrawal} ${CURRENCY_SYMBOL}\n`;
+  text += `├ Cooldown: ${rules.cooldownMs > 0 ? formatDuration(rules.cooldownMs) : off} <i>(withdrawalCooldownHours)</i>\n`;
+  text += `├ Min account age: ${rules.minAccountAgeMs > 0 ? formatDuration(rules.minAccountAgeMs) : off} <i>(minAccountAgeDays)</i>\n`;
+  text += `├ Min tier: ${rules.minTier || off} <i>(minWithdrawalTier: ${db.ENGAGEMENT_TIERS.join(' < ')})</i>\n`;
+  text += `├ Min completed tasks: ${rules.minCompletedTasks || off} <i>(minCompletedTasks)</i>\n`;
+  rules.caps.forEach((cap, index) => {
+    const branch = index === rules.caps.length - 1 ? '└' : '├';
+    const name = cap.name.charAt(0).toUpperCase() + cap.name.slice(1);
+    text += `${branch} ${name} cap: user ${cap.user || off}, global ${cap.global || off}\n`;
+  });
+  text += `\nChange a rule with /setconfig &lt;key&gt; &lt;value&gt; (caps: user/globalDailyWithdrawalCap, ...Weekly..., ...Monthly...; 0 = off).`;
+
+  await sendAndAutoDelete(chatId, text, 120000, { parse_mode: 'HTML' });
 });
 
 // Set referral reward
-bot.onText(/\/setreferralreward\s+(\d+)/, async (msg, match) => {
+router.command(/\/setreferralreward\s+(\d+)/, requirePermission('settings.manage'), cleanupCommand(), async (msg, match) => {
   const chatId = msg.chat.id;
   const adminId = msg.from.id;
-  
-  if (!isAdminId(adminId)) return;
-  
+
   const amt = parseFloat(match[1]);
   
   await db.setSetting('referralReward', amt);
   
   await sendAndAutoDelete(chatId, `✅ Referral reward updated: ${amt} ${CURRENCY_SYMBOL}`, 30000);
   await broadcastAdminAction(`👥 Referral Reward Updated\n\nAdmin: ${adminId}\nNew Reward: ${amt} ${CURRENCY_SYMBOL}`);
-  deleteMessageLater(chatId, msg.message_id, 30000);
 });
 
 // Set daily bonus reward
-bot.onText(/\/setdailybonusreward\s+(\d+)/, async (msg, match) => {
+router.command(/\/setdailybonusreward\s+(\d+)/, requirePermission('settings.manage'), cleanupCommand(), async (msg, match) => {
   const chatId = msg.chat.id;
   const adminId = msg.from.id;
-  
-  if (!isAdminId(adminId)) return;
-  
+
   const amt = parseFloat(match[1]);
   
   await db.setSetting('bonusAmount', amt);
   
   await sendAndAutoDelete(chatId, `✅ Daily bonus reward updated: ${amt} ${CURRENCY_SYMBOL}`, 30000);
   await broadcastAdminAction(`🎁 Daily Bonus Updated\n\nAdmin: ${adminId}\nNew Bonus: ${amt} ${CURRENCY_SYMBOL}`);
-  deleteMessageLater(chatId, msg.message_id, 30000);
 });
 
 // ================= Log last message id per user per chat ================
-bot.on('message', (msg) => {
-  if (!msg.from || msg.from.is_bot) return;
-  global.userLatestMessage[msg.chat.id] = global.userLatestMessage[msg.chat.id] || {};
-  global.userLatestMessage[msg.chat.id][msg.from.id] = msg.message_id;
-});
-
 /* ==================== NEW ADMIN COMMANDS ==================== */
 
 // /activitylog - View user activity history
-bot.onText(/\/activitylog\s+(@?\w+|\d+)(?:\s+(\d+))?/, async (msg, match) => {
+router.command(/\/activitylog\s+(@?\w+|\d+)(?:\s+(\d+))?/, requirePermission('users.view'), cleanupCommand(), withArgs('target:user', 'limit:int?'), async (msg, match, ctx) => {
   const chatId = msg.chat.id;
   const adminId = msg.from.id;
-  
-  if (!isAdminId(adminId)) {
-    await sendEphemeralWarning(chatId, "⛔ Admin only!");
-    return;
-  }
-  
-  const input = match[1].trim();
-  const limit = match[2] ? parseInt(match[2]) : 20;
-  const targetId = await resolveUserInput(input);
-  
-  if (!targetId) {
-    await sendAndAutoDelete(chatId, "❌ User not found.", 30000);
-    deleteMessageLater(chatId, msg.message_id, 30000);
-    return;
-  }
-  
+  const { target: targetId } = ctx.args;
+  const limit = ctx.args.limit || 20;
+
   const logs = await db.getUserActivityLogs(targetId, { limit });
   const userIdentifier = await getUserIdentifier(targetId);
   
   if (logs.length === 0) {
     await sendAndAutoDelete(chatId, `📋 No activity logs found for ${userIdentifier}`, 30000);
-    deleteMessageLater(chatId, msg.message_id, 30000);
     return;
   }
   
@@ -2153,19 +5243,13 @@ bot.onText(/\/activitylog\s+(@?\w+|\d+)(?:\s+(\d+))?/, async (msg, match) => {
   });
   
   await sendAndAutoDelete(chatId, text, 60000, { parse_mode: 'HTML' });
-  deleteMessageLater(chatId, msg.message_id, 30000);
 });
 
 // /tiers - Show engagement distribution
-bot.onText(/\/tiers/, async (msg) => {
+router.command(/\/tiers/, requirePermission('users.view'), cleanupCommand(), async (msg) => {
   const chatId = msg.chat.id;
   const adminId = msg.from.id;
-  
-  if (!isAdminId(adminId)) {
-    await sendEphemeralWarning(chatId, "⛔ Admin only!");
-    return;
-  }
-  
+
   const distribution = await db.getTierDistribution();
   
   let text = `🏆 <b>Engagement Tier Distribution</b>\n\n`;
@@ -2183,54 +5267,26 @@ bot.onText(/\/tiers/, async (msg) => {
   });
   
   await sendAndAutoDelete(chatId, text, 60000, { parse_mode: 'HTML' });
-  deleteMessageLater(chatId, msg.message_id, 30000);
 });
 
 // /updatetier - Recalculate user tier
-bot.onText(/\/updatetier\s+(@?\w+|\d+)/, async (msg, match) => {
+router.command(/\/updatetier\s+(@?\w+|\d+)/, requirePermission('users.moderate'), cleanupCommand(), withArgs('target:user'), async (msg, match, ctx) => {
   const chatId = msg.chat.id;
   const adminId = msg.from.id;
-  
-  if (!isAdminId(adminId)) {
-    await sendEphemeralWarning(chatId, "⛔ Admin only!");
-    return;
-  }
-  
-  const input = match[1].trim();
-  const targetId = await resolveUserInput(input);
-  
-  if (!targetId) {
-    await sendAndAutoDelete(chatId, "❌ User not found.", 30000);
-    deleteMessageLater(chatId, msg.message_id, 30000);
-    return;
-  }
-  
+  const { target: targetId } = ctx.args;
+
   const result = await db.updateEngagementTier(targetId);
   const userIdentifier = await getUserIdentifier(targetId);
   
   await sendAndAutoDelete(chatId, `✅ Tier updated for ${userIdentifier}\nNew Tier: ${result.tier}\nScore: ${result.tierScore.toFixed(2)}`, 30000);
-  deleteMessageLater(chatId, msg.message_id, 30000);
 });
 
 // /streak - View streak info
-bot.onText(/\/streak\s+(@?\w+|\d+)/, async (msg, match) => {
+router.command(/\/streak\s+(@?\w+|\d+)/, requirePermission('users.view'), cleanupCommand(), withArgs('target:user'), async (msg, match, ctx) => {
   const chatId = msg.chat.id;
   const adminId = msg.from.id;
-  
-  if (!isAdminId(adminId)) {
-    await sendEphemeralWarning(chatId, "⛔ Admin only!");
-    return;
-  }
-  
-  const input = match[1].trim();
-  const targetId = await resolveUserInput(input);
-  
-  if (!targetId) {
-    await sendAndAutoDelete(chatId, "❌ User not found.", 30000);
-    deleteMessageLater(chatId, msg.message_id, 30000);
-    return;
-  }
-  
+  const { target: targetId } = ctx.args;
+
   const user = await db.getUser(targetId);
   const userIdentifier = await getUserIdentifier(targetId);
   
@@ -2240,28 +5296,14 @@ bot.onText(/\/streak\s+(@?\w+|\d+)/, async (msg, match) => {
   text += `Last Activity: ${user.last_activity_date || 'Never'}\n`;
   
   await sendAndAutoDelete(chatId, text, 30000, { parse_mode: 'HTML' });
-  deleteMessageLater(chatId, msg.message_id, 30000);
 });
 
 // /spamcheck - Check spam status
-bot.onText(/\/spamcheck\s+(@?\w+|\d+)/, async (msg, match) => {
+router.command(/\/spamcheck\s+(@?\w+|\d+)/, requirePermission('users.view'), cleanupCommand(), withArgs('target:user'), async (msg, match, ctx) => {
   const chatId = msg.chat.id;
   const adminId = msg.from.id;
-  
-  if (!isAdminId(adminId)) {
-    await sendEphemeralWarning(chatId, "⛔ Admin only!");
-    return;
-  }
-  
-  const input = match[1].trim();
-  const targetId = await resolveUserInput(input);
-  
-  if (!targetId) {
-    await sendAndAutoDelete(chatId, "❌ User not found.", 30000);
-    deleteMessageLater(chatId, msg.message_id, 30000);
-    return;
-  }
-  
+  const { target: targetId } = ctx.args;
+
   const spamCheck = await db.checkSpamBehavior(targetId);
   const user = await db.getUser(targetId);
   const userIdentifier = await getUserIdentifier(targetId);
@@ -2282,28 +5324,14 @@ bot.onText(/\/spamcheck\s+(@?\w+|\d+)/, async (msg, match) => {
   }
   
   await sendAndAutoDelete(chatId, text, 30000, { parse_mode: 'HTML' });
-  deleteMessageLater(chatId, msg.message_id, 30000);
 });
 
 // /unthrottle - Remove throttle
-bot.onText(/\/unthrottle\s+(@?\w+|\d+)/, async (msg, match) => {
+router.command(/\/unthrottle\s+(@?\w+|\d+)/, requirePermission('users.moderate'), cleanupCommand(), withArgs('target:user'), async (msg, match, ctx) => {
   const chatId = msg.chat.id;
   const adminId = msg.from.id;
-  
-  if (!isAdminId(adminId)) {
-    await sendEphemeralWarning(chatId, "⛔ Admin only!");
-    return;
-  }
-  
-  const input = match[1].trim();
-  const targetId = await resolveUserInput(input);
-  
-  if (!targetId) {
-    await sendAndAutoDelete(chatId, "❌ User not found.", 30000);
-    deleteMessageLater(chatId, msg.message_id, 30000);
-    return;
-  }
-  
+  const { target: targetId } = ctx.args;
+
   await db.updateUser(targetId, {
     is_throttled: false,
     throttled_until: null,
@@ -2312,28 +5340,14 @@ bot.onText(/\/unthrottle\s+(@?\w+|\d+)/, async (msg, match) => {
   
   const userIdentifier = await getUserIdentifier(targetId);
   await sendAndAutoDelete(chatId, `✅ Throttle removed for ${userIdentifier}`, 30000);
-  deleteMessageLater(chatId, msg.message_id, 30000);
 });
 
 // /detectbot - Run bot detection
-bot.onText(/\/detectbot\s+(@?\w+|\d+)/, async (msg, match) => {
+router.command(/\/detectbot\s+(@?\w+|\d+)/, requirePermission('users.view'), cleanupCommand(), withArgs('target:user'), async (msg, match, ctx) => {
   const chatId = msg.chat.id;
   const adminId = msg.from.id;
-  
-  if (!isAdminId(adminId)) {
-    await sendEphemeralWarning(chatId, "⛔ Admin only!");
-    return;
-  }
-  
-  const input = match[1].trim();
-  const targetId = await resolveUserInput(input);
-  
-  if (!targetId) {
-    await sendAndAutoDelete(chatId, "❌ User not found.", 30000);
-    deleteMessageLater(chatId, msg.message_id, 30000);
-    return;
-  }
-  
+  const { target: targetId } = ctx.args;
+
   const detection = await db.detectBotOrFakeUser(targetId);
   const userIdentifier = await getUserIdentifier(targetId);
   
@@ -2350,19 +5364,13 @@ bot.onText(/\/detectbot\s+(@?\w+|\d+)/, async (msg, match) => {
   });
   
   await sendAndAutoDelete(chatId, text, 60000, { parse_mode: 'HTML' });
-  deleteMessageLater(chatId, msg.message_id, 30000);
 });
 
 // /maintenance - Run all maintenance tasks
-bot.onText(/\/maintenance/, async (msg) => {
+router.command(/\/maintenance/, requirePermission('system'), cleanupCommand(), async (msg) => {
   const chatId = msg.chat.id;
   const adminId = msg.from.id;
-  
-  if (!isAdminId(adminId)) {
-    await sendEphemeralWarning(chatId, "⛔ Admin only!");
-    return;
-  }
-  
+
   await sendAndAutoDelete(chatId, '🔄 Running maintenance tasks...', 5000);
   
   try {
@@ -2377,8 +5385,6 @@ bot.onText(/\/maintenance/, async (msg) => {
   } catch (error) {
     await sendAndAutoDelete(chatId, `❌ Maintenance failed: ${error.message}`, 30000);
   }
-  
-  deleteMessageLater(chatId, msg.message_id, 30000);
 });
 
 /* ==================== GROUP MEMBER TRACKING ==================== */
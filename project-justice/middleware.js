@@ -0,0 +1,137 @@
+/**
+ * Composable middleware pipeline for Telegram updates.
+ *
+ * A middleware is `async (ctx, next) => {}`: awaiting `next()` hands the update to the
+ * rest of the chain, returning without calling it stops the update there. The last link
+ * of every route is the handler, called as `handler(update, match, ctx)` so command
+ * bodies keep the familiar `(msg, match)` shape.
+ */
+
+function compose(middlewares) {
+  return function run(ctx) {
+    let lastIndex = -1;
+
+    function dispatch(i) {
+      if (i <= lastIndex) return Promise.reject(new Error('next() called more than once'));
+      lastIndex = i;
+      const fn = middlewares[i];
+      if (!fn) return Promise.resolve();
+      try {
+        return Promise.resolve(fn(ctx, () => dispatch(i + 1)));
+      } catch (err) {
+        return Promise.reject(err);
+      }
+    }
+
+    return dispatch(0);
+  };
+}
+
+/**
+ * Build the context object shared by every middleware in a chain.
+ * kind is 'message', 'command' or 'callback'.
+ */
+function createContext(bot, kind, update, match = null) {
+  const isCallback = kind === 'callback';
+  const msg = isCallback ? update.message : update;
+  const from = update.from || {};
+
+  return {
+    bot,
+    kind,
+    msg,
+    query: isCallback ? update : null,
+    match,
+    data: isCallback ? update.data : null,
+    text: isCallback ? update.data : (update.text || null),
+    chatId: msg ? msg.chat.id : from.id,
+    chatType: msg && msg.chat.type ? msg.chat.type : 'private',
+    userId: from.id,
+    username: from.username || '',
+    languageCode: from.language_code || null,
+    isBot: !!from.is_bot,
+    user: null,
+    args: {},
+    state: {}
+  };
+}
+
+function asHandler(handler) {
+  return (ctx) => handler(ctx.kind === 'callback' ? ctx.query : ctx.msg, ctx.match, ctx);
+}
+
+function matchCallback(matcher, data) {
+  if (typeof matcher === 'string') return matcher === data ? [data] : null;
+  if (matcher instanceof RegExp) return data.match(matcher);
+  return matcher(data) ? [data] : null;
+}
+
+/**
+ * Register commands, callback routes and message handlers through shared middleware.
+ *
+ *   router.use('command', reportErrors(), userGate());
+ *   router.command(/\/ping/, adminOnly(), async (msg) => { ... });
+ *   router.callback(/^wd_paid:(\d+)$/, adminOnly(), async (query, match) => { ... });
+ *
+ * Global middleware added with use() runs before the route's own middleware, for every
+ * route of that kind, including routes registered earlier.
+ */
+function createRouter(bot) {
+  const globalMiddleware = { command: [], callback: [], message: [] };
+  const callbackRoutes = [];
+  let listeningForCallbacks = false;
+
+  function run(kind, chain, update, match) {
+    const ctx = createContext(bot, kind, update, match);
+    return compose([...globalMiddleware[kind], ...chain])(ctx).catch((err) => {
+      console.error(`Unhandled ${kind} middleware error:`, err && (err.response?.body || err.message || err));
+    });
+  }
+
+  function use(kind, ...middlewares) {
+    if (!globalMiddleware[kind]) throw new Error(`Unknown update kind: ${kind}`);
+    globalMiddleware[kind].push(...middlewares);
+  }
+
+  function command(pattern, ...chain) {
+    const handler = chain.pop();
+    const route = [...chain, asHandler(handler)];
+    bot.onText(pattern, (msg, match) => run('command', route, msg, match));
+  }
+
+  function message(...chain) {
+    const handler = chain.pop();
+    const route = [...chain, asHandler(handler)];
+    bot.on('message', (msg) => run('message', route, msg, null));
+  }
+
+  // Callback routes are tried in registration order; the first matcher wins
+  async function dispatchCallback(ctx) {
+    for (const route of callbackRoutes) {
+      const match = matchCallback(route.matcher, ctx.data || '');
+      if (match) {
+        ctx.match = match;
+        await compose(route.chain)(ctx);
+        return;
+      }
+    }
+  }
+
+  function callback(matcher, ...chain) {
+    const handler = chain.pop();
+    callbackRoutes.push({ matcher, chain: [...chain, asHandler(handler)] });
+
+    if (!listeningForCallbacks) {
+      listeningForCallbacks = true;
+      bot.on('callback_query', (query) => run('callback', [dispatchCallback], query, null));
+    }
+  }
+
+  return { use, command, callback, message };
+}
+
+module.exports = {
+  compose,
+  createContext,
+  createRouter
+};
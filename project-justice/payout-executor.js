@@ -0,0 +1,263 @@
+/**
+ * On-chain payout executors and the processor that drives approved withdrawals through them.
+ *
+ * An executor sends one SPL token transfer and reports its outcome:
+ *
+ *   executor.name
+ *   await executor.transfer({ idempotencyKey, wallet, amount, onSubmitted })
+ *     amount  the withdrawal's NUMERIC amount as a decimal string (see toBaseUnits)
+ *     -> { status: 'confirmed', signature, fee } | { status: 'failed', signature?, error }
+ *   await executor.getTransferStatus(signature)
+ *     -> { status: 'confirmed', fee } | { status: 'pending' | 'unknown' } | { status: 'failed', error }
+ *
+ * transfer() must call onSubmitted(signature) before the transaction is broadcast so the
+ * signature is persisted and a retry checks it instead of paying twice.
+ */
+
+const crypto = require('crypto');
+const { encodeBase58 } = require('./wallet');
+
+const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+const LAMPORTS_PER_SOL = 1000000000;
+
+/**
+ * "123456789.99" (a NUMERIC column as pg returns it, or a plain number) -> base units as a BigInt.
+ * Parsed as a decimal string so no float rounding reaches the chain; amounts with more decimals
+ * than the token has are refused rather than rounded.
+ */
+function toBaseUnits(amount, decimals) {
+  const match = String(amount).trim().match(/^(\d+)(?:\.(\d*))?$/);
+  if (!match) throw new Error(`Invalid token amount: ${amount}`);
+  const [, whole, fraction = ''] = match;
+  if (fraction.replace(/0+$/, '').length > decimals) throw new Error(`${amount} has more than ${decimals} decimals`);
+  const padded = (fraction + '0'.repeat(decimals)).slice(0, decimals);
+  return BigInt(whole) * (10n ** BigInt(decimals)) + BigInt(padded || '0');
+}
+
+/**
+ * Executor for a Solana RPC endpoint. @solana/web3.js and @solana/spl-token are only
+ * required on first use, so the bot runs without them when on-chain payouts are off.
+ * Options: rpcUrl, secretKey (byte array of the payout wallet), mint, decimals, commitment.
+ */
+function createSolanaRpcExecutor({ rpcUrl, secretKey, mint, decimals = 9, commitment = 'confirmed' }) {
+  let deps = null;
+  let connection = null;
+  let payer = null;
+
+  function load() {
+    if (deps) return deps;
+    try {
+      deps = {
+        web3: require('@solana/web3.js'),
+        spl: require('@solana/spl-token')
+      };
+    } catch (e) {
+      throw new Error('Solana payouts need the @solana/web3.js and @solana/spl-token packages installed');
+    }
+    connection = new deps.web3.Connection(rpcUrl, commitment);
+    payer = deps.web3.Keypair.fromSecretKey(Uint8Array.from(secretKey));
+    return deps;
+  }
+
+  async function getFee(signature) {
+    const tx = await connection.getTransaction(signature, { commitment, maxSupportedTransactionVersion: 0 });
+    return tx && tx.meta ? tx.meta.fee / LAMPORTS_PER_SOL : null;
+  }
+
+  async function transfer({ idempotencyKey, wallet, amount, onSubmitted }) {
+    const { web3, spl } = load();
+    const mintKey = new web3.PublicKey(mint);
+    const owner = new web3.PublicKey(wallet);
+
+    const source = await spl.getAssociatedTokenAddress(mintKey, payer.publicKey);
+    const destination = await spl.getOrCreateAssociatedTokenAccount(connection, payer, mintKey, owner);
+
+    const tx = new web3.Transaction()
+      .add(spl.createTransferCheckedInstruction(source, mintKey, destination.address, payer.publicKey, toBaseUnits(amount, decimals), decimals))
+      // The memo ties the on-chain transfer to its withdrawal
+      .add(new web3.TransactionInstruction({ keys: [], programId: new web3.PublicKey(MEMO_PROGRAM_ID), data: Buffer.from(idempotencyKey, 'utf8') }));
+
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash(commitment);
+    tx.recentBlockhash = blockhash;
+    tx.feePayer = payer.publicKey;
+    tx.sign(payer);
+
+    const signature = encodeBase58(tx.signature);
+    if (onSubmitted) await onSubmitted(signature);
+
+    await connection.sendRawTransaction(tx.serialize(), { skipPreflight: false });
+    const confirmation = await connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, commitment);
+    if (confirmation.value && confirmation.value.err) {
+      return { status: 'failed', signature, error: JSON.stringify(confirmation.value.err) };
+    }
+
+    return { status: 'confirmed', signature, fee: await getFee(signature) };
+  }
+
+  async function getTransferStatus(signature) {
+    load();
+    const { value } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+    const status = value && value[0];
+    if (!status) return { status: 'unknown' };
+    if (status.err) return { status: 'failed', error: JSON.stringify(status.err) };
+    if (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized') {
+      return { status: 'confirmed', fee: await getFee(signature) };
+    }
+    return { status: 'pending' };
+  }
+
+  return { name: 'solana', transfer, getTransferStatus };
+}
+
+/**
+ * In-process executor for tests and dry runs. Transfers are keyed by idempotency key, so
+ * repeating a key returns the original result. failuresBeforeSuccess makes the first N
+ * transfers fail to exercise retries.
+ */
+function createFakePayoutExecutor({ fee = 0.000005, failuresBeforeSuccess = 0, failWith = 'Simulated RPC failure' } = {}) {
+  const transfers = new Map();
+  const bySignature = new Map();
+  let failuresLeft = failuresBeforeSuccess;
+
+  function signatureFor(idempotencyKey) {
+    const first = crypto.createHash('sha256').update(`${idempotencyKey}:a`).digest();
+    const second = crypto.createHash('sha256').update(`${idempotencyKey}:b`).digest();
+    return encodeBase58(Buffer.concat([first, second]));
+  }
+
+  async function transfer({ idempotencyKey, wallet, amount, onSubmitted }) {
+    if (transfers.has(idempotencyKey)) return transfers.get(idempotencyKey);
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      throw new Error(failWith);
+    }
+
+    const signature = signatureFor(idempotencyKey);
+    if (onSubmitted) await onSubmitted(signature);
+
+    const result = { status: 'confirmed', signature, fee, wallet, amount };
+    transfers.set(idempotencyKey, result);
+    bySignature.set(signature, result);
+    return result;
+  }
+
+  async function getTransferStatus(signature) {
+    const result = bySignature.get(signature);
+    return result ? { status: 'confirmed', fee: result.fee } : { status: 'unknown' };
+  }
+
+  return { name: 'fake', transfer, getTransferStatus, transfers };
+}
+
+// Thrown from onSubmitted when the worker's lease ran out, so the transfer is not broadcast
+class PayoutLeaseLostError extends Error {
+  constructor(withdrawalId) {
+    super(`Lost the payout lease on withdrawal #${withdrawalId}`);
+    this.name = 'PayoutLeaseLostError';
+  }
+}
+
+/**
+ * Pays due withdrawals through an executor with retries and exponential backoff.
+ * Hooks: onPaid(withdrawal), onRetry(withdrawal, error, nextAttemptAt), onFailed(withdrawal, error).
+ * A worker whose lease ran out before the transfer was submitted leaves the payout to its new holder.
+ */
+function createPayoutProcessor({
+  db,
+  executor,
+  maxAttempts = 5,
+  baseDelayMs = 60 * 1000,
+  maxDelayMs = 60 * 60 * 1000,
+  leaseMs = 2 * 60 * 1000,
+  resubmitAfterMs = 3 * 60 * 1000,
+  batchSize = 10,
+  onPaid = async () => {},
+  onRetry = async () => {},
+  onFailed = async () => {}
+}) {
+  function backoffDelay(attempt) {
+    return Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempt - 1));
+  }
+
+  async function complete(withdrawal, signature, fee) {
+    const result = await db.completePayout(withdrawal.id, { signature, fee, executor: executor.name });
+    if (result.status === 'ok') await onPaid(result.withdrawal);
+    return result;
+  }
+
+  async function fail(withdrawal, attempts, error) {
+    const message = error && error.message ? error.message : String(error);
+    if (attempts >= maxAttempts) {
+      const failed = await db.failPayoutAttempt(withdrawal.id, message, null, maxAttempts);
+      await onFailed(failed || withdrawal, message);
+      return { status: 'failed', error: message };
+    }
+    const nextAttemptAt = Date.now() + backoffDelay(attempts);
+    const retry = await db.failPayoutAttempt(withdrawal.id, message, nextAttemptAt, maxAttempts);
+    await onRetry(retry || withdrawal, message, nextAttemptAt);
+    return { status: 'retry', error: message, nextAttemptAt };
+  }
+
+  async function processWithdrawal(withdrawal) {
+    const claimed = await db.claimPayout(withdrawal.id, executor.name, leaseMs);
+    if (!claimed) return { status: 'skipped' };
+
+    // A signature from an earlier attempt may still land: check it before sending again
+    if (claimed.tx_signature) {
+      let previous;
+      try {
+        previous = await executor.getTransferStatus(claimed.tx_signature);
+      } catch (err) {
+        await db.schedulePayoutCheck(claimed.id, Date.now() + baseDelayMs);
+        return { status: 'pending', error: err.message };
+      }
+      if (previous.status === 'confirmed') return complete(claimed, claimed.tx_signature, previous.fee);
+
+      const submittedAgo = Date.now() - Number(claimed.payout_submitted_at || 0);
+      if (previous.status === 'pending' || (previous.status === 'unknown' && submittedAgo < resubmitAfterMs)) {
+        await db.schedulePayoutCheck(claimed.id, Date.now() + baseDelayMs);
+        return { status: 'pending' };
+      }
+    }
+
+    const attempts = (claimed.payout_attempts || 0) + 1;
+    if (attempts > maxAttempts) return fail(claimed, claimed.payout_attempts, new Error(claimed.payout_error || 'Too many attempts'));
+
+    try {
+      const result = await executor.transfer({
+        idempotencyKey: claimed.payout_key,
+        wallet: claimed.wallet,
+        amount: claimed.amount,
+        onSubmitted: async (signature) => {
+          const recorded = await db.recordPayoutSubmitted(claimed.id, signature, leaseMs, claimed.payout_next_attempt_at);
+          if (!recorded) throw new PayoutLeaseLostError(claimed.id);
+        }
+      });
+      if (result.status !== 'confirmed') throw new Error(result.error || 'Transfer failed');
+      return complete(claimed, result.signature, result.fee);
+    } catch (err) {
+      if (err instanceof PayoutLeaseLostError) return { status: 'lease_lost', error: err.message };
+      return fail(claimed, attempts, err);
+    }
+  }
+
+  async function processDue() {
+    const due = await db.getDuePayouts(batchSize);
+    const results = [];
+    for (const withdrawal of due) {
+      results.push({ id: withdrawal.id, ...(await processWithdrawal(withdrawal)) });
+    }
+    return results;
+  }
+
+  return { processDue, processWithdrawal, backoffDelay };
+}
+
+module.exports = {
+  createSolanaRpcExecutor,
+  createFakePayoutExecutor,
+  createPayoutProcessor,
+  PayoutLeaseLostError,
+  toBaseUnits
+};
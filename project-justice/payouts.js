@@ -0,0 +1,145 @@
+/**
+ * Payout batch files.
+ *
+ * /payoutbatch exports a batch as CSV or JSON; finance fills in the tx_signature column
+ * (or field) after paying and sends the file back with /markpaid.
+ */
+
+const { isValidTransactionSignature } = require('./wallet');
+
+const BATCH_COLUMNS = ['request_id', 'user_id', 'wallet', 'amount', 'tx_signature'];
+
+function csvEscape(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function batchRows(withdrawals) {
+  return withdrawals.map(w => ({
+    request_id: w.id,
+    user_id: String(w.user_id),
+    wallet: w.wallet,
+    amount: parseFloat(w.amount),
+    tx_signature: w.tx_signature || ''
+  }));
+}
+
+function buildBatchCsv(withdrawals) {
+  const lines = [BATCH_COLUMNS.join(',')];
+  batchRows(withdrawals).forEach(row => {
+    lines.push(BATCH_COLUMNS.map(column => csvEscape(row[column])).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+function buildBatchJson(batch, withdrawals) {
+  return JSON.stringify({
+    batch_id: batch.id,
+    created_at: new Date(Number(batch.created_at)).toISOString(),
+    total_amount: parseFloat(batch.total_amount),
+    withdrawals: batchRows(withdrawals)
+  }, null, 2);
+}
+
+// Split one CSV line, honouring double-quoted fields
+function parseCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current);
+  return fields.map(field => field.trim());
+}
+
+function signaturePairsFromJson(parsed) {
+  const list = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.withdrawals) ? parsed.withdrawals : null);
+  if (list) {
+    return list.map(item => [item.request_id ?? item.id, item.tx_signature ?? item.signature]);
+  }
+  // Plain { "<request id>": "<signature>" } map
+  return Object.entries(parsed || {});
+}
+
+function signaturePairsFromCsv(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length === 0) return [];
+
+  const header = parseCsvLine(lines[0]).map(column => column.toLowerCase());
+  const hasHeader = header.includes('request_id') || header.includes('id');
+  const idIndex = hasHeader ? Math.max(header.indexOf('request_id'), header.indexOf('id')) : 0;
+  let sigIndex = hasHeader ? header.indexOf('tx_signature') : 1;
+  if (hasHeader && sigIndex === -1) sigIndex = header.indexOf('signature');
+  if (sigIndex === -1) return [];
+
+  return (hasHeader ? lines.slice(1) : lines).map(line => {
+    const fields = parseCsvLine(line);
+    return [fields[idIndex], fields[sigIndex]];
+  });
+}
+
+/**
+ * Parse a signatures file sent back by finance: the exported CSV/JSON with tx_signature filled in,
+ * a two-column "request_id,signature" CSV, or a JSON { id: signature } map.
+ * Rows with an empty signature are skipped; malformed signatures are reported in invalid, and a
+ * signature given for more than one request is reported in duplicates (every request using it).
+ * Returns { signatures: { [requestId]: signature }, invalid: [{ id, signature }], duplicates: [{ id, signature }] }.
+ */
+function parseSignatureFile(text) {
+  const trimmed = String(text || '').replace(/^\uFEFF/, '').trim();
+  let pairs;
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    pairs = signaturePairsFromJson(JSON.parse(trimmed));
+  } else {
+    pairs = signaturePairsFromCsv(trimmed);
+  }
+
+  const signatures = {};
+  const invalid = [];
+  pairs.forEach(([rawId, rawSignature]) => {
+    const id = parseInt(rawId, 10);
+    const signature = rawSignature ? String(rawSignature).trim() : '';
+    if (!Number.isInteger(id) || !signature) return;
+    if (!isValidTransactionSignature(signature)) {
+      invalid.push({ id, signature });
+      return;
+    }
+    signatures[id] = signature;
+  });
+
+  const idsBySignature = {};
+  Object.entries(signatures).forEach(([id, signature]) => {
+    (idsBySignature[signature] = idsBySignature[signature] || []).push(Number(id));
+  });
+  const duplicates = [];
+  Object.entries(idsBySignature)
+    .filter(([, ids]) => ids.length > 1)
+    .forEach(([signature, ids]) => ids.forEach(id => duplicates.push({ id, signature })));
+
+  return { signatures, invalid, duplicates };
+}
+
+module.exports = {
+  BATCH_COLUMNS,
+  buildBatchCsv,
+  buildBatchJson,
+  parseSignatureFile
+};
@@ -0,0 +1,180 @@
+/**
+ * Social-proof verifiers for X (Twitter) engagement tasks.
+ *
+ * A verifier decides whether an X account did what a task asks:
+ *
+ *   verifier.name
+ *   await verifier.check({ action, target, handle })
+ *     action  'follow' (target is the handle to follow), 'like' or 'repost' (target is a post URL)
+ *     handle  the user's X handle, without the @
+ *     -> { status: 'passed' | 'failed' | 'inconclusive', reason? }
+ *
+ * 'inconclusive' covers everything a verifier cannot decide (protected accounts, rate limits,
+ * API errors); those submissions go to the manual review channel.
+ *
+ * A verifier only sees that the handle did the action, not that the handle belongs to the user
+ * who sent it, so a handle another user already submitted is never auto-approved.
+ */
+
+const fs = require('fs');
+
+const SOCIAL_ACTIONS = ['follow', 'like', 'repost'];
+const SOCIAL_CHECK_STATUS = { PASSED: 'passed', FAILED: 'failed', INCONCLUSIVE: 'inconclusive' };
+const SOCIAL_ROUTES = { AUTO_APPROVE: 'auto_approve', RETRY: 'retry', MANUAL_REVIEW: 'manual_review' };
+
+const X_HOST = /^(?:https?:\/\/)?(?:www\.|mobile\.)?(?:x|twitter)\.com\//i;
+const X_HANDLE = /^[A-Za-z0-9_]{1,15}$/;
+
+// "https://x.com/name/status/123?s=20" -> { handle, postId, url }, or null
+function parseXPostUrl(input) {
+  const text = String(input || '').trim();
+  if (!X_HOST.test(text)) return null;
+  const match = text.replace(X_HOST, '').match(/^([A-Za-z0-9_]{1,15})\/status(?:es)?\/(\d+)/);
+  if (!match) return null;
+  return { handle: match[1], postId: match[2], url: `https://x.com/${match[1]}/status/${match[2]}` };
+}
+
+// "@name", "name", "x.com/name" or a post URL of the account -> "name", or null
+function parseXHandle(input) {
+  const text = String(input || '').trim();
+  const post = parseXPostUrl(text);
+  if (post) return post.handle;
+  const handle = X_HOST.test(text) ? text.replace(X_HOST, '').split(/[/?#]/)[0] : text.replace(/^@/, '');
+  return X_HANDLE.test(handle) ? handle : null;
+}
+
+/**
+ * Find the user's handle in a free-text answer that may also hold comments or an earlier
+ * attempt: the last @name or X link wins; a single bare word is taken as the handle.
+ */
+function findXHandle(input) {
+  const words = String(input || '').trim().split(/\s+/).filter(Boolean);
+  for (let i = words.length - 1; i >= 0; i--) {
+    if (words[i].startsWith('@') || X_HOST.test(words[i])) {
+      const handle = parseXHandle(words[i].replace(/[.,;!?)]+$/, ''));
+      if (handle) return handle;
+    }
+  }
+  return words.length === 1 ? parseXHandle(words[0]) : null;
+}
+
+// "follow @name" / "like https://x.com/..." as shown to users and admins
+function describeSocialAction(action, target) {
+  if (action === 'follow') return `Follow @${target} on X`;
+  if (action === 'like') return `Like ${target} on X`;
+  return `Repost ${target} on X`;
+}
+
+function inconclusive(reason) {
+  return { status: SOCIAL_CHECK_STATUS.INCONCLUSIVE, reason };
+}
+
+/**
+ * Verifier backed by an HTTP service that talks to X. It receives
+ *   POST <baseUrl>/check  { platform: 'x', action, target, handle }
+ * and must answer { status: 'passed' | 'failed' | 'inconclusive', reason? }.
+ * Options: baseUrl, apiKey (sent as a bearer token), timeoutMs.
+ */
+function createHttpSocialVerifier({ baseUrl, apiKey = '', timeoutMs = 10000 }) {
+  async function check({ action, target, handle }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/check`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({ platform: 'x', action, target, handle }),
+        signal: controller.signal
+      });
+      if (!response.ok) return inconclusive(`verifier answered HTTP ${response.status}`);
+
+      const body = await response.json();
+      if (!body || !Object.values(SOCIAL_CHECK_STATUS).includes(body.status)) {
+        return inconclusive('verifier gave no usable answer');
+      }
+      return { status: body.status, reason: body.reason || null };
+    } catch (e) {
+      return inconclusive(e.name === 'AbortError' ? 'verifier timed out' : `verifier unreachable (${e.message})`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return { name: 'http', check };
+}
+
+/**
+ * Local verifier answering from fixtures, for tests only:
+ *   { follows: { alice: ['onchain_justice'] }, likes: { '<post id>': ['alice'] },
+ *     reposts: { '<post id>': ['alice'] }, inconclusive: ['protected_user'] }
+ * Handles are compared case-insensitively. Pass fixtures directly or a JSON file path.
+ */
+function createFixtureSocialVerifier({ fixtures = null, file = null } = {}) {
+  const data = fixtures || (file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {});
+  const has = (list, handle) => (list || []).some(entry => String(entry).replace(/^@/, '').toLowerCase() === handle);
+
+  async function check({ action, target, handle }) {
+    const user = String(handle || '').replace(/^@/, '').toLowerCase();
+    if (has(data.inconclusive, user)) return inconclusive(`@${handle} cannot be checked`);
+
+    let done;
+    if (action === 'follow') {
+      done = has((data.follows || {})[user], String(target).replace(/^@/, '').toLowerCase());
+    } else {
+      const post = parseXPostUrl(target);
+      const bucket = action === 'like' ? data.likes : data.reposts;
+      done = !!post && has((bucket || {})[post.postId], user);
+    }
+
+    return done
+      ? { status: SOCIAL_CHECK_STATUS.PASSED }
+      : { status: SOCIAL_CHECK_STATUS.FAILED, reason: `@${handle} has not done this yet` };
+  }
+
+  return { name: 'fixture', check, fixtures: data };
+}
+
+/**
+ * Run a verifier without letting it fail the submission: a missing verifier, an unknown
+ * action or a thrown error all come back as inconclusive.
+ */
+async function runSocialCheck(verifier, { action, target, handle }) {
+  if (!verifier) return inconclusive('no verifier configured');
+  if (!SOCIAL_ACTIONS.includes(action)) return inconclusive(`unknown action ${action}`);
+  try {
+    const result = await verifier.check({ action, target, handle });
+    return result && result.status ? result : inconclusive('verifier gave no answer');
+  } catch (e) {
+    return inconclusive(`verifier error (${e.message})`);
+  }
+}
+
+/**
+ * What to do with an X task submission after its check:
+ *   retry          the check failed; the user can finish the action or fix the handle
+ *   auto_approve   the check passed and nobody else has submitted this handle
+ *   manual_review  the check was inconclusive, or passed for a handle other users submitted too
+ */
+function routeSocialCheck(check, { handleUsedByOthers = false } = {}) {
+  if (!check) return SOCIAL_ROUTES.MANUAL_REVIEW;
+  if (check.status === SOCIAL_CHECK_STATUS.FAILED) return SOCIAL_ROUTES.RETRY;
+  if (check.status === SOCIAL_CHECK_STATUS.PASSED && !handleUsedByOthers) return SOCIAL_ROUTES.AUTO_APPROVE;
+  return SOCIAL_ROUTES.MANUAL_REVIEW;
+}
+
+module.exports = {
+  SOCIAL_ACTIONS,
+  SOCIAL_CHECK_STATUS,
+  SOCIAL_ROUTES,
+  parseXHandle,
+  parseXPostUrl,
+  findXHandle,
+  describeSocialAction,
+  createHttpSocialVerifier,
+  createFixtureSocialVerifier,
+  runSocialCheck,
+  routeSocialCheck
+};
@@ -0,0 +1,330 @@
+/**
+ * Task proof requirements and availability rules.
+ *
+ * A task declares what a submission must contain:
+ *   min_screenshots     images required (0 for none)
+ *   proof_text_label    name of a required text answer, e.g. "tweet URL" or "X handle" (null for none)
+ *   proof_link_pattern  regular expression the text answer must contain (null accepts any text)
+ * A task that needs no screenshots and no text answer is submitted as soon as it is picked.
+ * A join task (verify_chat set) takes no proof at all: the bot checks with getChatMember that
+ * the user is in the chat, credits the reward at once and re-checks membership for a while.
+ * An X task (social_action follow/like/repost of social_target) asks for the user's X handle
+ * and checks it with the configured social verifier (social-verifier.js) before review.
+ *
+ * Who may submit is limited by max_per_user completions (0 = unlimited), total_slots across
+ * all users (null = unlimited), the starts_at/ends_at window and cooldown_ms between two
+ * completions of a repeatable task.
+ *
+ * Descriptions written in the /newtask wizard are Telegram HTML (description_html); older
+ * descriptions are plain text and are escaped before being sent with parse_mode HTML.
+ */
+
+const { SOCIAL_ACTIONS, parseXHandle, parseXPostUrl, findXHandle, describeSocialAction } = require('./social-verifier');
+
+const TASK_OPTION_KEYS = ['screenshots', 'text', 'link', 'join', 'x', 'per_user', 'slots', 'start', 'end', 'cooldown'];
+
+// Option -> [column(s), value that turns the limit off]
+const CLEARABLE_OPTIONS = {
+  slots: ['total_slots', null],
+  start: ['starts_at', null],
+  end: ['ends_at', null],
+  cooldown: ['cooldown_ms', 0],
+  join: ['verify_chat', null],
+  x: [['social_action', 'social_target'], null]
+};
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "30m", "24h", "7d" -> milliseconds, or null when the value is not a duration
+function parseDurationMs(value) {
+  const match = String(value || '').trim().match(/^(\d+(?:\.\d+)?)\s*([mhd])$/i);
+  if (!match) return null;
+  return Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2].toLowerCase()]);
+}
+
+// "2026-11-01" or "2026-11-01T18:00" (UTC) -> epoch ms, or null
+function parseDateMs(value) {
+  const text = String(value || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2})?$/.test(text)) return null;
+  const ms = Date.parse(`${text.replace(' ', 'T')}${text.length > 10 ? ':00' : 'T00:00:00'}Z`);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+// "@channel", "t.me/channel" or a numeric chat id like -1001234567890 -> "@channel" / "-100…", or null
+function parseChatReference(value) {
+  const text = String(value || '').trim().replace(/^(?:https?:\/\/)?t\.me\//i, '@');
+  if (/^-?\d{5,}$/.test(text)) return text;
+  const match = text.match(/^@?([A-Za-z][A-Za-z0-9_]{3,31})$/);
+  return match ? `@${match[1]}` : null;
+}
+
+// Public chats get a t.me link for the join button; private ones are joined through an invite link
+function chatJoinUrl(chat) {
+  return chat && chat.startsWith('@') ? `https://t.me/${chat.slice(1)}` : null;
+}
+
+function isJoinTask(task) {
+  return !!task.verify_chat;
+}
+
+/**
+ * "follow:@name", "like:<post URL>" or "repost:<post URL>" -> { action, target } with the
+ * handle (without @) or the canonical post URL as target, or null.
+ */
+function parseSocialOption(value) {
+  const colon = String(value || '').indexOf(':');
+  if (colon === -1) return null;
+  const action = value.slice(0, colon).trim().toLowerCase();
+  const rest = value.slice(colon + 1).trim();
+  if (!SOCIAL_ACTIONS.includes(action)) return null;
+
+  if (action === 'follow') {
+    const handle = parseXHandle(rest);
+    return handle ? { action, target: handle } : null;
+  }
+  const post = parseXPostUrl(rest);
+  return post ? { action, target: post.url } : null;
+}
+
+function escapeHtml(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Description ready for a parse_mode HTML message
+function renderTaskDescription(task) {
+  return task.description_html ? task.description : escapeHtml(task.description);
+}
+
+// Description without markup, for plain-text messages and captions
+function plainTaskDescription(task) {
+  if (!task.description_html) return task.description;
+  return String(task.description)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+}
+
+function compileLinkPattern(pattern) {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Parse the options part of /addtask: "screenshots=2; text=tweet URL; link=https://x\.com/\S+;
+ * per_user=3; slots=100; start=2026-11-01; end=2026-11-30; cooldown=24h".
+ * join=@channel makes it a join task; x=follow:@name, x=like:<post URL> or x=repost:<post URL>
+ * makes it an X task. slots, start, end, cooldown, join and x also accept "none" to clear
+ * the setting.
+ * Returns { options, errors } where options uses the task column names.
+ */
+function parseTaskOptions(text) {
+  const options = {};
+  const errors = [];
+
+  String(text || '').split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const eq = part.indexOf('=');
+    const key = (eq === -1 ? part : part.slice(0, eq)).trim().toLowerCase();
+    const value = eq === -1 ? '' : part.slice(eq + 1).trim();
+
+    if (value.toLowerCase() === 'none' && CLEARABLE_OPTIONS[key]) {
+      const [columns, cleared] = CLEARABLE_OPTIONS[key];
+      [].concat(columns).forEach(column => { options[column] = cleared; });
+      return;
+    }
+
+    switch (key) {
+      case 'screenshots': {
+        const count = parseInt(value, 10);
+        if (!/^\d+$/.test(value) || count > 10) errors.push('screenshots must be a number from 0 to 10');
+        else options.min_screenshots = count;
+        break;
+      }
+      case 'text':
+        if (!value) errors.push('text needs a label, e.g. text=X handle');
+        else options.proof_text_label = value;
+        break;
+      case 'link':
+        if (!value || !compileLinkPattern(value)) errors.push(`link is not a valid pattern: ${value}`);
+        else options.proof_link_pattern = value;
+        break;
+      case 'join': {
+        const chat = parseChatReference(value);
+        if (!chat) errors.push('join must be a chat like @channel or -1001234567890');
+        else options.verify_chat = chat;
+        break;
+      }
+      case 'x': {
+        const social = parseSocialOption(value);
+        if (!social) errors.push('x must be follow:@handle, like:<post URL> or repost:<post URL>');
+        else Object.assign(options, { social_action: social.action, social_target: social.target });
+        break;
+      }
+      case 'per_user': {
+        const count = parseInt(value, 10);
+        if (!/^\d+$/.test(value)) errors.push('per_user must be a number (0 = unlimited)');
+        else options.max_per_user = count;
+        break;
+      }
+      case 'slots': {
+        const count = parseInt(value, 10);
+        if (!/^\d+$/.test(value) || count < 1) errors.push('slots must be a positive number');
+        else options.total_slots = count;
+        break;
+      }
+      case 'start':
+      case 'end': {
+        const ms = parseDateMs(value);
+        if (ms === null) errors.push(`${key} must be a date like 2026-11-01 or 2026-11-01T18:00 (UTC)`);
+        else options[key === 'start' ? 'starts_at' : 'ends_at'] = ms;
+        break;
+      }
+      case 'cooldown': {
+        const ms = parseDurationMs(value);
+        if (ms === null) errors.push('cooldown must be a duration like 30m, 24h or 7d');
+        else options.cooldown_ms = ms;
+        break;
+      }
+      default:
+        errors.push(`unknown option "${key}" (use ${TASK_OPTION_KEYS.join(', ')})`);
+    }
+  });
+
+  // A link pattern is checked against the text answer, so it implies one
+  if (options.proof_link_pattern && !options.proof_text_label) options.proof_text_label = 'link';
+  // Membership is the proof of a join task, and staying a member can only be paid once
+  if (options.verify_chat) {
+    if (options.min_screenshots > 0 || options.proof_text_label) {
+      errors.push('join tasks are verified automatically and take no screenshots, text or link');
+    }
+    if (options.max_per_user !== undefined && options.max_per_user !== 1) {
+      errors.push('join tasks are paid once per user, so per_user must be 1');
+    }
+    Object.assign(options, { min_screenshots: 0, proof_text_label: null, proof_link_pattern: null, max_per_user: 1 });
+  }
+  // X tasks read the user's handle from the text answer; screenshots are optional backup for review
+  if (options.social_action) {
+    if (options.verify_chat) errors.push('a task cannot be both a join task and an X task');
+    if (options.proof_link_pattern) errors.push('X tasks take the X handle as their answer, drop link=');
+    if (!options.proof_text_label) options.proof_text_label = 'X handle';
+    if (options.min_screenshots === undefined) options.min_screenshots = 0;
+  }
+  if (options.starts_at && options.ends_at && options.ends_at <= options.starts_at) {
+    errors.push('end must be after start');
+  }
+
+  return { options, errors };
+}
+
+function minScreenshots(task) {
+  const value = parseInt(task.min_screenshots, 10);
+  return Number.isInteger(value) ? value : 1;
+}
+
+function requiresProof(task) {
+  if (isJoinTask(task)) return false;
+  return minScreenshots(task) > 0 || !!task.proof_text_label;
+}
+
+// One line per requirement, for task lists and the submission prompt
+function describeProofRequirements(task) {
+  if (isJoinTask(task)) return [`👥 Join ${task.verify_chat} (checked automatically)`];
+  const lines = [];
+  if (task.social_action) lines.push(`🤖 ${describeSocialAction(task.social_action, task.social_target)} (checked automatically)`);
+  const screenshots = minScreenshots(task);
+  if (screenshots > 0) lines.push(`📸 ${screenshots === 1 ? 'At least one screenshot' : `At least ${screenshots} screenshots`}`);
+  if (task.proof_text_label) lines.push(`✍️ Your ${task.proof_text_label}${task.proof_link_pattern ? ' (as a link)' : ''}`);
+  if (lines.length === 0) lines.push('✨ No proof needed');
+  return lines;
+}
+
+/**
+ * Check a submission against the task's requirements.
+ * Returns { valid, problems, proofText } where proofText is the matched link, the X handle
+ * (as @name) of an X task or the text answer.
+ */
+function validateTaskProof(task, { files = [], text = '' } = {}) {
+  const problems = [];
+  const screenshots = minScreenshots(task);
+  const imageCount = files ? files.length : 0;
+  const answer = String(text || '').trim();
+  let proofText = null;
+
+  if (imageCount < screenshots) {
+    problems.push(`Send ${screenshots - imageCount} more screenshot(s) (${imageCount}/${screenshots}).`);
+  }
+
+  if (task.proof_text_label) {
+    if (!answer) {
+      problems.push(`Send your ${task.proof_text_label} as a text message.`);
+    } else if (task.social_action) {
+      const handle = findXHandle(answer);
+      if (handle) proofText = `@${handle}`;
+      else problems.push(`Your ${task.proof_text_label} does not look right. Send it like @name.`);
+    } else if (task.proof_link_pattern) {
+      const pattern = compileLinkPattern(task.proof_link_pattern);
+      const match = pattern ? answer.match(pattern) : null;
+      if (match) proofText = match[0];
+      else problems.push(`Your ${task.proof_text_label} does not look right. Please send the correct link.`);
+    } else {
+      proofText = answer;
+    }
+  }
+
+  return { valid: problems.length === 0, problems, proofText };
+}
+
+/**
+ * Decide whether a user may start a task now.
+ * progress is { completions, lastCompletedAt, pending } for this user and task.
+ * Returns null when allowed, otherwise { reason, retryAt?, limit? } with reason one of
+ * not_started, ended, slots_full, limit_reached, pending_review, cooldown.
+ */
+function checkTaskAvailability(task, progress = {}, now = Date.now()) {
+  const completions = progress.completions || 0;
+  const pending = progress.pending || 0;
+  const startsAt = task.starts_at ? Number(task.starts_at) : null;
+  const endsAt = task.ends_at ? Number(task.ends_at) : null;
+  const maxPerUser = task.max_per_user === null || task.max_per_user === undefined ? 1 : parseInt(task.max_per_user, 10);
+
+  if (startsAt && now < startsAt) return { reason: 'not_started', retryAt: startsAt };
+  if (endsAt && now >= endsAt) return { reason: 'ended' };
+  if (task.total_slots && (task.completion_count || 0) >= task.total_slots) {
+    return { reason: 'slots_full', limit: task.total_slots };
+  }
+  if (maxPerUser > 0 && completions >= maxPerUser) return { reason: 'limit_reached', limit: maxPerUser };
+  if (pending > 0) return { reason: 'pending_review' };
+
+  const cooldownMs = Number(task.cooldown_ms) || 0;
+  if (cooldownMs > 0 && progress.lastCompletedAt) {
+    const retryAt = Number(progress.lastCompletedAt) + cooldownMs;
+    if (now < retryAt) return { reason: 'cooldown', retryAt, limit: cooldownMs };
+  }
+
+  return null;
+}
+
+module.exports = {
+  TASK_OPTION_KEYS,
+  parseChatReference,
+  chatJoinUrl,
+  isJoinTask,
+  escapeHtml,
+  renderTaskDescription,
+  plainTaskDescription,
+  parseDurationMs,
+  parseDateMs,
+  parseTaskOptions,
+  requiresProof,
+  describeProofRequirements,
+  validateTaskProof,
+  checkTaskAvailability
+};
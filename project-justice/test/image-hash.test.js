@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jpeg = require('jpeg-js');
+const {
+  PHASH_MATCH_DISTANCE, differenceHash, hammingDistance, phashBands, fingerprintImage, compareFingerprints, findRepeatedImages
+} = require('../image-hash');
+
+// RGBA screenshot-like picture: a gradient with a few dark blocks placed by seed
+function drawImage(width, height, seed) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const block = ((Math.floor(x / (width / 6)) * 7 + Math.floor(y / (height / 5)) * 3 + seed) % 4) === 0;
+      const shade = block ? 30 : Math.round(255 * x / width * 0.6 + 60 * y / height);
+      const i = (y * width + x) * 4;
+      data[i] = shade;
+      data[i + 1] = block ? 40 : 255 - shade;
+      data[i + 2] = (shade * 3) % 256;
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+// Nearest-neighbour resize, as a crude stand-in for a screenshot saved at another size
+function resize(image, width, height) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const from = (Math.floor(y * image.height / height) * image.width + Math.floor(x * image.width / width)) * 4;
+      image.data.copy(data, (y * width + x) * 4, from, from + 4);
+    }
+  }
+  return { width, height, data };
+}
+
+test('a re-encoded and resized screenshot stays within PHASH_MATCH_DISTANCE', () => {
+  const original = drawImage(360, 640, 1);
+  const first = fingerprintImage(jpeg.encode(original, 95).data, 'file-a');
+  const recompressed = jpeg.encode(jpeg.decode(jpeg.encode(original, 95).data, { useTArray: true }), 40).data;
+  const second = fingerprintImage(recompressed, 'file-b');
+  const third = fingerprintImage(jpeg.encode(resize(original, 270, 480), 70).data, 'file-c');
+
+  assert.match(first.phash, /^[0-9a-f]{16}$/);
+  assert.notStrictEqual(first.content_hash, second.content_hash);
+  assert.ok(hammingDistance(first.phash, second.phash) <= PHASH_MATCH_DISTANCE);
+  assert.ok(hammingDistance(first.phash, third.phash) <= PHASH_MATCH_DISTANCE);
+  assert.ok(compareFingerprints(first, second));
+  assert.ok(compareFingerprints(first, third));
+});
+
+test('different screenshots do not match', () => {
+  const a = fingerprintImage(jpeg.encode(drawImage(360, 640, 1), 90).data);
+  const b = fingerprintImage(jpeg.encode(drawImage(360, 640, 2), 90).data);
+  assert.ok(hammingDistance(a.phash, b.phash) > PHASH_MATCH_DISTANCE);
+  assert.strictEqual(compareFingerprints(a, b), null);
+});
+
+test('identical files match by Telegram id or by bytes', () => {
+  const bytes = jpeg.encode(drawImage(90, 160, 3), 80).data;
+  assert.deepStrictEqual(compareFingerprints(fingerprintImage(bytes, 'x'), fingerprintImage(bytes, 'y')), { kind: 'identical', distance: 0 });
+  assert.deepStrictEqual(
+    compareFingerprints({ file_unique_id: 'same', content_hash: null, phash: null }, { file_unique_id: 'same', content_hash: null, phash: null }),
+    { kind: 'identical', distance: 0 }
+  );
+  assert.strictEqual(fingerprintImage(Buffer.from('not an image')).phash, null);
+});
+
+test('differenceHash compares each cell with its right neighbour', () => {
+  // Brightness falls from left to right, so every cell is brighter than the next one
+  const width = 90;
+  const height = 80;
+  const data = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i++) data.fill(255 - (i % width) * 2, i * 3, i * 3 + 3);
+  assert.strictEqual(differenceHash({ width, height, data }, 3), 'ffffffffffffffff');
+  assert.strictEqual(hammingDistance('ffffffffffffffff', 'fffffffffffffff0'), 4);
+  assert.deepStrictEqual(phashBands('0123456789abcdef'), ['0123', '4567', '89ab', 'cdef']);
+  assert.deepStrictEqual(phashBands(null), [null, null, null, null]);
+});
+
+test('findRepeatedImages lists pairs within one submission', () => {
+  const a = { file_unique_id: 'a', content_hash: 'h1', phash: null };
+  const b = { file_unique_id: 'b', content_hash: 'h2', phash: null };
+  assert.deepStrictEqual(findRepeatedImages([a, b, { ...a, file_unique_id: 'c' }, null]), [[0, 2]]);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compose, createRouter } = require('../middleware');
+
+// Records the listeners the router registers so tests can emit updates by hand
+function createStubBot() {
+  const listeners = { callback_query: [], message: [] };
+  const textRoutes = [];
+  return {
+    on(event, listener) { listeners[event].push(listener); },
+    onText(pattern, listener) { textRoutes.push({ pattern, listener }); },
+    emitCallback(data, from = { id: 7 }) {
+      const query = { id: 'q1', data, from, message: { chat: { id: 7, type: 'private' } } };
+      return Promise.all(listeners.callback_query.map(listener => listener(query)));
+    },
+    emitCommand(text, from = { id: 7 }) {
+      const msg = { text, from, chat: { id: 7, type: 'private' } };
+      const route = textRoutes.find(r => r.pattern.test(text));
+      return route.listener(msg, text.match(route.pattern));
+    },
+    listeners
+  };
+}
+
+test('compose rejects a second next() call', async () => {
+  const run = compose([
+    async (ctx, next) => { await next(); await next(); },
+    async () => {}
+  ]);
+  await assert.rejects(run({}), /next\(\) called more than once/);
+});
+
+test('compose stops when a middleware does not call next()', async () => {
+  const seen = [];
+  const run = compose([
+    async (ctx, next) => { seen.push('first'); await next(); },
+    async () => { seen.push('gate'); },
+    async () => { seen.push('handler'); }
+  ]);
+  await run({});
+  assert.deepStrictEqual(seen, ['first', 'gate']);
+});
+
+test('callback routes dispatch to the first matching route only', async () => {
+  const bot = createStubBot();
+  const router = createRouter(bot);
+  const seen = [];
+  router.callback(/^wd_paid:(\d+)$/, async (query, match) => { seen.push(['paid', match[1]]); });
+  router.callback(/^wd_/, async (query) => { seen.push(['any', query.data]); });
+  router.callback('menu', async () => { seen.push(['menu']); });
+
+  assert.strictEqual(bot.listeners.callback_query.length, 1);
+  await bot.emitCallback('wd_paid:42');
+  await bot.emitCallback('wd_reject:9');
+  await bot.emitCallback('menu');
+  await bot.emitCallback('unknown');
+  assert.deepStrictEqual(seen, [['paid', '42'], ['any', 'wd_reject:9'], ['menu']]);
+});
+
+test('global middleware runs before route middleware and can stop the route', async () => {
+  const bot = createStubBot();
+  const router = createRouter(bot);
+  const seen = [];
+  router.callback('menu', async (ctx, next) => { seen.push('route'); await next(); }, async () => { seen.push('handler'); });
+  router.use('callback', async (ctx, next) => {
+    seen.push('global');
+    if (ctx.userId !== 1) return;
+    await next();
+  });
+
+  await bot.emitCallback('menu', { id: 2 });
+  await bot.emitCallback('menu', { id: 1 });
+  assert.deepStrictEqual(seen, ['global', 'global', 'route', 'handler']);
+});
+
+test('handler errors reach the router catch instead of escaping', async (t) => {
+  const logged = [];
+  t.mock.method(console, 'error', (...args) => { logged.push(args); });
+  const bot = createStubBot();
+  const router = createRouter(bot);
+  router.command(/\/boom/, async () => { throw new Error('boom'); });
+  router.callback('boom', () => { throw new Error('sync boom'); });
+
+  await bot.emitCommand('/boom');
+  await bot.emitCallback('boom');
+  assert.strictEqual(logged.length, 2);
+  assert.match(logged[0][0], /Unhandled command middleware error/);
+  assert.strictEqual(logged[0][1], 'boom');
+  assert.match(logged[1][0], /Unhandled callback middleware error/);
+  assert.strictEqual(logged[1][1], 'sync boom');
+});
@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toBaseUnits, createFakePayoutExecutor, createPayoutProcessor } = require('../payout-executor');
+
+test('toBaseUnits converts NUMERIC strings exactly', () => {
+  assert.strictEqual(toBaseUnits('123456789.99', 9), 123456789990000000n);
+  assert.strictEqual(toBaseUnits('5.00', 6), 5000000n);
+  assert.strictEqual(toBaseUnits('0.000000001', 9), 1n);
+  assert.strictEqual(toBaseUnits('42', 0), 42n);
+});
+
+test('toBaseUnits converts numbers without float drift', () => {
+  assert.strictEqual(toBaseUnits(123456789.99, 9), 123456789990000000n);
+  assert.strictEqual(toBaseUnits(0.1, 9), 100000000n);
+});
+
+test('toBaseUnits refuses amounts it cannot represent exactly', () => {
+  assert.throws(() => toBaseUnits('1.5', 0), /more than 0 decimals/);
+  assert.throws(() => toBaseUnits('1e-7', 9), /Invalid token amount/);
+  assert.throws(() => toBaseUnits('-1', 9), /Invalid token amount/);
+  assert.throws(() => toBaseUnits('abc', 9), /Invalid token amount/);
+});
+
+// In-memory stand-in for the payout functions of database.js, with the same lease semantics
+function createPayoutDb(withdrawals) {
+  const rows = new Map(withdrawals.map(w => [w.id, {
+    status: 'approved', payout_status: null, payout_key: null, payout_attempts: 0,
+    payout_next_attempt_at: null, tx_signature: null, ...w
+  }]));
+  const payable = (row, now) => row.status === 'approved'
+    && (row.payout_status === null || ['sending', 'submitted', 'retry'].includes(row.payout_status))
+    && (row.payout_next_attempt_at || 0) <= now;
+
+  return {
+    rows,
+    async getDuePayouts(limit) {
+      return [...rows.values()].filter(row => payable(row, Date.now())).slice(0, limit).map(row => ({ ...row }));
+    },
+    async claimPayout(id, executorName, leaseMs) {
+      const row = rows.get(id);
+      if (!row || !payable(row, Date.now())) return null;
+      if (row.payout_status !== 'submitted') row.payout_status = 'sending';
+      row.payout_key = row.payout_key || `withdrawal-${id}`;
+      row.payout_next_attempt_at = Date.now() + leaseMs;
+      return { ...row };
+    },
+    async recordPayoutSubmitted(id, signature, leaseMs, leaseUntil) {
+      const row = rows.get(id);
+      if (row.payout_next_attempt_at !== leaseUntil) return null;
+      Object.assign(row, { payout_status: 'submitted', tx_signature: signature, payout_submitted_at: Date.now(), payout_next_attempt_at: Date.now() + leaseMs });
+      return { ...row };
+    },
+    async schedulePayoutCheck(id, nextAttemptAt) {
+      rows.get(id).payout_next_attempt_at = nextAttemptAt;
+    },
+    async failPayoutAttempt(id, error, nextAttemptAt = null, maxAttempts = null) {
+      const row = rows.get(id);
+      Object.assign(row, {
+        payout_status: nextAttemptAt ? 'retry' : 'failed',
+        payout_error: error,
+        payout_next_attempt_at: nextAttemptAt,
+        payout_attempts: Math.min(row.payout_attempts + 1, maxAttempts ?? Infinity)
+      });
+      return { ...row };
+    },
+    async completePayout(id, { signature, fee }) {
+      const row = rows.get(id);
+      Object.assign(row, { status: 'paid', payout_status: 'confirmed', tx_signature: signature, payout_fee: fee, payout_next_attempt_at: null });
+      return { status: 'ok', withdrawal: { ...row } };
+    }
+  };
+}
+
+function recordHooks() {
+  const calls = { paid: [], retry: [], failed: [] };
+  return {
+    calls,
+    onPaid: async (withdrawal) => calls.paid.push(withdrawal.id),
+    onRetry: async (withdrawal, error) => calls.retry.push(error),
+    onFailed: async (withdrawal, error) => calls.failed.push(error)
+  };
+}
+
+test('payout processor pays a due withdrawal once', async () => {
+  const db = createPayoutDb([{ id: 1, wallet: 'w1', amount: '12.50' }]);
+  const executor = createFakePayoutExecutor();
+  const hooks = recordHooks();
+  const processor = createPayoutProcessor({ db, executor, ...hooks });
+
+  const results = await processor.processDue();
+  assert.strictEqual(results.length, 1);
+  assert.strictEqual(results[0].status, 'ok');
+  assert.deepStrictEqual(hooks.calls.paid, [1]);
+
+  const row = db.rows.get(1);
+  assert.strictEqual(row.status, 'paid');
+  assert.strictEqual(row.tx_signature, executor.transfers.get('withdrawal-1').signature);
+  assert.strictEqual(executor.transfers.get('withdrawal-1').amount, '12.50');
+  assert.deepStrictEqual(await processor.processDue(), []);
+});
+
+test('payout processor retries with backoff, then gives up after maxAttempts', async () => {
+  const db = createPayoutDb([{ id: 1, wallet: 'w1', amount: '5' }]);
+  const executor = createFakePayoutExecutor({ failuresBeforeSuccess: 10, failWith: 'RPC down' });
+  const hooks = recordHooks();
+  const processor = createPayoutProcessor({ db, executor, maxAttempts: 2, baseDelayMs: 1000, ...hooks });
+
+  const first = await processor.processWithdrawal({ id: 1 });
+  assert.strictEqual(first.status, 'retry');
+  assert.ok(first.nextAttemptAt >= Date.now() + 900);
+  assert.strictEqual(db.rows.get(1).payout_status, 'retry');
+  assert.strictEqual((await processor.processWithdrawal({ id: 1 })).status, 'skipped');
+
+  db.rows.get(1).payout_next_attempt_at = 0;
+  const second = await processor.processWithdrawal({ id: 1 });
+  assert.strictEqual(second.status, 'failed');
+  assert.deepStrictEqual(hooks.calls.retry, ['RPC down']);
+  assert.deepStrictEqual(hooks.calls.failed, ['RPC down']);
+  assert.strictEqual(db.rows.get(1).payout_status, 'failed');
+  assert.strictEqual(db.rows.get(1).payout_attempts, 2);
+  assert.strictEqual(executor.transfers.size, 0);
+});
+
+test('payout processor does not count attempts beyond maxAttempts', async () => {
+  const db = createPayoutDb([{ id: 1, wallet: 'w1', amount: '5', payout_status: 'retry', payout_attempts: 2, payout_error: 'RPC down' }]);
+  const executor = createFakePayoutExecutor();
+  const hooks = recordHooks();
+  const processor = createPayoutProcessor({ db, executor, maxAttempts: 2, ...hooks });
+
+  assert.strictEqual((await processor.processWithdrawal({ id: 1 })).status, 'failed');
+  assert.strictEqual(db.rows.get(1).payout_attempts, 2);
+  assert.strictEqual(executor.transfers.size, 0);
+  assert.deepStrictEqual(hooks.calls.failed, ['RPC down']);
+});
+
+test('payout processor succeeds on a retry after a failed attempt', async () => {
+  const db = createPayoutDb([{ id: 1, wallet: 'w1', amount: '5' }]);
+  const executor = createFakePayoutExecutor({ failuresBeforeSuccess: 1 });
+  const hooks = recordHooks();
+  const processor = createPayoutProcessor({ db, executor, ...hooks });
+
+  assert.strictEqual((await processor.processWithdrawal({ id: 1 })).status, 'retry');
+  db.rows.get(1).payout_next_attempt_at = 0;
+  assert.strictEqual((await processor.processWithdrawal({ id: 1 })).status, 'ok');
+  assert.deepStrictEqual(hooks.calls.paid, [1]);
+});
+
+test('payout processor does not send when its lease was taken over', async () => {
+  const db = createPayoutDb([{ id: 1, wallet: 'w1', amount: '5' }]);
+  const fake = createFakePayoutExecutor();
+  // Another worker claims the payout while this one is still preparing the transfer
+  const executor = {
+    ...fake,
+    transfer: async (args) => {
+      db.rows.get(1).payout_next_attempt_at += 1;
+      return fake.transfer(args);
+    }
+  };
+  const hooks = recordHooks();
+  const processor = createPayoutProcessor({ db, executor, ...hooks });
+
+  const result = await processor.processWithdrawal({ id: 1 });
+  assert.strictEqual(result.status, 'lease_lost');
+  assert.strictEqual(fake.transfers.size, 0);
+  assert.strictEqual(db.rows.get(1).payout_attempts, 0);
+  assert.strictEqual(db.rows.get(1).tx_signature, null);
+  assert.deepStrictEqual(hooks.calls, { paid: [], retry: [], failed: [] });
+});
+
+test('payout processor completes a submitted transfer that landed instead of sending again', async () => {
+  const db = createPayoutDb([{ id: 1, wallet: 'w1', amount: '5' }]);
+  const executor = createFakePayoutExecutor();
+  const processor = createPayoutProcessor({ db, executor });
+  const { signature } = await executor.transfer({ idempotencyKey: 'withdrawal-1', wallet: 'w1', amount: '5' });
+  Object.assign(db.rows.get(1), { payout_status: 'submitted', payout_key: 'withdrawal-1', tx_signature: signature });
+
+  let sent = 0;
+  const transfer = executor.transfer;
+  executor.transfer = async (args) => { sent++; return transfer(args); };
+  assert.strictEqual((await processor.processWithdrawal({ id: 1 })).status, 'ok');
+  assert.strictEqual(sent, 0);
+  assert.strictEqual(db.rows.get(1).status, 'paid');
+});
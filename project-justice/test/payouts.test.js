@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildBatchCsv, parseSignatureFile } = require('../payouts');
+
+const SIG_A = '5'.repeat(88);
+const SIG_B = '4'.repeat(88);
+
+test('parseSignatureFile reads the exported CSV back', () => {
+  const csv = buildBatchCsv([
+    { id: 1, user_id: 10, wallet: 'w1', amount: '5.00', tx_signature: SIG_A },
+    { id: 2, user_id: 11, wallet: 'w2', amount: '6.00', tx_signature: null }
+  ]);
+  const parsed = parseSignatureFile(csv);
+  assert.deepStrictEqual(parsed.signatures, { 1: SIG_A });
+  assert.deepStrictEqual(parsed.invalid, []);
+  assert.deepStrictEqual(parsed.duplicates, []);
+});
+
+test('parseSignatureFile reports malformed signatures', () => {
+  const parsed = parseSignatureFile(`1,${SIG_A}\n2,not-a-signature`);
+  assert.deepStrictEqual(parsed.invalid, [{ id: 2, signature: 'not-a-signature' }]);
+});
+
+test('parseSignatureFile reports a signature given for several requests', () => {
+  const parsed = parseSignatureFile(JSON.stringify({ 1: SIG_A, 2: SIG_B, 3: SIG_A }));
+  assert.deepStrictEqual(parsed.duplicates, [
+    { id: 1, signature: SIG_A },
+    { id: 3, signature: SIG_A }
+  ]);
+});
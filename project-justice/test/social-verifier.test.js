@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  SOCIAL_ROUTES, parseXHandle, parseXPostUrl, findXHandle, createFixtureSocialVerifier, runSocialCheck, routeSocialCheck
+} = require('../social-verifier');
+
+const POST = 'https://x.com/onchain_justice/status/1850000000000000000';
+const verifier = createFixtureSocialVerifier({
+  fixtures: {
+    follows: { alice: ['onchain_justice'] },
+    likes: { 1850000000000000000: ['Alice'] },
+    inconclusive: ['protected_user']
+  }
+});
+
+test('X handles and post URLs are parsed from the forms users send', () => {
+  assert.strictEqual(parseXHandle('@alice_1'), 'alice_1');
+  assert.strictEqual(parseXHandle('https://twitter.com/alice_1?s=20'), 'alice_1');
+  assert.strictEqual(parseXHandle('not a handle'), null);
+  assert.deepStrictEqual(parseXPostUrl('mobile.twitter.com/bob/statuses/42?s=20'), {
+    handle: 'bob', postId: '42', url: 'https://x.com/bob/status/42'
+  });
+  assert.strictEqual(findXHandle('first @wrong then @alice.'), 'alice');
+  assert.strictEqual(findXHandle('alice'), 'alice');
+});
+
+test('a passed check is auto-approved', async () => {
+  const follow = await runSocialCheck(verifier, { action: 'follow', target: 'onchain_justice', handle: 'ALICE' });
+  assert.strictEqual(follow.status, 'passed');
+  assert.strictEqual(routeSocialCheck(follow), SOCIAL_ROUTES.AUTO_APPROVE);
+  const like = await runSocialCheck(verifier, { action: 'like', target: POST, handle: 'alice' });
+  assert.strictEqual(routeSocialCheck(like), SOCIAL_ROUTES.AUTO_APPROVE);
+});
+
+test('a failed check lets the user retry', async () => {
+  const result = await runSocialCheck(verifier, { action: 'repost', target: POST, handle: 'alice' });
+  assert.strictEqual(result.status, 'failed');
+  assert.match(result.reason, /@alice has not done this yet/);
+  assert.strictEqual(routeSocialCheck(result), SOCIAL_ROUTES.RETRY);
+});
+
+test('an inconclusive or unavailable check goes to manual review', async () => {
+  const protectedUser = await runSocialCheck(verifier, { action: 'follow', target: 'onchain_justice', handle: 'protected_user' });
+  assert.strictEqual(protectedUser.status, 'inconclusive');
+  assert.strictEqual(routeSocialCheck(protectedUser), SOCIAL_ROUTES.MANUAL_REVIEW);
+
+  const noVerifier = await runSocialCheck(null, { action: 'follow', target: 'onchain_justice', handle: 'alice' });
+  assert.deepStrictEqual(noVerifier, { status: 'inconclusive', reason: 'no verifier configured' });
+  assert.strictEqual(routeSocialCheck(noVerifier), SOCIAL_ROUTES.MANUAL_REVIEW);
+
+  const unknownAction = await runSocialCheck(verifier, { action: 'quote', target: POST, handle: 'alice' });
+  assert.strictEqual(unknownAction.status, 'inconclusive');
+
+  const silent = await runSocialCheck({ name: 'silent', check: async () => null }, { action: 'follow', target: 'x', handle: 'alice' });
+  assert.deepStrictEqual(silent, { status: 'inconclusive', reason: 'verifier gave no answer' });
+});
+
+test('a verifier that throws is treated as inconclusive', async () => {
+  const broken = { name: 'broken', check: async () => { throw new Error('rate limited'); } };
+  const result = await runSocialCheck(broken, { action: 'follow', target: 'onchain_justice', handle: 'alice' });
+  assert.deepStrictEqual(result, { status: 'inconclusive', reason: 'verifier error (rate limited)' });
+  assert.strictEqual(routeSocialCheck(result), SOCIAL_ROUTES.MANUAL_REVIEW);
+});
+
+test('a handle other users already submitted is never auto-approved', async () => {
+  const passed = await runSocialCheck(verifier, { action: 'follow', target: 'onchain_justice', handle: 'alice' });
+  assert.strictEqual(routeSocialCheck(passed, { handleUsedByOthers: true }), SOCIAL_ROUTES.MANUAL_REVIEW);
+  const failed = await runSocialCheck(verifier, { action: 'follow', target: 'someone_else', handle: 'alice' });
+  assert.strictEqual(routeSocialCheck(failed, { handleUsedByOthers: true }), SOCIAL_ROUTES.RETRY);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTaskOptions, validateTaskProof, checkTaskAvailability } = require('../tasks');
+
+test('parseTaskOptions maps options to task columns', () => {
+  const { options, errors } = parseTaskOptions('screenshots=2; text=tweet URL; per_user=3; slots=100; cooldown=24h');
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(options, {
+    min_screenshots: 2, proof_text_label: 'tweet URL', max_per_user: 3, total_slots: 100, cooldown_ms: 24 * 60 * 60 * 1000
+  });
+  assert.deepStrictEqual(parseTaskOptions('slots=none; join=none').options, { total_slots: null, verify_chat: null });
+  assert.strictEqual(parseTaskOptions('link=https://x\\.com/\\S+').options.proof_text_label, 'link');
+});
+
+test('parseTaskOptions reports invalid options', () => {
+  const { errors } = parseTaskOptions('screenshots=11; per_user=-1; slots=0; start=2026-11-30; end=2026-11-01; colour=red');
+  assert.strictEqual(errors.length, 5);
+  assert.match(errors.join('\n'), /screenshots must be/);
+  assert.match(errors.join('\n'), /per_user must be/);
+  assert.match(errors.join('\n'), /slots must be/);
+  assert.match(errors.join('\n'), /unknown option "colour"/);
+  assert.match(errors.join('\n'), /end must be after start/);
+});
+
+test('join tasks take no proof and are paid once per user', () => {
+  const { options, errors } = parseTaskOptions('join=t.me/projectjustice');
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(options, {
+    verify_chat: '@projectjustice', min_screenshots: 0, proof_text_label: null, proof_link_pattern: null, max_per_user: 1
+  });
+  assert.deepStrictEqual(parseTaskOptions('join=@projectjustice; per_user=1').errors, []);
+  assert.match(parseTaskOptions('join=@projectjustice; per_user=0').errors[0], /once per user/);
+  assert.match(parseTaskOptions('join=@projectjustice; per_user=5').errors[0], /once per user/);
+  assert.match(parseTaskOptions('join=@projectjustice; screenshots=1').errors[0], /take no screenshots/);
+});
+
+test('X tasks ask for the handle and reject a link pattern', () => {
+  const { options, errors } = parseTaskOptions('x=follow:@ProjectJustice');
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(options, {
+    social_action: 'follow', social_target: 'ProjectJustice', proof_text_label: 'X handle', min_screenshots: 0
+  });
+  assert.match(parseTaskOptions('x=follow:@ProjectJustice; link=x\\.com').errors[0], /drop link=/);
+  assert.match(parseTaskOptions('x=follow:@ProjectJustice; join=@projectjustice').errors.join('\n'), /both a join task and an X task/);
+  assert.match(parseTaskOptions('x=wave:@ProjectJustice').errors[0], /x must be/);
+});
+
+test('validateTaskProof checks screenshots, links and X handles', () => {
+  const task = { min_screenshots: 2, proof_text_label: 'tweet URL', proof_link_pattern: 'https://x\\.com/\\S+' };
+  const missing = validateTaskProof(task, { files: ['a'], text: '' });
+  assert.strictEqual(missing.valid, false);
+  assert.strictEqual(missing.problems.length, 2);
+
+  const ok = validateTaskProof(task, { files: ['a', 'b'], text: 'done: https://x.com/user/status/1 thanks' });
+  assert.deepStrictEqual(ok, { valid: true, problems: [], proofText: 'https://x.com/user/status/1' });
+  assert.strictEqual(validateTaskProof(task, { files: ['a', 'b'], text: 'example.com' }).valid, false);
+
+  const xTask = { min_screenshots: 0, proof_text_label: 'X handle', social_action: 'follow', social_target: 'ProjectJustice' };
+  assert.strictEqual(validateTaskProof(xTask, { text: 'my handle is @alice_1' }).proofText, '@alice_1');
+  assert.strictEqual(validateTaskProof(xTask, { text: '!!!' }).valid, false);
+
+  // Tasks created before proof requirements existed still need one screenshot
+  assert.strictEqual(validateTaskProof({}, {}).valid, false);
+  assert.strictEqual(validateTaskProof({}, { files: ['a'] }).valid, true);
+});
+
+test('checkTaskAvailability applies the per-user limit of join tasks', () => {
+  const joinTask = { verify_chat: '@projectjustice', max_per_user: 1 };
+  assert.strictEqual(checkTaskAvailability(joinTask, { completions: 0 }), null);
+  assert.deepStrictEqual(checkTaskAvailability(joinTask, { completions: 1 }), { reason: 'limit_reached', limit: 1 });
+});
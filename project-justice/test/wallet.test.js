@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const {
+  decodeBase58, encodeBase58, validateSolanaAddress, isValidTransactionSignature, shortenAddress
+} = require('../wallet');
+
+test('validateSolanaAddress accepts 32-byte base58 keys', () => {
+  assert.deepStrictEqual(validateSolanaAddress('So11111111111111111111111111111111111111112'), {
+    valid: true, address: 'So11111111111111111111111111111111111111112'
+  });
+  assert.strictEqual(validateSolanaAddress('  11111111111111111111111111111111 ').address, '11111111111111111111111111111111');
+  const random = encodeBase58(crypto.randomBytes(32));
+  assert.strictEqual(validateSolanaAddress(random).valid, true);
+});
+
+test('validateSolanaAddress explains what is wrong with other input', () => {
+  assert.match(validateSolanaAddress('').reason, /empty/);
+  assert.match(validateSolanaAddress('0x52908400098527886E0F7030069857D2E4169EE7').reason, /Ethereum/);
+  assert.match(validateSolanaAddress('So111111111111111 11111111111111111111111112').reason, /spaces/);
+  assert.match(validateSolanaAddress('So1111').reason, /32-44 characters/);
+  assert.match(validateSolanaAddress('So1111111111111111111111111111111111111111O').reason, /not valid in a Solana address/);
+  // 44 base58 characters that decode to more than 32 bytes
+  assert.match(validateSolanaAddress('z'.repeat(44)).reason, /32-byte/);
+});
+
+test('base58 round-trips bytes including leading zeros', () => {
+  const bytes = Uint8Array.from([0, 0, 1, 2, 255, 128]);
+  assert.deepStrictEqual(decodeBase58(encodeBase58(bytes)), bytes);
+  assert.strictEqual(decodeBase58('abc0'), null);
+});
+
+test('isValidTransactionSignature wants a 64-byte base58 signature', () => {
+  assert.strictEqual(isValidTransactionSignature(encodeBase58(crypto.randomBytes(64))), true);
+  assert.strictEqual(isValidTransactionSignature(encodeBase58(crypto.randomBytes(32))), false);
+  assert.strictEqual(isValidTransactionSignature('not a signature'), false);
+});
+
+test('shortenAddress keeps both ends', () => {
+  assert.strictEqual(shortenAddress('So11111111111111111111111111111111111111112'), 'So11…1112');
+  assert.strictEqual(shortenAddress(null), '(not set)');
+});
@@ -0,0 +1,122 @@
+/**
+ * Solana wallet address helpers.
+ *
+ * A Solana address is an ed25519 public key (32 bytes) written in base58 with the
+ * Bitcoin alphabet, so it is 32-44 characters long and never contains 0, O, I or l.
+ */
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE58_MAP = new Map([...BASE58_ALPHABET].map((char, index) => [char, index]));
+
+const SOLANA_PUBLIC_KEY_BYTES = 32;
+const SOLANA_SIGNATURE_BYTES = 64;
+
+/**
+ * Decode a base58 string into bytes. Returns null when the string contains
+ * characters outside the base58 alphabet.
+ */
+function decodeBase58(input) {
+  if (typeof input !== 'string' || input.length === 0) return null;
+
+  const bytes = [];
+  for (const char of input) {
+    const value = BASE58_MAP.get(char);
+    if (value === undefined) return null;
+
+    let carry = value;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  // Each leading '1' encodes a leading zero byte
+  for (let i = 0; i < input.length && input[i] === '1'; i++) {
+    bytes.push(0);
+  }
+
+  return Uint8Array.from(bytes.reverse());
+}
+
+// Encode bytes as base58 (inverse of decodeBase58)
+function encodeBase58(bytes) {
+  const digits = [];
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+
+  let result = '';
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) result += '1';
+  for (let i = digits.length - 1; i >= 0; i--) result += BASE58_ALPHABET[digits[i]];
+  return result;
+}
+
+/**
+ * Check a user-supplied wallet address.
+ * Returns { valid: true, address } or { valid: false, reason } with a user-facing reason.
+ */
+function validateSolanaAddress(input) {
+  const address = typeof input === 'string' ? input.trim() : '';
+
+  if (!address) {
+    return { valid: false, reason: 'The address is empty.' };
+  }
+  if (/^0x[0-9a-f]+$/i.test(address)) {
+    return { valid: false, reason: 'This looks like an Ethereum/EVM address. Please send a Solana address.' };
+  }
+  if (/\s/.test(address)) {
+    return { valid: false, reason: 'The address must not contain spaces.' };
+  }
+  if (address.length < 32 || address.length > 44) {
+    return { valid: false, reason: 'Solana addresses are 32-44 characters long.' };
+  }
+
+  const bytes = decodeBase58(address);
+  if (!bytes) {
+    return { valid: false, reason: 'The address contains characters that are not valid in a Solana address (0, O, I and l are never used).' };
+  }
+  if (bytes.length !== SOLANA_PUBLIC_KEY_BYTES) {
+    return { valid: false, reason: 'The address does not decode to a 32-byte Solana public key.' };
+  }
+
+  return { valid: true, address };
+}
+
+// Transaction signatures are 64-byte ed25519 signatures in base58 (usually 87-88 characters)
+function isValidTransactionSignature(input) {
+  const signature = typeof input === 'string' ? input.trim() : '';
+  if (signature.length < 64 || signature.length > 88) return false;
+  const bytes = decodeBase58(signature);
+  return !!bytes && bytes.length === SOLANA_SIGNATURE_BYTES;
+}
+
+// "7xKX…gAsU" style shortening used in confirmations and notices
+function shortenAddress(address, visible = 4) {
+  if (!address) return '(not set)';
+  if (address.length <= visible * 2 + 1) return address;
+  return `${address.slice(0, visible)}…${address.slice(-visible)}`;
+}
+
+module.exports = {
+  decodeBase58,
+  encodeBase58,
+  validateSolanaAddress,
+  isValidTransactionSignature,
+  shortenAddress,
+  SOLANA_PUBLIC_KEY_BYTES,
+  SOLANA_SIGNATURE_BYTES
+};